@@ -0,0 +1,138 @@
+// UMD module: accomplishment journal — validation of dated, per-Marine
+// accomplishment entries tagged to FITREP traits (evaluationResults keys such
+// as "D_performance", built from firepData.sections), and lookup of the
+// entries inside a reporting period by trait. Shared by the journal UI
+// (js/journalPanel.js), Section I generation and the server journal routes
+// (server/journalRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AccomplishmentJournal = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const MAX_TEXT = 2000;
+  const MAX_TRAITS = 14;
+  const MAX_ATTACHMENT = 300;
+  const MAX_ENTRIES = 5000;
+  const TRAIT_KEY = /^[A-Z]_[a-z_]+$/;
+
+  function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+  }
+
+  function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Trait keys ("D_performance") of every trait in firepData.
+   * @param {{sections: Object}} data - firepData
+   * @returns {Array<{key: string, section: string, name: string}>}
+   */
+  function traitKeys(data) {
+    const out = [];
+    Object.entries(data?.sections || {}).forEach(([sectionKey, section]) => {
+      Object.entries(section.traits || {}).forEach(([traitKey, trait]) => {
+        out.push({ key: `${sectionKey}_${traitKey}`, section: section.title || '', name: trait.name || traitKey });
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Validate and normalize a journal entry before saving.
+   * @param {Object} input - { marineName, marineKey, date, text, traits, link, attachment }
+   *   `traits` is an array or comma-separated list of trait keys
+   * @param {{traitKeys?: string[]}} [options] - Known trait keys; others are rejected
+   * @returns {{valid: boolean, errors: string[], value: Object}}
+   */
+  function validate(input, options) {
+    const src = input || {};
+    const errors = [];
+    const rawTraits = Array.isArray(src.traits) ? src.traits : String(src.traits || '').split(',');
+    const traits = [];
+    rawTraits.forEach(t => {
+      const key = String(t || '').trim();
+      if (key && !traits.includes(key)) traits.push(key);
+    });
+    const value = {
+      marineName: String(src.marineName || '').trim(),
+      marineKey: String(src.marineKey || '').trim(),
+      date: String(src.date || '').trim().slice(0, 10),
+      text: String(src.text || '').trim(),
+      traits,
+      link: String(src.link || '').trim(),
+      attachment: String(src.attachment || '').trim()
+    };
+
+    if (!value.marineName) errors.push('Marine name is required.');
+    if (!isDate(value.date)) errors.push('Entry date is required (YYYY-MM-DD).');
+    if (!value.text) errors.push('Describe the accomplishment.');
+    if (value.text.length > MAX_TEXT) errors.push(`Entries must be ${MAX_TEXT} characters or fewer.`);
+    if (!value.traits.length) errors.push('Tag at least one trait.');
+    if (value.traits.length > MAX_TRAITS) errors.push(`Tag ${MAX_TRAITS} traits or fewer.`);
+    const known = options?.traitKeys;
+    if (value.traits.some(t => !TRAIT_KEY.test(t) || (known && !known.includes(t)))) errors.push('Unknown trait.');
+    if (value.link && !/^https?:\/\/\S+$/i.test(value.link)) errors.push('Link must start with http:// or https://.');
+    if (value.attachment.length > MAX_ATTACHMENT) errors.push(`Attachment description must be ${MAX_ATTACHMENT} characters or fewer.`);
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Entries on one Marine inside a period, oldest first. Same matching as
+   * CounselingLog.forMarine(): the Marine key wins when both sides have one.
+   * @param {Object[]} entries - Journal
+   * @param {{marineKey?: string, marineName?: string, from?: string, to?: string}} marine
+   * @returns {Object[]}
+   */
+  function forPeriod(entries, marine) {
+    const m = marine || {};
+    const name = normalizeName(m.marineName);
+    return (entries || [])
+      .filter(e => {
+        if (m.marineKey && e.marineKey) return e.marineKey === m.marineKey;
+        return name && normalizeName(e.marineName) === name;
+      })
+      .filter(e => (!m.from || e.date >= m.from) && (!m.to || e.date <= m.to))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  /**
+   * Entries grouped by trait key; an entry tagged to several traits appears
+   * under each.
+   * @param {Object[]} entries - From forPeriod()
+   * @returns {Object<string, Object[]>}
+   */
+  function byTrait(entries) {
+    const out = {};
+    (entries || []).forEach(e => {
+      (e.traits || []).forEach(t => { (out[t] = out[t] || []).push(e); });
+    });
+    return out;
+  }
+
+  /**
+   * Accomplishment candidates for Section I: entry text per trait key.
+   * @param {Object[]} entries - From forPeriod()
+   * @returns {Object<string, string[]>} Trait key -> entry texts, oldest first
+   */
+  function candidates(entries) {
+    const out = {};
+    Object.entries(byTrait(entries)).forEach(([key, list]) => {
+      out[key] = list.map(e => e.text);
+    });
+    return out;
+  }
+
+  return {
+    MAX_TEXT,
+    MAX_ENTRIES,
+    traitKeys,
+    validate,
+    forPeriod,
+    byTrait,
+    candidates
+  };
+});
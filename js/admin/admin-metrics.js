@@ -25,6 +25,10 @@ window.AdminMetrics = (function() {
       window.AdminCharts?.renderPerformanceTiers?.('performanceTiersChart', tiers);
       const s = document.getElementById('performanceTiersSkeleton'); if (s) s.style.display = 'none';
     } catch (_) {}
+    // Adverse reports
+    setText('metricAdverseReports', typeof p.adverseCount === 'number'
+      ? `${formatCount(p.adverseCount)} (${p.adversePercent || 0}%)`
+      : '—');
     // Section averages bar
     try {
       const avg = p.avgGradeBySection || {};
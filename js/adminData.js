@@ -0,0 +1,169 @@
+// UMD module: Section A/B administrative data (EDIPI, PMOS, billet, unit, RO)
+// Pure helpers shared by the setup form, review/summary screens and save paths.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AdminData = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Field definitions keyed by evaluationMeta property. `inputId` maps to the
+  // setup form control; `pattern` is applied only when a value is present.
+  const FIELDS = [
+    { key: 'edipi', inputId: 'edipiInput', label: 'EDIPI',
+      pattern: /^\d{10}$/, message: 'EDIPI must be 10 digits.' },
+    { key: 'pmos', inputId: 'pmosInput', label: 'PMOS',
+      pattern: /^\d{4}$/, message: 'PMOS must be a 4-digit MOS code.' },
+    { key: 'dutyStatus', inputId: 'dutyStatusSelect', label: 'Duty Status' },
+    { key: 'unitRuc', inputId: 'unitRucInput', label: 'RUC',
+      pattern: /^[A-Z0-9]{5}$/, message: 'RUC must be 5 letters or digits.' },
+    { key: 'unitMcc', inputId: 'unitMccInput', label: 'MCC',
+      pattern: /^[A-Z0-9]{3}$/, message: 'MCC must be 3 letters or digits.' },
+    { key: 'billetDescription', inputId: 'billetDescriptionInput',
+      label: 'Billet Description', maxLength: 500 },
+    { key: 'billetAccomplishments', inputId: 'billetAccomplishmentsInput',
+      label: 'Billet Accomplishments', maxLength: 2000 },
+    { key: 'roName', inputId: 'roNameInput', label: 'Reviewing Officer' },
+    { key: 'roRank', inputId: 'roRankSelect', label: 'RO Rank' },
+    { key: 'roEmail', inputId: 'roEmailInput', label: 'RO Email',
+      pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'RO email is not valid.' }
+  ];
+
+  const DUTY_STATUSES = {
+    AD: 'Active Duty',
+    AR: 'Active Reserve',
+    SMCR: 'Selected Marine Corps Reserve',
+    IMA: 'Individual Mobilization Augmentee'
+  };
+
+  function clean(key, value) {
+    const s = value == null ? '' : String(value).trim();
+    if (key === 'edipi') return s.replace(/\D/g, '');
+    if (key === 'unitRuc' || key === 'unitMcc') return s.toUpperCase();
+    if (key === 'roEmail') return s.toLowerCase();
+    return s;
+  }
+
+  /**
+   * Normalize raw administrative values into the evaluationMeta shape.
+   * Unknown keys are dropped; missing keys become empty strings.
+   * @param {Object} raw - Values keyed by FIELDS[].key
+   * @returns {Object} Normalized administrative data
+   */
+  function normalize(raw) {
+    const src = raw || {};
+    const out = {};
+    FIELDS.forEach(f => { out[f.key] = clean(f.key, src[f.key]); });
+    return out;
+  }
+
+  /**
+   * Read administrative values using a lookup function (e.g. DOM by id).
+   * @param {function(string): string} getValue - Returns a value for an input id
+   * @returns {Object} Normalized administrative data
+   */
+  function collect(getValue) {
+    const raw = {};
+    FIELDS.forEach(f => {
+      try { raw[f.key] = getValue(f.inputId); } catch (_) { raw[f.key] = ''; }
+    });
+    return normalize(raw);
+  }
+
+  /**
+   * Validate formats of the optional administrative fields.
+   * @param {Object} data - Normalized administrative data
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  function validate(data) {
+    const d = normalize(data);
+    const errors = [];
+    FIELDS.forEach(f => {
+      const v = d[f.key];
+      if (!v) return;
+      if (f.pattern && !f.pattern.test(v)) errors.push(f.message);
+      if (f.maxLength && v.length > f.maxLength) {
+        errors.push(`${f.label} must be ${f.maxLength} characters or fewer.`);
+      }
+    });
+    if (d.dutyStatus && !DUTY_STATUSES[d.dutyStatus]) {
+      errors.push('Duty status is not recognized.');
+    }
+    return errors;
+  }
+
+  /**
+   * Build the persisted evaluation fragments from evaluationMeta.
+   * @param {Object} meta - evaluationMeta (or any object with FIELDS keys)
+   * @returns {{marineInfo: Object, billet: Object, roInfo: Object}}
+   */
+  function toEvaluation(meta) {
+    const d = normalize(meta);
+    return {
+      marineInfo: {
+        edipi: d.edipi,
+        pmos: d.pmos,
+        dutyStatus: d.dutyStatus,
+        unit: { ruc: d.unitRuc, mcc: d.unitMcc }
+      },
+      billet: {
+        description: d.billetDescription,
+        accomplishments: d.billetAccomplishments
+      },
+      roInfo: { name: d.roName, rank: d.roRank, email: d.roEmail }
+    };
+  }
+
+  /**
+   * Inverse of toEvaluation: read administrative data from a saved evaluation.
+   * @param {Object} evaluation - Saved evaluation object
+   * @returns {Object} Normalized administrative data
+   */
+  function fromEvaluation(evaluation) {
+    const ev = evaluation || {};
+    const m = ev.marineInfo || {};
+    const unit = m.unit || {};
+    const billet = ev.billet || {};
+    const ro = ev.roInfo || {};
+    return normalize({
+      edipi: m.edipi,
+      pmos: m.pmos,
+      dutyStatus: m.dutyStatus,
+      unitRuc: unit.ruc,
+      unitMcc: unit.mcc,
+      billetDescription: billet.description,
+      billetAccomplishments: billet.accomplishments,
+      roName: ro.name,
+      roRank: ro.rank,
+      roEmail: ro.email
+    });
+  }
+
+  /**
+   * Label/value rows for display, skipping empty values.
+   * @param {Object} meta - evaluationMeta
+   * @returns {Array<{key: string, label: string, value: string}>}
+   */
+  function summaryRows(meta) {
+    const d = normalize(meta);
+    const rows = [];
+    FIELDS.forEach(f => {
+      let v = d[f.key];
+      if (!v) return;
+      if (f.key === 'dutyStatus') v = DUTY_STATUSES[v] || v;
+      rows.push({ key: f.key, label: f.label, value: v });
+    });
+    return rows;
+  }
+
+  return {
+    FIELDS,
+    DUTY_STATUSES,
+    normalize,
+    collect,
+    validate,
+    toEvaluation,
+    fromEvaluation,
+    summaryRows
+  };
+});
@@ -0,0 +1,126 @@
+// UMD module: adverse report detection — pulls every adverse trigger ("A"
+// marks, adverse directed comments, a not-recommended promotion statement)
+// into one decision and lists what the adverse workflow still needs: the
+// Item 8e directed comment and the MRO acknowledgment. Shared by the
+// directed comments step (js/directedComments.js), the save path
+// (js/profile.js), POST /api/evaluation/save and the admin metrics.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AdverseReport = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Directed comment (js/directedComments.js key) every adverse report carries
+  const ITEM_8E_COMMENT = 'adverse_material';
+  const ITEM_8E_PATTERN = /Item 8e\b/i;
+
+  // Directed comments that make a report adverse. `pattern` finds the same
+  // trigger in saved comment text, where only the rendered template survives.
+  const TRIGGER_COMMENTS = {
+    relief_for_cause: { label: 'Relief for cause', pattern: /relieved for cause/i },
+    not_recommended: { label: 'Not recommended for promotion', pattern: /not (?:be )?(?:recommended|considered) for promotion/i },
+    disciplinary_action: { label: 'Disciplinary action (NJP or court-martial)', pattern: /received (?:NJP|[\w ]*Court-Martial)/i },
+    failed_pft_cft: { label: 'Failed PFT/CFT', pattern: /failed to meet the minimum standard/i },
+    bcp: { label: 'Assigned to the Body Composition Program', pattern: /assigned to the BCP/i },
+    security_clearance: { label: 'Security clearance revoked, denied or suspended', pattern: /security clearance was (?:revoked|denied|suspended)/i },
+    adverse_material: { label: 'Adverse material (Item 8e)', pattern: ITEM_8E_PATTERN }
+  };
+
+  const STATEMENT_INTENTS = ['will-submit', 'declines'];
+
+  function traitList(traitEvaluations) {
+    if (!traitEvaluations) return [];
+    return Array.isArray(traitEvaluations) ? traitEvaluations : Object.values(traitEvaluations);
+  }
+
+  /**
+   * Adverse triggers present on a report.
+   * @param {{traitEvaluations?: Object|Object[], comments?: string[], text?: string, promotionAdverse?: boolean}} input
+   *   `comments` are selected directed comment keys; `text` is saved comment
+   *   text (directed comments and Section I) checked when keys are not known
+   * @returns {{isAdverse: boolean, triggers: Array<{id: string, label: string}>}}
+   */
+  function detect(input) {
+    const i = input || {};
+    const triggers = [];
+    const seen = new Set();
+    const add = (id, label) => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      triggers.push({ id, label });
+    };
+
+    traitList(i.traitEvaluations).forEach(t => {
+      if (t && String(t.grade || '').toUpperCase() === 'A') {
+        add(`grade-a:${t.trait || t.section || ''}`, `"A" mark in ${t.trait || 'a trait'}`);
+      }
+    });
+
+    const comments = i.comments || [];
+    const text = String(i.text || '');
+    Object.keys(TRIGGER_COMMENTS).forEach(key => {
+      const def = TRIGGER_COMMENTS[key];
+      if (comments.includes(key) || (text && def.pattern.test(text))) add(`comment:${key}`, def.label);
+    });
+
+    if (i.promotionAdverse) add('comment:not_recommended', TRIGGER_COMMENTS.not_recommended.label);
+
+    return { isAdverse: triggers.length > 0, triggers };
+  }
+
+  /**
+   * Whether the MRO acknowledgment is complete: acknowledged, dated, and the
+   * MRO has said whether a statement will be submitted.
+   * @param {{acknowledged?: boolean, date?: string, statementIntent?: string}} ack
+   * @returns {boolean}
+   */
+  function isAcknowledged(ack) {
+    return Boolean(ack && ack.acknowledged && /^\d{4}-\d{2}-\d{2}$/.test(String(ack.date || ''))
+      && STATEMENT_INTENTS.includes(ack.statementIntent));
+  }
+
+  /**
+   * What an adverse report still needs before it can be finalized.
+   * @param {Object} detection - From detect()
+   * @param {{comments?: string[], text?: string, acknowledgment?: Object}} report
+   * @returns {string[]} Missing items; empty when the report is not adverse or is complete
+   */
+  function missing(detection, report) {
+    if (!detection || !detection.isAdverse) return [];
+    const r = report || {};
+    const out = [];
+    const has8e = (r.comments || []).includes(ITEM_8E_COMMENT) || ITEM_8E_PATTERN.test(String(r.text || ''));
+    if (!has8e) out.push('Directed comment: Adverse Material Submitted (Item 8e)');
+    if (!isAcknowledged(r.acknowledgment)) out.push('MRO acknowledgment and statement intent');
+    return out;
+  }
+
+  /**
+   * Detection for a saved evaluation (frontend shape). A stored `isAdverse`
+   * flag wins; older reports are detected from their marks and comment text.
+   * @param {Object} ev - Evaluation
+   * @returns {{isAdverse: boolean, triggers: Array<{id: string, label: string}>}}
+   */
+  function fromEvaluation(ev) {
+    const e = ev || {};
+    const detection = detect({
+      traitEvaluations: e.traitEvaluations,
+      text: `${e.directedComments || ''}\n${e.sectionIComments || ''}`
+    });
+    if (e.isAdverse === true && !detection.isAdverse) {
+      return { isAdverse: true, triggers: [{ id: 'flag', label: 'Marked adverse' }] };
+    }
+    return detection;
+  }
+
+  return {
+    ITEM_8E_COMMENT,
+    TRIGGER_COMMENTS,
+    STATEMENT_INTENTS,
+    detect,
+    isAcknowledged,
+    missing,
+    fromEvaluation
+  };
+});
@@ -77,6 +77,8 @@ document.addEventListener('DOMContentLoaded', () => {
             updateWordCount();
         } else if (e.target.id === 'sectionITextarea') {
             updateSectionIWordCount();
+        } else if (e.target.id === 'billetAccomplishmentsInput') {
+            renderTextFitStatus('billetAccomplishmentsFitStatus', e.target.value, 'billetAccomplishments');
         }
     });
 
@@ -0,0 +1,112 @@
+// UMD module: personal justification bullet library — validation, search and
+// insertion rules shared by the marking UI (js/evaluation.js) and the
+// server bullet routes (server/bulletRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BulletLibrary = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const MAX_TEXT = 1000;
+  const MAX_TAGS = 10;
+  const MAX_TAG_LENGTH = 30;
+  const MAX_BULLETS = 2000;
+  const GRADES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+  /**
+   * Normalize a tag list from an array or a comma-separated string.
+   * @param {string[]|string} tags - Raw tags
+   * @returns {string[]} Lower-case, de-duplicated tags
+   */
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const out = [];
+    list.forEach(t => {
+      const tag = String(t || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+      if (tag && !out.includes(tag)) out.push(tag);
+    });
+    return out;
+  }
+
+  /**
+   * Validate and normalize a bullet before saving.
+   * @param {Object} input - { text, trait, grade, marineName, tags }
+   * @returns {{valid: boolean, errors: string[], value: Object}}
+   */
+  function validate(input) {
+    const src = input || {};
+    const errors = [];
+    const value = {
+      text: String(src.text || '').trim(),
+      trait: String(src.trait || '').trim(),
+      grade: String(src.grade || '').trim().toUpperCase(),
+      marineName: String(src.marineName || '').trim(),
+      tags: normalizeTags(src.tags)
+    };
+
+    if (!value.text) errors.push('Bullet text is required.');
+    if (value.text.length > MAX_TEXT) errors.push(`Bullet text must be ${MAX_TEXT} characters or fewer.`);
+    if (value.grade && !GRADES.includes(value.grade)) errors.push('Grade must be A through G.');
+    if (value.tags.length > MAX_TAGS) errors.push(`Use ${MAX_TAGS} tags or fewer.`);
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Search a library. Every query word must appear in the text, trait, Marine
+   * or tags. Bullets for the trait being marked sort first, then the same
+   * grade, then the newest.
+   * @param {Object[]} bullets - Library entries
+   * @param {{query?: string, trait?: string, grade?: string, marineName?: string, traitOnly?: boolean}} [criteria]
+   * @returns {Object[]} Matching bullets
+   */
+  function search(bullets, criteria) {
+    const c = criteria || {};
+    const words = String(c.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const trait = String(c.trait || '').trim().toLowerCase();
+    const grade = String(c.grade || '').trim().toUpperCase();
+    const marine = String(c.marineName || '').trim().toLowerCase();
+
+    const score = b => {
+      let s = 0;
+      if (trait && String(b.trait || '').toLowerCase() === trait) s += 4;
+      if (grade && String(b.grade || '').toUpperCase() === grade) s += 2;
+      if (marine && String(b.marineName || '').toLowerCase() === marine) s += 1;
+      return s;
+    };
+
+    return (bullets || [])
+      .filter(b => {
+        if (c.traitOnly && trait && String(b.trait || '').toLowerCase() !== trait) return false;
+        const hay = [b.text, b.trait, b.marineName, ...(b.tags || [])].join(' ').toLowerCase();
+        return words.every(w => hay.includes(w));
+      })
+      .map(b => ({ b, s: score(b) }))
+      .sort((x, y) => (y.s - x.s) || String(y.b.createdAt || '').localeCompare(String(x.b.createdAt || '')))
+      .map(x => x.b);
+  }
+
+  /**
+   * Append a bullet to the current justification on its own line.
+   * @param {string} current - Existing justification text
+   * @param {string} bulletText - Bullet to insert
+   * @returns {string} Combined text
+   */
+  function insertInto(current, bulletText) {
+    const base = String(current || '').replace(/\s+$/, '');
+    const add = String(bulletText || '').trim();
+    if (!add) return base;
+    return base ? `${base}\n${add}` : add;
+  }
+
+  return {
+    MAX_TEXT,
+    MAX_TAGS,
+    MAX_BULLETS,
+    normalizeTags,
+    validate,
+    search,
+    insertInto
+  };
+});
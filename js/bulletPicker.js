@@ -0,0 +1,157 @@
+// Justification Bullet Library Functions
+// Lets the RS search saved bullets while marking, insert them into the
+// justification and save new ones tagged by trait, grade and Marine.
+let bulletLibrary = null;
+let bulletLibraryLoading = null;
+
+function bulletsRoute() {
+    return (window.CONSTANTS && window.CONSTANTS.ROUTES && window.CONSTANTS.ROUTES.API && window.CONSTANTS.ROUTES.API.BULLETS) || '/api/bullets';
+}
+
+function bulletContext() {
+    const pending = window.Evaluation?.state?.pendingEvaluation || null;
+    return {
+        trait: pending?.trait?.name || '',
+        grade: pending?.grade || '',
+        marineName: window.evaluationMeta?.marineName || ''
+    };
+}
+
+async function loadBulletLibrary(force) {
+    if (bulletLibrary && !force) return bulletLibrary;
+    if (bulletLibraryLoading) return bulletLibraryLoading;
+    bulletLibraryLoading = (async () => {
+        try {
+            const { ok, data } = await window.apiRequest(bulletsRoute());
+            if (!ok) throw new Error(data?.error || 'Failed to load bullet library');
+            bulletLibrary = Array.isArray(data.bullets) ? data.bullets : [];
+        } finally {
+            bulletLibraryLoading = null;
+        }
+        return bulletLibrary;
+    })();
+    return bulletLibraryLoading;
+}
+
+function resetBulletLibraryPanel() {
+    const panel = document.getElementById('bulletLibraryPanel');
+    const btn = document.getElementById('bulletLibraryBtn');
+    const search = document.getElementById('bulletSearchInput');
+    if (panel) panel.style.display = 'none';
+    if (btn) btn.classList.remove('active');
+    if (search) search.value = '';
+}
+
+async function toggleBulletLibrary() {
+    const panel = document.getElementById('bulletLibraryPanel');
+    const btn = document.getElementById('bulletLibraryBtn');
+    if (!panel) return;
+    if (panel.style.display !== 'none') {
+        resetBulletLibraryPanel();
+        return;
+    }
+    panel.style.display = 'block';
+    if (btn) btn.classList.add('active');
+    if (!window.currentProfile || typeof window.apiRequest !== 'function') {
+        document.getElementById('bulletResults').innerHTML =
+            '<div class="bullet-empty">Log in to your RS profile to use your bullet library.</div>';
+        return;
+    }
+    document.getElementById('bulletResults').innerHTML = '<div class="bullet-empty">Loading…</div>';
+    try {
+        await loadBulletLibrary();
+        renderBulletResults();
+        document.getElementById('bulletSearchInput')?.focus();
+    } catch (err) {
+        console.error('Bullet library load error:', err);
+        document.getElementById('bulletResults').innerHTML =
+            `<div class="bullet-empty">${escapeHtml(err.message || 'Failed to load bullet library')}</div>`;
+    }
+}
+
+function renderBulletResults() {
+    const container = document.getElementById('bulletResults');
+    if (!container || !bulletLibrary) return;
+    const ctx = bulletContext();
+    const query = document.getElementById('bulletSearchInput')?.value || '';
+    const traitOnly = !!document.getElementById('bulletTraitOnly')?.checked;
+    const results = window.BulletLibrary.search(bulletLibrary, { ...ctx, query, traitOnly }).slice(0, 50);
+
+    if (!results.length) {
+        container.innerHTML = `<div class="bullet-empty">${bulletLibrary.length ? 'No matching bullets.' : 'Your library is empty. Save a justification to start it.'}</div>`;
+        return;
+    }
+
+    container.innerHTML = results.map(b => {
+        const meta = [b.trait, b.grade, b.marineName].filter(Boolean).map(escapeHtml).join(' · ');
+        const tags = (b.tags || []).map(t => `<span class="bullet-tag">#${escapeHtml(t)}</span>`).join(' ');
+        return `
+            <div class="bullet-item">
+                <div class="bullet-text">${escapeHtml(b.text)}</div>
+                <div class="bullet-meta">${meta} ${tags}</div>
+                <div class="bullet-actions">
+                    <button type="button" class="tool-btn" data-bullet-insert="${escapeHtml(b.id)}">Insert</button>
+                    <button type="button" class="tool-btn" data-bullet-delete="${escapeHtml(b.id)}" aria-label="Delete bullet">🗑️</button>
+                </div>
+            </div>`;
+    }).join('');
+
+    container.querySelectorAll('[data-bullet-insert]').forEach(el => {
+        el.addEventListener('click', () => insertBullet(el.getAttribute('data-bullet-insert')));
+    });
+    container.querySelectorAll('[data-bullet-delete]').forEach(el => {
+        el.addEventListener('click', () => deleteLibraryBullet(el.getAttribute('data-bullet-delete')));
+    });
+}
+
+function insertBullet(bulletId) {
+    const bullet = (bulletLibrary || []).find(b => b.id === bulletId);
+    const textarea = document.getElementById('justificationText');
+    if (!bullet || !textarea) return;
+    textarea.value = window.BulletLibrary.insertInto(textarea.value, bullet.text);
+    updateWordCount();
+    textarea.focus();
+}
+
+async function saveJustificationAsBullet() {
+    const textarea = document.getElementById('justificationText');
+    if (!textarea) return;
+    // Save just the highlighted text when there is a selection
+    const selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd).trim();
+    const text = selected || textarea.value.trim();
+    const ctx = bulletContext();
+    const check = window.BulletLibrary.validate({ ...ctx, text });
+    if (!check.valid) {
+        alert(check.errors.join('\n'));
+        return;
+    }
+    if (!window.currentProfile || typeof window.apiRequest !== 'function') {
+        alert('Log in to your RS profile to save bullets.');
+        return;
+    }
+    const tags = prompt('Tags for this bullet (comma separated, optional):', '');
+    if (tags === null) return;
+    try {
+        const { ok, data } = await window.apiRequest(bulletsRoute(), { method: 'POST', body: { ...check.value, tags } });
+        if (!ok) throw new Error(data?.error || 'Failed to save bullet');
+        if (bulletLibrary) bulletLibrary.unshift(data.bullet);
+        showToast('Saved to bullet library', 'success');
+        renderBulletResults();
+    } catch (err) {
+        console.error('Save bullet error:', err);
+        showToast(err.message || 'Failed to save bullet', 'error');
+    }
+}
+
+async function deleteLibraryBullet(bulletId) {
+    if (!confirm('Delete this bullet from your library?')) return;
+    try {
+        const { ok, data } = await window.apiRequest(`${bulletsRoute()}/${encodeURIComponent(bulletId)}`, { method: 'DELETE' });
+        if (!ok) throw new Error(data?.error || 'Failed to delete bullet');
+        bulletLibrary = (bulletLibrary || []).filter(b => b.id !== bulletId);
+        renderBulletResults();
+    } catch (err) {
+        console.error('Delete bullet error:', err);
+        showToast(err.message || 'Failed to delete bullet', 'error');
+    }
+}
@@ -0,0 +1,230 @@
+// Reporting Calendar Functions
+// Projects the next report due on each Marine on the RS profile, keeps the
+// overdue/due-soon count on the dashboard, reminds the RS once per session
+// and exports the due dates as an iCalendar file.
+let reportingTransfers = null;
+let reportingTransfersLoading = null;
+let reportingReminderShown = false;
+
+function calendarRoute() {
+    return (window.CONSTANTS && window.CONSTANTS.ROUTES && window.CONSTANTS.ROUTES.API && window.CONSTANTS.ROUTES.API.CALENDAR) || '/api/calendar';
+}
+
+async function loadReportingTransfers(force) {
+    if (reportingTransfers && !force) return reportingTransfers;
+    if (reportingTransfersLoading) return reportingTransfersLoading;
+    reportingTransfersLoading = (async () => {
+        try {
+            const { ok, data } = await window.apiRequest(`${calendarRoute()}/transfers`);
+            if (!ok) throw new Error(data?.error || 'Failed to load transfer dates');
+            reportingTransfers = Array.isArray(data.transfers) ? data.transfers : [];
+        } finally {
+            reportingTransfersLoading = null;
+        }
+        return reportingTransfers;
+    })();
+    return reportingTransfersLoading;
+}
+
+function todayIso() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function reportingCalendarItems() {
+    if (!window.ReportingCalendar || !window.MarineHistory || !window.ReportingPeriod) return [];
+    return window.ReportingCalendar.schedule(window.MarineHistory.groupByMarine(profileEvaluations || []), {
+        today: todayIso(),
+        transfers: reportingTransfers || [],
+        rules: {
+            annualEndDates: window.ReportingPeriod.ANNUAL_END_DATES,
+            annualGrades: window.ReportingPeriod.ANNUAL_GRADES,
+            semiannualEndDates: window.ReportingPeriod.SEMIANNUAL_END_DATES,
+            semiannualGrades: window.ReportingPeriod.SEMIANNUAL_GRADES
+        }
+    });
+}
+
+function renderReportsDueStat() {
+    const el = document.getElementById('reportsDueCount');
+    if (!el || !window.ReportingCalendar) return;
+    const c = window.ReportingCalendar.counts(reportingCalendarItems());
+    el.textContent = `${c.overdue} / ${c['due-soon']}`;
+    const stat = document.getElementById('reportsDueStat');
+    if (stat) stat.classList.toggle('reports-due-alert', c.overdue > 0);
+}
+
+/**
+ * Refresh the dashboard's due count, loading the RS's transfer dates once,
+ * and remind them once per session about overdue and due-soon reports.
+ */
+async function refreshReportingCalendar() {
+    renderReportsDueStat();
+    if (!window.ReportingCalendar || !window.currentProfile || typeof window.apiRequest !== 'function') return;
+    if (!reportingTransfers) {
+        try {
+            await loadReportingTransfers();
+        } catch (err) {
+            // Offline or legacy session: due dates still come from the saved reports
+            console.warn('Transfer dates load error:', err);
+        }
+        renderReportsDueStat();
+    }
+    if (reportingReminderShown) return;
+    reportingReminderShown = true;
+    const c = window.ReportingCalendar.counts(reportingCalendarItems());
+    if (c.overdue || c['due-soon']) {
+        const parts = [];
+        if (c.overdue) parts.push(`${c.overdue} overdue`);
+        if (c['due-soon']) parts.push(`${c['due-soon']} due soon`);
+        showToast(`Reports ${parts.join(', ')}. Open the calendar for details.`, c.overdue ? 'warning' : 'info');
+    }
+}
+
+const REPORT_STATE_LABELS = {
+    overdue: 'Overdue',
+    'due-soon': 'Due soon',
+    upcoming: 'Upcoming',
+    submitted: 'Submitted'
+};
+
+function renderReportingCalendarRows(items) {
+    if (!items.length) {
+        return '<div class="bullet-empty">No reports to track yet. Due dates follow from your saved reports.</div>';
+    }
+    const rows = items.map(i => {
+        const days = i.state === 'submitted' ? '' : i.daysUntilDue < 0
+            ? ` (${-i.daysUntilDue} days late)`
+            : ` (in ${i.daysUntilDue} days)`;
+        return `
+        <tr>
+            <td>${escapeHtml(i.marineName)}</td>
+            <td>${escapeHtml(i.rank)}</td>
+            <td>${escapeHtml(i.occasion)}</td>
+            <td>${escapeHtml(i.from)} – ${escapeHtml(i.to)}</td>
+            <td>${escapeHtml(i.due)}${escapeHtml(days)}</td>
+            <td><span class="report-state report-state-${escapeHtml(i.state)}">${escapeHtml(REPORT_STATE_LABELS[i.state] || i.state)}</span>${i.late ? ' <span class="report-late">late</span>' : ''}</td>
+        </tr>`;
+    }).join('');
+    return `
+        <table class="marine-history-table">
+            <thead><tr><th>Marine</th><th>Rank</th><th>Occasion</th><th>Period</th><th>Due at HQMC</th><th>Status</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function renderReportingCalendarBody() {
+    const container = document.getElementById('reportingCalendarList');
+    if (!container) return;
+    const items = reportingCalendarItems();
+    const c = window.ReportingCalendar.counts(items);
+    const summary = document.getElementById('reportingCalendarSummary');
+    if (summary) {
+        summary.textContent = `${c.overdue} overdue · ${c['due-soon']} due soon · ${c.upcoming} upcoming · ${c.submitted} recently submitted`;
+    }
+    container.innerHTML = renderReportingCalendarRows(items);
+    renderReportsDueStat();
+}
+
+async function showReportingCalendar() {
+    if (!window.ReportingCalendar || !window.MarineHistory) return;
+    const marines = window.MarineHistory.groupByMarine(profileEvaluations || []);
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Reporting Calendar</div>
+                <div class="panel-meta"><span id="reportingCalendarSummary"></span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-delete" id="reportingCalendarIcsBtn" title="Download due dates for your calendar app">📅 Export .ics</button>
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <p class="reporting-calendar-hint">Due dates are ${window.ReportingCalendar.DUE_DAYS} days after each period ends, from the default annual ending date (31 May active, 31 March reserve; check your grade's schedule), a known transfer date or your own PCS.</p>
+            <div id="reportingCalendarList" aria-live="polite"></div>
+            <h4>Known transfer / PCS dates</h4>
+            <form class="counseling-form" id="reportingTransfersForm">
+                <div class="counseling-form-row">
+                    <label>Your PCS (change of reporting senior) <input class="form-input" type="date" data-transfer-key="${escapeHtml(window.ReportingCalendar.RS_KEY)}" data-transfer-name=""></label>
+                </div>
+                <div class="counseling-form-row">
+                    ${marines.map(m => `
+                    <label>${escapeHtml(m.name)} <input class="form-input" type="date" data-transfer-key="${escapeHtml(m.key)}" data-transfer-name="${escapeHtml(m.name)}"></label>`).join('')}
+                </div>
+                <div class="calibration-actions">
+                    <button type="submit" class="btn btn-primary" id="reportingTransfersSaveBtn">Save Dates</button>
+                </div>
+            </form>
+        </div>`);
+    if (!panel) return;
+    panel.querySelector('#reportingCalendarIcsBtn').addEventListener('click', downloadReportingCalendar);
+    panel.querySelector('#reportingTransfersForm').addEventListener('submit', e => {
+        e.preventDefault();
+        saveReportingTransfers();
+    });
+    renderReportingCalendarBody();
+    if (!window.currentProfile || typeof window.apiRequest !== 'function') return;
+    try {
+        await loadReportingTransfers(true);
+        fillReportingTransfers();
+        renderReportingCalendarBody();
+    } catch (err) {
+        console.warn('Transfer dates load error:', err);
+    }
+}
+
+function fillReportingTransfers() {
+    const byKey = {};
+    (reportingTransfers || []).forEach(t => { byKey[t.marineKey] = t.date; });
+    document.querySelectorAll('#reportingTransfersForm [data-transfer-key]').forEach(input => {
+        input.value = byKey[input.getAttribute('data-transfer-key')] || '';
+    });
+}
+
+async function saveReportingTransfers() {
+    const transfers = [...document.querySelectorAll('#reportingTransfersForm [data-transfer-key]')]
+        .filter(input => input.value)
+        .map(input => ({
+            marineKey: input.getAttribute('data-transfer-key'),
+            marineName: input.getAttribute('data-transfer-name'),
+            date: input.value
+        }));
+    const check = window.ReportingCalendar.validateTransfers(transfers);
+    if (!check.valid) {
+        alert(check.errors.join('\n'));
+        return;
+    }
+    try {
+        const { ok, data } = await window.apiRequest(`${calendarRoute()}/transfers`, { method: 'PUT', body: { transfers: check.value } });
+        if (!ok) throw new Error(data?.error || 'Failed to save transfer dates');
+        reportingTransfers = Array.isArray(data.transfers) ? data.transfers : check.value;
+        showToast('Transfer dates saved', 'success');
+        renderReportingCalendarBody();
+    } catch (err) {
+        console.error('Save transfer dates error:', err);
+        showToast(err.message || 'Failed to save transfer dates', 'error');
+    }
+}
+
+async function downloadReportingCalendar() {
+    try {
+        const resp = await apiFetch(`${calendarRoute()}/feed.ics`, { accept: 'text/calendar' });
+        if (!resp.ok) {
+            const data = await resp.json().catch(() => ({}));
+            throw new Error(data?.error || 'Failed to export calendar');
+        }
+        const blob = await resp.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'fitrep-due-dates.ics';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+        console.error('Export calendar error:', err);
+        showToast(err.message || 'Failed to export calendar', 'error');
+    }
+}
@@ -0,0 +1,163 @@
+// UMD module: calibration board — puts several reports on Marines of the
+// same grade side by side as a trait x Marine matrix so the RS can adjust
+// marks against each other before finalizing. Keeps a working copy of the
+// marks, recomputes averages and the resulting order of merit, and lists
+// what changed. RVs are projected by the caller with computeRvValues()
+// (js/profile.js); see showCalibrationBoard().
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CalibrationBoard = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const GRADE_NUMBERS = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
+  const GRADES = Object.keys(GRADE_NUMBERS);
+
+  const round2 = n => Math.round(n * 100) / 100;
+
+  function traitItems(traitEvaluations) {
+    if (!traitEvaluations) return [];
+    return Array.isArray(traitEvaluations) ? traitEvaluations : Object.values(traitEvaluations);
+  }
+
+  /**
+   * Report average over the marked traits ("H"/not observed is left out).
+   * Matches calculateFitrepAverage() for a complete report.
+   * @param {Object<string, {grade: string}>} marks - Trait name -> mark
+   * @returns {number|null}
+   */
+  function averageOf(marks) {
+    const nums = Object.values(marks || {}).map(m => GRADE_NUMBERS[m.grade]).filter(Boolean);
+    return nums.length ? round2(nums.reduce((a, b) => a + b, 0) / nums.length) : null;
+  }
+
+  /**
+   * Board over a set of reports.
+   * @param {Object[]} evaluations - Reports to calibrate (frontend shape)
+   * @returns {{traits: string[], members: Array<{evaluationId: string, marineName: string, rank: string,
+   *   marks: Object<string, {grade: string, original: string}>}>}}
+   *   `traits` is every trait name in first-seen order
+   */
+  function createBoard(evaluations) {
+    const traits = [];
+    const members = (evaluations || []).filter(e => e && e.evaluationId).map(e => {
+      const marks = {};
+      traitItems(e.traitEvaluations).forEach(t => {
+        if (!t || !t.trait) return;
+        const grade = String(t.grade || '').toUpperCase();
+        if (!traits.includes(t.trait)) traits.push(t.trait);
+        marks[t.trait] = { grade, original: grade };
+      });
+      return {
+        evaluationId: e.evaluationId,
+        marineName: e.marineInfo?.name || '',
+        rank: e.marineInfo?.rank || '',
+        marks
+      };
+    });
+    return { traits, members };
+  }
+
+  /**
+   * Board with one mark changed. Only traits the report already carries can
+   * be changed.
+   * @param {Object} board - From createBoard()
+   * @param {string} evaluationId - Report
+   * @param {string} trait - Trait name
+   * @param {string} grade - A-G
+   * @returns {Object} New board (the input is not modified)
+   */
+  function setGrade(board, evaluationId, trait, grade) {
+    const g = String(grade || '').toUpperCase();
+    if (!GRADES.includes(g)) throw new Error(`Invalid grade "${grade}"`);
+    return {
+      traits: board.traits,
+      members: board.members.map(m => {
+        if (m.evaluationId !== evaluationId || !m.marks[trait]) return m;
+        return { ...m, marks: { ...m.marks, [trait]: { ...m.marks[trait], grade: g } } };
+      })
+    };
+  }
+
+  /**
+   * Averages, order of merit and changes.
+   * @param {Object} board - From createBoard()
+   * @returns {{rows: Array<{evaluationId: string, marineName: string, average: (number|null),
+   *   originalAverage: (number|null), position: (number|null), changed: number}>,
+   *   traitAverages: Object<string, (number|null)>, ties: string[][],
+   *   changes: Array<{evaluationId: string, marineName: string, trait: string, from: string, to: string}>}}
+   *   rows are in order of merit (highest average first; equal averages share a position)
+   */
+  function summarize(board) {
+    const changes = [];
+    const rows = board.members.map(m => {
+      const original = {};
+      Object.keys(m.marks).forEach(t => {
+        original[t] = { grade: m.marks[t].original };
+        if (m.marks[t].grade !== m.marks[t].original) {
+          changes.push({ evaluationId: m.evaluationId, marineName: m.marineName, trait: t, from: m.marks[t].original, to: m.marks[t].grade });
+        }
+      });
+      return {
+        evaluationId: m.evaluationId,
+        marineName: m.marineName,
+        average: averageOf(m.marks),
+        originalAverage: averageOf(original),
+        changed: changes.filter(c => c.evaluationId === m.evaluationId).length
+      };
+    });
+
+    const scored = rows.filter(r => r.average !== null);
+    rows.forEach(r => {
+      r.position = r.average === null ? null : 1 + scored.filter(o => o.average > r.average).length;
+    });
+    rows.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity) || a.marineName.localeCompare(b.marineName));
+
+    // Marines the board does not separate
+    const byAverage = new Map();
+    scored.forEach(r => byAverage.set(r.average, [...(byAverage.get(r.average) || []), r.evaluationId]));
+    const ties = [...byAverage.values()].filter(ids => ids.length > 1);
+
+    const traitAverages = {};
+    board.traits.forEach(t => {
+      const nums = board.members.map(m => GRADE_NUMBERS[m.marks[t]?.grade]).filter(Boolean);
+      traitAverages[t] = nums.length ? round2(nums.reduce((a, b) => a + b, 0) / nums.length) : null;
+    });
+
+    return { rows, traitAverages, ties, changes };
+  }
+
+  /**
+   * A report with the board's marks written back.
+   * @param {Object} evaluation - Original report
+   * @param {Object} member - Its board member
+   * @returns {Object} Updated copy (traitEvaluations keep their shape; fitrepAverage is recomputed)
+   */
+  function applyToEvaluation(evaluation, member) {
+    const update = t => {
+      const mark = t && member.marks[t.trait];
+      if (!mark || mark.grade === String(t.grade || '').toUpperCase()) return t;
+      return { ...t, grade: mark.grade, gradeNumber: GRADE_NUMBERS[mark.grade] };
+    };
+    const src = evaluation.traitEvaluations;
+    let traitEvaluations = src;
+    if (Array.isArray(src)) traitEvaluations = src.map(update);
+    else if (src) traitEvaluations = Object.fromEntries(Object.entries(src).map(([k, t]) => [k, update(t)]));
+    const average = averageOf(member.marks);
+    return {
+      ...evaluation,
+      traitEvaluations,
+      fitrepAverage: average === null ? evaluation.fitrepAverage : average.toFixed(2)
+    };
+  }
+
+  return {
+    GRADES,
+    averageOf,
+    createBoard,
+    setGrade,
+    summarize,
+    applyToEvaluation
+  };
+});
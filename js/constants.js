@@ -17,6 +17,7 @@
    *   ACCOUNT_LOGIN: string,
    *   ACCOUNT_LOGOUT?: string,
    *   ACCOUNT_AVAILABLE?: string,
+   *   OUTBOX_TOKEN?: string,
    *   GITHUB_TOKEN: string,
    *   SAVE_EVALUATION?: string,
    *   SAVE_USER_DATA?: string,
@@ -24,6 +25,12 @@
    *   USER_LOAD?: string,
    *   EVALUATIONS_LIST?: string,
    *   EVALUATION_SAVE?: string,
+   *   RO_INBOX?: string,
+   *   BULLETS?: string,
+   *   COUNSELING?: string,
+   *   JOURNAL?: string,
+   *   CALENDAR?: string,
+   *   ORDER_OF_MERIT?: string,
    *   FEEDBACK?: string,
    *   ADMIN_BASE?: string
    * }} ApiPaths
@@ -59,6 +66,7 @@
       ACCOUNT_LOGIN: '/api/account/login',
       ACCOUNT_LOGOUT: '/api/account/logout',
       ACCOUNT_AVAILABLE: '/api/account/available',
+      OUTBOX_TOKEN: '/api/account/outbox-token',
       GITHUB_TOKEN: '/api/github-token',
       SAVE_EVALUATION: '/api/save-evaluation',
       SAVE_USER_DATA: '/api/save-user-data',
@@ -66,6 +74,12 @@
       USER_LOAD: '/api/user/load',
       EVALUATIONS_LIST: '/api/evaluations/list',
       EVALUATION_SAVE: '/api/evaluation/save',
+      RO_INBOX: '/api/ro/inbox',
+      BULLETS: '/api/bullets',
+      COUNSELING: '/api/counseling',
+      JOURNAL: '/api/journal',
+      CALENDAR: '/api/calendar',
+      ORDER_OF_MERIT: '/api/order-of-merit',
       FEEDBACK: '/api/feedback',
       ADMIN_BASE: '/api/admin'
     })
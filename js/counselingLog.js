@@ -0,0 +1,152 @@
+// UMD module: counseling log — validation of dated counseling entries
+// (initial, mid-period, event-based) per Marine, lookup of the entries that
+// bear on a trait during a reporting period, and Section I citations of goals
+// met. Shared by the counseling UI (js/counselingPanel.js), Section I
+// generation and the server counseling routes (server/counselingRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CounselingLog = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const TYPES = ['initial', 'mid-period', 'event'];
+  const TYPE_LABELS = { initial: 'initial', 'mid-period': 'mid-period', event: 'event-based' };
+  const FOLLOW_UP_STATUSES = ['open', 'met', 'not-met'];
+  const MAX_NOTES = 4000;
+  const MAX_GOALS = 10;
+  const MAX_GOAL_LENGTH = 300;
+  const MAX_ENTRIES = 2000;
+
+  function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+  }
+
+  function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function toList(value, separator) {
+    const list = Array.isArray(value) ? value : String(value || '').split(separator);
+    const out = [];
+    list.forEach(v => {
+      const item = String(v || '').trim();
+      if (item && !out.includes(item)) out.push(item);
+    });
+    return out;
+  }
+
+  /**
+   * Validate and normalize a counseling entry before saving.
+   * @param {Object} input - { marineName, marineKey, date, type, notes, goals, traits, followUp }
+   *   `goals` is an array or one goal per line; `traits` an array or comma-separated
+   * @returns {{valid: boolean, errors: string[], value: Object}}
+   */
+  function validate(input) {
+    const src = input || {};
+    const errors = [];
+    const followUp = src.followUp || {};
+    const value = {
+      marineName: String(src.marineName || '').trim(),
+      marineKey: String(src.marineKey || '').trim(),
+      date: String(src.date || '').trim().slice(0, 10),
+      type: String(src.type || '').trim().toLowerCase(),
+      notes: String(src.notes || '').trim(),
+      goals: toList(src.goals, /\n/),
+      traits: toList(src.traits, ','),
+      followUp: {
+        date: String(followUp.date || '').trim().slice(0, 10),
+        notes: String(followUp.notes || '').trim(),
+        status: String(followUp.status || 'open').trim().toLowerCase()
+      }
+    };
+
+    if (!value.marineName) errors.push('Marine name is required.');
+    if (!isDate(value.date)) errors.push('Counseling date is required (YYYY-MM-DD).');
+    if (!TYPES.includes(value.type)) errors.push('Type must be initial, mid-period or event.');
+    if (!value.notes && !value.goals.length) errors.push('Enter notes or at least one goal.');
+    if (value.notes.length > MAX_NOTES) errors.push(`Notes must be ${MAX_NOTES} characters or fewer.`);
+    if (value.goals.length > MAX_GOALS) errors.push(`Use ${MAX_GOALS} goals or fewer.`);
+    if (value.goals.some(g => g.length > MAX_GOAL_LENGTH)) errors.push(`Each goal must be ${MAX_GOAL_LENGTH} characters or fewer.`);
+    if (value.followUp.date && !isDate(value.followUp.date)) errors.push('Follow-up date must be YYYY-MM-DD.');
+    if (value.followUp.date && isDate(value.date) && value.followUp.date < value.date) errors.push('Follow-up date cannot be before the counseling date.');
+    if (!FOLLOW_UP_STATUSES.includes(value.followUp.status)) errors.push('Follow-up status must be open, met or not-met.');
+    if (value.followUp.notes.length > MAX_NOTES) errors.push(`Follow-up notes must be ${MAX_NOTES} characters or fewer.`);
+
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Entries on one Marine, oldest first. The Marine key wins when both sides
+   * have one; otherwise names are compared normalized.
+   * @param {Object[]} entries - Counseling log
+   * @param {{marineKey?: string, marineName?: string, from?: string, to?: string}} marine - `from`/`to` limit to a period
+   * @returns {Object[]}
+   */
+  function forMarine(entries, marine) {
+    const m = marine || {};
+    const name = normalizeName(m.marineName);
+    return (entries || [])
+      .filter(e => {
+        if (m.marineKey && e.marineKey) return e.marineKey === m.marineKey;
+        return name && normalizeName(e.marineName) === name;
+      })
+      .filter(e => (!m.from || e.date >= m.from) && (!m.to || e.date <= m.to))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  /**
+   * Entries that bear on a trait: tagged with it, or naming it in the notes,
+   * goals or follow-up.
+   * @param {Object[]} entries - Entries on the Marine (see forMarine())
+   * @param {string} trait - Trait name
+   * @returns {Object[]} Tagged entries first, newest first within each group
+   */
+  function forTrait(entries, trait) {
+    const t = String(trait || '').trim().toLowerCase();
+    if (!t) return [];
+    const scored = (entries || []).map(e => {
+      const tagged = (e.traits || []).some(x => String(x).toLowerCase() === t);
+      const text = [e.notes, ...(e.goals || []), e.followUp?.notes].join(' ').toLowerCase();
+      return { e, s: tagged ? 2 : text.includes(t) ? 1 : 0 };
+    });
+    return scored
+      .filter(x => x.s > 0)
+      .sort((a, b) => (b.s - a.s) || String(b.e.date).localeCompare(String(a.e.date)))
+      .map(x => x.e);
+  }
+
+  function lowerFirst(s) {
+    return /^[A-Z][a-z]/.test(s) ? s.charAt(0).toLowerCase() + s.slice(1) : s;
+  }
+
+  /**
+   * Section I sentences citing counseling goals the Marine met.
+   * @param {Object[]} entries - Entries on the Marine in the period
+   * @param {{max?: number}} [options] - Most sentences to return (default 2, newest first)
+   * @returns {string[]}
+   */
+  function citations(entries, options) {
+    const max = options?.max ?? 2;
+    return (entries || [])
+      .filter(e => e.followUp?.status === 'met' && (e.goals || []).length)
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, max)
+      .map(e => {
+        const goals = e.goals.map(g => lowerFirst(g.replace(/[\s.;]+$/, '')));
+        return `Met every goal set at ${TYPE_LABELS[e.type] || ''} counseling: ${goals.join('; ')}.`.replace(/\s+/g, ' ');
+      });
+  }
+
+  return {
+    TYPES,
+    TYPE_LABELS,
+    FOLLOW_UP_STATUSES,
+    MAX_NOTES,
+    MAX_ENTRIES,
+    validate,
+    forMarine,
+    forTrait,
+    citations
+  };
+});
@@ -0,0 +1,295 @@
+// Counseling Log Functions
+// Lets the RS log dated counseling sessions per Marine from the dashboard,
+// shows the sessions that bear on a trait in the justification modal and
+// feeds goals met into Section I generation.
+let counselingLog = null;
+let counselingLogLoading = null;
+let counselingEditId = null;
+
+function counselingRoute() {
+    return (window.CONSTANTS && window.CONSTANTS.ROUTES && window.CONSTANTS.ROUTES.API && window.CONSTANTS.ROUTES.API.COUNSELING) || '/api/counseling';
+}
+
+// Marine and reporting period of the evaluation in progress
+function counselingContext() {
+    const meta = window.evaluationMeta || {};
+    const info = { name: meta.marineName, edipi: meta.edipi, marineId: meta.marineId };
+    return {
+        marineName: meta.marineName || '',
+        marineKey: window.MarineHistory ? window.MarineHistory.marineKey(info) : '',
+        from: meta.fromDate || '',
+        to: meta.toDate || ''
+    };
+}
+
+async function loadCounselingLog(force) {
+    if (counselingLog && !force) return counselingLog;
+    if (counselingLogLoading) return counselingLogLoading;
+    counselingLogLoading = (async () => {
+        try {
+            const { ok, data } = await window.apiRequest(counselingRoute());
+            if (!ok) throw new Error(data?.error || 'Failed to load counseling log');
+            counselingLog = Array.isArray(data.entries) ? data.entries : [];
+        } finally {
+            counselingLogLoading = null;
+        }
+        return counselingLog;
+    })();
+    return counselingLogLoading;
+}
+
+function canUseCounselingLog() {
+    return !!window.currentProfile && typeof window.apiRequest === 'function';
+}
+
+function renderCounselingEntry(e, actions) {
+    const goals = (e.goals || []).length
+        ? `<ul class="counseling-goals">${e.goals.map(g => `<li>${escapeHtml(g)}</li>`).join('')}</ul>`
+        : '';
+    const status = e.followUp?.status || 'open';
+    const followUp = e.followUp?.date || e.followUp?.notes || status !== 'open'
+        ? `<div class="counseling-follow-up counseling-${escapeHtml(status)}">Follow-up ${escapeHtml(e.followUp?.date || '')} · ${escapeHtml(status)}${e.followUp?.notes ? ` — ${escapeHtml(e.followUp.notes)}` : ''}</div>`
+        : '';
+    const tags = (e.traits || []).map(t => `<span class="bullet-tag">${escapeHtml(t)}</span>`).join(' ');
+    return `
+        <div class="counseling-entry">
+            <div class="counseling-meta">
+                <strong>${escapeHtml(e.date)}</strong> · ${escapeHtml(window.CounselingLog.TYPE_LABELS[e.type] || e.type)}
+                ${tags}
+            </div>
+            ${e.notes ? `<div class="counseling-notes">${escapeHtml(e.notes)}</div>` : ''}
+            ${goals}
+            ${followUp}
+            ${actions || ''}
+        </div>`;
+}
+
+// ===== Justification modal: sessions for the trait being marked =====
+
+function resetCounselingForTrait() {
+    const box = document.getElementById('counselingForTrait');
+    if (box) {
+        box.style.display = 'none';
+        box.innerHTML = '';
+    }
+}
+
+async function showCounselingForTrait() {
+    const box = document.getElementById('counselingForTrait');
+    if (!box || !window.CounselingLog || !canUseCounselingLog()) return;
+    const trait = window.Evaluation?.state?.pendingEvaluation?.trait?.name || '';
+    const ctx = counselingContext();
+    if (!trait || !ctx.marineName) return;
+    try {
+        await loadCounselingLog();
+    } catch (err) {
+        console.warn('Counseling log load error:', err);
+        return;
+    }
+    const period = window.CounselingLog.forMarine(counselingLog, ctx);
+    const relevant = window.CounselingLog.forTrait(period, trait);
+    if (!period.length) return;
+    box.innerHTML = `
+        <div class="counseling-heading">🗣️ Counseling on ${escapeHtml(trait)} this period</div>
+        ${relevant.length
+            ? relevant.map(e => renderCounselingEntry(e)).join('')
+            : '<div class="bullet-empty">No sessions tagged with or mentioning this trait.</div>'}
+        <div class="counseling-more">${period.length} session${period.length === 1 ? '' : 's'} logged on this Marine this period.</div>`;
+    box.style.display = 'block';
+}
+
+// ===== Section I =====
+
+/**
+ * Section I sentences citing counseling goals the Marine met this period.
+ * Uses the log already loaded (the justification modal loads it while marking).
+ * @returns {string[]}
+ */
+function getCounselingCitations() {
+    if (!window.CounselingLog || !counselingLog) return [];
+    return window.CounselingLog.citations(window.CounselingLog.forMarine(counselingLog, counselingContext()));
+}
+
+// ===== Dashboard: the log =====
+
+function counselingTraitNames() {
+    if (typeof firepData === 'undefined') return [];
+    return Object.values(firepData.sections).flatMap(s => Object.values(s.traits).map(t => t.name));
+}
+
+async function showCounselingLog() {
+    if (!window.CounselingLog) return;
+    if (!canUseCounselingLog()) {
+        showToast('Log in to your RS profile to use the counseling log.', 'info');
+        return;
+    }
+    const marines = window.MarineHistory ? window.MarineHistory.groupByMarine(profileEvaluations) : [];
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Counseling Log</div>
+                <div class="panel-meta"><span>Initial, mid-period and event-based counseling per Marine</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <form class="counseling-form" id="counselingForm">
+                <div class="counseling-form-row">
+                    <label>Marine <input class="form-input" id="counselingMarine" list="counselingMarineList" required></label>
+                    <datalist id="counselingMarineList">${marines.map(m => `<option value="${escapeHtml(m.name)}"></option>`).join('')}</datalist>
+                    <label>Date <input class="form-input" type="date" id="counselingDate" required></label>
+                    <label>Type
+                        <select class="form-input" id="counselingType">
+                            ${window.CounselingLog.TYPES.map(t => `<option value="${t}">${escapeHtml(window.CounselingLog.TYPE_LABELS[t])}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <label>Notes <textarea class="form-input" id="counselingNotes" rows="3"></textarea></label>
+                <label>Goals (one per line) <textarea class="form-input" id="counselingGoals" rows="2"></textarea></label>
+                <label>Traits <select class="form-input" id="counselingTraits" multiple size="4">
+                    ${counselingTraitNames().map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('')}
+                </select></label>
+                <div class="counseling-form-row">
+                    <label>Follow-up date <input class="form-input" type="date" id="counselingFollowUpDate"></label>
+                    <label>Follow-up status
+                        <select class="form-input" id="counselingFollowUpStatus">
+                            ${window.CounselingLog.FOLLOW_UP_STATUSES.map(s => `<option value="${s}">${s}</option>`).join('')}
+                        </select>
+                    </label>
+                </div>
+                <label>Follow-up notes <textarea class="form-input" id="counselingFollowUpNotes" rows="2"></textarea></label>
+                <div class="calibration-actions">
+                    <button type="button" class="btn btn-secondary" id="counselingCancelBtn">Clear</button>
+                    <button type="submit" class="btn btn-primary" id="counselingSaveBtn">Log Session</button>
+                </div>
+            </form>
+            <div class="counseling-filter-row">
+                <input type="search" class="form-input" id="counselingFilter" placeholder="Filter by Marine" aria-label="Filter counseling log by Marine">
+            </div>
+            <div id="counselingList" aria-live="polite"><div class="bullet-empty">Loading…</div></div>
+        </div>`);
+    if (!panel) return;
+    counselingEditId = null;
+    panel.querySelector('#counselingForm').addEventListener('submit', e => {
+        e.preventDefault();
+        saveCounselingEntry();
+    });
+    panel.querySelector('#counselingCancelBtn').addEventListener('click', () => fillCounselingForm(null));
+    panel.querySelector('#counselingFilter').addEventListener('input', renderCounselingList);
+    const ctx = counselingContext();
+    if (ctx.marineName) panel.querySelector('#counselingMarine').value = ctx.marineName;
+    try {
+        await loadCounselingLog(true);
+        renderCounselingList();
+    } catch (err) {
+        console.error('Counseling log load error:', err);
+        panel.querySelector('#counselingList').innerHTML =
+            `<div class="bullet-empty">${escapeHtml(err.message || 'Failed to load counseling log')}</div>`;
+    }
+}
+
+function renderCounselingList() {
+    const container = document.getElementById('counselingList');
+    if (!container || !counselingLog) return;
+    const filter = document.getElementById('counselingFilter')?.value.trim().toLowerCase() || '';
+    const entries = counselingLog
+        .filter(e => !filter || String(e.marineName || '').toLowerCase().includes(filter))
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    if (!entries.length) {
+        container.innerHTML = `<div class="bullet-empty">${counselingLog.length ? 'No matching sessions.' : 'No counseling logged yet.'}</div>`;
+        return;
+    }
+    container.innerHTML = entries.map(e => `
+        <div class="counseling-marine">${escapeHtml(e.marineName)}</div>
+        ${renderCounselingEntry(e, `
+            <div class="bullet-actions">
+                <button type="button" class="tool-btn" data-counseling-edit="${escapeHtml(e.id)}">Edit</button>
+                <button type="button" class="tool-btn" data-counseling-delete="${escapeHtml(e.id)}" aria-label="Delete session">🗑️</button>
+            </div>`)}`).join('');
+    container.querySelectorAll('[data-counseling-edit]').forEach(el => {
+        el.addEventListener('click', () => fillCounselingForm(counselingLog.find(e => e.id === el.getAttribute('data-counseling-edit'))));
+    });
+    container.querySelectorAll('[data-counseling-delete]').forEach(el => {
+        el.addEventListener('click', () => deleteCounselingEntry(el.getAttribute('data-counseling-delete')));
+    });
+}
+
+function fillCounselingForm(entry) {
+    const e = entry || {};
+    counselingEditId = entry ? entry.id : null;
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v || ''; };
+    set('counselingMarine', e.marineName);
+    set('counselingDate', e.date);
+    set('counselingType', e.type || window.CounselingLog.TYPES[0]);
+    set('counselingNotes', e.notes);
+    set('counselingGoals', (e.goals || []).join('\n'));
+    set('counselingFollowUpDate', e.followUp?.date);
+    set('counselingFollowUpStatus', e.followUp?.status || 'open');
+    set('counselingFollowUpNotes', e.followUp?.notes);
+    const traits = document.getElementById('counselingTraits');
+    if (traits) [...traits.options].forEach(o => { o.selected = (e.traits || []).includes(o.value); });
+    const btn = document.getElementById('counselingSaveBtn');
+    if (btn) btn.textContent = entry ? 'Update Session' : 'Log Session';
+    document.getElementById('counselingMarine')?.focus();
+}
+
+function readCounselingForm() {
+    const val = id => document.getElementById(id)?.value || '';
+    const marineName = val('counselingMarine').trim();
+    // Key the entry to the Marine on the profile so renames and EDIPIs match
+    const marine = window.MarineHistory ? window.MarineHistory.findMarine(profileEvaluations, { name: marineName }) : null;
+    const marineKey = marine?.key || (window.MarineHistory ? window.MarineHistory.marineKey({ name: marineName }) : '');
+    return {
+        marineName,
+        marineKey,
+        date: val('counselingDate'),
+        type: val('counselingType'),
+        notes: val('counselingNotes'),
+        goals: val('counselingGoals'),
+        traits: [...(document.getElementById('counselingTraits')?.selectedOptions || [])].map(o => o.value),
+        followUp: {
+            date: val('counselingFollowUpDate'),
+            status: val('counselingFollowUpStatus'),
+            notes: val('counselingFollowUpNotes')
+        }
+    };
+}
+
+async function saveCounselingEntry() {
+    const check = window.CounselingLog.validate(readCounselingForm());
+    if (!check.valid) {
+        alert(check.errors.join('\n'));
+        return;
+    }
+    const editing = counselingEditId;
+    try {
+        const path = editing ? `${counselingRoute()}/${encodeURIComponent(editing)}` : counselingRoute();
+        const { ok, data } = await window.apiRequest(path, { method: editing ? 'PUT' : 'POST', body: check.value });
+        if (!ok) throw new Error(data?.error || 'Failed to save counseling entry');
+        counselingLog = editing
+            ? (counselingLog || []).map(e => (e.id === editing ? data.entry : e))
+            : [data.entry, ...(counselingLog || [])];
+        showToast(editing ? 'Counseling session updated' : 'Counseling session logged', 'success');
+        fillCounselingForm(null);
+        renderCounselingList();
+    } catch (err) {
+        console.error('Save counseling error:', err);
+        showToast(err.message || 'Failed to save counseling entry', 'error');
+    }
+}
+
+async function deleteCounselingEntry(entryId) {
+    if (!confirm('Delete this counseling session?')) return;
+    try {
+        const { ok, data } = await window.apiRequest(`${counselingRoute()}/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+        if (!ok) throw new Error(data?.error || 'Failed to delete counseling entry');
+        counselingLog = (counselingLog || []).filter(e => e.id !== entryId);
+        if (counselingEditId === entryId) fillCounselingForm(null);
+        renderCounselingList();
+    } catch (err) {
+        console.error('Delete counseling error:', err);
+        showToast(err.message || 'Failed to delete counseling entry', 'error');
+    }
+}
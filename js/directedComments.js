@@ -129,26 +129,128 @@ function showDirectedCommentsScreen() {
     renderDirectedCommentsGrid();
 }
 
+// Directed comments the occasion makes mandatory (see js/occasionRules.js),
+// plus Item 8e when the report is adverse
+function getRequiredDirectedComments() {
+    const rules = (typeof getOccasionRules === 'function') ? getOccasionRules() : null;
+    const required = rules ? rules.requiredComments.filter(key => directedComments[key]) : [];
+    const adverse = getAdverseStatus();
+    if (adverse && adverse.isAdverse && !required.includes(AdverseReport.ITEM_8E_COMMENT)) {
+        required.push(AdverseReport.ITEM_8E_COMMENT);
+    }
+    return required;
+}
+
+/**
+ * Adverse triggers on the evaluation in progress (see js/adverseReport.js).
+ * @returns {Object|null} AdverseReport.detect() result
+ */
+function getAdverseStatus() {
+    if (typeof AdverseReport === 'undefined' || typeof evaluationMeta === 'undefined') return null;
+    const promotionAdverse = typeof promotionRecommendation !== 'undefined'
+        && Boolean(promotionRecommendation?.template?.makesAdverse);
+    return AdverseReport.detect({
+        traitEvaluations: typeof evaluationResults !== 'undefined' ? evaluationResults : {},
+        comments: selectedDirectedComments,
+        text: evaluationMeta.sectionIComments || '',
+        promotionAdverse
+    });
+}
+
+/**
+ * Items the adverse workflow still needs (Item 8e comment, MRO acknowledgment).
+ * Also keeps evaluationMeta.isAdverse in step with the triggers.
+ * @returns {string[]} Missing items; empty when not adverse or complete
+ */
+function getAdverseWorkflowGaps() {
+    const adverse = getAdverseStatus();
+    if (!adverse) return [];
+    evaluationMeta.isAdverse = adverse.isAdverse;
+    return AdverseReport.missing(adverse, {
+        comments: selectedDirectedComments,
+        acknowledgment: evaluationMeta.mroAcknowledgment
+    });
+}
+
+function updateMroAcknowledgment(field, value) {
+    evaluationMeta.mroAcknowledgment = { ...(evaluationMeta.mroAcknowledgment || {}), [field]: value };
+}
+
+function renderAdverseReportPanel() {
+    const panel = document.getElementById('adverseReportPanel');
+    if (!panel) return;
+    const adverse = getAdverseStatus();
+    if (!adverse || !adverse.isAdverse) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
+    }
+    const ack = evaluationMeta.mroAcknowledgment || {};
+    const intent = (value, label) => `
+        <label class="adverse-ack-option">
+            <input type="radio" name="mroStatementIntent" value="${value}" ${ack.statementIntent === value ? 'checked' : ''}
+                   onchange="updateMroAcknowledgment('statementIntent', this.value)"> ${label}
+        </label>`;
+    panel.innerHTML = `
+        <div class="adverse-report-title">⚠️ Adverse report</div>
+        <ul class="adverse-report-triggers">
+            ${adverse.triggers.map(t => `<li>${escapeHtml(t.label)}</li>`).join('')}
+        </ul>
+        <p class="adverse-report-help">Adverse reports need the Item 8e directed comment and the MRO's acknowledgment before they can be finalized.</p>
+        <label class="adverse-ack-option">
+            <input type="checkbox" id="mroAcknowledged" ${ack.acknowledged ? 'checked' : ''}
+                   onchange="updateMroAcknowledgment('acknowledged', this.checked)">
+            MRO has acknowledged the adverse nature of this report
+        </label>
+        <div class="adverse-ack-row">
+            <label for="mroAcknowledgedDate">Acknowledged on</label>
+            <input type="date" class="placeholder-input" id="mroAcknowledgedDate" value="${escapeHtml(ack.date || '')}"
+                   onchange="updateMroAcknowledgment('date', this.value)">
+        </div>
+        <div class="adverse-ack-row" role="radiogroup" aria-label="MRO statement">
+            ${intent('will-submit', 'MRO will submit a statement')}
+            ${intent('declines', 'MRO declines to submit a statement')}
+        </div>
+    `;
+    panel.style.display = 'block';
+}
+
+function renderOccasionRulesNote() {
+    const note = document.getElementById('occasionRulesNote');
+    if (!note) return;
+    const rules = (typeof getOccasionRules === 'function') ? getOccasionRules() : null;
+    const lines = rules ? [...rules.notes] : [];
+    (rules ? rules.requiredComments.filter(key => directedComments[key]) : []).forEach(key => {
+        lines.push(`${rules.label} reports require the "${directedComments[key].title}" directed comment.`);
+    });
+    note.innerHTML = lines.map(line => `<div>${escapeHtml(line)}</div>`).join('');
+    note.style.display = lines.length ? 'block' : 'none';
+}
+
 function renderDirectedCommentsGrid() {
     const grid = document.getElementById('directedCommentsGrid');
     grid.innerHTML = '';
+    const required = getRequiredDirectedComments();
     
     Object.keys(directedComments).forEach(key => {
         const comment = directedComments[key];
         const isSelected = selectedDirectedComments.includes(key);
+        const isRequired = required.includes(key);
         
         const item = document.createElement('div');
-        item.className = `directed-comment-item ${isSelected ? 'selected' : ''}`;
+        item.className = `directed-comment-item ${isSelected ? 'selected' : ''} ${isRequired ? 'required' : ''}`;
         item.onclick = () => toggleDirectedComment(key);
         
         item.innerHTML = `
-            <div class="comment-title">${comment.title}</div>
+            <div class="comment-title">${comment.title}${isRequired ? ' <span class="comment-required">Required</span>' : ''}</div>
             <div class="comment-preview">${comment.preview}</div>
         `;
         
         grid.appendChild(item);
     });
     
+    renderOccasionRulesNote();
+    renderAdverseReportPanel();
     updateSelectedCommentsSection();
 }
 
@@ -294,6 +396,18 @@ function finalizeDirectedComments() {
         alert('Please complete the following required fields:\n\n' + missingFields.join('\n'));
         return;
     }
+
+    const missingRequired = getRequiredDirectedComments().filter(key => !selectedDirectedComments.includes(key));
+    if (missingRequired.length > 0) {
+        alert('This report requires the following directed comments:\n\n' + missingRequired.map(key => directedComments[key].title).join('\n'));
+        return;
+    }
+
+    const adverseGaps = getAdverseWorkflowGaps();
+    if (adverseGaps.length > 0) {
+        alert('This report is adverse. Complete the following before continuing:\n\n' + adverseGaps.join('\n'));
+        return;
+    }
     
     // Store directed comments in evaluation meta
     evaluationMeta.directedComments = generateDirectedCommentsText();
@@ -307,6 +421,11 @@ function finalizeDirectedComments() {
 
 // skipDirectedComments()
 function skipDirectedComments() {
+    const required = getRequiredDirectedComments();
+    if (required.length > 0) {
+        alert('Directed comments cannot be skipped for this report. Required:\n\n' + required.map(key => directedComments[key].title).join('\n'));
+        return;
+    }
     if (selectedDirectedComments.length > 0) {
         if (!confirm('You have selected directed comments but haven\'t completed them. Are you sure you want to skip?')) {
             return;
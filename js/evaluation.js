@@ -184,6 +184,37 @@ function startEvaluation() {
         return;
     }
 
+    // Section A/B administrative data is optional, but must be well-formed when given
+    const adminData = (typeof AdminData !== 'undefined')
+        ? AdminData.collect(id => {
+            const el = document.getElementById(id);
+            return el ? el.value : '';
+        })
+        : {};
+    const adminErrors = (typeof AdminData !== 'undefined') ? AdminData.validate(adminData) : [];
+    if (typeof TextFit !== 'undefined') {
+        TextFit.checkEvaluation({ billet: { accomplishments: adminData.billetAccomplishments } })
+            .forEach(f => adminErrors.push(f.message));
+    }
+    if (adminErrors.length) {
+        alert(`Please correct the administrative data:\n\n${adminErrors.join('\n')}`);
+        return;
+    }
+
+    // Overlapping or reversed periods cannot be saved; gaps and occasion mismatches only warn
+    const periodFindings = (typeof getReportingPeriodFindings === 'function')
+        ? getReportingPeriodFindings({ marineName, marineRank, fromDate, toDate, occasionType, edipi: adminData.edipi })
+        : [];
+    const periodErrors = periodFindings.filter(f => f.type === 'error');
+    if (periodErrors.length) {
+        alert(`Please correct the evaluation period:\n\n${periodErrors.map(f => f.message).join('\n')}`);
+        return;
+    }
+    const periodWarnings = periodFindings.filter(f => f.type === 'warning');
+    if (periodWarnings.length && !confirm(`Check the evaluation period:\n\n${periodWarnings.map(f => f.message).join('\n')}\n\nContinue anyway?`)) {
+        return;
+    }
+
     // Update evaluationMeta properties instead of reassigning to preserve object reference
     // Clear existing properties first
     for (const key in evaluationMeta) {
@@ -200,7 +231,11 @@ function startEvaluation() {
         occasionType,
         // Track whether this eval was started from RS profile
         startedFromProfile: !!window.currentProfile
-    });
+    }, adminData);
+    // Marine identity and previous marks when continuing from the last report
+    if (typeof applyMarineContinuation === 'function') applyMarineContinuation(evaluationMeta);
+    // Journal entries inside the period feed the justification modal and Section I
+    if (typeof prefetchAccomplishmentJournal === 'function') prefetchAccomplishmentJournal();
     
     isReportingSenior = (selection === 'yes');
     initializeTraits();
@@ -211,6 +246,18 @@ function startEvaluation() {
     if (howItWorksEl) howItWorksEl.style.display = 'none';
     const dataWarningEl = document.getElementById('dataWarning');
     if (dataWarningEl) dataWarningEl.style.display = 'none';
+
+    // Non-observed reports skip trait marking and go straight to directed comments
+    const occasionRules = (typeof getOccasionRules === 'function') ? getOccasionRules() : null;
+    if (occasionRules && !occasionRules.markTraits) {
+        occasionRules.notes.forEach(note => showToast(note, 'info'));
+        if (typeof jumpToStep === 'function' && typeof STEPS !== 'undefined') {
+            jumpToStep(STEPS.comments);
+        } else {
+            showDirectedCommentsScreen();
+        }
+        return;
+    }
     
     // Ensure the evaluation UI becomes visible
     try {
@@ -374,6 +421,10 @@ function renderCurrentTrait() {
                 <div class="grade-description">${safeGradeDescription}</div>
             </div>
 
+            ${renderPreviousMark(trait)}
+
+            ${renderProfileProtectionPanel(trait, currentEvaluationLevel)}
+
             <div class="evaluation-guidance">
                 <div class="guidance-question">Does this Marine's performance in <strong>${safeTraitName}</strong> meet this standard?</div>
             </div>
@@ -404,6 +455,84 @@ function renderCurrentTrait() {
     `;
 }
 
+/**
+ * Mark this trait received on the Marine's last report, when continuing from it.
+ * @param {object} trait - Trait being marked
+ * @returns {string} Note HTML, or '' when there is no previous mark
+ */
+function renderPreviousMark(trait) {
+    const prev = evaluationMeta.previousGrades && evaluationMeta.previousGrades[trait.name];
+    if (!prev) return '';
+    return `
+            <div class="previous-mark">Last report on this Marine: <span class="grade-letter">${escapeHtml(prev.grade)}</span></div>`;
+}
+
+/**
+ * Saved profile evaluations for the Marine's rank (empty when no RS profile is loaded).
+ * @returns {Array<object>}
+ */
+function getProfileEvaluationsForRank() {
+    const saved = typeof profileEvaluations !== 'undefined' ? profileEvaluations : (global.profileEvaluations || []);
+    if (!Array.isArray(saved) || !saved.length || typeof normalizeRankLabel !== 'function') return [];
+    const rank = normalizeRankLabel(evaluationMeta.marineRank || '');
+    if (!rank) return [];
+    return saved.filter(e => normalizeRankLabel(String(e.marineInfo?.rank || '')) === rank);
+}
+
+/**
+ * Live "profile protection" panel: the RS's High/Avg for this rank and where the
+ * in-progress report lands if the trait is marked at `tentativeGrade`.
+ * @param {object} trait - Trait being marked
+ * @param {string} tentativeGrade - Grade letter under consideration (A–G)
+ * @returns {string} Panel HTML, or '' when there is no profile to compare against
+ */
+function renderProfileProtectionPanel(trait, tentativeGrade) {
+    if (!global.ProfileProtection) return '';
+    const evals = getProfileEvaluationsForRank();
+    if (!evals.length) return '';
+
+    const traitKey = `${trait.sectionKey}_${trait.traitKey}`;
+    const marked = Object.entries(evaluationResults)
+        .filter(([key]) => key !== traitKey)
+        .map(([, r]) => r.gradeNumber);
+    const soFar = global.ProfileProtection.runningAverage(marked);
+    const projected = global.ProfileProtection.runningAverage([...marked, getGradeNumber(tentativeGrade)]);
+    const result = global.ProfileProtection.assess(evals, projected);
+    const { stats } = result;
+
+    const fmt = n => (Number.isFinite(n) ? n.toFixed(2) : '—');
+    const rank = escapeHtml(normalizeRankLabel(evaluationMeta.marineRank || ''));
+    const cls = result.isNewHigh || result.isFarBelow ? 'profile-protection warn' : 'profile-protection';
+    const warnings = result.warnings.map(w => `<div class="profile-protection-warning">⚠️ ${escapeHtml(w)}</div>`).join('');
+
+    return `
+            <div class="${cls}" id="profileProtectionPanel" aria-live="polite">
+                <div class="profile-protection-stats">
+                    <span>${rank} profile: High <strong>${fmt(stats.high)}</strong></span>
+                    <span>Avg <strong>${fmt(stats.avg)}</strong></span>
+                    <span>${stats.count} rpt${stats.count === 1 ? '' : 's'}</span>
+                </div>
+                <div class="profile-protection-report">
+                    This report so far: <strong>${fmt(soFar)}</strong> (${marked.length} trait${marked.length === 1 ? '' : 's'}) ·
+                    marked ${escapeHtml(tentativeGrade)}: <strong>${fmt(projected)}</strong>,
+                    #${result.position} of ${result.of}
+                </div>
+                ${warnings}
+            </div>`;
+}
+
+/**
+ * Re-render the profile protection panel for the grade actually selected.
+ * @param {object} trait - Trait being marked
+ * @param {string} grade - Selected grade letter
+ */
+function updateProfileProtectionPanel(trait, grade) {
+    const panel = document.getElementById('profileProtectionPanel');
+    if (!panel) return;
+    const html = renderProfileProtectionPanel(trait, grade);
+    if (html) panel.outerHTML = html;
+}
+
 function getGradeClass(grade) {
     const gradeClasses = {
         'A': 'adverse',
@@ -582,6 +711,7 @@ function finalizeTrait(grade) {
         gradeNumber: getGradeNumber(grade)
     };
     
+    updateProfileProtectionPanel(trait, grade);
     showJustificationModal();
 }
 
@@ -603,6 +733,11 @@ function showJustificationModal() {
         voiceBtn.classList.remove('active');
         voiceBtn.textContent = '🎤 Voice Input';
     }
+    if (typeof resetBulletLibraryPanel === 'function') resetBulletLibraryPanel();
+    if (typeof resetCounselingForTrait === 'function') resetCounselingForTrait();
+    if (typeof showCounselingForTrait === 'function') showCounselingForTrait();
+    if (typeof resetJournalForTrait === 'function') resetJournalForTrait();
+    if (typeof showJournalForTrait === 'function') showJournalForTrait();
     
     updateWordCount();
     try {
@@ -805,9 +940,10 @@ function populateReviewScreen() {
     // Render
     reviewGrid.innerHTML = '';
 
+    const adminHtml = renderAdminDataBlock('review-section');
     const sections = Object.keys(sectionGroups);
     if (sections.length === 0) {
-        reviewGrid.innerHTML = `
+        reviewGrid.innerHTML = adminHtml + `
             <div class="empty-state">
                 <p>No completed trait evaluations yet.</p>
                 <p>Finish evaluating traits to see an overview here.</p>
@@ -816,6 +952,8 @@ function populateReviewScreen() {
         return;
     }
 
+    if (adminHtml) reviewGrid.insertAdjacentHTML('beforeend', adminHtml);
+
     sections.forEach(sectionTitle => {
         const traits = sectionGroups[sectionTitle];
          const traitsHTML = traits.map(trait => {
@@ -825,6 +963,7 @@ function populateReviewScreen() {
             const safeTraitName = escapeHtml(trait.trait);
             const safeGradeDesc = escapeHtml(gradeDescription);
             const safeJustification = fullText ? nl2br(fullText) : '<em>No justification provided</em>';
+            const consistencyHtml = renderJustificationConsistency(trait.key, trait);
 
              return ` 
                  <div class="review-trait-item" id="review-item-${trait.key}"> 
@@ -839,6 +978,7 @@ function populateReviewScreen() {
                      <div class="review-trait-justification" style="white-space: pre-line;"> 
                          ${safeJustification} 
                      </div> 
+                     ${consistencyHtml}
                      <div class="button-row" style="margin-top: 10px;"> 
                          <button class="btn btn-meets" onclick="editTrait('${trait.key}')">Re-evaluate Trait</button> 
                      </div> 
@@ -857,6 +997,51 @@ function populateReviewScreen() {
     });
 }
 
+// Flag a justification that reads like a different mark than the one given,
+// scored offline against the trait's B/D/F descriptors. '' when consistent.
+function renderJustificationConsistency(key, result) {
+    if (typeof GradeConsistency === 'undefined' || typeof firepData === 'undefined') return '';
+    const [sectionKey, traitKey] = splitTraitKey(key);
+    const descriptions = firepData.sections?.[sectionKey]?.traits?.[traitKey]?.gradeDescriptions;
+    if (!descriptions) return '';
+    const check = GradeConsistency.check(result, descriptions);
+    if (!check.mismatch) return '';
+    const reads = check.direction === 'over'
+        ? `Marked ${check.marked}, but the justification reads closer to ${check.supported}.`
+        : `Marked ${check.marked}, but the justification describes ${check.supported}-level performance.`;
+    const advice = check.direction === 'over'
+        ? 'Add the specific results that set this Marine apart, or reconsider the mark.'
+        : 'Consider whether the mark undersells what you wrote.';
+    const evidence = check.evidence.length
+        ? `<div class="consistency-evidence">Matched: ${check.evidence.map(e => `&ldquo;${escapeHtml(e)}&rdquo;`).join(', ')}</div>`
+        : '';
+    return `
+        <div class="review-trait-consistency ${check.direction}" role="note">
+            <strong>⚠️ ${escapeHtml(reads)}</strong> ${escapeHtml(advice)}
+            ${evidence}
+        </div>`;
+}
+
+// Section A/B administrative block shared by the review and summary screens.
+// Returns '' when nothing beyond the basic setup fields was captured.
+function renderAdminDataBlock(className) {
+    if (typeof AdminData === 'undefined') return '';
+    const rows = AdminData.summaryRows(evaluationMeta);
+    if (!rows.length) return '';
+    const items = rows.map(row => `
+        <div class="admin-data-row">
+            <strong>${escapeHtml(row.label)}:</strong>
+            <span style="white-space: pre-line;">${escapeHtml(row.value)}</span>
+        </div>
+    `).join('');
+    return `
+        <div class="${className} admin-data-block">
+            <div class="review-section-title">Administrative Data (Sections A/B)</div>
+            ${items}
+        </div>
+    `;
+}
+
 function getGradeDescription(grade) {
     const descriptions = {
         'A': "Significantly below standards",
@@ -1105,6 +1290,10 @@ function showSummary() {
     document.getElementById('fitrepAverage').textContent = 
         `FITREP Average: ${fitrepAverage}`;
 
+    // Adverse triggers can change after directed comments (re-marked traits, Section I)
+    const adverse = (typeof getAdverseStatus === 'function') ? getAdverseStatus() : null;
+    if (adverse) evaluationMeta.isAdverse = adverse.isAdverse;
+
     const metaDiv = document.getElementById('evaluationMeta');
     const safeMarine = escapeHtml(evaluationMeta.marineName || '');
     const safeFrom = escapeHtml(evaluationMeta.fromDate || '');
@@ -1115,10 +1304,11 @@ function showSummary() {
         <strong>Period:</strong> ${safeFrom} to ${safeTo} | 
         <strong>Reporting Senior:</strong> ${safeEvaluator} | 
         <strong>Completed:</strong> ${new Date().toLocaleDateString()}
+        ${evaluationMeta.isAdverse ? ' | <strong class="adverse-flag">ADVERSE</strong>' : ''}
     `;
 
     const summaryGrid = document.getElementById('summaryGrid');
-    summaryGrid.innerHTML = '';
+    summaryGrid.innerHTML = renderAdminDataBlock('summary-item');
 
     // Toggle summary action buttons based on origin
     try {
@@ -0,0 +1,387 @@
+// UMD module: evaluation merge — field-level three-way merge for syncing a
+// report edited on more than one device. A report is split into fields (one
+// per trait mark, directed comment paragraph, Section I and each
+// administrative item); fields changed on only one side merge cleanly and
+// fields changed differently on both sides are returned as conflicts. Used by
+// the sync in js/profile.js, the conflict panel (js/syncConflicts.js) and the
+// save route's revision check (server/storageRoutes.js);
+// compare() and wordDiff() drive the revision history diff (js/revisionsPanel.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EvaluationMerge = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const GRADE_NUMBERS = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
+
+  // Administrative objects merged one key at a time (rsInfo belongs to the account)
+  const OBJECT_FIELDS = ['marineInfo', 'billet', 'roInfo'];
+  const SCALAR_FIELDS = ['occasion', 'sectionIComments', 'mroAcknowledgment'];
+
+  const LABELS = {
+    occasion: 'Occasion',
+    sectionIComments: 'Section I comments',
+    mroAcknowledgment: 'MRO acknowledgment',
+    'marineInfo.name': 'Marine name',
+    'marineInfo.rank': 'Marine grade',
+    'marineInfo.evaluationPeriod': 'Reporting period',
+    'marineInfo.edipi': 'EDIPI',
+    'marineInfo.pmos': 'PMOS',
+    'marineInfo.dutyStatus': 'Duty status',
+    'marineInfo.unit': 'Unit (RUC/MCC)',
+    'billet.description': 'Billet description',
+    'billet.accomplishments': 'Billet accomplishments',
+    'roInfo.name': 'RO name',
+    'roInfo.rank': 'RO grade',
+    'roInfo.email': 'RO email'
+  };
+
+  // Empty strings, null and missing keys are the same value
+  function canonical(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'string') return value.replace(/\r\n/g, '\n');
+    if (Array.isArray(value)) return value.map(canonical);
+    if (typeof value === 'object') {
+      const out = {};
+      Object.keys(value).sort().forEach(k => {
+        const v = canonical(value[k]);
+        if (v !== null) out[k] = v;
+      });
+      return Object.keys(out).length ? out : null;
+    }
+    return value;
+  }
+
+  function same(a, b) {
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+  }
+
+  function traitItems(ev) {
+    const src = ev && ev.traitEvaluations;
+    if (!src) return [];
+    return Array.isArray(src) ? src : Object.values(src);
+  }
+
+  // FNV-1a, enough to tell paragraphs apart without a crypto API in the browser
+  function textHash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Directed comments text split into paragraphs keyed by item
+   * ("Section A, Item 6a" -> "6a"; paragraphs without an item by a hash of
+   * their text, so adding or removing one does not move the others).
+   * @param {string} text
+   * @returns {Array<{key: string, text: string}>}
+   */
+  function directedParagraphs(text) {
+    const seen = {};
+    return String(text || '').replace(/\r\n/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => {
+      const m = /Item\s+([0-9]+[a-z]?)/i.exec(p);
+      const base = m ? m[1].toLowerCase() : `#${textHash(p)}`;
+      seen[base] = (seen[base] || 0) + 1;
+      return { key: seen[base] > 1 ? `${base}#${seen[base]}` : base, text: p };
+    });
+  }
+
+  /**
+   * Flat map of a report's mergeable fields.
+   * @param {Object} ev - Evaluation (frontend shape; traits as a map or a list)
+   * @returns {Object<string, *>} Field key -> canonical value
+   */
+  function fields(ev) {
+    const out = {};
+    if (!ev) return out;
+    traitItems(ev).forEach(t => {
+      if (!t || !t.trait) return;
+      out[`trait:${t.trait}`] = canonical({ grade: String(t.grade || '').toUpperCase(), justification: t.justification });
+    });
+    directedParagraphs(ev.directedComments).forEach(p => { out[`directed:${p.key}`] = p.text; });
+    SCALAR_FIELDS.forEach(k => { out[k] = canonical(ev[k]); });
+    OBJECT_FIELDS.forEach(obj => {
+      Object.keys(ev[obj] || {}).forEach(k => { out[`${obj}.${k}`] = canonical(ev[obj][k]); });
+    });
+    Object.keys(out).forEach(k => { if (out[k] === null) delete out[k]; });
+    return out;
+  }
+
+  /**
+   * Human-readable name of a field.
+   * @param {string} field - Key from fields()
+   * @returns {string}
+   */
+  function label(field) {
+    if (LABELS[field]) return LABELS[field];
+    if (field.startsWith('trait:')) return `Trait: ${field.slice(6)}`;
+    if (field.startsWith('directed:')) {
+      const key = field.slice(9);
+      return key.startsWith('#') ? 'Directed comment' : `Directed comment (Item ${key.split('#')[0]})`;
+    }
+    return field;
+  }
+
+  function unionKeys(maps) {
+    const keys = [];
+    const seen = new Set();
+    maps.forEach(m => Object.keys(m || {}).forEach(k => {
+      if (!seen.has(k)) { seen.add(k); keys.push(k); }
+    }));
+    return keys;
+  }
+
+  /**
+   * Fields that differ between two copies of a report.
+   * @param {Object} a - Evaluation
+   * @param {Object} b - Evaluation
+   * @returns {Array<{field: string, label: string}>}
+   */
+  function diff(a, b) {
+    const fa = fields(a);
+    const fb = fields(b);
+    return unionKeys([fa, fb]).filter(k => !same(fa[k], fb[k])).map(k => ({ field: k, label: label(k) }));
+  }
+
+  function averageOf(items) {
+    const nums = items.map(t => GRADE_NUMBERS[String(t.grade || '').toUpperCase()]).filter(Boolean);
+    return nums.length ? (nums.reduce((a, b) => a + b, 0) / nums.length).toFixed(2) : null;
+  }
+
+  function setTrait(ev, name, value, source) {
+    const src = ev.traitEvaluations;
+    const entryOf = t => t && t.trait === name;
+    const from = traitItems(source).find(entryOf);
+    const updated = prev => ({
+      ...(prev || from || { trait: name }),
+      grade: value.grade,
+      gradeNumber: GRADE_NUMBERS[value.grade] || (prev && prev.gradeNumber) || 0,
+      justification: value.justification || ''
+    });
+    if (Array.isArray(src)) {
+      const idx = src.findIndex(entryOf);
+      if (!value) {
+        if (idx >= 0) src.splice(idx, 1);
+      } else if (idx >= 0) {
+        src[idx] = updated(src[idx]);
+      } else {
+        src.push(updated(null));
+      }
+      return;
+    }
+    const map = src || (ev.traitEvaluations = {});
+    let key = Object.keys(map).find(k => entryOf(map[k]));
+    if (!value) {
+      if (key) delete map[key];
+      return;
+    }
+    if (!key) {
+      const srcMap = source && source.traitEvaluations;
+      key = (srcMap && !Array.isArray(srcMap) && Object.keys(srcMap).find(k => entryOf(srcMap[k])))
+        || `${String((from && from.section) || '').replace(/\W+/g, '')}_${name.replace(/\W+/g, '')}`;
+    }
+    map[key] = updated(map[key]);
+  }
+
+  /**
+   * Build the merged report: `local` with the fields picked 'remote' taken from `remote`.
+   * @param {Object} local - This device's copy
+   * @param {Object} remote - Server copy
+   * @param {Object<string, 'local'|'remote'>} picks - Field key -> side (default 'local')
+   * @returns {Object} New evaluation; trait grade numbers and the average follow the marks
+   */
+  function resolve(local, remote, picks) {
+    const ev = JSON.parse(JSON.stringify(local || {}));
+    const fl = fields(local);
+    const fr = fields(remote);
+    const p = picks || {};
+    const fromRemote = k => p[k] === 'remote';
+    let traitsChanged = false;
+    let directedChanged = false;
+
+    unionKeys([fl, fr]).filter(fromRemote).forEach(k => {
+      const value = fr[k] === undefined ? null : fr[k];
+      if (k.startsWith('trait:')) {
+        setTrait(ev, k.slice(6), value, remote);
+        traitsChanged = true;
+      } else if (k.startsWith('directed:')) {
+        directedChanged = true;
+      } else if (SCALAR_FIELDS.includes(k)) {
+        ev[k] = value === null ? (k === 'mroAcknowledgment' ? null : '') : JSON.parse(JSON.stringify(remote[k]));
+      } else {
+        const [obj, key] = k.split('.');
+        ev[obj] = ev[obj] || {};
+        if (value === null) delete ev[obj][key];
+        else ev[obj][key] = JSON.parse(JSON.stringify(remote[obj][key]));
+      }
+    });
+
+    if (directedChanged) {
+      ev.directedComments = unionKeys([fl, fr])
+        .filter(k => k.startsWith('directed:'))
+        .map(k => (fromRemote(k) ? fr[k] : fl[k]))
+        .filter(Boolean)
+        .join('\n\n');
+    }
+    if (traitsChanged) {
+      const average = averageOf(traitItems(ev));
+      if (average !== null) ev.fitrepAverage = average;
+    }
+    return ev;
+  }
+
+  /**
+   * Three-way merge of a report edited here and on the server since both
+   * last agreed. A field changed on one side takes that side; a field
+   * changed differently on both sides is a conflict and keeps the local
+   * value until resolved.
+   * @param {Object<string, *>} base - fields() of the last synced copy (syncBase.fields)
+   * @param {Object} local - This device's copy
+   * @param {Object} remote - Server copy
+   * @returns {{evaluation: Object, picks: Object<string, string>,
+   *   conflicts: Array<{field: string, label: string, base: *, local: *, remote: *}>}}
+   *   Pass `picks` plus the user's choices for the conflicts to resolve()
+   */
+  function merge(base, local, remote) {
+    const fb = base || {};
+    const fl = fields(local);
+    const fr = fields(remote);
+    const picks = {};
+    const conflicts = [];
+    unionKeys([fl, fr, fb]).forEach(k => {
+      if (same(fl[k], fr[k]) || same(fb[k], fr[k])) return;
+      if (same(fb[k], fl[k])) {
+        picks[k] = 'remote';
+        return;
+      }
+      const pick = v => (v === undefined ? null : v);
+      conflicts.push({ field: k, label: label(k), base: pick(fb[k]), local: pick(fl[k]), remote: pick(fr[k]) });
+    });
+    return { evaluation: resolve(local, remote, picks), picks, conflicts };
+  }
+
+  /**
+   * Fields that differ between two revisions, with both values.
+   * @param {Object} from - Older evaluation
+   * @param {Object} to - Newer evaluation
+   * @returns {Array<{field: string, label: string, from: *, to: *}>} Values are canonical (null when absent)
+   */
+  function compare(from, to) {
+    const ff = fields(from);
+    const ft = fields(to);
+    const value = v => (v === undefined ? null : v);
+    return unionKeys([ff, ft])
+      .filter(k => !same(ff[k], ft[k]))
+      .map(k => ({ field: k, label: label(k), from: value(ff[k]), to: value(ft[k]) }));
+  }
+
+  // Word-level LCS is quadratic; longer texts are shown as replaced whole
+  const MAX_DIFF_CELLS = 250000;
+
+  /**
+   * Word-level diff of two texts.
+   * @param {string} a - Older text
+   * @param {string} b - Newer text
+   * @returns {Array<{type: 'same'|'del'|'add', text: string}>} Runs in order; whitespace stays with its word
+   */
+  function wordDiff(a, b) {
+    const wa = String(a || '').match(/\S+\s*/g) || [];
+    const wb = String(b || '').match(/\S+\s*/g) || [];
+    const runs = [];
+    const push = (type, text) => {
+      const last = runs[runs.length - 1];
+      if (last && last.type === type) last.text += text;
+      else runs.push({ type, text });
+    };
+    if (wa.length * wb.length > MAX_DIFF_CELLS) {
+      if (wa.length) push('del', wa.join(''));
+      if (wb.length) push('add', wb.join(''));
+      return runs;
+    }
+    const key = w => w.trim();
+    const lcs = Array.from({ length: wa.length + 1 }, () => new Array(wb.length + 1).fill(0));
+    for (let i = wa.length - 1; i >= 0; i--) {
+      for (let j = wb.length - 1; j >= 0; j--) {
+        lcs[i][j] = key(wa[i]) === key(wb[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < wa.length && j < wb.length) {
+      if (key(wa[i]) === key(wb[j])) {
+        push('same', wb[j]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('del', wa[i++]);
+      } else {
+        push('add', wb[j++]);
+      }
+    }
+    while (i < wa.length) push('del', wa[i++]);
+    while (j < wb.length) push('add', wb[j++]);
+    return runs;
+  }
+
+  /**
+   * Display text for a field value (trait mark, period, text or object).
+   * @param {*} value - Canonical value from fields()
+   * @returns {string}
+   */
+  function formatValue(value) {
+    if (value === null || value === undefined) return '(empty)';
+    if (typeof value !== 'object') return String(value);
+    if ('grade' in value || 'justification' in value) {
+      return `${value.grade || '—'}${value.justification ? ` — ${value.justification}` : ''}`;
+    }
+    if ('from' in value || 'to' in value) return `${value.from || '?'} – ${value.to || '?'}`;
+    return Object.keys(value).map(k => `${k}: ${typeof value[k] === 'object' ? JSON.stringify(value[k]) : value[k]}`).join('\n');
+  }
+
+  /**
+   * Body fields for the save routes: the report without its sync bookkeeping
+   * and the revision it was edited from (undefined for a report never synced).
+   * @param {Object} ev - Evaluation
+   * @returns {{evaluation: Object, baseRevision: number|undefined}}
+   */
+  function syncPayload(ev) {
+    const evaluation = { ...(ev || {}) };
+    delete evaluation.syncBase;
+    delete evaluation.syncConflict;
+    const rev = ev && ev.syncBase ? Number(ev.syncBase.revision) : NaN;
+    return { evaluation, baseRevision: Number.isFinite(rev) ? rev : undefined };
+  }
+
+  /**
+   * Record a copy as agreed with the server at a revision.
+   * @param {Object} ev - Evaluation (updated in place)
+   * @param {number} revision - Server revision of `agreed`
+   * @param {Object} [agreed] - The agreed copy (defaults to `ev`)
+   * @returns {Object} ev
+   */
+  function markSynced(ev, revision, agreed) {
+    ev.revision = revision;
+    ev.syncBase = { revision, fields: fields(agreed || ev) };
+    delete ev.syncConflict;
+    return ev;
+  }
+
+  return {
+    canonical,
+    directedParagraphs,
+    fields,
+    label,
+    diff,
+    compare,
+    wordDiff,
+    formatValue,
+    merge,
+    resolve,
+    syncPayload,
+    markSynced
+  };
+});
@@ -331,8 +331,25 @@ class GitHubDataService {
             marine: {
                 name: evaluation?.marineInfo?.name || null,
                 rank: evaluation?.marineInfo?.rank || null,
+                marineId: evaluation?.marineInfo?.marineId || null,
+                edipi: evaluation?.marineInfo?.edipi || null,
+                pmos: evaluation?.marineInfo?.pmos || null,
+                dutyStatus: evaluation?.marineInfo?.dutyStatus || null,
+                unit: {
+                    ruc: evaluation?.marineInfo?.unit?.ruc || null,
+                    mcc: evaluation?.marineInfo?.unit?.mcc || null
+                },
                 evaluationPeriod: evaluation?.marineInfo?.evaluationPeriod || null
             },
+            billet: {
+                description: evaluation?.billet?.description || null,
+                accomplishments: evaluation?.billet?.accomplishments || null
+            },
+            ro: {
+                name: evaluation?.roInfo?.name || null,
+                rank: evaluation?.roInfo?.rank || null,
+                email: evaluation?.roInfo?.email || null
+            },
             rs: {
                 name: evaluation?.rsInfo?.rsName || evaluation?.rsInfo?.name || createdBy.name || null,
                 email: evaluation?.rsInfo?.rsEmail || evaluation?.rsInfo?.email || createdBy.email || userEmail || null,
@@ -340,6 +357,8 @@ class GitHubDataService {
             },
             sectionIComments: evaluation?.sectionIComments || null,
             directedComments: evaluation?.directedComments || null,
+            isAdverse: evaluation?.isAdverse === true,
+            mroAcknowledgment: evaluation?.mroAcknowledgment || null,
             traitEvaluations: traitList,
             createdAt: now,
             createdBy: {
@@ -444,39 +463,73 @@ class GitHubDataService {
      * @returns {Object} Evaluation-like object
      */
     parseEvaluationYamlMinimal(yamlStr) {
+        // buildEvaluationYaml writes strings with JSON.stringify, so quoted
+        // scalars (escaped quotes, newlines) decode with JSON.parse
+        const unquote = (v) => {
+            if (v === null || v === undefined || v.charAt(0) !== '"') return v;
+            try { return JSON.parse(v); } catch (_) { return null; }
+        };
+        // Key pattern followed by a quoted scalar, captured with its quotes
+        const QUOTED = /"(?:[^"\\\n]|\\.)*"/.source;
+        const field = (key, flags = '') => new RegExp(`${key.source}\\s*(${QUOTED})`, flags);
         const get = (re) => {
             const m = yamlStr.match(re);
-            return m ? m[1] : null;
+            return m ? unquote(m[1]) : null;
         };
-        const id = get(/\bid:\s*"([^"]+)"/);
-        const occasion = get(/\boccasion:\s*"([^"]+)"/);
-        const completedDate = get(/\bcompletedDate:\s*"([^"]+)"/);
+        const id = get(field(/\bid:/));
+        const occasion = get(field(/\boccasion:/));
+        const completedDate = get(field(/\bcompletedDate:/));
         const fitrepAverageStr = get(/\bfitrepAverage:\s*"?([0-9.]+)"?/);
         const fitrepAverage = fitrepAverageStr ? parseFloat(fitrepAverageStr) : null;
-        const sectionIComments = get(/\bsectionIComments:\s*"([\s\S]*?)"\s*(?:\n|$)/);
+        const sectionIComments = get(field(/\bsectionIComments:/));
+        const isAdverse = get(/^isAdverse:\s*(true|false)/m) === 'true';
         // Marine block
-        const marineName = get(/\bmarine:\s*[\r\n]+\s{2}name:\s*"([^"]+)"/);
-        const marineRank = get(/\bmarine:[\s\S]*?\n\s{2}rank:\s*"([^"]+)"/);
-        const periodFrom = get(/\bevaluationPeriod:\s*[\r\n]+\s{4}from:\s*"([^"]+)"/);
-        const periodTo = get(/\bevaluationPeriod:[\s\S]*?\n\s{4}to:\s*"([^"]+)"/);
+        const marineName = get(field(/\bmarine:\s*[\r\n]+\s{2}name:/));
+        const marineRank = get(field(/\bmarine:[\s\S]*?\n\s{2}rank:/));
+        const periodFrom = get(field(/\bevaluationPeriod:\s*[\r\n]+\s{4}from:/));
+        const periodTo = get(field(/\bevaluationPeriod:[\s\S]*?\n\s{4}to:/));
+        // Section A/B administrative data (written by buildEvaluationYaml).
+        // Scope lookups to one top-level block so null fields don't match the next block.
+        const block = (name) => {
+            const m = yamlStr.match(new RegExp(`(?:^|\\n)${name}:\\s*\\r?\\n((?:[ ]{2}.*(?:\\r?\\n|$))*)`));
+            return m ? m[1] : '';
+        };
+        const getIn = (text, re) => {
+            const m = text.match(re);
+            return m ? unquote(m[1]) : null;
+        };
+        const marineBlock = block('marine');
+        const billetBlock = block('billet');
+        const roBlock = block('ro');
+        const marineId = getIn(marineBlock, field(/^\s{2}marineId:/, 'm'));
+        const edipi = getIn(marineBlock, field(/^\s{2}edipi:/, 'm'));
+        const pmos = getIn(marineBlock, field(/^\s{2}pmos:/, 'm'));
+        const dutyStatus = getIn(marineBlock, field(/^\s{2}dutyStatus:/, 'm'));
+        const unitRuc = getIn(marineBlock, field(/^\s{4}ruc:/, 'm'));
+        const unitMcc = getIn(marineBlock, field(/^\s{4}mcc:/, 'm'));
+        const billetDescription = getIn(billetBlock, field(/^\s{2}description:/, 'm'));
+        const billetAccomplishments = getIn(billetBlock, field(/^\s{2}accomplishments:/, 'm'));
+        const roName = getIn(roBlock, field(/^\s{2}name:/, 'm'));
+        const roRank = getIn(roBlock, field(/^\s{2}rank:/, 'm'));
+        const roEmail = getIn(roBlock, field(/^\s{2}email:/, 'm'));
         // RS block
-        const rsName = get(/\brs:\s*[\r\n]+\s{2}name:\s*"([^"]+)"/);
-        const rsEmail = get(/\brs:[\s\S]*?\n\s{2}email:\s*"([^"]+)"/);
-        const rsRank = get(/\brs:[\s\S]*?\n\s{2}rank:\s*"([^"]+)"/);
+        const rsName = get(field(/\brs:\s*[\r\n]+\s{2}name:/));
+        const rsEmail = get(field(/\brs:[\s\S]*?\n\s{2}email:/));
+        const rsRank = get(field(/\brs:[\s\S]*?\n\s{2}rank:/));
 
         // Parse trait evaluations (minimal, regex-based)
         let traits = [];
         try {
             const afterHeader = yamlStr.split('traitEvaluations:')[1] || '';
-            const itemRe = /-\s*\r?\n(?:\s{2,}section:\s*"([^"]+)")\s*\r?\n(?:\s{2,}trait:\s*"([^"]+)")\s*\r?\n(?:\s{2,}grade:\s*"([A-G])")\s*\r?\n(?:\s{2,}gradeNumber:\s*([0-9]+))\s*\r?\n(?:\s{2,}justification:\s*"([^"]*)")/g;
+            const itemRe = /-\s*\r?\n(?:\s{2,}section:\s*("(?:[^"\\\n]|\\.)*"))\s*\r?\n(?:\s{2,}trait:\s*("(?:[^"\\\n]|\\.)*"))\s*\r?\n(?:\s{2,}grade:\s*"([A-G])")\s*\r?\n(?:\s{2,}gradeNumber:\s*([0-9]+))\s*\r?\n(?:\s{2,}justification:\s*("(?:[^"\\\n]|\\.)*"))/g;
             let m;
             while ((m = itemRe.exec(afterHeader)) !== null) {
                 traits.push({
-                    section: m[1] || '',
-                    trait: m[2] || '',
+                    section: unquote(m[1]) || '',
+                    trait: unquote(m[2]) || '',
                     grade: m[3] || '',
                     gradeNumber: parseInt(m[4] || '0', 10),
-                    justification: m[5] || ''
+                    justification: unquote(m[5]) || ''
                 });
             }
         } catch (_) { /* ignore parse errors */ }
@@ -489,10 +542,21 @@ class GitHubDataService {
             marineInfo: {
                 name: marineName || '',
                 rank: marineRank || '',
+                marineId: marineId || '',
+                edipi: edipi || '',
+                pmos: pmos || '',
+                dutyStatus: dutyStatus || '',
+                unit: { ruc: unitRuc || '', mcc: unitMcc || '' },
                 evaluationPeriod: { from: periodFrom || '', to: periodTo || '' }
             },
+            billet: {
+                description: billetDescription || '',
+                accomplishments: billetAccomplishments || ''
+            },
+            roInfo: { name: roName || '', rank: roRank || '', email: roEmail || '' },
             rsInfo: { name: rsName || '', email: rsEmail || '', rank: rsRank || '' },
             sectionIComments: sectionIComments || '',
+            isAdverse,
             traitEvaluations: traits,
             syncStatus: 'synced'
         };
@@ -1329,6 +1393,17 @@ class GitHubDataService {
         }
     }
 
+    /**
+     * Save route body for an evaluation: the report without its sync
+     * bookkeeping and the revision it was edited from (js/evaluationMerge.js)
+     * @param {Object} evaluation
+     * @returns {{evaluation: Object, baseRevision?: number}}
+     */
+    evaluationSyncPayload(evaluation) {
+        const merge = (typeof window !== 'undefined' && window.EvaluationMerge) || null;
+        return merge ? merge.syncPayload(evaluation) : { evaluation };
+    }
+
     /**
      * Save a single evaluation to GitHub
      * Appends to existing user data file
@@ -1354,14 +1429,19 @@ class GitHubDataService {
                         if (sessTok) headers['Authorization'] = `Bearer ${sessTok}`;
                     } catch (_) {}
                     const credentials = this.getFetchCredentials(ep.url);
+                    const payload = this.evaluationSyncPayload(evaluation);
                     const resp = await fetch(ep.url, {
                         method: 'POST', headers, credentials,
-                        body: JSON.stringify({ evaluation, userEmail })
+                        body: JSON.stringify({ ...payload, userEmail })
                     });
                     const data = await resp.json().catch(() => ({}));
                     if (resp.ok && data?.ok) {
                         return { success: true, message: 'Evaluation saved via backend', backend: data };
                     }
+                    // Server copy moved on: the caller merges; writing to GitHub would overwrite it
+                    if (resp.status === 409 && data?.conflict) {
+                        return { success: false, conflict: data, message: data.error || 'Evaluation changed on another device' };
+                    }
                 }
             } catch (e) {
                 // Proceed to GitHub path on backend errors
@@ -1473,11 +1553,13 @@ class GitHubDataService {
                 method: 'POST',
                 headers,
                 credentials,
-                body: JSON.stringify({ evaluation, userEmail })
+                body: JSON.stringify({ ...this.evaluationSyncPayload(evaluation), userEmail })
             });
             const data = await resp.json().catch(() => { throw new Error('Backend returned an invalid JSON response'); });
             if (!resp.ok || !data?.ok) {
-                throw new Error(data?.error || 'Backend evaluation save failed');
+                const err = new Error(data?.error || 'Backend evaluation save failed');
+                if (resp.status === 409 && data?.conflict) err.conflict = data;
+                throw err;
             }
             return {
                 success: true,
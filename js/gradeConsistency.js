@@ -0,0 +1,182 @@
+// UMD module: justification-to-grade consistency — scores a trait
+// justification against the trait's B, D and F descriptors from js/data.js
+// (word and phrase overlap plus indicator terms such as "emulated" or
+// "beyond unit") and estimates the mark the text supports, so a "B" story
+// under an "F" mark can be flagged on the review screen. Runs entirely offline.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GradeConsistency = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const GRADE_NUMBERS = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
+  const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+  const ANCHORS = ['B', 'D', 'F'];
+
+  // Marks further than this from the estimate are mismatches
+  const DEFAULT_TOLERANCE = 2;
+  // Below this much evidence the text says too little to estimate a mark
+  const MIN_SIGNAL = 2;
+
+  // Terms that mark a level regardless of trait. Phrases are matched on
+  // stemmed words, so "emulated" also catches "emulates".
+  const INDICATORS = {
+    F: [
+      'emulated', 'sought after', 'expert', 'beyond unit', 'beyond the unit', 'peerless', 'far surpass',
+      'immeasurable', 'uncommon', 'seldom matched', 'widely recognized', 'innovative', 'exceptional',
+      'significant gains', 'forward thinking', 'across the command', 'higher headquarters', 'division-wide',
+      'corps-wide', 'benchmark', 'best practice', 'adopted by'
+    ],
+    D: [
+      'consistently', 'measurably', 'mastery', 'improved', 'effective', 'self-starter', 'habitually',
+      'exceeded', 'proactive', 'anticipates', 'enhance', 'mentor', 'initiative', 'without prompting',
+      'clearly articulates'
+    ],
+    B: [
+      'meets requirements', 'meets expectations', 'meets standards', 'adequate',
+      'commensurate with grade', 'basic', 'status quo', 'competent', 'satisfactory', 'requires supervision',
+      'with supervision', 'with guidance', 'willing', 'acceptable', 'when directed', 'as required', 'routine'
+    ]
+  };
+  const INDICATOR_WEIGHT = 1.5;
+  const PHRASE_WEIGHT = 2;
+
+  const STOP_WORDS = new Set(('a an and are as at be been by for from has have in is it its of on or that the their '
+    + 'this to was were which with who all any his her he she they them than then there these those into '
+    + 'also not no so such very more most other others marine marines mro').split(' '));
+
+  function stem(word) {
+    return word
+      .replace(/(?:ies)$/, 'y')
+      .replace(/(?:ing|edly|ed|ly|es|s)$/, '')
+      .replace(/e$/, '');
+  }
+
+  /**
+   * Content words, lowercased and lightly stemmed.
+   * @param {string} text - Any text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z][a-z-]*/g) || [])
+      .flatMap(w => w.split('-'))
+      .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+      .map(stem);
+  }
+
+  function bigrams(tokens) {
+    const out = new Set();
+    for (let i = 0; i < tokens.length - 1; i++) out.add(`${tokens[i]} ${tokens[i + 1]}`);
+    return out;
+  }
+
+  function containsPhrase(tokens, phrase) {
+    const p = tokenize(phrase);
+    if (!p.length) return false;
+    for (let i = 0; i + p.length <= tokens.length; i++) {
+      if (p.every((w, j) => tokens[i + j] === w)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Evidence for each descriptor level in a justification.
+   * @param {string} justification - Evaluator's text
+   * @param {{B?: string, D?: string, F?: string}} descriptions - Trait gradeDescriptions
+   * @returns {{scores: {B: number, D: number, F: number}, matched: {B: string[], D: string[], F: string[]}}}
+   *   `matched` lists indicator terms, shared phrases and shared words per level
+   */
+  function score(justification, descriptions) {
+    const tokens = tokenize(justification);
+    const words = new Set(tokens);
+    const pairs = bigrams(tokens);
+    const d = descriptions || {};
+
+    // Words every descriptor shares say nothing about the level
+    const perLevel = ANCHORS.map(g => new Set(tokenize(d[g])));
+    const common = new Set([...perLevel[0]].filter(w => perLevel.every(s => s.has(w))));
+
+    const scores = {};
+    const matched = {};
+    ANCHORS.forEach((g, i) => {
+      const wordHits = [...perLevel[i]].filter(w => !common.has(w) && words.has(w));
+      const phraseHits = [...bigrams(tokenize(d[g]))].filter(p => pairs.has(p));
+      const indicatorHits = INDICATORS[g].filter(term => containsPhrase(tokens, term));
+      scores[g] = wordHits.length + PHRASE_WEIGHT * phraseHits.length + INDICATOR_WEIGHT * indicatorHits.length;
+      // Most telling first; a stemmed phrase already shown as an indicator is dropped
+      const seen = new Set();
+      matched[g] = [...indicatorHits, ...phraseHits, ...wordHits].filter(term => {
+        const key = tokenize(term).join(' ');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    });
+    return { scores, matched };
+  }
+
+  /**
+   * Mark the justification supports: the evidence-weighted position between
+   * the B, D and F descriptors.
+   * @param {string} justification - Evaluator's text
+   * @param {Object} descriptions - Trait gradeDescriptions
+   * @returns {{grade: (string|null), gradeNumber: (number|null), signal: number, scores: Object, matched: Object}}
+   *   grade is null when the text carries too little evidence
+   */
+  function estimate(justification, descriptions) {
+    const { scores, matched } = score(justification, descriptions);
+    const signal = ANCHORS.reduce((n, g) => n + scores[g], 0);
+    if (signal < MIN_SIGNAL) return { grade: null, gradeNumber: null, signal, scores, matched };
+    const weighted = ANCHORS.reduce((n, g) => n + GRADE_NUMBERS[g] * scores[g], 0) / signal;
+    const gradeNumber = Math.round(weighted * 10) / 10;
+    return { grade: LETTERS[Math.round(weighted) - 1], gradeNumber, signal, scores, matched };
+  }
+
+  /**
+   * Compare a marked trait with what its justification supports.
+   * @param {{grade: string, gradeNumber?: number, justification: string}} result - Trait result
+   * @param {Object} descriptions - Trait gradeDescriptions
+   * @param {{tolerance?: number}} [options] - Grade steps allowed between mark and estimate
+   * @returns {{marked: string, supported: (string|null), supportedNumber: (number|null), gap: (number|null),
+   *   mismatch: boolean, direction: (string|null), evidence: string[]}}
+   *   direction is 'over' when the mark is higher than the text supports, 'under' when lower
+   */
+  function check(result, descriptions, options) {
+    const r = result || {};
+    const tolerance = options?.tolerance ?? DEFAULT_TOLERANCE;
+    const marked = String(r.grade || '').toUpperCase();
+    const markedNumber = Number(r.gradeNumber) || GRADE_NUMBERS[marked] || null;
+    const est = estimate(r.justification, descriptions);
+    const out = {
+      marked,
+      supported: est.grade,
+      supportedNumber: est.gradeNumber,
+      gap: null,
+      mismatch: false,
+      direction: null,
+      evidence: []
+    };
+    if (est.grade === null || markedNumber === null) return out;
+
+    out.gap = Math.round((markedNumber - est.gradeNumber) * 10) / 10;
+    out.mismatch = Math.abs(out.gap) >= tolerance;
+    if (out.mismatch) {
+      out.direction = out.gap > 0 ? 'over' : 'under';
+      // The evidence behind the estimate: the level it lands nearest
+      const nearest = ANCHORS.reduce((best, g) =>
+        Math.abs(GRADE_NUMBERS[g] - est.gradeNumber) < Math.abs(GRADE_NUMBERS[best] - est.gradeNumber) ? g : best);
+      out.evidence = est.matched[nearest].slice(0, 5);
+    }
+    return out;
+  }
+
+  return {
+    INDICATORS,
+    DEFAULT_TOLERANCE,
+    tokenize,
+    score,
+    estimate,
+    check
+  };
+});
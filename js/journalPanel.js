@@ -0,0 +1,299 @@
+// Accomplishment Journal Functions
+// Lets the RS jot down dated accomplishments per Marine during the period,
+// tagged to FITREP traits, then surfaces the entries inside the reporting
+// period in the justification modal and hands them to Section I generation.
+let accomplishmentJournal = null;
+let accomplishmentJournalLoading = null;
+let journalEditId = null;
+
+function journalRoute() {
+    return (window.CONSTANTS && window.CONSTANTS.ROUTES && window.CONSTANTS.ROUTES.API && window.CONSTANTS.ROUTES.API.JOURNAL) || '/api/journal';
+}
+
+async function loadAccomplishmentJournal(force) {
+    if (accomplishmentJournal && !force) return accomplishmentJournal;
+    if (accomplishmentJournalLoading) return accomplishmentJournalLoading;
+    accomplishmentJournalLoading = (async () => {
+        try {
+            const { ok, data } = await window.apiRequest(journalRoute());
+            if (!ok) throw new Error(data?.error || 'Failed to load accomplishment journal');
+            accomplishmentJournal = Array.isArray(data.entries) ? data.entries : [];
+        } finally {
+            accomplishmentJournalLoading = null;
+        }
+        return accomplishmentJournal;
+    })();
+    return accomplishmentJournalLoading;
+}
+
+// Same Marine and period as the counseling log (js/counselingPanel.js)
+function journalContext() {
+    return typeof counselingContext === 'function' ? counselingContext() : {};
+}
+
+function journalEntriesInPeriod() {
+    if (!window.AccomplishmentJournal || !accomplishmentJournal) return [];
+    const ctx = journalContext();
+    if (!ctx.marineName) return [];
+    return window.AccomplishmentJournal.forPeriod(accomplishmentJournal, ctx);
+}
+
+/**
+ * Fetch the journal when a new evaluation starts so its entries are ready for
+ * the justification modal, and tell the RS how many fall inside the period.
+ */
+async function prefetchAccomplishmentJournal() {
+    if (!window.AccomplishmentJournal || !window.currentProfile || typeof window.apiRequest !== 'function') return;
+    try {
+        await loadAccomplishmentJournal(true);
+    } catch (err) {
+        console.warn('Accomplishment journal load error:', err);
+        return;
+    }
+    const count = journalEntriesInPeriod().length;
+    if (count) {
+        showToast(`${count} journal entr${count === 1 ? 'y' : 'ies'} on this Marine fall inside the period.`, 'info');
+    }
+}
+
+function journalTraitLabels() {
+    if (typeof firepData === 'undefined' || !window.AccomplishmentJournal) return {};
+    const labels = {};
+    window.AccomplishmentJournal.traitKeys(firepData).forEach(t => { labels[t.key] = t.name; });
+    return labels;
+}
+
+function renderJournalEntry(e, actions, labels) {
+    const names = labels || journalTraitLabels();
+    const tags = (e.traits || []).map(t => `<span class="bullet-tag">${escapeHtml(names[t] || t)}</span>`).join(' ');
+    const link = e.link
+        ? ` · <a href="${escapeHtml(e.link)}" target="_blank" rel="noopener noreferrer">link</a>`
+        : '';
+    return `
+        <div class="journal-entry">
+            <div class="counseling-meta"><strong>${escapeHtml(e.date)}</strong>${link} ${tags}</div>
+            <div class="journal-text">${escapeHtml(e.text)}</div>
+            ${e.attachment ? `<div class="journal-attachment">📎 ${escapeHtml(e.attachment)}</div>` : ''}
+            ${actions || ''}
+        </div>`;
+}
+
+// ===== Justification modal: entries for the trait being marked =====
+
+function resetJournalForTrait() {
+    const box = document.getElementById('journalForTrait');
+    if (box) {
+        box.style.display = 'none';
+        box.innerHTML = '';
+    }
+}
+
+async function showJournalForTrait() {
+    const box = document.getElementById('journalForTrait');
+    if (!box || !window.AccomplishmentJournal || !canUseCounselingLog()) return;
+    const trait = window.Evaluation?.state?.pendingEvaluation?.trait;
+    if (!trait || !journalContext().marineName) return;
+    try {
+        await loadAccomplishmentJournal();
+    } catch (err) {
+        console.warn('Accomplishment journal load error:', err);
+        return;
+    }
+    const entries = window.AccomplishmentJournal.byTrait(journalEntriesInPeriod())[`${trait.sectionKey}_${trait.traitKey}`] || [];
+    if (!entries.length) return;
+    const labels = journalTraitLabels();
+    box.innerHTML = `
+        <div class="counseling-heading">📓 Journal entries on ${escapeHtml(trait.name)} this period</div>
+        ${entries.map(e => renderJournalEntry(e, `
+            <div class="bullet-actions">
+                <button type="button" class="tool-btn" data-journal-insert="${escapeHtml(e.id)}">Insert</button>
+            </div>`, labels)).join('')}`;
+    box.querySelectorAll('[data-journal-insert]').forEach(el => {
+        el.addEventListener('click', () => insertJournalEntry(el.getAttribute('data-journal-insert')));
+    });
+    box.style.display = 'block';
+}
+
+function insertJournalEntry(entryId) {
+    const entry = (accomplishmentJournal || []).find(e => e.id === entryId);
+    const textarea = document.getElementById('justificationText');
+    if (!entry || !textarea || !window.BulletLibrary) return;
+    textarea.value = window.BulletLibrary.insertInto(textarea.value, entry.text);
+    updateWordCount();
+    textarea.focus();
+}
+
+// ===== Section I =====
+
+/**
+ * Journal entries inside the period as Section I accomplishment candidates.
+ * Uses the journal already loaded when the evaluation started.
+ * @returns {Object<string, string[]>} Trait key -> entry texts
+ */
+function getJournalCandidates() {
+    if (!window.AccomplishmentJournal) return {};
+    return window.AccomplishmentJournal.candidates(journalEntriesInPeriod());
+}
+
+// ===== Dashboard: the journal =====
+
+async function showAccomplishmentJournal() {
+    if (!window.AccomplishmentJournal) return;
+    if (!canUseCounselingLog()) {
+        showToast('Log in to your RS profile to use the accomplishment journal.', 'info');
+        return;
+    }
+    const marines = window.MarineHistory ? window.MarineHistory.groupByMarine(profileEvaluations) : [];
+    const traits = typeof firepData === 'undefined' ? [] : window.AccomplishmentJournal.traitKeys(firepData);
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Accomplishment Journal</div>
+                <div class="panel-meta"><span>Dated accomplishments per Marine, tagged to traits</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <form class="counseling-form" id="journalForm">
+                <div class="counseling-form-row">
+                    <label>Marine <input class="form-input" id="journalMarine" list="journalMarineList" required></label>
+                    <datalist id="journalMarineList">${marines.map(m => `<option value="${escapeHtml(m.name)}"></option>`).join('')}</datalist>
+                    <label>Date <input class="form-input" type="date" id="journalDate" required></label>
+                </div>
+                <label>Accomplishment <textarea class="form-input" id="journalText" rows="3" maxlength="${window.AccomplishmentJournal.MAX_TEXT}"></textarea></label>
+                <label>Traits <select class="form-input" id="journalTraits" multiple size="5">
+                    ${traits.map(t => `<option value="${escapeHtml(t.key)}">${escapeHtml(`${t.section} — ${t.name}`)}</option>`).join('')}
+                </select></label>
+                <div class="counseling-form-row">
+                    <label>Link <input class="form-input" type="url" id="journalLink" placeholder="https://"></label>
+                    <label>Attachment <input class="form-input" id="journalAttachment" placeholder="e.g. NAM citation, range scorecard"></label>
+                </div>
+                <div class="calibration-actions">
+                    <button type="button" class="btn btn-secondary" id="journalCancelBtn">Clear</button>
+                    <button type="submit" class="btn btn-primary" id="journalSaveBtn">Add Entry</button>
+                </div>
+            </form>
+            <div class="counseling-filter-row">
+                <input type="search" class="form-input" id="journalFilter" placeholder="Filter by Marine" aria-label="Filter journal by Marine">
+            </div>
+            <div id="journalList" aria-live="polite"><div class="bullet-empty">Loading…</div></div>
+        </div>`);
+    if (!panel) return;
+    journalEditId = null;
+    panel.querySelector('#journalForm').addEventListener('submit', e => {
+        e.preventDefault();
+        saveJournalEntry();
+    });
+    panel.querySelector('#journalCancelBtn').addEventListener('click', () => fillJournalForm(null));
+    panel.querySelector('#journalFilter').addEventListener('input', renderJournalList);
+    const ctx = journalContext();
+    if (ctx.marineName) panel.querySelector('#journalMarine').value = ctx.marineName;
+    try {
+        await loadAccomplishmentJournal(true);
+        renderJournalList();
+    } catch (err) {
+        console.error('Accomplishment journal load error:', err);
+        panel.querySelector('#journalList').innerHTML =
+            `<div class="bullet-empty">${escapeHtml(err.message || 'Failed to load accomplishment journal')}</div>`;
+    }
+}
+
+function renderJournalList() {
+    const container = document.getElementById('journalList');
+    if (!container || !accomplishmentJournal) return;
+    const filter = document.getElementById('journalFilter')?.value.trim().toLowerCase() || '';
+    const entries = accomplishmentJournal
+        .filter(e => !filter || String(e.marineName || '').toLowerCase().includes(filter))
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+    if (!entries.length) {
+        container.innerHTML = `<div class="bullet-empty">${accomplishmentJournal.length ? 'No matching entries.' : 'No journal entries yet.'}</div>`;
+        return;
+    }
+    const labels = journalTraitLabels();
+    container.innerHTML = entries.map(e => `
+        <div class="counseling-marine">${escapeHtml(e.marineName)}</div>
+        ${renderJournalEntry(e, `
+            <div class="bullet-actions">
+                <button type="button" class="tool-btn" data-journal-edit="${escapeHtml(e.id)}">Edit</button>
+                <button type="button" class="tool-btn" data-journal-delete="${escapeHtml(e.id)}" aria-label="Delete entry">🗑️</button>
+            </div>`, labels)}`).join('');
+    container.querySelectorAll('[data-journal-edit]').forEach(el => {
+        el.addEventListener('click', () => fillJournalForm(accomplishmentJournal.find(e => e.id === el.getAttribute('data-journal-edit'))));
+    });
+    container.querySelectorAll('[data-journal-delete]').forEach(el => {
+        el.addEventListener('click', () => deleteJournalEntry(el.getAttribute('data-journal-delete')));
+    });
+}
+
+function fillJournalForm(entry) {
+    const e = entry || {};
+    journalEditId = entry ? entry.id : null;
+    const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = v || ''; };
+    set('journalMarine', e.marineName);
+    set('journalDate', e.date);
+    set('journalText', e.text);
+    set('journalLink', e.link);
+    set('journalAttachment', e.attachment);
+    const traits = document.getElementById('journalTraits');
+    if (traits) [...traits.options].forEach(o => { o.selected = (e.traits || []).includes(o.value); });
+    const btn = document.getElementById('journalSaveBtn');
+    if (btn) btn.textContent = entry ? 'Update Entry' : 'Add Entry';
+    document.getElementById('journalMarine')?.focus();
+}
+
+function readJournalForm() {
+    const val = id => document.getElementById(id)?.value || '';
+    const marineName = val('journalMarine').trim();
+    // Key the entry to the Marine on the profile so renames and EDIPIs match
+    const marine = window.MarineHistory ? window.MarineHistory.findMarine(profileEvaluations, { name: marineName }) : null;
+    const marineKey = marine?.key || (window.MarineHistory ? window.MarineHistory.marineKey({ name: marineName }) : '');
+    return {
+        marineName,
+        marineKey,
+        date: val('journalDate'),
+        text: val('journalText'),
+        traits: [...(document.getElementById('journalTraits')?.selectedOptions || [])].map(o => o.value),
+        link: val('journalLink'),
+        attachment: val('journalAttachment')
+    };
+}
+
+async function saveJournalEntry() {
+    const known = typeof firepData === 'undefined' ? undefined : window.AccomplishmentJournal.traitKeys(firepData).map(t => t.key);
+    const check = window.AccomplishmentJournal.validate(readJournalForm(), { traitKeys: known });
+    if (!check.valid) {
+        alert(check.errors.join('\n'));
+        return;
+    }
+    const editing = journalEditId;
+    try {
+        const path = editing ? `${journalRoute()}/${encodeURIComponent(editing)}` : journalRoute();
+        const { ok, data } = await window.apiRequest(path, { method: editing ? 'PUT' : 'POST', body: check.value });
+        if (!ok) throw new Error(data?.error || 'Failed to save journal entry');
+        accomplishmentJournal = editing
+            ? (accomplishmentJournal || []).map(e => (e.id === editing ? data.entry : e))
+            : [data.entry, ...(accomplishmentJournal || [])];
+        showToast(editing ? 'Journal entry updated' : 'Journal entry added', 'success');
+        fillJournalForm(null);
+        renderJournalList();
+    } catch (err) {
+        console.error('Save journal error:', err);
+        showToast(err.message || 'Failed to save journal entry', 'error');
+    }
+}
+
+async function deleteJournalEntry(entryId) {
+    if (!confirm('Delete this journal entry?')) return;
+    try {
+        const { ok, data } = await window.apiRequest(`${journalRoute()}/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+        if (!ok) throw new Error(data?.error || 'Failed to delete journal entry');
+        accomplishmentJournal = (accomplishmentJournal || []).filter(e => e.id !== entryId);
+        if (journalEditId === entryId) fillJournalForm(null);
+        renderJournalList();
+    } catch (err) {
+        console.error('Delete journal error:', err);
+        showToast(err.message || 'Failed to delete journal entry', 'error');
+    }
+}
@@ -0,0 +1,234 @@
+// UMD module: comment language linter — flags what MCO 1610.7 keeps out of
+// fitness report comments (prohibited topics, first-person RS references,
+// informal abbreviations) and what boards discount (superlatives, inflated
+// adjectives) in Section I, Section C and trait justifications. Rules are
+// plain data so a command can tighten or relax them with createRules().
+// Feeds validateEvaluation() / displayValidationWarnings() in js/validation.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LanguageLint = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const FIELDS = {
+    sectionI: 'Section I comments',
+    billetAccomplishments: 'Section C billet accomplishments',
+    justification: 'Justification'
+  };
+
+  const SEVERITY = { prohibited: 'error', firstPerson: 'warning', superlative: 'warning', inflated: 'warning', abbreviation: 'info' };
+
+  const DEFAULT_RULES = {
+    // Topics that may not be referenced in comments. `ambiguous` words also
+    // have an ordinary meaning ("5K race") and are flagged as warnings only.
+    prohibited: [
+      { id: 'race', label: 'race, color or national origin', pattern: /\b(?:racial|ethnicity|ethnic|skin colou?r|national origin|nationality|immigrant)\b/i, ambiguous: /\brace\b/i },
+      { id: 'religion', label: 'religion', pattern: /\b(?:religion|religious|church|mosque|synagogue|christian|muslim|jewish|hindu|buddhist|atheist|faith-based)\b/i, ambiguous: /\btemple\b/i },
+      { id: 'sex', label: 'sex, gender or sexual orientation', pattern: /\b(?:gender|sexual orientation|gay|lesbian|bisexual|transgender|female marine|male marine)\b/i },
+      { id: 'pregnancy', label: 'pregnancy or parenthood status', pattern: /\b(?:pregnan\w*|maternity|paternity|postpartum)\b/i },
+      { id: 'medical', label: 'medical or mental health conditions', pattern: /\b(?:medical condition|diagnos\w*|injur(?:y|ies)|surgery|illness|disease|disability|limited duty|LIMDU|PTSD|depression|anxiety|mental health|hospitali[sz]ed)\b/i, ambiguous: /\binjured\b/i },
+      { id: 'family', label: 'marital or family status', pattern: /\b(?:married|marriage|divorc\w*|spouse|wife|husband|single parent|custody)\b/i },
+      { id: 'past-reports', label: 'previous fitness reports', pattern: /\b(?:previous|prior|last|past|earlier) (?:fitness )?reports?\b|\b(?:previous|prior) (?:RS|reporting senior)\b|\bfitreps?\b/i },
+      { id: 'politics', label: 'political affiliation', pattern: /\b(?:democrat\w*|republican|political (?:party|affiliation|views))\b/i }
+    ],
+    // Superlatives allowed per field before each one is flagged
+    superlatives: {
+      pattern: /\b(?:best|finest|greatest|strongest|brightest|smartest|most (?:talented|capable|gifted|professional|competent|effective)|top (?:Marine|performer|NCO|SNCO|officer)|number one|second to none|unmatched|unparalleled|unrivaled|peerless)\b|#1\b/gi,
+      max: { sectionI: 2, billetAccomplishments: 0, justification: 1 }
+    },
+    inflated: /\b(?:amazing|incredible|phenomenal|unbelievable|awesome|legendary|flawless(?:ly)?|perfect(?:ly)?|extraordinary|superhuman|epic|godlike|unstoppable)\b/gi,
+    // The RS writes about MRO in the third person; the promotion
+    // recommendation is the one accepted first-person phrase
+    firstPerson: {
+      pattern: /\b(?:I|[Mm]e|[Mm]y|[Mm]ine|[Mm]yself|[Ww]e|us|[Oo]urs?)\b/g,
+      allow: [/\bmy (?:highest|strongest|unqualified|unequivocal) recommendation\b/i, /\bSection I\b/, /\bI MEF\b/]
+    },
+    // Shorthand that must be written out
+    abbreviations: {
+      'w/': 'with',
+      'w/o': 'without',
+      'b/c': 'because',
+      'SNM': 'MRO',
+      'approx': 'approximately',
+      'mgmt': 'management',
+      'trng': 'training',
+      'govt': 'government',
+      'msn': 'mission',
+      'ldr': 'leader',
+      'ldrshp': 'leadership',
+      'resp': 'responsibility',
+      'b/n': 'between'
+    }
+  };
+
+  /**
+   * Rule set with overrides applied. `prohibited` topics are added to the
+   * defaults (list default ids in `disabledTopics` to drop them),
+   * `abbreviations` and `superlatives.max` are merged (an abbreviation set to
+   * null is dropped); everything else replaces the default.
+   * @param {Object} [overrides] - Partial rule set
+   * @returns {Object} Rules for lint()
+   */
+  function createRules(overrides) {
+    const o = overrides || {};
+    const prohibited = DEFAULT_RULES.prohibited
+      .filter(r => !(o.disabledTopics || []).includes(r.id))
+      .concat(o.prohibited || []);
+    const abbreviations = { ...DEFAULT_RULES.abbreviations, ...(o.abbreviations || {}) };
+    Object.keys(abbreviations).forEach(k => { if (abbreviations[k] === null) delete abbreviations[k]; });
+    return {
+      prohibited,
+      superlatives: {
+        pattern: o.superlatives?.pattern || DEFAULT_RULES.superlatives.pattern,
+        max: { ...DEFAULT_RULES.superlatives.max, ...(o.superlatives?.max || {}) }
+      },
+      inflated: o.inflated || DEFAULT_RULES.inflated,
+      firstPerson: o.firstPerson || DEFAULT_RULES.firstPerson,
+      abbreviations
+    };
+  }
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  function allMatches(pattern, text) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    const re = new RegExp(pattern.source, flags);
+    const out = [];
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (!m[0]) { re.lastIndex++; continue; }
+      out.push({ start: m.index, end: m.index + m[0].length, match: m[0] });
+    }
+    return out;
+  }
+
+  function finding(category, m, message, recommendation, type) {
+    return { category, type: type || SEVERITY[category], start: m.start, end: m.end, match: m.match, message, recommendation };
+  }
+
+  /**
+   * Lint one block of text.
+   * @param {string} text - Comment text
+   * @param {{field?: string, rules?: Object}} [options] - `field` is a FIELDS key
+   *   (selects the superlative allowance; defaults to justification)
+   * @returns {Array<{category: string, type: string, start: number, end: number, match: string,
+   *   message: string, recommendation: string}>} Findings in text order
+   */
+  function lint(text, options) {
+    const o = options || {};
+    const rules = o.rules || createRules();
+    const field = FIELDS[o.field] ? o.field : 'justification';
+    const s = String(text || '');
+    const out = [];
+    if (!s.trim()) return out;
+
+    rules.prohibited.forEach(rule => {
+      allMatches(rule.pattern, s).forEach(m => out.push(finding('prohibited', m,
+        `References ${rule.label} ("${m.match}").`,
+        `Comments may not reference ${rule.label}. Remove it.`)));
+      if (rule.ambiguous) {
+        allMatches(rule.ambiguous, s).forEach(m => out.push(finding('prohibited', m,
+          `May reference ${rule.label} ("${m.match}").`,
+          `If this refers to ${rule.label}, remove it; comments may not reference it.`, 'warning')));
+      }
+    });
+
+    const allowed = (rules.firstPerson.allow || []).flatMap(p => allMatches(p, s));
+    allMatches(rules.firstPerson.pattern, s)
+      .filter(m => !allowed.some(a => m.start >= a.start && m.end <= a.end))
+      .forEach(m => out.push(finding('firstPerson', m,
+        `First-person reference "${m.match}".`,
+        'Write about MRO in the third person; keep "I"/"my" to the promotion recommendation.')));
+
+    const superlatives = allMatches(rules.superlatives.pattern, s);
+    const max = rules.superlatives.max[field] ?? 0;
+    if (superlatives.length > max) {
+      superlatives.forEach(m => out.push(finding('superlative', m,
+        `Superlative "${m.match}" (${superlatives.length} in this text, ${max} allowed).`,
+        'Let quantified results carry the comment; boards discount unsupported superlatives.')));
+    }
+
+    allMatches(rules.inflated, s).forEach(m => out.push(finding('inflated', m,
+      `Inflated adjective "${m.match}".`,
+      'Replace with a specific, measurable result.')));
+
+    // Longest first, so "w/o" is not also reported as "w/". All-caps
+    // abbreviations are case-sensitive; shorthand matches any case.
+    const taken = [];
+    Object.keys(rules.abbreviations).sort((a, b) => b.length - a.length).forEach(abbr => {
+      const source = `${/^\w/.test(abbr) ? '\\b' : ''}(?<![\\w/])${escapeRegExp(abbr)}${/\w$/.test(abbr) ? '\\b' : ''}`;
+      const pattern = new RegExp(source, /[A-Z]/.test(abbr) && abbr === abbr.toUpperCase() ? 'g' : 'gi');
+      allMatches(pattern, s)
+        .filter(m => !taken.some(t => m.start < t.end && m.end > t.start))
+        .forEach(m => {
+          taken.push(m);
+          out.push(finding('abbreviation', m, `Abbreviation "${m.match}".`, `Write out "${rules.abbreviations[abbr]}".`));
+        });
+    });
+
+    return out.sort((a, b) => a.start - b.start || b.end - a.end);
+  }
+
+  function escapeHtml(s) {
+    return String(s)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Text as escaped HTML with findings wrapped in
+   * <mark class="lint-mark lint-CATEGORY">. Overlapping findings keep the
+   * first (outermost) one.
+   * @param {string} text - Linted text
+   * @param {Object[]} findings - From lint()
+   * @returns {string} HTML
+   */
+  function highlight(text, findings) {
+    const s = String(text || '');
+    let html = '';
+    let pos = 0;
+    (findings || []).slice().sort((a, b) => a.start - b.start || b.end - a.end).forEach(f => {
+      if (f.start < pos) return;
+      html += escapeHtml(s.slice(pos, f.start));
+      html += `<mark class="lint-mark lint-${f.category}" title="${escapeHtml(f.message)}">${escapeHtml(s.slice(f.start, f.end))}</mark>`;
+      pos = f.end;
+    });
+    return html + escapeHtml(s.slice(pos));
+  }
+
+  /**
+   * Lint Section I, Section C and every trait justification of an evaluation.
+   * @param {{sectionIComments?: string, billetAccomplishments?: string,
+   *   traits?: Array<{trait: string, justification: string}>}} evaluation
+   * @param {Object} [rules] - From createRules()
+   * @returns {Array<{field: string, label: string, text: string, findings: Object[]}>} Blocks with findings
+   */
+  function lintEvaluation(evaluation, rules) {
+    const ev = evaluation || {};
+    const blocks = [
+      { field: 'sectionI', label: FIELDS.sectionI, text: ev.sectionIComments },
+      { field: 'billetAccomplishments', label: FIELDS.billetAccomplishments, text: ev.billetAccomplishments }
+    ];
+    (ev.traits || []).forEach(t => {
+      blocks.push({ field: 'justification', label: `${t.trait} justification`, text: t.justification });
+    });
+    return blocks
+      .map(b => ({ ...b, text: String(b.text || ''), findings: lint(b.text, { field: b.field, rules }) }))
+      .filter(b => b.findings.length);
+  }
+
+  return {
+    FIELDS,
+    DEFAULT_RULES,
+    createRules,
+    lint,
+    highlight,
+    lintEvaluation
+  };
+});
@@ -0,0 +1,248 @@
+// UMD module: Marine entity and report timeline — ties together every report
+// an RS has written on the same Marine (by EDIPI, or by name with a generated
+// ID) for the profile timeline view and "continue from last report".
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MarineHistory = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const GRADE_NUMBERS = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
+
+  /**
+   * Normalize a Marine's name for matching ("Doe, John A." → "doe john a").
+   * @param {string} name - Name as entered
+   * @returns {string}
+   */
+  function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function normalizeEdipi(edipi) {
+    const digits = String(edipi || '').replace(/\D/g, '');
+    return digits.length === 10 ? digits : '';
+  }
+
+  // FNV-1a: small, stable hash so every client derives the same ID offline
+  function hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Stable Marine key: a stored marineId wins, then the EDIPI, then an ID
+   * generated from the normalized name.
+   * @param {Object} marineInfo - { marineId?, edipi?, name? }
+   * @returns {string} Key, or '' when nothing identifies the Marine
+   */
+  function marineKey(marineInfo) {
+    const m = marineInfo || {};
+    if (m.marineId) return String(m.marineId);
+    const edipi = normalizeEdipi(m.edipi);
+    if (edipi) return `edipi-${edipi}`;
+    const name = normalizeName(m.name);
+    return name ? `mrn-${hash(name)}` : '';
+  }
+
+  function endDate(ev) {
+    return String(ev?.marineInfo?.evaluationPeriod?.to || ev?.completedDate || '').slice(0, 10);
+  }
+
+  function byEndDate(a, b) {
+    return endDate(a).localeCompare(endDate(b));
+  }
+
+  /**
+   * Group saved evaluations into Marine entities. Reports without an EDIPI
+   * join the EDIPI-keyed Marine of the same name when exactly one exists.
+   * @param {Object[]} evals - Saved evaluations
+   * @returns {Array<{key: string, name: string, rank: string, edipi: string, evaluations: Object[], last: Object}>}
+   *   Sorted by name; each Marine's evaluations are oldest first
+   */
+  function groupByMarine(evals) {
+    const groups = new Map();
+    const nameToKeys = new Map();
+    const pending = [];
+
+    const add = (key, ev) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(ev);
+      const name = normalizeName(ev.marineInfo?.name);
+      if (!name) return;
+      if (!nameToKeys.has(name)) nameToKeys.set(name, new Set());
+      nameToKeys.get(name).add(key);
+    };
+
+    // A stored marineId also claims its EDIPI, so older reports keyed only by
+    // EDIPI land in the same entity
+    const edipiToId = new Map();
+    (evals || []).forEach(ev => {
+      const m = ev?.marineInfo || {};
+      const edipi = normalizeEdipi(m.edipi);
+      if (m.marineId && edipi && !edipiToId.has(edipi)) edipiToId.set(edipi, String(m.marineId));
+    });
+
+    (evals || []).forEach(ev => {
+      const m = ev?.marineInfo || {};
+      const edipi = normalizeEdipi(m.edipi);
+      if (m.marineId) add(String(m.marineId), ev);
+      else if (edipi) add(edipiToId.get(edipi) || marineKey(m), ev);
+      else pending.push(ev);
+    });
+    pending.forEach(ev => {
+      const keys = nameToKeys.get(normalizeName(ev.marineInfo?.name));
+      const key = keys && keys.size === 1 ? [...keys][0] : marineKey(ev.marineInfo);
+      if (key) add(key, ev);
+    });
+
+    return [...groups.entries()]
+      .map(([key, list]) => {
+        const evaluations = [...list].sort(byEndDate);
+        const last = evaluations[evaluations.length - 1];
+        const withEdipi = evaluations.filter(e => normalizeEdipi(e.marineInfo?.edipi));
+        return {
+          key,
+          name: last.marineInfo?.name || '',
+          rank: last.marineInfo?.rank || '',
+          edipi: withEdipi.length ? normalizeEdipi(withEdipi[withEdipi.length - 1].marineInfo.edipi) : '',
+          evaluations,
+          last
+        };
+      })
+      .sort((a, b) => normalizeName(a.name).localeCompare(normalizeName(b.name)));
+  }
+
+  /**
+   * Find the Marine entity matching what is typed on the setup screen.
+   * An EDIPI match wins; otherwise the normalized name must match and the
+   * entity must not carry a different EDIPI.
+   * @param {Object[]} evals - Saved evaluations
+   * @param {{name?: string, edipi?: string}} query
+   * @returns {Object|null} Entity from groupByMarine
+   */
+  function findMarine(evals, query) {
+    const q = query || {};
+    const edipi = normalizeEdipi(q.edipi);
+    const name = normalizeName(q.name);
+    const marines = groupByMarine(evals);
+    if (edipi) {
+      const hit = marines.find(m => m.edipi === edipi);
+      if (hit) return hit;
+    }
+    if (!name) return null;
+    return marines.find(m =>
+      (!edipi || !m.edipi) && m.evaluations.some(e => normalizeName(e.marineInfo?.name) === name)
+    ) || null;
+  }
+
+  /**
+   * Trait grades of one report keyed by trait name. Accepts the keyed object
+   * saved locally and the array returned by Supabase.
+   * @param {Object} ev - Evaluation
+   * @returns {Object<string, {grade: string, gradeNumber: number}>}
+   */
+  function traitGrades(ev) {
+    const raw = ev?.traitEvaluations || {};
+    const items = Array.isArray(raw) ? raw : Object.values(raw);
+    const out = {};
+    items.forEach(t => {
+      if (!t || !t.trait || !t.grade) return;
+      const grade = String(t.grade).toUpperCase();
+      out[t.trait] = { grade, gradeNumber: Number(t.gradeNumber) || GRADE_NUMBERS[grade] || 0 };
+    });
+    return out;
+  }
+
+  /**
+   * Timeline entries for one Marine, oldest first.
+   * @param {Object[]} evals - The Marine's evaluations
+   * @param {Map<string, number|string>} [rvMap] - evaluationId → RV (optional)
+   * @returns {Array<{evaluationId: string, occasion: string, rank: string, from: string, to: string,
+   *   average: number|null, rv: number|string|null, grades: Object, directedComments: string}>}
+   */
+  function timeline(evals, rvMap) {
+    return [...(evals || [])].sort(byEndDate).map(ev => {
+      const avg = parseFloat(ev.fitrepAverage);
+      const period = ev.marineInfo?.evaluationPeriod || {};
+      return {
+        evaluationId: ev.evaluationId,
+        occasion: ev.occasion || '',
+        rank: ev.marineInfo?.rank || '',
+        from: period.from || '',
+        to: period.to || '',
+        average: Number.isFinite(avg) ? avg : null,
+        rv: rvMap && rvMap.has(ev.evaluationId) ? rvMap.get(ev.evaluationId) : null,
+        grades: traitGrades(ev),
+        directedComments: ev.directedComments || ''
+      };
+    });
+  }
+
+  /**
+   * Per-trait grade series across a timeline, in first-seen trait order.
+   * `change` compares the latest mark with the previous one (null if fewer than two).
+   * @param {Object[]} entries - From timeline()
+   * @returns {Array<{trait: string, grades: Array<string|null>, change: number|null}>}
+   */
+  function traitTrends(entries) {
+    const traits = [];
+    (entries || []).forEach(e => Object.keys(e.grades || {}).forEach(t => {
+      if (!traits.includes(t)) traits.push(t);
+    }));
+    return traits.map(trait => {
+      const series = entries.map(e => e.grades[trait] || null);
+      const marked = series.filter(Boolean);
+      const change = marked.length >= 2
+        ? marked[marked.length - 1].gradeNumber - marked[marked.length - 2].gradeNumber
+        : null;
+      return { trait, grades: series.map(g => (g ? g.grade : null)), change };
+    });
+  }
+
+  /**
+   * Day after an ISO date (the next report's period normally starts there).
+   * @param {string} isoDate - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD, or '' when the date is invalid
+   */
+  function nextDay(isoDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate || ''));
+    if (!m) return '';
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + 1));
+    return d.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Setup values carried forward from the Marine's last report.
+   * @param {Object} last - Most recent evaluation on the Marine
+   * @returns {{marineId: string, marineName: string, marineRank: string, fromDate: string,
+   *   previousEvaluationId: string, previousGrades: Object}}
+   */
+  function continuation(last) {
+    const m = last?.marineInfo || {};
+    return {
+      marineId: marineKey(m),
+      marineName: m.name || '',
+      marineRank: m.rank || '',
+      fromDate: nextDay(m.evaluationPeriod?.to),
+      previousEvaluationId: last?.evaluationId || '',
+      previousGrades: traitGrades(last)
+    };
+  }
+
+  return {
+    normalizeName,
+    marineKey,
+    groupByMarine,
+    findMarine,
+    traitGrades,
+    timeline,
+    traitTrends,
+    nextDay,
+    continuation
+  };
+});
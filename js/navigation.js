@@ -93,7 +93,41 @@ function goBack() {
     updateNavigationState(previousStep);
 }
 
+/**
+ * Occasion rules for the evaluation in progress (null before setup is complete).
+ * @returns {Object|null} OccasionRules.evaluate() result
+ */
+function getOccasionRules() {
+    if (typeof OccasionRules === 'undefined' || !evaluationMeta || !evaluationMeta.occasionType) return null;
+    let previousEnd = '';
+    try {
+        const saved = (typeof profileEvaluations !== 'undefined' && Array.isArray(profileEvaluations)) ? profileEvaluations : [];
+        const marine = (typeof MarineHistory !== 'undefined' && saved.length)
+            ? MarineHistory.findMarine(saved, { name: evaluationMeta.marineName, edipi: evaluationMeta.edipi })
+            : null;
+        const before = marine
+            ? marine.evaluations.filter(e => String(e.marineInfo?.evaluationPeriod?.to || '') < String(evaluationMeta.fromDate || ''))
+            : [];
+        if (before.length) previousEnd = before[before.length - 1].marineInfo.evaluationPeriod.to;
+    } catch (_) { /* no profile history */ }
+    return OccasionRules.evaluate({
+        occasion: evaluationMeta.occasionType,
+        from: evaluationMeta.fromDate,
+        to: evaluationMeta.toDate,
+        rank: evaluationMeta.marineRank,
+        previousEnd
+    });
+}
+
+// Non-observed reports have no trait marking: send the evaluation step on to directed comments
+function resolveStep(step) {
+    const rules = getOccasionRules();
+    if (step === STEPS.evaluation && rules && !rules.markTraits) return STEPS.comments;
+    return step;
+}
+
 function jumpToStep(step) {
+    step = resolveStep(step);
     // Validate if step is accessible
     if (!isStepAccessible(step)) {
         showToast('Please complete previous steps first', 'warning');
@@ -128,6 +162,10 @@ function jumpToStep(step) {
 }
 
 function isStepAccessible(step) {
+    const rules = getOccasionRules();
+    const marksTraits = !rules || rules.markTraits;
+    const requiredCommentsDone = !rules || typeof selectedDirectedComments === 'undefined'
+        || OccasionRules.missingComments(rules, selectedDirectedComments).length === 0;
     switch(step) {
         case STEPS.setup:
             return true;
@@ -139,13 +177,20 @@ function isStepAccessible(step) {
                 const rank = document.getElementById('marineRankSelect')?.value;
                 const occasion = document.getElementById('evaluationOccasionSetup')?.value;
                 const rsSel = document.getElementById('reportingSeniorSelect')?.value;
+                if (!marksTraits) return false; // Non-observed: no trait marking
                 return Boolean((evaluationMeta && evaluationMeta.marineName) || (name && from && to && rank && occasion && rsSel));
             } catch (_) { return Boolean(evaluationMeta && evaluationMeta.marineName); }
         case STEPS.comments:
+            if (!marksTraits) return Boolean(evaluationMeta.marineName);
             return Object.keys(evaluationResults).length > 0; // Some evaluations completed
         case STEPS.sectionI:
+            if (!requiredCommentsDone) return false; // Occasion requires directed comments first
+            if (!marksTraits) return evaluationMeta.directedComments !== undefined;
             return currentTraitIndex >= allTraits.length; // All evaluations completed
         case STEPS.summary:
+            if (!requiredCommentsDone) return false;
+            if (rules && OccasionRules.checkSectionI(evaluationMeta.sectionIComments, rules).length) return false;
+            if (typeof getAdverseWorkflowGaps === 'function' && getAdverseWorkflowGaps().length) return false;
             return evaluationMeta.sectionIComments !== undefined; // Section I completed
         default:
             return false;
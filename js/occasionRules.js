@@ -0,0 +1,132 @@
+// UMD module: occasion rules — decides from the occasion code and period
+// length whether a report is observed, whether traits are marked, which
+// directed comments are mandatory and what Section I must contain. Drives
+// step access in js/navigation.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OccasionRules = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Periods shorter than this are non-observed (matches ReportingPeriod.MIN_OBSERVED_DAYS)
+  const OBSERVED_MIN_DAYS = 90;
+
+  const ENLISTED_GRADES = ['SGT', 'SSGT', 'GYSGT', 'MSGT', '1STSGT', 'MGYSGT', 'SGTMAJ'];
+
+  // `alwaysObserved`: observed regardless of period length.
+  // `comments`: directed comments (js/directedComments.js keys) every report of the occasion needs.
+  // `enlistedComments`: additionally required when the Marine is enlisted.
+  const OCCASIONS = {
+    GC: { label: 'Grade Change' },
+    DC: { label: 'CMC Directed', alwaysObserved: true },
+    CH: { label: 'Change of Reporting Senior' },
+    TR: { label: 'Transfer' },
+    CD: { label: 'Change of Duty' },
+    TD: { label: 'To Temporary Duty', comments: ['simultaneous_reports'] },
+    FD: { label: 'From Temporary Duty' },
+    EN: { label: 'End of Service', enlistedComments: ['reenlistment'] },
+    CS: { label: 'Change in Status' },
+    AN: { label: 'Annual (Active Component)' },
+    AR: { label: 'Annual (Reserve Component)' },
+    SA: { label: 'Semiannual (Lieutenants only)' },
+    RT: { label: 'Reserve Training', alwaysObserved: true }
+  };
+
+  const SECTION_I_CONTENT = {
+    promotion: { id: 'promotion', label: 'a promotion recommendation', pattern: /promot/i },
+    nonObserved: { id: 'non-observed', label: 'a statement that the report is non-observed and why', pattern: /non-?observed|not observed/i }
+  };
+
+  function parseDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  }
+
+  /**
+   * Workflow rules for a report.
+   * @param {{occasion: string, from?: string, to?: string, rank?: string, previousEnd?: string}} report
+   *   `previousEnd` is the end date of the RS's previous report on this Marine, if any
+   * @returns {{occasion: string, label: string, days: number|null, observed: boolean, extendable: boolean,
+   *   markTraits: boolean, requiredComments: string[], sectionI: {required: boolean, mustInclude: Object[]},
+   *   notes: string[]}}
+   */
+  function evaluate(report) {
+    const r = report || {};
+    const occasion = String(r.occasion || '').toUpperCase();
+    const def = OCCASIONS[occasion] || { label: occasion };
+    const start = parseDate(r.from);
+    const end = parseDate(r.to);
+    const days = start !== null && end !== null && end >= start ? Math.round((end - start) / DAY_MS) + 1 : null;
+    const observed = Boolean(def.alwaysObserved) || days === null || days >= OBSERVED_MIN_DAYS;
+    const grade = String(r.rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    const requiredComments = [...(def.comments || [])];
+    if (ENLISTED_GRADES.includes(grade)) {
+      (def.enlistedComments || []).forEach(k => { if (!requiredComments.includes(k)) requiredComments.push(k); });
+    }
+
+    // A short period that picks up where the RS's last report ended can be
+    // added to that report instead of being submitted on its own
+    const prevEnd = parseDate(r.previousEnd);
+    const extendable = !observed && prevEnd !== null && start !== null && start - prevEnd === DAY_MS;
+
+    const notes = [];
+    if (!observed) {
+      notes.push(`Non-observed ${def.label} report: the ${days}-day period is under ${OBSERVED_MIN_DAYS} days, so traits are not marked.`);
+    }
+    if (extendable) {
+      notes.push(`This period starts the day after your previous report on this Marine ended; you may extend that report instead of submitting a separate one.`);
+    }
+
+    return {
+      occasion,
+      label: def.label,
+      days,
+      observed,
+      extendable,
+      markTraits: observed,
+      requiredComments,
+      sectionI: {
+        required: !observed,
+        mustInclude: observed ? [SECTION_I_CONTENT.promotion] : [SECTION_I_CONTENT.nonObserved]
+      },
+      notes
+    };
+  }
+
+  /**
+   * Required directed comments that are not selected.
+   * @param {Object} rules - From evaluate()
+   * @param {string[]} selected - Selected directed comment keys
+   * @returns {string[]} Missing keys
+   */
+  function missingComments(rules, selected) {
+    const have = selected || [];
+    return ((rules && rules.requiredComments) || []).filter(k => !have.includes(k));
+  }
+
+  /**
+   * Section I content the rules require but the text lacks. Empty text is
+   * only a problem when Section I is required.
+   * @param {string} text - Section I comments
+   * @param {Object} rules - From evaluate()
+   * @returns {string[]} Labels of missing content
+   */
+  function checkSectionI(text, rules) {
+    if (!rules) return [];
+    const body = String(text || '').trim();
+    if (!body) return rules.sectionI.required ? ['Section I comments'] : [];
+    return rules.sectionI.mustInclude.filter(c => !c.pattern.test(body)).map(c => c.label);
+  }
+
+  return {
+    OBSERVED_MIN_DAYS,
+    OCCASIONS,
+    evaluate,
+    missingComments,
+    checkSectionI
+  };
+});
@@ -0,0 +1,184 @@
+// UMD module: order of merit — the RS's ranked list of their Marines of one
+// grade for one reporting cycle. Builds the candidate list from saved and
+// draft reports, keeps a saved order in step with it, answers "#ranking of
+// totalPopulation" for the promotion endorsement and flags Marines ranked
+// below someone with a lower FITREP average. Used by the order-of-merit
+// tool (js/profile.js), js/promotion.js, Section I generation and the
+// server's order-of-merit routes (server/orderOfMeritRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OrderOfMerit = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Annual ending date (MM-DD) that closes a cycle; the active component's
+  // default in ANNUAL_END_DATES (js/reportingPeriod.js)
+  const DEFAULT_ANNUAL_END = '05-31';
+  // Limits on one saved list, so stored documents stay small
+  const MAX_ORDER = 500;
+  const MAX_KEY_LENGTH = 200;
+
+  function gradeKey(rank) {
+    return String(rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Reporting cycle a report belongs to: the year of the first annual ending
+   * date on or after its end date (with a 05-31 annual date, 2025-06-01
+   * through 2026-05-31 is cycle "2026").
+   * @param {string} endDate - Report end date (YYYY-MM-DD)
+   * @param {string} [annualEnd] - Annual ending date, MM-DD
+   * @returns {string} Cycle year, or '' without a usable date
+   */
+  function cycleFor(endDate, annualEnd) {
+    const m = String(endDate || '').match(/^(\d{4})-(\d{2}-\d{2})/);
+    if (!m) return '';
+    const year = Number(m[1]);
+    return String(m[2] <= (annualEnd || DEFAULT_ANNUAL_END) ? year : year + 1);
+  }
+
+  /**
+   * Storage key of one grade's list for one cycle.
+   * @param {string} rank - Grade
+   * @param {string} cycle - From cycleFor()
+   * @returns {string} e.g. "SSGT:2026"
+   */
+  function cycleKey(rank, cycle) {
+    return `${gradeKey(rank)}:${cycle}`;
+  }
+
+  /**
+   * Marines of one grade reported on in one cycle. A Marine with several
+   * reports in the cycle is represented by the latest; a draft replaces the
+   * saved report on the same Marine.
+   * @param {Object[]} evaluations - Saved reports (frontend shape)
+   * @param {{rank: string, cycle: string, keyOf: function(Object): string, annualEnd?: string, draft?: Object}} options
+   *   `keyOf` maps a report to a stable Marine key; `draft` is the report in progress (same shape)
+   * @returns {Array<{key: string, name: string, evaluationId: string, endDate: string, average: (number|null), draft: boolean}>}
+   *   Highest average first
+   */
+  function candidates(evaluations, options) {
+    const o = options || {};
+    const rank = gradeKey(o.rank);
+    const byKey = new Map();
+    const consider = (ev, draft) => {
+      if (!ev || gradeKey(ev.marineInfo?.rank) !== rank) return;
+      const endDate = String(ev.marineInfo?.evaluationPeriod?.to || '').slice(0, 10);
+      if (cycleFor(endDate, o.annualEnd) !== String(o.cycle)) return;
+      const key = o.keyOf(ev);
+      if (!key) return;
+      const prev = byKey.get(key);
+      if (prev && (prev.draft || (!draft && prev.endDate > endDate))) return;
+      const average = parseFloat(ev.fitrepAverage);
+      byKey.set(key, {
+        key,
+        name: ev.marineInfo?.name || '',
+        evaluationId: ev.evaluationId || '',
+        endDate,
+        average: Number.isFinite(average) && average > 0 ? average : null,
+        draft
+      });
+    };
+    (evaluations || []).forEach(ev => consider(ev, false));
+    if (o.draft) consider(o.draft, true);
+    return [...byKey.values()].sort((a, b) => (b.average ?? -1) - (a.average ?? -1) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Saved order brought in step with the current candidates: Marines no
+   * longer in the cycle drop out, new ones join below the saved ones in
+   * average order.
+   * @param {string[]} order - Saved Marine keys, best first
+   * @param {Object[]} list - From candidates()
+   * @returns {string[]}
+   */
+  function reconcile(order, list) {
+    const keys = new Set(list.map(c => c.key));
+    const kept = (order || []).filter((k, i, arr) => keys.has(k) && arr.indexOf(k) === i);
+    return [...kept, ...list.map(c => c.key).filter(k => !kept.includes(k))];
+  }
+
+  /**
+   * Order with one Marine moved.
+   * @param {string[]} order - Marine keys
+   * @param {number} from - Current index
+   * @param {number} to - New index
+   * @returns {string[]} New array
+   */
+  function move(order, from, to) {
+    const out = [...order];
+    if (from < 0 || from >= out.length) return out;
+    const [key] = out.splice(from, 1);
+    out.splice(Math.max(0, Math.min(to, out.length)), 0, key);
+    return out;
+  }
+
+  /**
+   * A Marine's place in the order, as the promotion endorsement states it.
+   * @param {string[]} order - Marine keys, best first
+   * @param {string} key - Marine key
+   * @returns {{ranking: number, totalPopulation: number}|null}
+   */
+  function standing(order, key) {
+    const i = (order || []).indexOf(key);
+    return i === -1 ? null : { ranking: i + 1, totalPopulation: order.length };
+  }
+
+  /**
+   * Pairs where a Marine ranked lower has a higher FITREP average.
+   * @param {string[]} order - Marine keys, best first
+   * @param {Object[]} list - From candidates()
+   * @returns {Array<{above: Object, below: Object}>} `above` is ranked higher, `below` outscores them
+   */
+  function inconsistencies(order, list) {
+    const byKey = new Map(list.map(c => [c.key, c]));
+    const ranked = (order || []).map(k => byKey.get(k)).filter(c => c && c.average !== null);
+    const out = [];
+    ranked.forEach((above, i) => {
+      ranked.slice(i + 1).forEach(below => {
+        if (below.average > above.average) out.push({ above, below });
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Check a list sent for saving and normalize it.
+   * @param {Object} raw - { rank, cycle, order }
+   * @returns {{valid: boolean, errors: string[], value: {cycleKey: string, rank: string, cycle: string, order: string[]}}}
+   */
+  function validateList(raw) {
+    const errors = [];
+    const rank = gradeKey(raw?.rank);
+    const cycle = String(raw?.cycle || '').trim();
+    const order = Array.isArray(raw?.order) ? raw.order.map(k => String(k || '').trim()) : null;
+    if (!rank) errors.push('Order of merit needs a grade.');
+    if (!/^\d{4}$/.test(cycle)) errors.push('Reporting cycle must be a year (YYYY).');
+    if (!order) {
+      errors.push('Order must be a list of Marines.');
+    } else {
+      if (order.some(k => !k || k.length > MAX_KEY_LENGTH)) errors.push('Each Marine in the order needs a valid key.');
+      if (new Set(order).size !== order.length) errors.push('A Marine appears more than once in the order.');
+      if (order.length > MAX_ORDER) errors.push(`Keep ${MAX_ORDER} Marines or fewer in one order of merit.`);
+    }
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: { cycleKey: cycleKey(rank, cycle), rank, cycle, order: order || [] }
+    };
+  }
+
+  return {
+    DEFAULT_ANNUAL_END,
+    MAX_ORDER,
+    cycleFor,
+    cycleKey,
+    candidates,
+    reconcile,
+    move,
+    standing,
+    inconsistencies,
+    validateList
+  };
+});
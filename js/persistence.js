@@ -307,6 +307,12 @@ function restoreSession(sessionData) {
         if (evaluationMeta.evaluatorName) {
             document.getElementById('evaluatorNameInput').value = evaluationMeta.evaluatorName;
         }
+        if (typeof AdminData !== 'undefined') {
+            AdminData.FIELDS.forEach(f => {
+                const el = document.getElementById(f.inputId);
+                if (el && evaluationMeta[f.key]) el.value = evaluationMeta[f.key];
+            });
+        }
         if (isReportingSenior !== undefined) {
             document.getElementById('reportingSeniorSelect').value = isReportingSenior ? 'yes' : 'no';
         }
@@ -540,6 +546,7 @@ function clearAllData() {
 // Initialize persistence system
 function initializePersistence() {
     initializeAutoSave();
+    registerServiceWorker();
     
     // Check for previous session on load
     setTimeout(() => {
@@ -585,19 +592,23 @@ function loadQueue() {
 
 async function flushSaveQueue() {
     loadQueue();
-    if (!navigator.onLine || !saveQueue.length) return;
-    const pending = [...saveQueue];
-    saveQueue = [];
-    for (const item of pending) {
-        try {
-            localStorage.setItem(STORAGE_KEYS.currentSession, JSON.stringify(item.data));
-        } catch (e) {
-            console.warn('Queue flush failed; requeue', e);
-            try { ErrorLogger && ErrorLogger.logError(e, { module: 'persistence', action: 'flushSaveQueue' }, 'warn'); } catch (_) {}
-            saveQueue.push(item);
+    if (!navigator.onLine) return;
+    if (saveQueue.length) {
+        const pending = [...saveQueue];
+        saveQueue = [];
+        for (const item of pending) {
+            try {
+                localStorage.setItem(STORAGE_KEYS.currentSession, JSON.stringify(item.data));
+            } catch (e) {
+                console.warn('Queue flush failed; requeue', e);
+                try { ErrorLogger && ErrorLogger.logError(e, { module: 'persistence', action: 'flushSaveQueue' }, 'warn'); } catch (_) {}
+                saveQueue.push(item);
+            }
         }
+        persistQueue();
     }
-    persistQueue();
+    // Evaluation saves waiting for the server
+    try { await flushEvaluationOutbox(); } catch (_) {}
 }
 
 async function performSaveWithRetry(attempts = 3, baseDelayMs = 400) {
@@ -612,3 +623,184 @@ async function performSaveWithRetry(attempts = 3, baseDelayMs = 400) {
     updateAutoSaveIndicator('error');
     return false;
 }
+
+// ===== Offline evaluation saves (sw.js, js/saveOutbox.js) =====
+// Evaluation saves that cannot reach the server go to the IndexedDB outbox.
+// The service worker sends them on Background Sync, even with the tab
+// closed; browsers without it flush from the page when it comes back online.
+// Queued saves never hold the session token or CSRF token. While signed in,
+// the page keeps a save-only grant for the account in the outbox so the
+// worker can send them once the tab and its session are gone; an open page
+// adds its current headers.
+
+function saveAuthHeaders() {
+    const headers = {};
+    try {
+        const csrf = (typeof getCsrfToken === 'function') ? getCsrfToken() : (sessionStorage.getItem('fitrep_csrf_token') || '');
+        if (csrf) headers['X-CSRF-Token'] = csrf;
+    } catch (_) {}
+    try {
+        const sessTok = sessionStorage.getItem('fitrep_session_token') || '';
+        if (sessTok) headers['Authorization'] = `Bearer ${sessTok}`;
+    } catch (_) {}
+    return headers;
+}
+
+function registerServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    if (typeof window !== 'undefined' && window.isSecureContext === false) return;
+    navigator.serviceWorker.register('sw.js').catch(err => {
+        console.warn('Service worker registration failed:', err);
+    });
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'fitrep-save-queue') {
+            applyQueuedSaveResults();
+        }
+    });
+}
+
+async function requestBackgroundSync() {
+    try {
+        const reg = await navigator.serviceWorker.getRegistration();
+        if (reg && reg.sync && typeof reg.sync.register === 'function') {
+            await reg.sync.register(window.SaveOutbox.SYNC_TAG);
+            return true;
+        }
+    } catch (_) { /* unsupported or denied */ }
+    return false;
+}
+
+/**
+ * Queue an evaluation save for when the connection returns. The entry belongs
+ * to the account and is dropped when it signs out.
+ * @param {Object} evaluation Evaluation as saved to the profile.
+ * @param {string} userEmail Account username.
+ * @returns {Promise<boolean>} True when queued.
+ */
+async function queueEvaluationSave(evaluation, userEmail) {
+    if (!window.SaveOutbox || !evaluation || !evaluation.evaluationId) return false;
+    if (!userEmail || userEmail === 'offline@local') return false;
+    const endpoint = (window.CONSTANTS?.ROUTES?.API?.EVALUATION_SAVE) || '/api/evaluation/save';
+    const url = new URL(endpoint, window.API_BASE_URL || location.origin).toString();
+    const payload = window.EvaluationMerge ? window.EvaluationMerge.syncPayload(evaluation) : { evaluation };
+    const queued = await window.SaveOutbox.enqueue({
+        username: userEmail,
+        evaluationId: evaluation.evaluationId,
+        url,
+        body: JSON.stringify({ ...payload, userEmail })
+    });
+    if (queued) {
+        try { await requestBackgroundSync(); } catch (_) {}
+    }
+    return queued;
+}
+
+/**
+ * Fetch a save-only grant for the signed-in account and keep it with the
+ * outbox, for saves the worker sends after the tab is closed.
+ * @param {string} username Account username.
+ * @returns {Promise<boolean>} True when a grant was stored.
+ */
+async function refreshOutboxGrant(username) {
+    if (!window.SaveOutbox || !navigator.onLine || !username) return false;
+    try {
+        const endpoint = (window.CONSTANTS?.ROUTES?.API?.OUTBOX_TOKEN) || '/api/account/outbox-token';
+        const resp = await fetch(new URL(endpoint, window.API_BASE_URL || location.origin).toString(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...saveAuthHeaders() },
+            credentials: 'include',
+            body: '{}'
+        });
+        const data = await resp.json().catch(() => null);
+        return resp.ok && data ? window.SaveOutbox.saveGrant(username, data) : false;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Account whose queued saves this page may send and apply
+function outboxUsername() {
+    const profile = (typeof currentProfile !== 'undefined') ? currentProfile : null;
+    const email = profile && profile.rsEmail;
+    return email && email !== 'offline@local' ? email : '';
+}
+
+// With the page open, send the signed-in account's saves through the worker
+// (so a sync event firing at the same time shares the flush) with the
+// current session's headers.
+async function flushEvaluationOutbox() {
+    const username = outboxUsername();
+    if (!window.SaveOutbox || !navigator.onLine || !username) return;
+    const headers = saveAuthHeaders();
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (worker) {
+        // The worker answers with a 'fitrep-save-queue' message
+        worker.postMessage({ type: 'flush-save-queue', headers, username });
+        return;
+    }
+    await window.SaveOutbox.flush({ headers, username });
+    await applyQueuedSaveResults();
+}
+
+/**
+ * Pick up queued saves when a profile loads: renew the account's grant, apply
+ * what was sent while the app was closed and send what is still waiting
+ * (e.g. after a sign-in).
+ */
+async function resumeQueuedSaves() {
+    try {
+        await refreshOutboxGrant(outboxUsername());
+        await applyQueuedSaveResults();
+        await flushEvaluationOutbox();
+    } catch (e) {
+        console.warn('Resuming queued saves failed:', e);
+    }
+}
+
+/**
+ * Apply the server's answers to queued saves to the loaded profile.
+ * Results for evaluations not loaded yet stay stored for the next load.
+ * @returns {Promise<number>} Number of evaluations updated.
+ */
+async function applyQueuedSaveResults() {
+    // profile.js keeps the loaded profile in script-scope bindings
+    const evals = (typeof profileEvaluations !== 'undefined') ? profileEvaluations : null;
+    const username = outboxUsername();
+    if (!window.SaveOutbox || !username || !Array.isArray(evals) || !evals.length) return 0;
+    const byId = new Map(evals.map(e => [e.evaluationId, e]));
+    const results = await window.SaveOutbox.takeResults(username, [...byId.keys()]);
+    if (!results.length) return 0;
+
+    let synced = 0;
+    for (const result of results) {
+        const evaluation = byId.get(result.evaluationId);
+        if (result.status === 'synced') {
+            evaluation.syncStatus = 'synced';
+            if (window.EvaluationMerge && Number.isFinite(Number(result.revision))) {
+                window.EvaluationMerge.markSynced(evaluation, Number(result.revision));
+            }
+            synced++;
+        } else if (result.status === 'conflict' && typeof mergeSyncConflict === 'function') {
+            if (await mergeSyncConflict(evaluation, result.conflict, 0)) synced++;
+        } else {
+            evaluation.syncStatus = 'error';
+        }
+    }
+
+    try {
+        if (typeof currentProfile !== 'undefined' && currentProfile && typeof saveEvaluationsToLocal === 'function') {
+            saveEvaluationsToLocal(generateProfileKey(currentProfile.rsName, currentProfile.rsEmail), evals);
+        }
+        if (typeof renderEvaluationsList === 'function') renderEvaluationsList();
+    } catch (_) {}
+    if (synced) {
+        showToast(`${synced} evaluation(s) saved offline have synced.`, 'success');
+    }
+    if (synced < results.length) {
+        showToast(`${results.length - synced} queued save(s) need attention in the profile.`, 'warning');
+        if (typeof showSyncConflicts === 'function' && typeof countSyncConflicts === 'function' && countSyncConflicts() > 0) {
+            showSyncConflicts();
+        }
+    }
+    return results.length;
+}
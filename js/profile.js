@@ -876,6 +876,8 @@ function showProfileDashboard() {
     renderEvaluationsList();
     // Initialize button bar to "All" and update visibility
     setRankFilter('');
+    // Saves sent by the service worker while the app was closed
+    if (typeof resumeQueuedSaves === 'function') resumeQueuedSaves();
 
     // Make sure we are scrolled to the top of the dashboard
     try { window.scrollTo({ top: 0, behavior: 'auto' }); } catch (_) { }
@@ -959,6 +961,9 @@ function renderProfileHeader() {
     if (pendingEl) {
         pendingEl.textContent = String(pending);
     }
+
+    if (typeof refreshReportingCalendar === 'function') refreshReportingCalendar();
+    refreshOrderOfMerit();
 }
 
 // Edit Profile UI handlers
@@ -1618,7 +1623,7 @@ function createEvaluationListItem(evaluation) {
             </div>
             <div class="eval-actions">
                 <span class="sync-status ${escapeHtml(evaluation.syncStatus || 'pending')}">
-                    ${evaluation.syncStatus === 'synced' ? '✓ Synced' : '⏳ Pending'}
+                    ${syncStatusLabel(evaluation)}
                 </span>
                 <button class="icon-btn" onclick="event.stopPropagation(); deleteEvaluation('${escapeHtml(evalId)}')">
                     🗑️
@@ -1754,6 +1759,14 @@ async function toggleEvaluation(header) {
 // Removed: showSaveToProfilePrompt (modal no longer used in streamlined flow)
 
 async function confirmSaveToProfile() {
+    // Adverse reports cannot be saved until Item 8e and the MRO acknowledgment are in place
+    const adverseGaps = (typeof getAdverseWorkflowGaps === 'function') ? getAdverseWorkflowGaps() : [];
+    if (adverseGaps.length > 0) {
+        alert(`This report is adverse. Complete the following in Directed Comments before saving:\n\n${adverseGaps.join('\n')}`);
+        if (typeof showDirectedCommentsScreen === 'function') showDirectedCommentsScreen();
+        return false;
+    }
+
     // Get occasion from evaluationMeta (captured during setup in evaluation.js)
     const occasion = evaluationMeta?.occasionType || '';
 
@@ -1793,6 +1806,10 @@ async function confirmSaveToProfile() {
     }
 
     const evaluationId = generateEvaluationId(evaluationMeta);
+    // Section A/B administrative fragments (EDIPI, PMOS, unit, billet, RO)
+    const admin = (typeof AdminData !== 'undefined')
+        ? AdminData.toEvaluation(evaluationMeta)
+        : { marineInfo: {}, billet: {}, roInfo: {} };
 
     const evaluation = {
         evaluationId,
@@ -1804,17 +1821,23 @@ async function confirmSaveToProfile() {
         marineInfo: {
             name: evaluationMeta.marineName,
             rank: evaluationMeta.marineRank || 'Unknown', // use captured rank
+            marineId: resolveMarineId(evaluationMeta),
+            ...admin.marineInfo,
             evaluationPeriod: {
                 from: evaluationMeta.fromDate,
                 to: evaluationMeta.toDate
             }
         },
+        billet: admin.billet,
+        roInfo: admin.roInfo,
         occasion,
         completedDate: new Date().toISOString(),
         fitrepAverage: calculateFitrepAverage(),
         traitEvaluations: evaluationResults,
         sectionIComments: evaluationMeta.sectionIComments || '',
         directedComments: evaluationMeta.directedComments || '',
+        isAdverse: Boolean(evaluationMeta.isAdverse),
+        mroAcknowledgment: evaluationMeta.isAdverse ? (evaluationMeta.mroAcknowledgment || null) : null,
         savedToProfile: true,
         syncStatus: 'pending'
     };
@@ -1857,6 +1880,11 @@ async function confirmSaveToProfile() {
         if (synced) {
             evaluation.syncStatus = 'synced';
         }
+        saveEvaluationsToLocal(profileKey, profileEvaluations);
+    }
+    // Offline or the server was unreachable: send it when the connection returns
+    if (evaluation.syncStatus === 'pending' && typeof queueEvaluationSave === 'function') {
+        await queueEvaluationSave(evaluation, currentProfile.rsEmail);
     }
 
     // Hide modal safely
@@ -1904,7 +1932,7 @@ function skipSaveToProfile() {
 
 // New: Save and immediately return to RS Dashboard
 async function confirmSaveToProfileAndReturn() {
-    await confirmSaveToProfile();
+    if (await confirmSaveToProfile() === false) return;
     // Navigate to RS Dashboard to view the saved evaluation
     if (typeof showProfileDashboard === 'function') {
         showProfileDashboard();
@@ -1913,14 +1941,27 @@ async function confirmSaveToProfileAndReturn() {
 
 // Sync Operations
 async function syncAllEvaluations() {
+    // Conflicts wait for the RS in the resolution panel
+    const pending = profileEvaluations.filter(e => !['synced', 'conflict'].includes(String(e.syncStatus || 'pending')));
+
     if (!navigator.onLine) {
-        showToast('Offline: connect to the internet to sync.', 'warning');
+        let queued = 0;
+        if (typeof queueEvaluationSave === 'function') {
+            for (const evaluation of pending) {
+                if (await queueEvaluationSave(evaluation, currentProfile?.rsEmail)) queued++;
+            }
+        }
+        showToast(queued
+            ? `Offline: ${queued} evaluation(s) will sync when the connection returns.`
+            : 'Offline: connect to the internet to sync.', 'warning');
         return;
     }
 
-    const pending = profileEvaluations.filter(e => String(e.syncStatus || 'pending') !== 'synced');
-
     if (pending.length === 0) {
+        if (typeof showSyncConflicts === 'function' && countSyncConflicts() > 0) {
+            showSyncConflicts();
+            return;
+        }
         showToast('All evaluations already synced.', 'info');
         return;
     }
@@ -1977,9 +2018,18 @@ async function syncAllEvaluations() {
         const msg = controller.signal && controller.signal.aborted ? `Sync canceled: ${successCount} succeeded, ${failureCount} failed.` : `Sync complete: ${successCount} succeeded, ${failureCount} failed.`;
         showToast(msg, 'warning');
     }
+    if (typeof showSyncConflicts === 'function' && countSyncConflicts() > 0) {
+        showSyncConflicts();
+    }
 }
 
 
+function syncStatusLabel(evaluation) {
+    if (evaluation.syncStatus === 'synced') return '✓ Synced';
+    if (evaluation.syncStatus === 'conflict') return '⚠ Conflict';
+    return '⏳ Pending';
+}
+
 // Pending sync guard helpers
 function hasPendingSyncs() {
     try {
@@ -2132,6 +2182,8 @@ function continueStartNewEvaluation() {
         }
     } catch (_) { /* noop */ }
 
+    offerContinueFromLastReport();
+
     // Align navigation state if available
     try {
         if (typeof jumpToStep === 'function' && typeof STEPS !== 'undefined') {
@@ -2302,6 +2354,43 @@ function exportEvaluation(evalId) {
     doc.save(`${pdfTitle}.pdf`);
 }
 
+// Server-rendered NAVMC 10835-style draft; every storage backend serves it.
+// A report the server does not have yet gets the in-browser summary PDF.
+async function downloadEvaluationPdf(evalId) {
+    const local = profileEvaluations.find(e => e.evaluationId === evalId);
+    if (local && local.syncStatus && local.syncStatus !== 'synced') {
+        showToast('Not synced yet — downloading the summary PDF instead.', 'info');
+        exportEvaluation(evalId);
+        return;
+    }
+    try {
+        const resp = await apiFetch(`/api/evaluation/${encodeURIComponent(evalId)}/pdf`, { accept: 'application/pdf' });
+        if (resp.status === 404 && local) {
+            showToast('Not on the server yet — downloading the summary PDF instead.', 'info');
+            exportEvaluation(evalId);
+            return;
+        }
+        if (!resp.ok) {
+            const data = await resp.json().catch(() => ({}));
+            throw new Error(data?.error || 'Failed to generate PDF');
+        }
+        const blob = await resp.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${String(evalId).replace(/[^a-zA-Z0-9_-]/g, '_')}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+        console.error('Download PDF error:', err);
+        showToast(err.message || 'Failed to generate PDF', 'error');
+    }
+}
+
+window.downloadEvaluationPdf = downloadEvaluationPdf;
+
 function exportProfile() {
     const exportData = {
         profile: currentProfile,
@@ -2587,7 +2676,7 @@ function logoutProfile() {
 }
 
 function continueLogoutProfile() {
-    if (confirm('Log out? Unsaved changes will remain in local storage.')) {
+    if (confirm('Log out? Unsaved changes will remain in local storage. Saves waiting for a connection are cancelled and sent on your next sign-in.')) {
         // Ensure any open modals/overlays are closed so interactions aren't blocked
         try {
             if (window.ModalController && typeof window.ModalController.closeAll === 'function') {
@@ -2619,6 +2708,14 @@ function continueLogoutProfile() {
                 Promise.resolve(window.idbStore.clearForEmail(emailForClear)).catch(() => {});
             }
         } catch (_) { }
+        // Queued saves must not go out for this account once it has signed
+        // out; the evaluations stay pending locally and are queued again
+        try {
+            if (window.SaveOutbox && emailForClear) {
+                Promise.resolve(window.SaveOutbox.discardAccount(emailForClear)).catch(() => {});
+            }
+        } catch (_) { }
+        orderOfMeritSyncedFor = '';
         try {
             if (window.unifiedStorage && typeof window.unifiedStorage.clearStore === 'function') {
                 Promise.resolve(window.unifiedStorage.clearStore('profiles')).catch(() => {});
@@ -3215,7 +3312,7 @@ function loadProfileFromStorage() {
 function mergeEvaluations(localEvaluations = [], remoteEvaluations = []) {
     const byId = new Map();
 
-    const put = (ev) => {
+    const put = (ev, fromRemote) => {
         if (!ev) return;
         // Use a stronger composite key when evaluationId is missing to reduce collisions
         const id = ev.evaluationId || `composite:${(ev.marineInfo?.name || '').trim()
@@ -3226,6 +3323,12 @@ function mergeEvaluations(localEvaluations = [], remoteEvaluations = []) {
             }|${(ev.createdAt || ev.lastUpdated || ev.completedDate || '')
             }`;
         const prev = byId.get(id);
+        // Full copies on both sides with a sync base: merge field by field
+        if (fromRemote && prev && prev.syncBase && prev.traitEvaluations && ev.traitEvaluations
+            && typeof reconcileWithRemote === 'function' && Number.isFinite(Number(ev.revision))) {
+            byId.set(id, reconcileWithRemote(prev, ev));
+            return;
+        }
         const ts = new Date(ev.lastUpdated || ev.completedDate || 0).getTime();
         const prevTs = prev ? new Date(prev.lastUpdated || prev.completedDate || 0).getTime() : -1;
         if (!prev || ts >= prevTs) {
@@ -3233,8 +3336,8 @@ function mergeEvaluations(localEvaluations = [], remoteEvaluations = []) {
         }
     };
 
-    localEvaluations.forEach(put);
-    remoteEvaluations.forEach(put);
+    localEvaluations.forEach(ev => put(ev, false));
+    remoteEvaluations.forEach(ev => put(ev, true));
 
     return Array.from(byId.values());
 }
@@ -3583,7 +3686,7 @@ function renderProfileGrid() {
 
         const syncStatus = document.createElement('span');
         syncStatus.className = `sync-status ${evaluation.syncStatus || 'pending'}`;
-        syncStatus.textContent = evaluation.syncStatus === 'synced' ? '✓ Synced' : '⏳ Pending';
+        syncStatus.textContent = syncStatusLabel(evaluation);
 
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'icon-btn';
@@ -3777,37 +3880,9 @@ function getTraitGrades(evaluation) {
 
 function computeRvValues(evals) {
     // Excel-based RV per row: within evaluations with date <= current row date
-    // Formula: RV = MAX(80, 90 + 10 * (score - avgPast) / (maxPast - avgPast)) if countPast >= 3, else 'N/A'
+    // Formula (RvProjection.rawRv): RV = MAX(80, 90 + 10 * (score - avgPast) / (maxPast - avgPast)) if countPast >= 3, else 'N/A'
     const rvMap = new Map();
-    const byDate = [...evals].sort((a, b) => {
-        const da = new Date(a.marineInfo?.evaluationPeriod?.to || a.completedDate || 0).getTime();
-        const db = new Date(b.marineInfo?.evaluationPeriod?.to || b.completedDate || 0).getTime();
-        return da - db;
-    });
-    byDate.forEach((curr, idx) => {
-        const currDate = new Date(curr.marineInfo?.evaluationPeriod?.to || curr.completedDate || 0);
-        const past = byDate.filter(e => {
-            const d = new Date(e.marineInfo?.evaluationPeriod?.to || e.completedDate || 0);
-            return d <= currDate;
-        });
-        const scores = past.map(e => parseFloat(e.fitrepAverage || '0')).filter(s => Number.isFinite(s));
-        if (scores.length < 3) {
-            rvMap.set(curr.evaluationId, 'N/A');
-            return;
-        }
-        const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
-        const max = Math.max(...scores);
-        const denom = max - avg;
-        let rv;
-        if (!Number.isFinite(denom) || denom <= 0) {
-            rv = 90; // avoid divide-by-zero; all scores equal -> baseline
-        } else {
-            const currScore = parseFloat(curr.fitrepAverage || '0');
-            rv = 90 + 10 * ((currScore - avg) / denom);
-        }
-        rv = Math.max(80, rv);
-        rvMap.set(curr.evaluationId, Math.round(rv * 100) / 100);
-    });
+    window.RvProjection.windowedRv(evals).forEach((v, id) => rvMap.set(id, v.rv));
     return rvMap;
 }
 
@@ -3846,6 +3921,76 @@ function badgeForRv(rv) {
     return `<span class="rv-badge ${cls}">${display}</span>`;
 }
 
+// What-if: project how the current (unsaved) evaluation shifts RV for every
+// Marine of the same rank already on the RS profile
+function showRvProjection() {
+    const panel = document.getElementById('rvProjectionPanel');
+    if (!panel || !window.RvProjection) return;
+
+    const rank = normalizeRankLabel(evaluationMeta.marineRank || '');
+    const sameRank = profileEvaluations.filter(e =>
+        normalizeRankLabel(String(e.marineInfo?.rank || '')) === rank
+    );
+    panel.style.display = 'block';
+
+    if (!sameRank.length) {
+        panel.innerHTML = `<p class="rv-projection-note">No saved ${escapeHtml(rank || 'same-rank')} evaluations on your profile to compare against.</p>`;
+        return;
+    }
+
+    const { draft, rows, warnings } = window.RvProjection.project(sameRank, {
+        marineInfo: {
+            name: evaluationMeta.marineName,
+            rank: evaluationMeta.marineRank,
+            evaluationPeriod: { from: evaluationMeta.fromDate, to: evaluationMeta.toDate }
+        },
+        fitrepAverage: calculateFitrepAverage()
+    });
+
+    const fmtDelta = d => (d === null ? '—' : `${d > 0 ? '+' : ''}${d.toFixed(2)}`);
+    const fmtRank = r => (r === null ? '—' : `#${r}`);
+    const body = rows.map(r => `
+        <tr class="${r.belowFloor || r.bandChanged || r.orderChanged ? 'rv-projection-flag' : ''}">
+            <td>${escapeHtml(r.marineName)}</td>
+            <td>${escapeHtml(r.endDate)}</td>
+            <td>${Number.isFinite(r.average) ? r.average.toFixed(2) : 'N/A'}</td>
+            <td>${badgeForRv(r.rvBefore)}</td>
+            <td>${badgeForRv(r.rvAfter)}</td>
+            <td>${fmtDelta(r.rvDelta)}</td>
+            <td>${badgeForRv(r.cumBefore)}</td>
+            <td>${badgeForRv(r.cumAfter)}</td>
+            <td>${fmtDelta(r.cumDelta)}</td>
+            <td>${fmtRank(r.rankBefore)} → ${fmtRank(r.rankAfter)}</td>
+        </tr>`).join('');
+
+    const warningHtml = warnings.length
+        ? `<ul class="rv-projection-warnings">${warnings.map(w => `<li>⚠️ ${escapeHtml(w)}</li>`).join('')}</ul>`
+        : '<p class="rv-projection-note">No Marine drops below the RV floor, crosses 90 RV or changes position.</p>';
+
+    panel.innerHTML = `
+        <h3>RV Impact Preview (${escapeHtml(rank)})</h3>
+        <p class="rv-projection-note">
+            This draft: average ${Number.isFinite(draft.average) ? draft.average.toFixed(2) : 'N/A'},
+            RV ${badgeForRv(draft.rv)}, position ${fmtRank(draft.rank)} of ${rows.length + 1}.
+            As in the profile grid, each RV is measured against the ${escapeHtml(rank)} reports ending on or before it;
+            positions are among your saved reports.
+        </p>
+        ${warningHtml}
+        <table class="profile-grid rv-projection-table">
+            <thead>
+                <tr>
+                    <th>Marine</th><th>End Date</th><th>Avg</th>
+                    <th>RV Before</th><th>RV After</th><th>Δ RV</th>
+                    <th>Cum RV Before</th><th>Cum RV After</th><th>Δ Cum</th>
+                    <th>Position</th>
+                </tr>
+            </thead>
+            <tbody>${body}</tbody>
+        </table>`;
+}
+
+window.showRvProjection = showRvProjection;
+
 function capitalize(s) {
     if (!s) return '';
     return s.charAt(0).toUpperCase() + s.slice(1);
@@ -4001,6 +4146,10 @@ async function openGridDetailPanel(evalId) {
                 </div>
             </div>
             <div class="panel-actions">
+                <button class="panel-delete" id="gridDetailPdfBtn" title="Download a NAVMC 10835-style PDF draft">📄 Form PDF</button>
+                <button class="panel-delete" id="gridDetailRouteRoBtn" title="Route this evaluation to a Reviewing Officer">📨 Route to RO</button>
+                <button class="panel-delete" id="gridDetailHistoryBtn" title="Every report on this Marine">🕘 Marine History</button>
+                <button class="panel-delete" id="gridDetailRevisionsBtn" title="Earlier saved versions of this evaluation">📜 Revisions</button>
                 <button class="panel-delete" id="gridDetailDeleteBtn" title="Delete this evaluation">🗑️ Delete</button>
                 <button class="panel-close" id="gridDetailCloseBtn">✕</button>
             </div>
@@ -4009,6 +4158,10 @@ async function openGridDetailPanel(evalId) {
     const body = `
         <div class="panel-body">
             ${renderEvaluationDetails(evaluation)}
+            <div class="detail-section">
+                <h4>Reviewing Officer</h4>
+                <div class="comments-text" id="gridDetailRoStatus">Checking RO review status…</div>
+            </div>
         </div>
     `;
     panel.innerHTML = hdr + body;
@@ -4018,6 +4171,15 @@ async function openGridDetailPanel(evalId) {
     if (closeBtn) closeBtn.addEventListener('click', closeGridDetailPanel);
     const deleteBtn = document.getElementById('gridDetailDeleteBtn');
     if (deleteBtn) deleteBtn.addEventListener('click', function() { deleteEvaluation(evalId); });
+    const pdfBtn = document.getElementById('gridDetailPdfBtn');
+    if (pdfBtn) pdfBtn.addEventListener('click', function() { downloadEvaluationPdf(evalId); });
+    const routeRoBtn = document.getElementById('gridDetailRouteRoBtn');
+    if (routeRoBtn) routeRoBtn.addEventListener('click', function() { routeEvaluationToRo(evalId); });
+    const historyBtn = document.getElementById('gridDetailHistoryBtn');
+    if (historyBtn) historyBtn.addEventListener('click', function() { showMarineHistory(evalId); });
+    const revisionsBtn = document.getElementById('gridDetailRevisionsBtn');
+    if (revisionsBtn) revisionsBtn.addEventListener('click', function() { showEvaluationRevisions(evalId); });
+    loadRoReviewStatus(evalId, 'gridDetailRoStatus');
     try {
         document.addEventListener('keydown', gridDetailEscHandler, true);
     } catch (_) {}
@@ -4164,10 +4326,20 @@ function mergeProfiles(local, remote) {
     };
 }
 
-async function syncEvaluationToGitHub(evaluation) {
+/**
+ * Save one evaluation to the backend. Sends the revision it was edited from;
+ * when the server copy has moved on (409) the two are merged field by field
+ * and resaved, or left in 'conflict' for showSyncConflicts().
+ *
+ * @param {Object} evaluation Evaluation (updated in place).
+ * @param {number} [attempt] Merge-and-resave rounds so far.
+ * @returns {Promise<boolean>} True when saved.
+ */
+async function syncEvaluationToGitHub(evaluation, attempt = 0) {
     try {
         const userEmail = (currentProfile && currentProfile.rsEmail) || (evaluation?.rsInfo?.email) || '';
         if (!userEmail || userEmail === 'offline@local') return false;
+        if (evaluation.syncStatus === 'conflict') return false;
         const endpoint = (window.CONSTANTS?.ROUTES?.API?.EVALUATION_SAVE) || '/api/evaluation/save';
         const base = window.API_BASE_URL || location.origin;
         const url = new URL(endpoint, base).toString();
@@ -4180,9 +4352,21 @@ async function syncEvaluationToGitHub(evaluation) {
             const sessTok = sessionStorage.getItem('fitrep_session_token') || '';
             if (sessTok) headers['Authorization'] = `Bearer ${sessTok}`;
         } catch (_) {}
-        const resp = await fetch(url, { method: 'POST', headers, credentials: 'include', body: JSON.stringify({ evaluation, userEmail }) });
+        const payload = window.EvaluationMerge ? window.EvaluationMerge.syncPayload(evaluation) : { evaluation };
+        const resp = await fetch(url, { method: 'POST', headers, credentials: 'include', body: JSON.stringify({ ...payload, userEmail }) });
         const data = await resp.json().catch(() => ({}));
-        if (resp.ok && data?.ok) { evaluation.syncStatus = 'synced'; return true; }
+        if (resp.ok && data?.ok) {
+            evaluation.syncStatus = 'synced';
+            if (window.EvaluationMerge && Number.isFinite(Number(data.revision))) {
+                window.EvaluationMerge.markSynced(evaluation, Number(data.revision));
+            }
+            // An older copy queued while offline must not be sent after this one
+            if (window.SaveOutbox) window.SaveOutbox.discard(userEmail, evaluation.evaluationId);
+            return true;
+        }
+        if (resp.status === 409 && data?.conflict && typeof mergeSyncConflict === 'function') {
+            return await mergeSyncConflict(evaluation, data, attempt);
+        }
         evaluation.syncStatus = 'error';
         console.error('Supabase sync failed:', data?.error || resp.statusText);
         return false;
@@ -4191,6 +4375,984 @@ async function syncEvaluationToGitHub(evaluation) {
         return false;
     }
 }
+// ===== Authenticated API helpers =====
+// Session token + CSRF header; used by the RO workflow, form PDF download and
+// the justification bullet library.
+
+async function apiFetch(path, options = {}) {
+    const base = window.API_BASE_URL || location.origin;
+    const url = new URL(path, base).toString();
+    const headers = { 'Accept': options.accept || 'application/json' };
+    if (options.body) headers['Content-Type'] = 'application/json';
+    try {
+        const csrf = (typeof getCsrfToken === 'function') ? getCsrfToken() : (sessionStorage.getItem('fitrep_csrf_token') || '');
+        if (csrf) headers['X-CSRF-Token'] = csrf;
+    } catch (_) {}
+    try {
+        const sessTok = sessionStorage.getItem('fitrep_session_token') || '';
+        if (sessTok) headers['Authorization'] = `Bearer ${sessTok}`;
+    } catch (_) {}
+    const credentialsMode = (window.githubService && typeof window.githubService.getFetchCredentials === 'function')
+        ? window.githubService.getFetchCredentials(url)
+        : 'include';
+    return fetch(url, {
+        method: options.method || 'GET',
+        headers,
+        credentials: credentialsMode,
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+}
+
+async function apiRequest(path, options = {}) {
+    const resp = await apiFetch(path, options);
+    const data = await resp.json().catch(() => ({}));
+    return { ok: resp.ok, status: resp.status, data };
+}
+
+window.apiRequest = apiRequest;
+
+// ===== Reviewing Officer (RO) workflow =====
+// RS routes a saved evaluation to an RO account; the RO records concurrence,
+// the Section K comparative assessment and comments from the RO inbox.
+
+function roReviewPath(evalId, suffix) {
+    return `/api/evaluation/${encodeURIComponent(evalId)}/ro${suffix || ''}`;
+}
+
+function describeRoReview(review) {
+    if (!review) return 'Not routed to an RO';
+    const ro = review.ro || {};
+    const who = [ro.rank, ro.name].filter(Boolean).join(' ') || ro.email || 'RO';
+    if (review.status !== 'completed') return `Pending RO review (${who})`;
+    const concur = (window.RoReview && window.RoReview.CONCURRENCE[review.concurrence]) || review.concurrence;
+    const block = (window.RoReview && window.RoReview.describeBlock(review.comparativeAssessment)) || '';
+    return `${concur} — Section K block ${review.comparativeAssessment}${block ? ` (${block})` : ''} by ${who}`;
+}
+
+async function loadRoReviewStatus(evalId, targetId) {
+    const el = document.getElementById(targetId);
+    if (!el) return;
+    try {
+        const { ok, status, data } = await apiRequest(roReviewPath(evalId));
+        if (ok) {
+            const review = data.review;
+            el.textContent = describeRoReview(review);
+            if (review && review.comments) {
+                const c = document.createElement('div');
+                c.className = 'comments-text';
+                c.textContent = review.comments;
+                el.appendChild(c);
+            }
+        } else if (status === 404) {
+            el.textContent = describeRoReview(null);
+        } else {
+            el.textContent = 'RO review status unavailable';
+        }
+    } catch (_) {
+        el.textContent = 'RO review status unavailable';
+    }
+}
+
+async function routeEvaluationToRo(evalId) {
+    const evaluation = profileEvaluations.find(e => (e.evaluationId || e.id) === evalId) || {};
+    const suggested = (evaluation.roInfo && evaluation.roInfo.email) || '';
+    const roEmail = prompt('Route to Reviewing Officer — enter the RO account email or username:', suggested);
+    if (roEmail === null) return;
+    if (!String(roEmail).trim()) {
+        alert('Reviewing Officer email is required.');
+        return;
+    }
+    try {
+        const { ok, data } = await apiRequest(roReviewPath(evalId, '/route'), {
+            method: 'POST',
+            body: { roEmail: String(roEmail).trim() }
+        });
+        if (!ok) throw new Error(data?.error || 'Routing failed');
+        showToast(`Evaluation routed to ${String(roEmail).trim()}`, 'success');
+        loadRoReviewStatus(evalId, 'gridDetailRoStatus');
+    } catch (err) {
+        console.error('Route to RO error:', err);
+        showToast(err.message || 'Failed to route evaluation to RO', 'error');
+    }
+}
+
+function renderRoReviewForm(item) {
+    const evalId = escapeHtml(item.evaluation?.evaluationId || '');
+    const scale = (window.RoReview ? window.RoReview.SECTION_K_SCALE : []).map(b =>
+        `<option value="${b.value}">${b.value} — ${escapeHtml(b.label)}</option>`
+    ).join('');
+    return `
+        <form class="ro-review-form" data-eval-id="${evalId}" onsubmit="submitRoReview(event)">
+            <div class="form-group">
+                <label class="form-label">Concurrence:</label>
+                <label><input type="radio" name="concurrence" value="concur" required> Concur</label>
+                <label><input type="radio" name="concurrence" value="nonconcur"> Non-concur</label>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Section K Comparative Assessment:</label>
+                <select class="setup-select" name="comparativeAssessment" required>
+                    <option value="">Select block...</option>
+                    ${scale}
+                </select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">RO Comments:</label>
+                <textarea class="form-input" name="comments" rows="4" maxlength="${window.RoReview ? window.RoReview.MAX_COMMENTS : 2000}"></textarea>
+            </div>
+            <button type="submit" class="btn btn-meets">Submit RO Review</button>
+        </form>
+    `;
+}
+
+function renderRoInbox(reviews) {
+    const container = document.getElementById('evaluationsList');
+    if (!container) return;
+    const header = `
+        <div class="summary-toolbar" role="toolbar" aria-label="RO Inbox controls">
+            <span class="summary-title">RO Inbox</span>
+            <div class="toolbar-spacer"></div>
+            <button class="btn btn-secondary" onclick="showRankSummaryView()">Back to RS Summary</button>
+        </div>
+    `;
+    if (!reviews.length) {
+        container.innerHTML = header + '<div class="empty-state"><p>No evaluations have been routed to you.</p></div>';
+        return;
+    }
+    const cards = reviews.map(item => {
+        const ev = item.evaluation || {};
+        const marine = ev.marineInfo || {};
+        const period = marine.evaluationPeriod || {};
+        const rs = item.rs || {};
+        const pending = item.status !== 'completed';
+        return `
+            <div class="ro-inbox-item ${pending ? 'pending' : 'completed'}">
+                <div class="panel-header">
+                    <div class="panel-title">
+                        <div class="panel-marine">${escapeHtml(marine.name || '-')} <span class="panel-rank">${escapeHtml(marine.rank || '')}</span></div>
+                        <div class="panel-meta">
+                            <span>${escapeHtml(ev.occasion || '')}</span>
+                            <span>${escapeHtml(period.from || '')} to ${escapeHtml(period.to || '')}</span>
+                            <span>RS: ${escapeHtml([rs.rank, rs.name].filter(Boolean).join(' '))}</span>
+                        </div>
+                    </div>
+                </div>
+                ${renderEvaluationDetails(ev)}
+                ${pending ? renderRoReviewForm(item) : `<div class="detail-section"><h4>RO Review</h4><div class="comments-text">${escapeHtml(describeRoReview(item))}</div>${item.comments ? `<div class="comments-text">${nl2br(escapeHtml(item.comments))}</div>` : ''}</div>`}
+            </div>
+        `;
+    }).join('');
+    container.innerHTML = header + cards;
+}
+
+async function showRoInbox() {
+    toggleGridView(false);
+    const container = document.getElementById('evaluationsList');
+    if (container) container.innerHTML = '<div class="empty-state"><p>Loading RO inbox…</p></div>';
+    try {
+        const endpoint = (window.CONSTANTS?.ROUTES?.API?.RO_INBOX) || '/api/ro/inbox';
+        const { ok, data } = await apiRequest(endpoint);
+        if (!ok) throw new Error(data?.error || 'Failed to load RO inbox');
+        renderRoInbox(Array.isArray(data.reviews) ? data.reviews : []);
+    } catch (err) {
+        console.error('RO inbox error:', err);
+        if (container) container.innerHTML = `<div class="empty-state"><p>${escapeHtml(err.message || 'Failed to load RO inbox')}</p></div>`;
+    }
+}
+
+async function submitRoReview(event) {
+    event.preventDefault();
+    const form = event.target;
+    const evalId = form.getAttribute('data-eval-id');
+    const checked = form.querySelector('input[name="concurrence"]:checked');
+    const input = {
+        concurrence: checked ? checked.value : '',
+        comparativeAssessment: form.elements.comparativeAssessment.value,
+        comments: form.elements.comments.value
+    };
+    if (window.RoReview) {
+        const check = window.RoReview.validate(input);
+        if (!check.valid) {
+            alert(check.errors.join('\n'));
+            return;
+        }
+    }
+    try {
+        const { ok, data } = await apiRequest(roReviewPath(evalId, '/review'), { method: 'POST', body: input });
+        if (!ok) throw new Error(data?.error || 'Failed to submit review');
+        showToast('RO review submitted', 'success');
+        showRoInbox();
+    } catch (err) {
+        console.error('Submit RO review error:', err);
+        showToast(err.message || 'Failed to submit RO review', 'error');
+    }
+}
+
+window.showRoInbox = showRoInbox;
+window.submitRoReview = submitRoReview;
+window.routeEvaluationToRo = routeEvaluationToRo;
+
+// ===== Marine history (timeline across reports on the same Marine) =====
+// Carried from "continue from last report" into the next evaluationMeta
+let pendingMarineContinuation = null;
+
+// RV of each of the Marine's reports, measured against the RS profile at that rank
+function marineRvMap(evals) {
+    const rvMap = new Map();
+    const ranks = new Set(evals.map(e => normalizeRankLabel(String(e.marineInfo?.rank || ''))));
+    ranks.forEach(rank => {
+        const sameRank = profileEvaluations.filter(e => normalizeRankLabel(String(e.marineInfo?.rank || '')) === rank);
+        computeRvValues(sameRank).forEach((rv, id) => rvMap.set(id, rv));
+    });
+    return rvMap;
+}
+
+function openMarinePanel(html) {
+    ensureGridDetailPanelDOM();
+    const backdrop = document.getElementById('gridDetailBackdrop');
+    const panel = document.getElementById('gridDetailPanel');
+    if (!panel || !backdrop) return null;
+    panel.innerHTML = html;
+    backdrop.classList.add('active');
+    panel.classList.add('active');
+    const closeBtn = document.getElementById('gridDetailCloseBtn');
+    if (closeBtn) closeBtn.addEventListener('click', closeGridDetailPanel);
+    try {
+        document.addEventListener('keydown', gridDetailEscHandler, true);
+    } catch (_) {}
+    return panel;
+}
+
+// Every Marine on the RS profile, newest report first
+function showMarineList() {
+    if (!window.MarineHistory) return;
+    const marines = window.MarineHistory.groupByMarine(profileEvaluations)
+        .sort((a, b) => String(b.last.marineInfo?.evaluationPeriod?.to || '').localeCompare(String(a.last.marineInfo?.evaluationPeriod?.to || '')));
+    const rows = marines.map(m => `
+        <tr class="marine-history-row" data-marine-key="${escapeHtml(m.key)}" tabindex="0">
+            <td>${escapeHtml(m.name)}</td>
+            <td>${escapeHtml(m.rank)}</td>
+            <td>${escapeHtml(m.edipi || '—')}</td>
+            <td>${m.evaluations.length}</td>
+            <td>${escapeHtml(m.last.occasion || '')} ${escapeHtml(m.last.marineInfo?.evaluationPeriod?.to || '')}</td>
+        </tr>`).join('');
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Marines</div>
+                <div class="panel-meta"><span>${marines.length} Marine${marines.length === 1 ? '' : 's'} on your profile</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            ${marines.length ? `
+            <table class="profile-grid marine-history-table">
+                <thead><tr><th>Marine</th><th>Rank</th><th>EDIPI</th><th>Reports</th><th>Last Report</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<p class="marine-history-note">No saved evaluations yet.</p>'}
+        </div>`);
+    if (!panel) return;
+    panel.querySelectorAll('[data-marine-key]').forEach(row => {
+        const open = () => showMarineHistory(row.getAttribute('data-marine-key'));
+        row.addEventListener('click', open);
+        row.addEventListener('keydown', e => { if (e.key === 'Enter') open(); });
+    });
+}
+
+/**
+ * Timeline of every report on one Marine: occasion, period, average, RV,
+ * trait grade trends and directed comments.
+ * @param {string} keyOrEvalId - Marine key, or the ID of one of the Marine's reports
+ */
+function showMarineHistory(keyOrEvalId) {
+    if (!window.MarineHistory) return;
+    const marine = window.MarineHistory.groupByMarine(profileEvaluations).find(m =>
+        m.key === keyOrEvalId || m.evaluations.some(e => e.evaluationId === keyOrEvalId)
+    );
+    if (!marine) {
+        showToast('No saved reports found for this Marine.', 'error');
+        return;
+    }
+    const entries = window.MarineHistory.timeline(marine.evaluations, marineRvMap(marine.evaluations));
+    const trends = window.MarineHistory.traitTrends(entries);
+    const arrow = c => (c === null ? '' : c > 0 ? '▲' : c < 0 ? '▼' : '■');
+    const trendClass = c => (c === null ? '' : c > 0 ? 'trend-up' : c < 0 ? 'trend-down' : 'trend-flat');
+
+    const reportRows = entries.map(e => `
+        <tr class="marine-history-row" data-eval-id="${escapeHtml(e.evaluationId)}" tabindex="0">
+            <td>${escapeHtml(e.occasion)}</td>
+            <td>${escapeHtml(e.rank)}</td>
+            <td>${escapeHtml(e.from)} – ${escapeHtml(e.to)}</td>
+            <td>${e.average === null ? 'N/A' : e.average.toFixed(2)}</td>
+            <td>${badgeForRv(e.rv === null ? 'N/A' : e.rv)}</td>
+            <td class="marine-history-comments">${escapeHtml(e.directedComments) || '—'}</td>
+        </tr>`).join('');
+    const trendRows = trends.map(t => `
+        <tr>
+            <td>${escapeHtml(t.trait)}</td>
+            ${t.grades.map(g => `<td>${g ? `<span class="grade-letter">${escapeHtml(g)}</span>` : '—'}</td>`).join('')}
+            <td class="${trendClass(t.change)}">${arrow(t.change)}</td>
+        </tr>`).join('');
+
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">${escapeHtml(marine.name)} <span class="panel-rank">${escapeHtml(marine.rank)}</span></div>
+                <div class="panel-meta">
+                    <span>${marine.edipi ? `EDIPI ${escapeHtml(marine.edipi)}` : 'No EDIPI on file'}</span>
+                    <span>${entries.length} report${entries.length === 1 ? '' : 's'}</span>
+                </div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-delete" id="marineHistoryBackBtn" title="All Marines on your profile">👥 All Marines</button>
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <div class="detail-section">
+                <h4>Reports</h4>
+                <table class="profile-grid marine-history-table">
+                    <thead><tr><th>Occasion</th><th>Rank</th><th>Period</th><th>Avg</th><th>RV</th><th>Directed Comments</th></tr></thead>
+                    <tbody>${reportRows}</tbody>
+                </table>
+            </div>
+            <div class="detail-section">
+                <h4>Trait Trends</h4>
+                <table class="profile-grid marine-history-table">
+                    <thead><tr><th>Trait</th>${entries.map(e => `<th>${escapeHtml(e.occasion)} ${escapeHtml(e.to)}</th>`).join('')}<th>Trend</th></tr></thead>
+                    <tbody>${trendRows}</tbody>
+                </table>
+            </div>
+        </div>`);
+    if (!panel) return;
+    const backBtn = document.getElementById('marineHistoryBackBtn');
+    if (backBtn) backBtn.addEventListener('click', showMarineList);
+    panel.querySelectorAll('[data-eval-id]').forEach(row => {
+        const open = () => openGridDetailPanel(row.getAttribute('data-eval-id'));
+        row.addEventListener('click', open);
+        row.addEventListener('keydown', e => { if (e.key === 'Enter') open(); });
+    });
+}
+
+// Setup screen: offer to continue from the last report when the typed name or EDIPI is known
+function offerContinueFromLastReport() {
+    const offer = document.getElementById('marineContinueOffer');
+    if (!offer) return;
+    const name = document.getElementById('marineNameInput')?.value || '';
+    const edipi = document.getElementById('edipiInput')?.value || '';
+    const marine = (window.MarineHistory && profileEvaluations.length)
+        ? window.MarineHistory.findMarine(profileEvaluations, { name, edipi })
+        : null;
+    // Already continuing this Marine: keep the confirmation message
+    if (marine && pendingMarineContinuation && pendingMarineContinuation.marineId === marine.key) return;
+    pendingMarineContinuation = null;
+    if (!marine) {
+        offer.style.display = 'none';
+        return;
+    }
+    const last = marine.last;
+    offer.innerHTML = `
+        <span>You have ${marine.evaluations.length} report${marine.evaluations.length === 1 ? '' : 's'} on ${escapeHtml(marine.name)}
+        (last: ${escapeHtml(last.occasion || '')} ending ${escapeHtml(last.marineInfo?.evaluationPeriod?.to || '—')}).</span>
+        <button type="button" class="btn btn-secondary" id="marineContinueBtn">Continue from last report</button>`;
+    offer.style.display = 'flex';
+    document.getElementById('marineContinueBtn').addEventListener('click', () => continueFromLastReport(marine.key));
+}
+
+/**
+ * Prefill the setup form from the Marine's last report and keep its marks
+ * so they can be shown while marking.
+ * @param {string} marineKey - Key from MarineHistory.groupByMarine
+ */
+function continueFromLastReport(marineKey) {
+    const marine = window.MarineHistory.groupByMarine(profileEvaluations).find(m => m.key === marineKey);
+    if (!marine) return;
+    const next = window.MarineHistory.continuation(marine.last);
+    next.marineId = marine.key;
+    // Section C accomplishments belong to the old period; everything else carries over
+    const admin = { ...AdminData.fromEvaluation(marine.last), billetAccomplishments: '' };
+
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined) el.value = value;
+    };
+    setValue('marineNameInput', next.marineName);
+    setValue('marineRankSelect', next.marineRank);
+    if (next.fromDate) setValue('fromDateInput', next.fromDate);
+    AdminData.FIELDS.forEach(f => setValue(f.inputId, admin[f.key]));
+
+    pendingMarineContinuation = next;
+    const offer = document.getElementById('marineContinueOffer');
+    if (offer) {
+        offer.innerHTML = `<span>Continuing from the ${escapeHtml(marine.last.occasion || '')} report ending ${escapeHtml(marine.last.marineInfo?.evaluationPeriod?.to || '—')}. Previous marks are shown as you mark each trait.</span>`;
+        offer.style.display = 'flex';
+    }
+}
+
+/**
+ * Attach the Marine identity (and previous marks, when continuing) to a new
+ * evaluationMeta. Called by startEvaluation.
+ * @param {Object} meta - evaluationMeta being started
+ */
+function applyMarineContinuation(meta) {
+    const cont = pendingMarineContinuation;
+    pendingMarineContinuation = null;
+    const offer = document.getElementById('marineContinueOffer');
+    if (offer) offer.style.display = 'none';
+    if (!cont || !window.MarineHistory) return;
+    // The RS may have switched to a different Marine after accepting the offer
+    const sameMarine = window.MarineHistory.normalizeName(meta.marineName) === window.MarineHistory.normalizeName(cont.marineName);
+    if (!sameMarine) return;
+    Object.assign(meta, {
+        marineId: cont.marineId,
+        previousEvaluationId: cont.previousEvaluationId,
+        previousGrades: cont.previousGrades
+    });
+}
+
+// Marine key for a new report: reuse the existing entity when the Marine is already on the profile
+function resolveMarineId(meta) {
+    if (meta.marineId) return meta.marineId;
+    if (!window.MarineHistory) return '';
+    const match = window.MarineHistory.findMarine(profileEvaluations, { name: meta.marineName, edipi: meta.edipi });
+    return match ? match.key : window.MarineHistory.marineKey({ name: meta.marineName, edipi: meta.edipi });
+}
+
+window.showMarineList = showMarineList;
+window.showMarineHistory = showMarineHistory;
+
+// Calibration board: same-rank reports side by side, marks adjustable in place
+const CALIBRATION_DRAFT_ID = 'current-draft';
+let calibrationState = null;
+
+// The evaluation in progress, shaped like a saved report
+function calibrationDraftEvaluation() {
+    if (typeof evaluationResults === 'undefined' || !Object.keys(evaluationResults || {}).length) return null;
+    return {
+        evaluationId: CALIBRATION_DRAFT_ID,
+        marineInfo: {
+            name: `${evaluationMeta.marineName || 'Current evaluation'} (in progress)`,
+            rank: evaluationMeta.marineRank,
+            evaluationPeriod: { from: evaluationMeta.fromDate, to: evaluationMeta.toDate }
+        },
+        traitEvaluations: evaluationResults,
+        fitrepAverage: calculateFitrepAverage(),
+        syncStatus: 'pending'
+    };
+}
+
+/**
+ * Pick the reports to calibrate: every report on the profile at the rank
+ * selected on the dashboard (or the rank of the evaluation in progress).
+ * Reports not yet synced are preselected.
+ */
+function showCalibrationBoard() {
+    if (!window.CalibrationBoard) return;
+    const rank = normalizeRankLabel(selectedRankFilter || evaluationMeta?.marineRank || '');
+    if (!rank) {
+        showToast('Select a rank on the dashboard to open the calibration board.', 'info');
+        return;
+    }
+    const draft = calibrationDraftEvaluation();
+    const candidates = [
+        ...(draft && normalizeRankLabel(draft.marineInfo.rank || '') === rank ? [draft] : []),
+        ...profileEvaluations.filter(e => normalizeRankLabel(String(e.marineInfo?.rank || '')) === rank)
+    ];
+    const options = candidates.map(e => `
+        <label class="calibration-pick">
+            <input type="checkbox" value="${escapeHtml(e.evaluationId)}" ${e.syncStatus !== 'synced' ? 'checked' : ''}>
+            <span>${escapeHtml(e.marineInfo?.name || '-')}</span>
+            <span class="calibration-pick-meta">${escapeHtml(capitalize(e.occasion || ''))} ${escapeHtml(e.marineInfo?.evaluationPeriod?.to || '')} · ${escapeHtml(parseFloat(e.fitrepAverage || '0').toFixed(2))}</span>
+        </label>`).join('');
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Calibration Board (${escapeHtml(rank)})</div>
+                <div class="panel-meta"><span>Choose the reports to compare side by side</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            ${candidates.length ? `
+            <div class="calibration-picker">${options}</div>
+            <button class="btn btn-primary" id="calibrationOpenBtn">Open Board</button>` : `<p class="marine-history-note">No ${escapeHtml(rank)} evaluations to calibrate.</p>`}
+        </div>`);
+    if (!panel) return;
+    const openBtn = panel.querySelector('#calibrationOpenBtn');
+    if (!openBtn) return;
+    openBtn.addEventListener('click', () => {
+        const ids = new Set([...panel.querySelectorAll('.calibration-pick input:checked')].map(i => i.value));
+        if (ids.size < 2) {
+            showToast('Select at least two reports to calibrate.', 'info');
+            return;
+        }
+        openCalibrationMatrix(rank, candidates.filter(e => ids.has(e.evaluationId)));
+    });
+}
+
+function openCalibrationMatrix(rank, evaluations) {
+    const board = window.CalibrationBoard.createBoard(evaluations);
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Calibration Board (${escapeHtml(rank)})</div>
+                <div class="panel-meta"><span>${evaluations.length} reports · RV against every ${escapeHtml(rank)} report on your profile</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <div class="calibration-ties" id="calibrationTies"></div>
+            <div class="calibration-scroll">
+                <table class="profile-grid calibration-table">
+                    <thead><tr>
+                        <th>#</th><th>Marine</th>
+                        ${board.traits.map(t => `<th>${escapeHtml(t)}</th>`).join('')}
+                        <th>Avg</th><th>RV</th>
+                    </tr></thead>
+                    <tbody></tbody>
+                    <tfoot><tr id="calibrationTraitAverages"></tr></tfoot>
+                </table>
+            </div>
+            <div class="calibration-actions">
+                <button class="btn btn-secondary" id="calibrationResetBtn">Reset</button>
+                <button class="btn btn-primary" id="calibrationApplyBtn">Apply Changes</button>
+            </div>
+        </div>`);
+    if (!panel) return;
+    calibrationState = {
+        rank,
+        evaluations,
+        board,
+        renderer: new OptimizedTableRenderer(panel.querySelector('.calibration-table tbody')),
+        panel
+    };
+    panel.querySelector('#calibrationResetBtn').addEventListener('click', () => {
+        calibrationState.board = window.CalibrationBoard.createBoard(evaluations);
+        refreshCalibrationMatrix();
+    });
+    panel.querySelector('#calibrationApplyBtn').addEventListener('click', applyCalibrationChanges);
+    refreshCalibrationMatrix();
+}
+
+function refreshCalibrationMatrix() {
+    const state = calibrationState;
+    if (!state) return;
+    const { board, panel } = state;
+    const summary = window.CalibrationBoard.summarize(board);
+
+    // Board reports at their adjusted averages, measured with the rest of the rank
+    const onBoard = new Set(board.members.map(m => m.evaluationId));
+    const adjusted = board.members.map(m =>
+        window.CalibrationBoard.applyToEvaluation(state.evaluations.find(e => e.evaluationId === m.evaluationId), m)
+    );
+    const others = profileEvaluations.filter(e =>
+        !onBoard.has(e.evaluationId) && normalizeRankLabel(String(e.marineInfo?.rank || '')) === state.rank
+    );
+    const rvMap = computeRvValues([...others, ...adjusted]);
+
+    const members = new Map(board.members.map(m => [m.evaluationId, m]));
+    const changesById = new Map();
+    summary.changes.forEach(c => changesById.set(c.evaluationId, [...(changesById.get(c.evaluationId) || []), c]));
+    const rows = summary.rows.map(r => {
+        const m = members.get(r.evaluationId);
+        return {
+            evaluationId: r.evaluationId,
+            rank: r.position,
+            marineName: r.marineName || '-',
+            average: r.average === null ? 'N/A' : r.average.toFixed(2),
+            originalAverage: r.originalAverage,
+            rv: rvMap.get(r.evaluationId) ?? 'N/A',
+            grades: Object.fromEntries(board.traits.map(t => [t, m.marks[t]?.grade || null])),
+            originals: Object.fromEntries(board.traits.map(t => [t, m.marks[t]?.original || null])),
+            changes: changesById.get(r.evaluationId) || []
+        };
+    });
+
+    const renderRow = row => {
+        const tr = document.createElement('tr');
+        tr.setAttribute('data-eval-id', row.evaluationId);
+        const cells = [
+            `<td>${row.rank ?? '—'}</td>`,
+            `<td style="text-align: left;">${escapeHtml(row.marineName)}</td>`,
+            ...board.traits.map(t => {
+                const grade = row.grades[t];
+                if (!grade) return '<td>—</td>';
+                const changed = grade !== row.originals[t];
+                const opts = window.CalibrationBoard.GRADES.map(g => `<option value="${g}" ${g === grade ? 'selected' : ''}>${g}</option>`).join('');
+                return `<td class="grade-cell${changed ? ' calibration-changed' : ''}"${changed ? ` title="Was ${escapeHtml(row.originals[t])}"` : ''}>
+                    <select class="calibration-grade" data-trait="${escapeHtml(t)}" aria-label="${escapeHtml(`${row.marineName} ${t}`)}">${opts}</select>
+                </td>`;
+            }),
+            `<td class="avg-cell">${row.average}</td>`,
+            `<td>${badgeForRv(row.rv)}</td>`
+        ];
+        tr.innerHTML = cells.join('');
+        tr.querySelectorAll('.calibration-grade').forEach(sel => {
+            sel.addEventListener('change', () => {
+                state.board = window.CalibrationBoard.setGrade(state.board, row.evaluationId, sel.getAttribute('data-trait'), sel.value);
+                refreshCalibrationMatrix();
+            });
+        });
+
+        // Details row lists the adjustments on this report
+        const detailsRow = document.createElement('tr');
+        detailsRow.className = 'grid-details-row calibration-details';
+        detailsRow.setAttribute('data-eval-id', row.evaluationId);
+        detailsRow.style.display = row.changes.length ? '' : 'none';
+        const before = row.originalAverage === null ? 'N/A' : row.originalAverage.toFixed(2);
+        detailsRow.innerHTML = `<td colspan="${board.traits.length + 4}">
+            ${row.changes.map(c => `${escapeHtml(c.trait)} ${escapeHtml(c.from)} → ${escapeHtml(c.to)}`).join(' · ')}
+            (average ${before} → ${row.average})
+        </td>`;
+        return { dataRow: tr, detailsRow };
+    };
+    state.renderer.updateTable(rows, renderRow);
+
+    const footer = panel.querySelector('#calibrationTraitAverages');
+    if (footer) {
+        footer.innerHTML = `<td></td><td style="text-align: left;">Trait average</td>
+            ${board.traits.map(t => `<td>${summary.traitAverages[t] === null ? '—' : summary.traitAverages[t].toFixed(2)}</td>`).join('')}
+            <td></td><td></td>`;
+    }
+    const ties = panel.querySelector('#calibrationTies');
+    if (ties) {
+        const names = summary.ties.map(ids => ids.map(id => members.get(id)?.marineName || id).join(', '));
+        ties.innerHTML = names.length
+            ? `⚖️ Same average, not separated in the order of merit: ${names.map(n => escapeHtml(n)).join('; ')}`
+            : '';
+        ties.style.display = names.length ? '' : 'none';
+    }
+    const applyBtn = panel.querySelector('#calibrationApplyBtn');
+    if (applyBtn) {
+        applyBtn.disabled = !summary.changes.length;
+        applyBtn.textContent = summary.changes.length ? `Apply ${summary.changes.length} Change${summary.changes.length === 1 ? '' : 's'}` : 'Apply Changes';
+    }
+}
+
+// Write the adjusted marks back to the saved reports (and the evaluation in progress)
+function applyCalibrationChanges() {
+    const state = calibrationState;
+    if (!state || !window.CalibrationBoard) return;
+    const { changes } = window.CalibrationBoard.summarize(state.board);
+    if (!changes.length) return;
+    const changedIds = new Set(changes.map(c => c.evaluationId));
+    if (!confirm(`Apply ${changes.length} mark change${changes.length === 1 ? '' : 's'} to ${changedIds.size} report${changedIds.size === 1 ? '' : 's'}?`)) return;
+
+    let savedChanged = false;
+    state.board.members.filter(m => changedIds.has(m.evaluationId)).forEach(m => {
+        if (m.evaluationId === CALIBRATION_DRAFT_ID) {
+            Object.values(evaluationResults).forEach(r => {
+                const mark = m.marks[r.trait];
+                if (!mark || mark.grade === r.grade) return;
+                r.grade = mark.grade;
+                r.gradeNumber = window.CalibrationBoard.GRADES.indexOf(mark.grade) + 1;
+            });
+            if (typeof saveProgressToStorage === 'function') saveProgressToStorage();
+            return;
+        }
+        const idx = profileEvaluations.findIndex(e => e.evaluationId === m.evaluationId);
+        if (idx === -1) return;
+        profileEvaluations[idx] = {
+            ...window.CalibrationBoard.applyToEvaluation(profileEvaluations[idx], m),
+            syncStatus: 'pending'
+        };
+        savedChanged = true;
+    });
+
+    if (savedChanged && currentProfile) {
+        saveEvaluationsToLocal(generateProfileKey(currentProfile.rsName, currentProfile.rsEmail), profileEvaluations);
+        try { renderProfileGrid(); } catch (_) {}
+    }
+    showToast(`Applied ${changes.length} mark change${changes.length === 1 ? '' : 's'}. Updated reports are pending sync.`, 'success');
+
+    // Reopen on the updated reports
+    const ids = new Set(state.evaluations.map(e => e.evaluationId));
+    const draft = calibrationDraftEvaluation();
+    openCalibrationMatrix(state.rank, [
+        ...(draft && ids.has(CALIBRATION_DRAFT_ID) ? [draft] : []),
+        ...profileEvaluations.filter(e => ids.has(e.evaluationId))
+    ]);
+}
+
+window.showCalibrationBoard = showCalibrationBoard;
+
+// Order of merit: the RS's ranked list per grade and reporting cycle
+// ({ [cycleKey]: { rank, cycle, order, updatedAt } }). Cached in localStorage
+// per profile and saved to the server (server/orderOfMeritRoutes.js), so it
+// follows the RS to other devices; the newer copy of each list wins.
+let orderOfMeritSyncedFor = '';
+
+function orderOfMeritRoute() {
+    return (window.CONSTANTS && window.CONSTANTS.ROUTES && window.CONSTANTS.ROUTES.API && window.CONSTANTS.ROUTES.API.ORDER_OF_MERIT) || '/api/order-of-merit';
+}
+
+function orderOfMeritOnline() {
+    return !!(currentProfile && currentProfile.rsEmail && currentProfile.rsEmail !== 'offline@local' && typeof navigator !== 'undefined' && navigator.onLine);
+}
+
+function loadOrderOfMerit() {
+    if (!currentProfile) return {};
+    try {
+        return JSON.parse(localStorage.getItem(`orderOfMerit:${generateProfileKey(currentProfile.rsName, currentProfile.rsEmail)}`) || '{}');
+    } catch (err) {
+        console.warn('loadOrderOfMerit failed:', err);
+        return {};
+    }
+}
+
+function storeOrderOfMerit(lists) {
+    try {
+        localStorage.setItem(`orderOfMerit:${generateProfileKey(currentProfile.rsName, currentProfile.rsEmail)}`, JSON.stringify(lists));
+    } catch (err) {
+        console.warn('storeOrderOfMerit failed:', err);
+    }
+}
+
+async function putOrderOfMeritList(key, list) {
+    const { ok, data } = await apiRequest(`${orderOfMeritRoute()}/${encodeURIComponent(key)}`, {
+        method: 'PUT',
+        body: { rank: list.rank, cycle: list.cycle, order: list.order }
+    });
+    if (!ok) throw new Error(data?.error || 'Failed to save order of merit');
+}
+
+/**
+ * Save the lists on this device and send one of them to the server.
+ * @param {Object} lists - All lists, keyed by cycle key
+ * @param {string} key - Cycle key of the list that changed
+ * @returns {Promise<boolean>} True when the server has the list
+ */
+async function saveOrderOfMerit(lists, key) {
+    if (!currentProfile) return false;
+    storeOrderOfMerit(lists);
+    if (!orderOfMeritOnline() || !lists[key]) return false;
+    try {
+        await putOrderOfMeritList(key, lists[key]);
+        return true;
+    } catch (err) {
+        console.warn('saveOrderOfMerit failed:', err);
+        return false;
+    }
+}
+
+/**
+ * Bring the cached lists in step with the server once per profile: newer
+ * server lists replace cached ones, and lists changed while offline are sent.
+ * @returns {Promise<void>}
+ */
+async function refreshOrderOfMerit() {
+    if (!orderOfMeritOnline() || orderOfMeritSyncedFor === currentProfile.rsEmail) return;
+    const email = currentProfile.rsEmail;
+    orderOfMeritSyncedFor = email;
+    try {
+        const { ok, data } = await apiRequest(orderOfMeritRoute());
+        if (!ok) throw new Error(data?.error || 'Failed to load order of merit');
+        if (!currentProfile || currentProfile.rsEmail !== email) return;
+        const lists = loadOrderOfMerit();
+        const remote = new Map((data.lists || []).map(l => [l.cycleKey, l]));
+        remote.forEach((list, key) => {
+            if (!lists[key] || String(list.updatedAt || '') > String(lists[key].updatedAt || '')) {
+                lists[key] = { rank: list.rank, cycle: list.cycle, order: list.order, updatedAt: list.updatedAt };
+            }
+        });
+        storeOrderOfMerit(lists);
+        const unsent = Object.keys(lists).filter(key =>
+            !remote.has(key) || String(lists[key].updatedAt || '') > String(remote.get(key).updatedAt || ''));
+        for (const key of unsent) {
+            await putOrderOfMeritList(key, lists[key]);
+        }
+    } catch (err) {
+        orderOfMeritSyncedFor = '';
+        console.warn('refreshOrderOfMerit failed:', err);
+    }
+}
+
+function orderOfMeritAnnualEnd(rank) {
+    const grade = String(rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return window.ReportingPeriod?.ANNUAL_END_DATES?.AN?.[grade] || window.OrderOfMerit.DEFAULT_ANNUAL_END;
+}
+
+function orderOfMeritKeyOf(evaluation) {
+    return window.MarineHistory ? window.MarineHistory.marineKey(evaluation.marineInfo) : (evaluation.evaluationId || '');
+}
+
+// The evaluation in progress as an order-of-merit candidate
+function orderOfMeritDraft() {
+    if (typeof evaluationMeta === 'undefined' || !evaluationMeta.marineName) return null;
+    return {
+        evaluationId: CALIBRATION_DRAFT_ID,
+        marineInfo: {
+            name: evaluationMeta.marineName,
+            edipi: evaluationMeta.edipi,
+            rank: evaluationMeta.marineRank,
+            evaluationPeriod: { from: evaluationMeta.fromDate, to: evaluationMeta.toDate }
+        },
+        fitrepAverage: typeof evaluationResults !== 'undefined' && Object.keys(evaluationResults || {}).length ? calculateFitrepAverage() : ''
+    };
+}
+
+function orderOfMeritCandidates(rank, cycle) {
+    return window.OrderOfMerit.candidates(profileEvaluations, {
+        rank,
+        cycle,
+        keyOf: orderOfMeritKeyOf,
+        annualEnd: orderOfMeritAnnualEnd(rank),
+        draft: orderOfMeritDraft()
+    });
+}
+
+/**
+ * Place of the Marine being evaluated in the RS's saved order of merit, for
+ * the promotion endorsement ("Ranks #ranking of totalPopulation").
+ * @returns {{ranking: number, totalPopulation: number}|null} null until the RS has ranked this Marine
+ */
+function getOrderOfMeritStanding() {
+    if (!window.OrderOfMerit) return null;
+    const draft = orderOfMeritDraft();
+    if (!draft) return null;
+    const rank = draft.marineInfo.rank;
+    const cycle = window.OrderOfMerit.cycleFor(draft.marineInfo.evaluationPeriod.to, orderOfMeritAnnualEnd(rank));
+    const saved = loadOrderOfMerit()[window.OrderOfMerit.cycleKey(rank, cycle)];
+    const key = orderOfMeritKeyOf(draft);
+    if (!cycle || !saved || !saved.order.includes(key)) return null;
+    const order = window.OrderOfMerit.reconcile(saved.order, orderOfMeritCandidates(rank, cycle));
+    return window.OrderOfMerit.standing(order, key);
+}
+
+/**
+ * Drag-and-drop order of merit for one grade and reporting cycle, built from
+ * the saved reports and the evaluation in progress. Every change is saved.
+ * @param {string} [cycle] - Cycle year; defaults to the draft's cycle, else the latest
+ */
+function showOrderOfMerit(cycle) {
+    if (!window.OrderOfMerit) return;
+    const draft = orderOfMeritDraft();
+    const rank = normalizeRankLabel(selectedRankFilter || draft?.marineInfo.rank || '');
+    if (!rank) {
+        showToast('Select a rank on the dashboard to open the order of merit.', 'info');
+        return;
+    }
+    const annualEnd = orderOfMeritAnnualEnd(rank);
+    const cycles = [...new Set([
+        ...profileEvaluations
+            .filter(e => normalizeRankLabel(String(e.marineInfo?.rank || '')) === rank)
+            .map(e => window.OrderOfMerit.cycleFor(e.marineInfo?.evaluationPeriod?.to, annualEnd)),
+        ...(draft && normalizeRankLabel(draft.marineInfo.rank || '') === rank
+            ? [window.OrderOfMerit.cycleFor(draft.marineInfo.evaluationPeriod.to, annualEnd)]
+            : [])
+    ].filter(Boolean))].sort().reverse();
+    const draftCycle = draft ? window.OrderOfMerit.cycleFor(draft.marineInfo.evaluationPeriod.to, annualEnd) : '';
+    const current = cycle || (cycles.includes(draftCycle) ? draftCycle : cycles[0]);
+
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Order of Merit (${escapeHtml(rank)})</div>
+                <div class="panel-meta">
+                    <span>Reporting cycle ending ${escapeHtml(annualEnd)}</span>
+                    ${cycles.length ? `<select id="orderOfMeritCycle" aria-label="Reporting cycle">
+                        ${cycles.map(c => `<option value="${c}" ${c === current ? 'selected' : ''}>${c}</option>`).join('')}
+                    </select>` : ''}
+                </div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            ${current ? `
+            <p class="marine-history-note">Drag Marines into order, best first. Moves are saved as you go; positions fill in the promotion endorsement.</p>
+            <ol class="oom-list" id="orderOfMeritList"></ol>
+            <div class="oom-flags" id="orderOfMeritFlags"></div>
+            <div class="calibration-actions">
+                <button class="btn btn-primary" id="orderOfMeritSaveBtn">Save Order</button>
+            </div>` : `<p class="marine-history-note">No ${escapeHtml(rank)} evaluations to rank.</p>`}
+        </div>`);
+    if (!panel || !current) return;
+    panel.querySelector('#orderOfMeritCycle')?.addEventListener('change', e => showOrderOfMerit(e.target.value));
+
+    const list = orderOfMeritCandidates(rank, current);
+    const storageKey = window.OrderOfMerit.cycleKey(rank, current);
+    const lists = loadOrderOfMerit();
+    let order = window.OrderOfMerit.reconcile(lists[storageKey]?.order, list);
+    const byKey = new Map(list.map(c => [c.key, c]));
+    let dragIndex = null;
+
+    const save = () => {
+        lists[storageKey] = { rank, cycle: current, order, updatedAt: new Date().toISOString() };
+        return saveOrderOfMerit(lists, storageKey);
+    };
+    const reorder = (from, to) => {
+        order = window.OrderOfMerit.move(order, from, to);
+        save();
+        render();
+    };
+
+    function render() {
+        const flags = window.OrderOfMerit.inconsistencies(order, list);
+        const outscored = new Map();
+        flags.forEach(f => outscored.set(f.below.key, [...(outscored.get(f.below.key) || []), f.above]));
+        const ol = panel.querySelector('#orderOfMeritList');
+        ol.innerHTML = order.map((key, i) => {
+            const c = byKey.get(key);
+            const above = outscored.get(key) || [];
+            return `
+            <li class="oom-item${above.length ? ' oom-flagged' : ''}" draggable="true" data-index="${i}">
+                <span class="oom-handle" aria-hidden="true">⠿</span>
+                <span class="oom-position">#${i + 1}</span>
+                <span class="oom-name">${escapeHtml(c.name)}${c.draft ? ' <span class="oom-draft">in progress</span>' : ''}</span>
+                <span class="oom-average">${c.average === null ? 'N/A' : c.average.toFixed(2)}</span>
+                <button class="icon-btn oom-up" aria-label="Move ${escapeHtml(c.name)} up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                <button class="icon-btn oom-down" aria-label="Move ${escapeHtml(c.name)} down" ${i === order.length - 1 ? 'disabled' : ''}>▼</button>
+                ${above.length ? `<div class="oom-flag">⚠️ Higher average than ${above.map(a => `#${order.indexOf(a.key) + 1} ${escapeHtml(a.name)}`).join(', ')}</div>` : ''}
+            </li>`;
+        }).join('');
+        ol.querySelectorAll('.oom-item').forEach(li => {
+            const i = Number(li.getAttribute('data-index'));
+            li.querySelector('.oom-up').addEventListener('click', () => reorder(i, i - 1));
+            li.querySelector('.oom-down').addEventListener('click', () => reorder(i, i + 1));
+            li.addEventListener('dragstart', e => {
+                dragIndex = i;
+                li.classList.add('oom-dragging');
+                try { e.dataTransfer.effectAllowed = 'move'; } catch (_) {}
+            });
+            li.addEventListener('dragend', () => li.classList.remove('oom-dragging'));
+            li.addEventListener('dragover', e => {
+                e.preventDefault();
+                li.classList.add('oom-drop-target');
+            });
+            li.addEventListener('dragleave', () => li.classList.remove('oom-drop-target'));
+            li.addEventListener('drop', e => {
+                e.preventDefault();
+                if (dragIndex !== null && dragIndex !== i) reorder(dragIndex, i);
+                dragIndex = null;
+            });
+        });
+        const flagBox = panel.querySelector('#orderOfMeritFlags');
+        flagBox.textContent = flags.length
+            ? `${flags.length} pair${flags.length === 1 ? '' : 's'} where a lower-ranked Marine has a higher FITREP average. Adjust the order or the marks (⚖️ Calibration Board).`
+            : '';
+        flagBox.style.display = flags.length ? '' : 'none';
+    }
+
+    panel.querySelector('#orderOfMeritSaveBtn').addEventListener('click', () => {
+        save().then(synced => {
+            showToast(synced ? 'Order of merit saved.' : 'Order of merit saved on this device; it is sent to the server on your next online visit.', synced ? 'success' : 'info');
+        });
+    });
+    render();
+}
+
+window.showOrderOfMerit = showOrderOfMerit;
+window.getOrderOfMeritStanding = getOrderOfMeritStanding;
+window.offerContinueFromLastReport = offerContinueFromLastReport;
+window.applyMarineContinuation = applyMarineContinuation;
+
 // Inline availability feedback for Create Account username input
 function initUsernameAvailabilityWatcher() {
     // No-op: availability UI removed; server will enforce uniqueness on create
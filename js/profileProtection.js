@@ -0,0 +1,88 @@
+// UMD module: RS profile protection — compares an in-progress report's running
+// average with the RS's saved High/Avg for the Marine's rank (the same numbers
+// shown in the profile grid's rank summary bar) and flags risky markings.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProfileProtection = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // How far under the profile average counts as "far below"
+  const FAR_BELOW_MARGIN = 0.30;
+
+  /**
+   * High / Avg / Low / # Rpts for a set of saved evaluations.
+   * Mirrors renderRankSummary: zero averages are excluded from Avg, Low and count.
+   * @param {Object[]} evals - Saved evaluations for one rank
+   * @returns {{high: number, avg: number, low: number, count: number}}
+   */
+  function rankStats(evals) {
+    const scores = (evals || [])
+      .map(e => parseFloat(e?.fitrepAverage || '0'))
+      .filter(n => Number.isFinite(n) && n > 0);
+    if (!scores.length) return { high: 0, avg: 0, low: 0, count: 0 };
+    return {
+      high: Math.max(...scores),
+      avg: scores.reduce((s, x) => s + x, 0) / scores.length,
+      low: Math.min(...scores),
+      count: scores.length
+    };
+  }
+
+  /**
+   * Average of the grades marked so far (ungraded traits are ignored).
+   * @param {number[]} gradeNumbers - Trait grade numbers (1–7)
+   * @returns {number|null} Running average, or null before the first grade
+   */
+  function runningAverage(gradeNumbers) {
+    const nums = (gradeNumbers || []).map(Number).filter(n => Number.isFinite(n) && n > 0);
+    if (!nums.length) return null;
+    return nums.reduce((s, x) => s + x, 0) / nums.length;
+  }
+
+  /**
+   * Where a report average falls against the profile, with warnings.
+   * @param {Object[]} evals - Saved evaluations for the Marine's rank
+   * @param {number|null} score - In-progress report average
+   * @param {{farBelowMargin?: number}} [options]
+   * @returns {{stats: Object, position: (number|null), of: number, isNewHigh: boolean, isFarBelow: boolean, delta: (number|null), warnings: string[]}}
+   */
+  function assess(evals, score, options) {
+    const margin = options?.farBelowMargin ?? FAR_BELOW_MARGIN;
+    const stats = rankStats(evals);
+    const result = {
+      stats,
+      position: null,
+      of: stats.count + 1,
+      isNewHigh: false,
+      isFarBelow: false,
+      delta: null,
+      warnings: []
+    };
+    if (!Number.isFinite(score) || !stats.count) return result;
+
+    const above = (evals || [])
+      .map(e => parseFloat(e?.fitrepAverage || '0'))
+      .filter(n => Number.isFinite(n) && n > score).length;
+    result.position = above + 1;
+    result.delta = score - stats.avg;
+    result.isNewHigh = score > stats.high;
+    result.isFarBelow = stats.avg - score > margin;
+
+    if (result.isNewHigh) {
+      result.warnings.push(`Sets a new profile high (${score.toFixed(2)} vs ${stats.high.toFixed(2)}); every earlier report's RV will drop.`);
+    }
+    if (result.isFarBelow) {
+      result.warnings.push(`${(stats.avg - score).toFixed(2)} below your profile average of ${stats.avg.toFixed(2)}.`);
+    }
+    return result;
+  }
+
+  return {
+    FAR_BELOW_MARGIN,
+    rankStats,
+    runningAverage,
+    assess
+  };
+});
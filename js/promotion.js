@@ -163,6 +163,7 @@ function handleCategoryChange() {
     
     if (competitiveCategory) {
         rankingSection.classList.add('active');
+        applyOrderOfMeritRanking();
     } else {
         rankingSection.classList.remove('active');
     }
@@ -177,6 +178,23 @@ function handleCustomCategoryInput() {
     }
 }
 
+// Fill ranking/totalPopulation from the RS's saved order of merit, when this
+// Marine has been ranked there (showOrderOfMerit in js/profile.js)
+function applyOrderOfMeritRanking() {
+    const standing = typeof getOrderOfMeritStanding === 'function' ? getOrderOfMeritStanding() : null;
+    if (!standing) return;
+
+    ranking = standing.ranking;
+    totalPopulation = standing.totalPopulation;
+
+    const rankingInput = document.getElementById('rankingInput');
+    const totalInput = document.getElementById('totalPopulationInput');
+    if (rankingInput) rankingInput.value = ranking;
+    if (totalInput) totalInput.value = totalPopulation;
+
+    updatePromotionPreview();
+}
+
 function handleRankingInput() {
     const rankingInput = document.getElementById('rankingInput');
     const totalInput = document.getElementById('totalPopulationInput');
@@ -0,0 +1,297 @@
+// UMD module: reporting calendar — the next report due on each Marine from
+// the end of their last report, the grade's annual (or lieutenants'
+// semiannual) ending date and any known transfer/PCS date, with overdue,
+// due-soon and submitted states and an iCalendar (.ics) rendering. Used by
+// the dashboard calendar (js/calendarPanel.js) and GET /api/calendar/feed.ics
+// (server/calendarRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReportingCalendar = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Reports are due at HQMC no later than 30 days after the period ends
+  const DUE_DAYS = 30;
+  // A report is "due soon" from this many days before its period ends
+  const DUE_SOON_DAYS = 30;
+  // Submitted reports stay on the calendar this long after their period ends
+  const SUBMITTED_DAYS = 90;
+  // Shorter periods roll into the next scheduled report (matches ReportingPeriod.MIN_OBSERVED_DAYS)
+  const MIN_PERIOD_DAYS = 90;
+
+  const STATES = ['overdue', 'due-soon', 'upcoming', 'submitted'];
+  // After these the Marine is no longer reported on by this RS
+  const FINAL_OCCASIONS = ['TR', 'CH', 'EN'];
+  // Duty statuses (js/adminData.js) on the reserve annual schedule
+  const RESERVE_STATUSES = ['SMCR', 'IMA'];
+  // Transfer key of the RS's own PCS: every Marine gets a CH report
+  const RS_KEY = 'rs';
+  const MAX_TRANSFERS = 500;
+
+  function gradeKey(rank) {
+    return String(rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  function parseDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').slice(0, 10));
+    if (!m) return null;
+    const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return new Date(t).toISOString().slice(0, 10) === m[0] ? t : null;
+  }
+
+  function formatDate(t) {
+    return new Date(t).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Shift an ISO date by a number of days.
+   * @param {string} isoDate - YYYY-MM-DD
+   * @param {number} days - May be negative
+   * @returns {string} YYYY-MM-DD, or '' when the date is invalid
+   */
+  function addDays(isoDate, days) {
+    const t = parseDate(isoDate);
+    return t === null ? '' : formatDate(t + days * DAY_MS);
+  }
+
+  function daysBetween(a, b) {
+    return Math.round((parseDate(b) - parseDate(a)) / DAY_MS);
+  }
+
+  /**
+   * Next scheduled (annual or semiannual) ending date after a report.
+   * @param {string} lastEnd - End date of the last report (YYYY-MM-DD)
+   * @param {string} rank - Grade
+   * @param {'AN'|'AR'} component - Active or reserve schedule
+   * @param {{annualEndDates: Object, annualGrades?: string[], semiannualEndDates?: string[], semiannualGrades?: string[]}} rules
+   *   ReportingPeriod.ANNUAL_END_DATES, ANNUAL_GRADES, SEMIANNUAL_END_DATES and SEMIANNUAL_GRADES
+   * @returns {{occasion: string, to: string}|null} null when the grade has no schedule
+   */
+  function nextScheduledEnd(lastEnd, rank, component, rules) {
+    const start = parseDate(lastEnd);
+    if (start === null) return null;
+    const r = rules || {};
+    const grade = gradeKey(rank);
+    let occasion = component;
+    let monthDays = [];
+    if (component === 'AN' && (r.semiannualGrades || []).includes(grade)) {
+      occasion = 'SA';
+      monthDays = r.semiannualEndDates || [];
+    } else if (r.annualEndDates?.[component] && (r.annualGrades || []).includes(grade)) {
+      monthDays = [r.annualEndDates[component]];
+    }
+    const year = Number(String(lastEnd).slice(0, 4));
+    const dates = [];
+    for (let y = year; y <= year + 2; y++) {
+      monthDays.forEach(md => dates.push(`${y}-${md}`));
+    }
+    const to = dates.sort().find(d => parseDate(d) !== null && daysBetween(lastEnd, d) >= MIN_PERIOD_DAYS);
+    return to ? { occasion, to } : null;
+  }
+
+  function stateFor(to, due, today) {
+    if (today > due) return 'overdue';
+    if (today >= addDays(to, -DUE_SOON_DAYS)) return 'due-soon';
+    return 'upcoming';
+  }
+
+  /**
+   * Validate and normalize the RS's known transfer/PCS dates.
+   * @param {Array<{marineKey: string, marineName?: string, date: string}>} list
+   *   `marineKey` is a MarineHistory key, or RS_KEY for the RS's own PCS
+   * @returns {{valid: boolean, errors: string[], value: Object[]}} One entry per key; the last wins
+   */
+  function validateTransfers(list) {
+    const errors = [];
+    if (!Array.isArray(list)) {
+      return { valid: false, errors: ['Transfers must be a list.'], value: [] };
+    }
+    const byKey = new Map();
+    list.forEach(raw => {
+      const t = {
+        marineKey: String(raw?.marineKey || '').trim(),
+        marineName: String(raw?.marineName || '').trim(),
+        date: String(raw?.date || '').trim().slice(0, 10)
+      };
+      if (!t.marineKey) {
+        errors.push('Each transfer date needs a Marine.');
+      } else if (parseDate(t.date) === null) {
+        errors.push(`Transfer date for ${t.marineName || (t.marineKey === RS_KEY ? 'your PCS' : t.marineKey)} is not a valid date (YYYY-MM-DD).`);
+      } else {
+        byKey.set(t.marineKey, t);
+      }
+    });
+    if (byKey.size > MAX_TRANSFERS) errors.push(`Keep ${MAX_TRANSFERS} transfer dates or fewer.`);
+    return { valid: errors.length === 0, errors, value: [...byKey.values()] };
+  }
+
+  /**
+   * Report calendar for the RS's Marines: each Marine's next report and, for
+   * SUBMITTED_DAYS after its period ends, the last one submitted.
+   * @param {Object[]} marines - MarineHistory.groupByMarine() entities
+   * @param {{today: string, transfers?: Object[], rules: Object}} options
+   *   `transfers` as saved by validateTransfers(); `rules` as for nextScheduledEnd()
+   * @returns {Array<{marineKey: string, marineName: string, rank: string, occasion: string, from: string,
+   *   to: string, due: string, state: string, daysUntilDue: number, evaluationId: string, late: boolean}>}
+   *   Earliest due date first
+   */
+  function schedule(marines, options) {
+    const o = options || {};
+    const today = String(o.today || '').slice(0, 10);
+    const transfers = {};
+    (o.transfers || []).forEach(t => { transfers[t.marineKey] = t.date; });
+    const items = [];
+
+    (marines || []).forEach(m => {
+      const last = m.last || {};
+      const info = last.marineInfo || {};
+      const lastEnd = String(info.evaluationPeriod?.to || '').slice(0, 10);
+      if (parseDate(lastEnd) === null) return;
+      const base = { marineKey: m.key, marineName: m.name || info.name || '', rank: m.rank || info.rank || '' };
+
+      if (daysBetween(lastEnd, today) <= SUBMITTED_DAYS) {
+        const due = addDays(lastEnd, DUE_DAYS);
+        const completed = String(last.completedDate || '').slice(0, 10);
+        items.push({
+          ...base,
+          occasion: String(last.occasion || '').toUpperCase(),
+          from: String(info.evaluationPeriod?.from || '').slice(0, 10),
+          to: lastEnd,
+          due,
+          state: 'submitted',
+          daysUntilDue: daysBetween(today, due),
+          evaluationId: last.evaluationId || '',
+          late: !!completed && completed > due
+        });
+      }
+      if (FINAL_OCCASIONS.includes(String(last.occasion || '').toUpperCase())) return;
+
+      const component = RESERVE_STATUSES.includes(info.dutyStatus) ? 'AR' : 'AN';
+      let next = nextScheduledEnd(lastEnd, base.rank, component, o.rules);
+      [[m.key, 'TR'], [RS_KEY, 'CH']].forEach(([key, occasion]) => {
+        const date = transfers[key];
+        if (date && date > lastEnd && (!next || date < next.to)) next = { occasion, to: date };
+      });
+      if (!next) return;
+      const due = addDays(next.to, DUE_DAYS);
+      items.push({
+        ...base,
+        occasion: next.occasion,
+        from: addDays(lastEnd, 1),
+        to: next.to,
+        due,
+        state: stateFor(next.to, due, today),
+        daysUntilDue: daysBetween(today, due),
+        evaluationId: '',
+        late: false
+      });
+    });
+
+    return items.sort((a, b) => a.due.localeCompare(b.due) || a.marineName.localeCompare(b.marineName));
+  }
+
+  /**
+   * Count of items in each state.
+   * @param {Object[]} items - From schedule()
+   * @returns {Object<string, number>}
+   */
+  function counts(items) {
+    const out = {};
+    STATES.forEach(s => { out[s] = 0; });
+    (items || []).forEach(i => { out[i.state] = (out[i.state] || 0) + 1; });
+    return out;
+  }
+
+  function escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Content lines are folded at 75 characters (RFC 5545 §3.1)
+  function fold(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+      parts.push(rest.slice(0, 75));
+      rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+  }
+
+  function icsDate(isoDate) {
+    return String(isoDate).replace(/-/g, '');
+  }
+
+  /**
+   * iCalendar feed of the calendar: one all-day event per report on its due
+   * date, with a reminder a week ahead for reports not yet submitted.
+   * @param {Object[]} items - From schedule()
+   * @param {{now?: Date, calendarName?: string}} [options]
+   * @returns {string} text/calendar body (CRLF line endings)
+   */
+  function toICS(items, options) {
+    const o = options || {};
+    const stamp = (o.now || new Date()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//SemperAdmin//Fitness Report Evaluator//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(o.calendarName || 'FITREP Due Dates')}`
+    ];
+    (items || []).forEach(i => {
+      const prefix = i.state === 'submitted' ? 'Submitted: ' : i.state === 'overdue' ? 'OVERDUE: ' : '';
+      const description = [
+        `${i.occasion} report on ${i.rank ? `${i.rank} ` : ''}${i.marineName}.`,
+        `Reporting period ${i.from || '?'} to ${i.to}.`,
+        `Due at HQMC ${i.due} (${DUE_DAYS} days after the period ends).`
+      ];
+      if (i.late) description.push('Submitted after the due date.');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${escapeText(`${i.marineKey}-${i.occasion}-${i.to}`)}@fitrep-evaluator`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(i.due)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDays(i.due, 1))}`,
+        `SUMMARY:${escapeText(`${prefix}FITREP due — ${i.marineName} (${i.occasion})`)}`,
+        `DESCRIPTION:${escapeText(description.join('\n'))}`,
+        'TRANSP:TRANSPARENT'
+      );
+      if (i.state !== 'submitted') {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(`FITREP on ${i.marineName} due ${i.due}`)}`,
+          'TRIGGER:-P7D',
+          'END:VALARM'
+        );
+      }
+      lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+  }
+
+  return {
+    DUE_DAYS,
+    DUE_SOON_DAYS,
+    SUBMITTED_DAYS,
+    STATES,
+    RS_KEY,
+    MAX_TRANSFERS,
+    addDays,
+    nextScheduledEnd,
+    validateTransfers,
+    schedule,
+    counts,
+    toICS
+  };
+});
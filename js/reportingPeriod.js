@@ -0,0 +1,180 @@
+// UMD module: reporting period rules — overlap, gap, minimum length and
+// occasion/date checks of a report against the RS's other reports on the same
+// Marine. Shared by validateEvaluation() (js/validation.js) and
+// POST /api/evaluation/save (server/storageRoutes.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReportingPeriod = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Shorter observed periods are normally submitted as not observed
+  const MIN_OBSERVED_DAYS = 90;
+
+  // Grades that receive annual reports; active-duty lieutenants get SA instead
+  const ANNUAL_GRADES = [
+    'SGT', 'SSGT', 'GYSGT', 'MSGT', '1STSGT', 'MGYSGT', 'SGTMAJ',
+    'WO', 'CWO2', 'CWO3', 'CWO4', 'CWO5',
+    '2NDLT', '1STLT', 'CAPT', 'MAJ', 'LTCOL', 'COL'
+  ];
+  // One annual ending date (MM-DD) per component, AN active and AR reserve,
+  // used for every grade. These are the app's defaults, not the per-grade
+  // schedule the Performance Evaluation System sets, so another ending date
+  // only draws a warning and the calendar's due dates are estimates.
+  const ANNUAL_END_DATES = { AN: '05-31', AR: '03-31' };
+  // Semiannual (SA) reports: lieutenants only, two ending dates a year
+  const SEMIANNUAL_END_DATES = ['01-31', '07-31'];
+  const SEMIANNUAL_GRADES = ['2NDLT', '1STLT'];
+
+  function gradeKey(rank) {
+    return String(rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  function parseDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+    return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  }
+
+  /**
+   * Length of a period in days, counting both the start and end date.
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {number|null} Days, or null when either date is invalid
+   */
+  function periodDays(from, to) {
+    const a = parseDate(from);
+    const b = parseDate(to);
+    if (a === null || b === null) return null;
+    return Math.round((b - a) / DAY_MS) + 1;
+  }
+
+  function toPeriod(ev) {
+    const p = ev?.marineInfo?.evaluationPeriod || {};
+    return { evaluationId: ev?.evaluationId || '', occasion: ev?.occasion || '', from: p.from || '', to: p.to || '' };
+  }
+
+  function finding(id, type, message, recommendation) {
+    return { id, type, message, recommendation };
+  }
+
+  function describe(p) {
+    return `${p.occasion ? `${p.occasion} ` : ''}report ${p.from}–${p.to}`;
+  }
+
+  /**
+   * Occasion/date fit: AN/AR are for the annual grades and end on the
+   * component's default annual date, and SA is for lieutenants ending on a
+   * semiannual date.
+   * @param {{occasion?: string, rank?: string, to?: string}} report
+   * @returns {Object[]} Findings
+   */
+  function checkOccasion(report) {
+    const occasion = String(report.occasion || '').toUpperCase();
+    const grade = gradeKey(report.rank);
+    const monthDay = String(report.to || '').slice(5, 10);
+    const out = [];
+    if (!monthDay) return out;
+
+    if (occasion === 'AN' || occasion === 'AR') {
+      const expected = ANNUAL_END_DATES[occasion];
+      if (!ANNUAL_GRADES.includes(grade) || (occasion === 'AN' && SEMIANNUAL_GRADES.includes(grade))) {
+        out.push(finding('period-occasion', 'warning',
+          `Occasion ${occasion} is not used for ${report.rank || 'this grade'}.`,
+          occasion === 'AN' && SEMIANNUAL_GRADES.includes(grade)
+            ? 'Lieutenants on active duty receive semiannual (SA) reports.'
+            : 'Select the occasion that matches the reason for this report.'));
+      } else if (monthDay !== expected) {
+        out.push(finding('period-occasion', 'warning',
+          `Occasion ${occasion} normally ends on ${expected} (this period ends ${report.to}).`,
+          'Check the annual ending date for the grade in the current reporting schedule, or pick the occasion that actually triggered this report.'));
+      }
+    } else if (occasion === 'SA') {
+      if (!SEMIANNUAL_GRADES.includes(grade)) {
+        out.push(finding('period-occasion', 'warning',
+          `Occasion SA is for lieutenants only; this Marine is ${report.rank || 'another grade'}.`,
+          'Select the occasion that matches the reason for this report.'));
+      } else if (!SEMIANNUAL_END_DATES.includes(monthDay)) {
+        out.push(finding('period-occasion', 'warning',
+          `Occasion SA should end on ${SEMIANNUAL_END_DATES.join(' or ')} (this period ends ${report.to}).`,
+          'Use a semiannual ending date, or pick the occasion that actually triggered this report.'));
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Check a report's period against the RS's other reports on the same Marine.
+   * Overlaps and reversed dates are errors; gaps, short periods and
+   * occasion/date mismatches are warnings.
+   * @param {{evaluationId?: string, occasion?: string, rank?: string, from: string, to: string}} report
+   * @param {Object[]} history - Saved evaluations on the same Marine (the report itself is ignored)
+   * @returns {Array<{id: string, type: string, message: string, recommendation: string}>}
+   */
+  function check(report, history) {
+    const r = report || {};
+    const start = parseDate(r.from);
+    const end = parseDate(r.to);
+    if (start === null || end === null) return [];
+    if (start > end) {
+      return [finding('period-invalid', 'error',
+        `Reporting period ends (${r.to}) before it starts (${r.from}).`,
+        'Correct the From and To dates.')];
+    }
+
+    const out = [];
+    const days = periodDays(r.from, r.to);
+    if (days < MIN_OBSERVED_DAYS) {
+      out.push(finding('period-short', 'warning',
+        `Reporting period is ${days} day${days === 1 ? '' : 's'}; observed reports need at least ${MIN_OBSERVED_DAYS}.`,
+        'Shorter periods are normally submitted as not observed. Confirm the dates and occasion.'));
+    }
+    out.push(...checkOccasion(r));
+
+    const others = (history || [])
+      .map(toPeriod)
+      .filter(p => p.evaluationId !== r.evaluationId && parseDate(p.from) !== null && parseDate(p.to) !== null);
+
+    others.forEach(p => {
+      if (parseDate(p.from) <= end && parseDate(p.to) >= start) {
+        out.push(finding('period-overlap', 'error',
+          `Reporting period ${r.from}–${r.to} overlaps your ${describe(p)} on this Marine.`,
+          'Periods on the same Marine cannot overlap. Adjust the dates or update the earlier report.'));
+      }
+    });
+
+    // Gaps are only reported against the neighbouring reports
+    const before = others.filter(p => parseDate(p.to) < start).sort((a, b) => parseDate(b.to) - parseDate(a.to))[0];
+    const after = others.filter(p => parseDate(p.from) > end).sort((a, b) => parseDate(a.from) - parseDate(b.from))[0];
+    if (before) {
+      const gap = Math.round((start - parseDate(before.to)) / DAY_MS) - 1;
+      if (gap > 0) {
+        out.push(finding('period-gap', 'warning',
+          `Unexplained gap of ${gap} day${gap === 1 ? '' : 's'} after your ${describe(before)}.`,
+          'Consecutive reports normally start the day after the previous one ends. Confirm another RS covered the gap.'));
+      }
+    }
+    if (after) {
+      const gap = Math.round((parseDate(after.from) - end) / DAY_MS) - 1;
+      if (gap > 0) {
+        out.push(finding('period-gap', 'warning',
+          `Unexplained gap of ${gap} day${gap === 1 ? '' : 's'} before your ${describe(after)}.`,
+          'Consecutive reports normally start the day after the previous one ends. Confirm another RS covered the gap.'));
+      }
+    }
+    return out;
+  }
+
+  return {
+    MIN_OBSERVED_DAYS,
+    ANNUAL_GRADES,
+    ANNUAL_END_DATES,
+    SEMIANNUAL_END_DATES,
+    SEMIANNUAL_GRADES,
+    periodDays,
+    checkOccasion,
+    check
+  };
+});
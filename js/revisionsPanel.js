@@ -0,0 +1,155 @@
+// Evaluation Revision Functions
+// Lists every saved version of a report, diffs grades and text between any
+// two of them (js/evaluationMerge.js) and restores an earlier one as the
+// newest revision.
+let revisionCache = {};
+
+function revisionsRoute(evalId) {
+    return `/api/evaluation/${encodeURIComponent(evalId)}/revisions`;
+}
+
+function revisionLabel(r) {
+    return r.revision !== null && r.revision !== undefined ? `#${r.revision}` : String(r.rev).slice(0, 7);
+}
+
+async function loadEvaluationRevision(evalId, rev) {
+    const key = `${evalId}@${rev}`;
+    if (revisionCache[key]) return revisionCache[key];
+    const { ok, data } = await window.apiRequest(`${revisionsRoute(evalId)}/${encodeURIComponent(rev)}`);
+    if (!ok) throw new Error(data?.error || 'Failed to load revision');
+    revisionCache[key] = data.evaluation;
+    return data.evaluation;
+}
+
+function renderWordDiff(from, to) {
+    return window.EvaluationMerge.wordDiff(from, to).map(run => {
+        if (run.type === 'same') return escapeHtml(run.text);
+        return `<span class="revision-${run.type}">${escapeHtml(run.text)}</span>`;
+    }).join('');
+}
+
+function renderRevisionDiff(changes) {
+    if (!changes.length) {
+        return '<div class="bullet-empty">No differences in grades or text.</div>';
+    }
+    const rows = changes.map(c => {
+        const text = typeof c.from === 'string' && typeof c.to === 'string';
+        return `
+        <tr>
+            <td>${escapeHtml(c.label)}</td>
+            ${text
+                ? `<td colspan="2" class="revision-text">${renderWordDiff(c.from, c.to)}</td>`
+                : `<td class="revision-text"><span class="revision-del">${escapeHtml(window.EvaluationMerge.formatValue(c.from))}</span></td>
+            <td class="revision-text"><span class="revision-add">${escapeHtml(window.EvaluationMerge.formatValue(c.to))}</span></td>`}
+        </tr>`;
+    }).join('');
+    return `
+        <table class="marine-history-table">
+            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+async function compareRevisions(evalId) {
+    const fromRev = document.getElementById('revisionFrom')?.value;
+    const toRev = document.getElementById('revisionTo')?.value;
+    const out = document.getElementById('revisionDiff');
+    if (!out || !fromRev || !toRev) return;
+    out.textContent = 'Loading…';
+    try {
+        const [from, to] = await Promise.all([loadEvaluationRevision(evalId, fromRev), loadEvaluationRevision(evalId, toRev)]);
+        out.innerHTML = renderRevisionDiff(window.EvaluationMerge.compare(from, to));
+    } catch (err) {
+        console.error('Compare revisions error:', err);
+        out.textContent = err.message || 'Failed to compare revisions';
+    }
+}
+
+/**
+ * Revision history of one evaluation: compare any two saved versions and
+ * restore an earlier one.
+ *
+ * @param {string} evalId Evaluation ID.
+ */
+async function showEvaluationRevisions(evalId) {
+    if (!window.EvaluationMerge || typeof window.apiRequest !== 'function') return;
+    let revisions = [];
+    try {
+        const { ok, data } = await window.apiRequest(revisionsRoute(evalId));
+        if (!ok) throw new Error(data?.error || 'Failed to load revision history');
+        revisions = Array.isArray(data.revisions) ? data.revisions : [];
+    } catch (err) {
+        console.error('Revision history load error:', err);
+        showToast(err.message || 'Failed to load revision history', 'error');
+        return;
+    }
+    revisionCache = {};
+    const evaluation = (profileEvaluations || []).find(e => e.evaluationId === evalId) || {};
+    const marine = evaluation.marineInfo || {};
+    const options = revisions.map(r => `<option value="${escapeHtml(r.rev)}">${escapeHtml(revisionLabel(r))} · ${escapeHtml(r.savedAt ? new Date(r.savedAt).toLocaleString() : '')}</option>`).join('');
+    const rows = revisions.map((r, i) => `
+        <tr>
+            <td>${escapeHtml(revisionLabel(r))}${i === 0 ? ' <span class="report-state report-state-submitted">Current</span>' : ''}</td>
+            <td>${escapeHtml(r.savedAt ? new Date(r.savedAt).toLocaleString() : '')}</td>
+            <td>${escapeHtml(r.message || '')}</td>
+            <td>${i === 0 ? '' : `<button type="button" class="btn btn-secondary" data-restore-rev="${escapeHtml(r.rev)}">Restore</button>`}</td>
+        </tr>`).join('');
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Revisions · ${escapeHtml(marine.name || evalId)}</div>
+                <div class="panel-meta"><span>${revisions.length} saved version(s)</span></div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            ${revisions.length ? `
+            <table class="marine-history-table">
+                <thead><tr><th>Revision</th><th>Saved</th><th>Note</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <h4>Compare</h4>
+            <div class="counseling-form-row">
+                <label>From <select class="form-input" id="revisionFrom">${options}</select></label>
+                <label>To <select class="form-input" id="revisionTo">${options}</select></label>
+            </div>
+            <div id="revisionDiff" aria-live="polite"></div>` : '<div class="bullet-empty">No saved revisions yet. Revisions are kept from the next sync on.</div>'}
+        </div>`);
+    if (!panel || !revisions.length) return;
+    const fromSel = panel.querySelector('#revisionFrom');
+    const toSel = panel.querySelector('#revisionTo');
+    fromSel.value = revisions[Math.min(1, revisions.length - 1)].rev;
+    toSel.value = revisions[0].rev;
+    fromSel.addEventListener('change', () => compareRevisions(evalId));
+    toSel.addEventListener('change', () => compareRevisions(evalId));
+    panel.querySelectorAll('[data-restore-rev]').forEach(btn => {
+        btn.addEventListener('click', () => restoreEvaluationRevision(evalId, btn.getAttribute('data-restore-rev')));
+    });
+    compareRevisions(evalId);
+}
+
+async function restoreEvaluationRevision(evalId, rev) {
+    const evaluation = (profileEvaluations || []).find(e => e.evaluationId === evalId);
+    const unsynced = evaluation && evaluation.syncStatus && evaluation.syncStatus !== 'synced';
+    const message = unsynced
+        ? 'This report has changes that are not synced yet. Restoring replaces them. Continue?'
+        : 'Restore this revision? It is saved as a new revision; later ones stay in the history.';
+    if (!confirm(message)) return;
+    try {
+        const { ok, data } = await window.apiRequest(`/api/evaluation/${encodeURIComponent(evalId)}/restore/${encodeURIComponent(rev)}`, { method: 'POST' });
+        if (!ok) throw new Error(data?.error || 'Failed to restore revision');
+        if (evaluation && data.evaluation) {
+            const restored = { ...data.evaluation, syncStatus: 'synced', savedToProfile: true };
+            replaceEvaluationInPlace(evaluation, window.EvaluationMerge.markSynced(restored, Number(data.revision)));
+            saveEvaluationsToLocal(generateProfileKey(currentProfile.rsName, currentProfile.rsEmail), profileEvaluations);
+            if (typeof renderEvaluationsList === 'function') renderEvaluationsList();
+        }
+        showToast('Revision restored', 'success');
+        showEvaluationRevisions(evalId);
+    } catch (err) {
+        console.error('Restore revision error:', err);
+        showToast(err.message || 'Failed to restore revision', 'error');
+    }
+}
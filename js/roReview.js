@@ -0,0 +1,84 @@
+// UMD module: Reviewing Officer (RO) review rules — concurrence and the
+// Section K comparative assessment ("stick") scale. Shared by profile.js and
+// server/roRoutes.js so both sides validate submissions the same way.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RoReview = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const STATUS = { PENDING: 'pending', COMPLETED: 'completed' };
+
+  const CONCURRENCE = {
+    concur: 'Concur',
+    nonconcur: 'Non-concur'
+  };
+
+  // Section K, Item 3: eight blocks, top to bottom of the form
+  const SECTION_K_SCALE = [
+    { value: 8, label: 'The eminently qualified Marine' },
+    { value: 7, label: 'One of the few exceptionally qualified Marines' },
+    { value: 6, label: 'One of the few exceptionally qualified Marines' },
+    { value: 5, label: 'One of the many highly qualified professionals who form the majority of this grade' },
+    { value: 4, label: 'One of the many highly qualified professionals who form the majority of this grade' },
+    { value: 3, label: 'One of the many highly qualified professionals who form the majority of this grade' },
+    { value: 2, label: 'A qualified Marine' },
+    { value: 1, label: 'Unsatisfactory' }
+  ];
+
+  const MAX_COMMENTS = 2000;
+
+  /**
+   * Describe a Section K block value.
+   * @param {number} value - 1–8
+   * @returns {string} Block label or '' when out of range
+   */
+  function describeBlock(value) {
+    const n = Number(value);
+    const hit = SECTION_K_SCALE.find(b => b.value === n);
+    return hit ? hit.label : '';
+  }
+
+  /**
+   * Validate and normalize an RO review submission.
+   * Non-concurrence and an "Unsatisfactory" block both require comments.
+   * @param {Object} input - { concurrence, comparativeAssessment, comments }
+   * @returns {{valid: boolean, errors: string[], value: Object}}
+   */
+  function validate(input) {
+    const src = input || {};
+    const errors = [];
+    const concurrence = String(src.concurrence || '').trim().toLowerCase();
+    const block = Number(src.comparativeAssessment);
+    const comments = String(src.comments || '').trim();
+
+    if (!CONCURRENCE[concurrence]) {
+      errors.push('Select concur or non-concur.');
+    }
+    if (!Number.isInteger(block) || block < 1 || block > SECTION_K_SCALE.length) {
+      errors.push('Comparative assessment must be a whole number from 1 to 8.');
+    }
+    if (comments.length > MAX_COMMENTS) {
+      errors.push(`RO comments must be ${MAX_COMMENTS} characters or fewer.`);
+    }
+    if (!comments && (concurrence === 'nonconcur' || block === 1)) {
+      errors.push('RO comments are required for non-concurrence or an unsatisfactory assessment.');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: { concurrence, comparativeAssessment: block, comments }
+    };
+  }
+
+  return {
+    STATUS,
+    CONCURRENCE,
+    SECTION_K_SCALE,
+    MAX_COMMENTS,
+    describeBlock,
+    validate
+  };
+});
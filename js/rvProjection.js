@@ -0,0 +1,214 @@
+// UMD module: "what-if" Relative Value (RV) projection for a draft evaluation.
+// RV is read the way the profile grid reads it: each report against the
+// reports ending on or before it. Projecting with and without the draft shows
+// the RS which reports it moves (those ending on or after the draft, e.g. a
+// late report) and how cumulative RV shifts, before the draft is saved.
+// windowedRv is shared with computeRvValues in profile.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RvProjection = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const RV_FLOOR = 80;
+  const RV_BASE = 90;
+  const RV_SPAN = 10;
+  const MIN_REPORTS = 3;
+  const DRAFT_ID = '__draft__';
+
+  const round2 = n => Math.round(n * 100) / 100;
+
+  function endTime(e) {
+    return new Date(e?.marineInfo?.evaluationPeriod?.to || e?.completedDate || 0).getTime();
+  }
+
+  function scoreOf(e) {
+    const s = parseFloat(e?.fitrepAverage || '0');
+    return Number.isFinite(s) ? s : null;
+  }
+
+  /**
+   * Unclipped RV of one score against a set of profile scores; callers apply
+   * the 80 floor.
+   * @param {number} score - Report average
+   * @param {number[]} scores - All profile averages (including score)
+   * @returns {number|null} Raw RV, or null when fewer than 3 reports
+   */
+  function rawRv(score, scores) {
+    if (!Number.isFinite(score) || scores.length < MIN_REPORTS) return null;
+    const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
+    const denom = Math.max(...scores) - avg;
+    if (!Number.isFinite(denom) || denom <= 0) return RV_BASE;
+    return RV_BASE + RV_SPAN * ((score - avg) / denom);
+  }
+
+  /**
+   * RV of every evaluation against the reports ending on or before it.
+   * @param {Object[]} evals - Evaluations (same rank)
+   * @returns {Map<string, {raw: (number|null), rv: (number|string)}>}
+   */
+  function windowedRv(evals) {
+    const map = new Map();
+    evals.forEach(e => {
+      const end = endTime(e);
+      const scores = evals.filter(p => endTime(p) <= end).map(scoreOf).filter(s => s !== null);
+      const raw = rawRv(scoreOf(e), scores);
+      map.set(e.evaluationId, {
+        raw: raw === null ? null : round2(raw),
+        rv: raw === null ? 'N/A' : round2(Math.max(RV_FLOOR, raw))
+      });
+    });
+    return map;
+  }
+
+  /**
+   * Running average of RV by ending date (same rule as computeCumulativeRv).
+   * @param {Object[]} evals - Evaluations
+   * @param {Map<string, {rv: (number|string)}>} rvMap - From windowedRv
+   * @returns {Map<string, (number|string)>}
+   */
+  function cumulativeRv(evals, rvMap) {
+    const out = new Map();
+    let acc = 0;
+    let cnt = 0;
+    [...evals].sort((a, b) => endTime(a) - endTime(b)).forEach(e => {
+      const val = rvMap.get(e.evaluationId)?.rv;
+      if (Number.isFinite(val)) {
+        acc += val;
+        cnt += 1;
+      }
+      out.set(e.evaluationId, cnt ? round2(acc / cnt) : 'N/A');
+    });
+    return out;
+  }
+
+  /**
+   * Position by RV, highest first; ties share a position.
+   * @param {Map<string, {rv: (number|string)}>} rvMap
+   * @param {string} [skipId] - Entry left out of the ranking
+   * @returns {Map<string, (number|null)>}
+   */
+  function rankOrder(rvMap, skipId) {
+    const ranked = [...rvMap].filter(([id]) => id !== skipId);
+    const values = ranked.map(([, v]) => v.rv).filter(Number.isFinite);
+    const out = new Map();
+    ranked.forEach(([id, v]) => {
+      out.set(id, Number.isFinite(v.rv) ? 1 + values.filter(x => x > v.rv).length : null);
+    });
+    return out;
+  }
+
+  const delta = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? round2(b - a) : null);
+
+  /**
+   * RV band, as the profile grid colors it: 90 and up, or between the floor and 90.
+   * @param {number|string} rv
+   * @returns {string} 'high', 'mid' or 'N/A'
+   */
+  function band(rv) {
+    if (!Number.isFinite(rv)) return 'N/A';
+    return rv >= RV_BASE ? 'high' : 'mid';
+  }
+
+  /**
+   * Project the effect of a draft on every saved evaluation of the same rank.
+   * @param {Object[]} evals - Saved evaluations for the draft's rank
+   * @param {Object} draft - { marineInfo: { name, rank, evaluationPeriod }, fitrepAverage }
+   *   (no end date: the draft is taken to end today)
+   * @returns {{draft: Object, rows: Object[], warnings: string[]}}
+   */
+  function project(evals, draft) {
+    const saved = (evals || []).filter(e => e && e.evaluationId && e.evaluationId !== DRAFT_ID);
+    const period = draft?.marineInfo?.evaluationPeriod || {};
+    const draftEval = {
+      ...draft,
+      evaluationId: DRAFT_ID,
+      marineInfo: {
+        ...draft?.marineInfo,
+        evaluationPeriod: { ...period, to: period.to || new Date().toISOString().slice(0, 10) }
+      }
+    };
+    const withDraft = [...saved, draftEval];
+
+    const before = windowedRv(saved);
+    const after = windowedRv(withDraft);
+    const cumBefore = cumulativeRv(saved, before);
+    const cumAfter = cumulativeRv(withDraft, after);
+    // Positions among the saved reports, so the draft taking a place of its
+    // own is not read as every report below it moving
+    const rankBefore = rankOrder(before);
+    const rankAfter = rankOrder(after, DRAFT_ID);
+
+    const warnings = [];
+    const crossed = [];
+    const moved = [];
+    const rows = saved.map(e => {
+      const b = before.get(e.evaluationId);
+      const a = after.get(e.evaluationId);
+      const belowFloor = a.raw !== null && a.raw < RV_FLOOR && (b.raw === null || b.raw >= RV_FLOOR);
+      // Floor crossings are flagged on their own
+      const bandChanged = !belowFloor && band(b.rv) !== 'N/A' && band(b.rv) !== band(a.rv);
+      const posBefore = rankBefore.get(e.evaluationId);
+      const posAfter = rankAfter.get(e.evaluationId);
+      const orderChanged = posBefore !== null && posAfter !== null && posBefore !== posAfter;
+      const name = e.marineInfo?.name || e.evaluationId;
+      if (belowFloor) {
+        warnings.push(`${name} would fall below the ${RV_FLOOR} RV floor (raw ${a.raw.toFixed(2)}).`);
+      }
+      if (bandChanged) {
+        crossed.push(`${name} (${b.rv.toFixed(2)} → ${a.rv.toFixed(2)})`);
+      }
+      if (orderChanged) {
+        moved.push(`${name} (#${posBefore} → #${posAfter})`);
+      }
+      return {
+        evaluationId: e.evaluationId,
+        marineName: name,
+        endDate: String(e.marineInfo?.evaluationPeriod?.to || '').slice(0, 10),
+        average: scoreOf(e),
+        rvBefore: b.rv,
+        rvAfter: a.rv,
+        rvDelta: delta(b.rv, a.rv),
+        cumBefore: cumBefore.get(e.evaluationId),
+        cumAfter: cumAfter.get(e.evaluationId),
+        cumDelta: delta(cumBefore.get(e.evaluationId), cumAfter.get(e.evaluationId)),
+        rankBefore: posBefore,
+        rankAfter: posAfter,
+        belowFloor,
+        bandChanged,
+        orderChanged
+      };
+    });
+
+    if (crossed.length) {
+      warnings.push(`RV crosses ${RV_BASE} for ${crossed.length} Marine(s): ${crossed.join(', ')}.`);
+    }
+    if (moved.length) {
+      warnings.push(`Ranking order changes for ${moved.length} Marine(s): ${moved.join(', ')}.`);
+    }
+    rows.sort((x, y) => (y.average || 0) - (x.average || 0));
+
+    return {
+      draft: {
+        average: scoreOf(draftEval),
+        rv: after.get(DRAFT_ID).rv,
+        cumRv: cumAfter.get(DRAFT_ID),
+        rank: rankOrder(after).get(DRAFT_ID)
+      },
+      rows,
+      warnings
+    };
+  }
+
+  return {
+    RV_FLOOR,
+    MIN_REPORTS,
+    DRAFT_ID,
+    rawRv,
+    band,
+    windowedRv,
+    cumulativeRv,
+    project
+  };
+});
@@ -0,0 +1,305 @@
+// UMD module: save outbox — evaluation saves waiting for a connection. Kept
+// in IndexedDB rather than localStorage so the service worker (sw.js) can send
+// them with Background Sync after the tab is closed. The page queues a save
+// when the server cannot be reached (js/persistence.js, js/profile.js) and
+// applies the results the worker leaves behind when the profile next loads.
+// Entries belong to the account that queued them and hold no credentials.
+// Each account may keep a save-only grant (POST /api/account/outbox-token),
+// sent as X-Outbox-Token, which lets the worker send without the session or
+// CSRF cookie; a page that asks for a flush adds its own headers too.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SaveOutbox = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const DB_NAME = 'fitrep-sync';
+  const DB_VERSION = 3;
+  const SYNC_TAG = 'fitrep-save-queue';
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (event.oldVersion < 2) {
+          // Version 1 stores were shared by every account and kept auth headers.
+          // Dropping them loses nothing: the evaluations stay pending in the
+          // profile and are queued again on the next sync.
+          ['outbox', 'results'].forEach(name => {
+            if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+          });
+          // One queued save per account and evaluation; a newer save replaces the older one
+          db.createObjectStore('outbox', { keyPath: ['username', 'evaluationId'] });
+          // Server answers for saves sent while no page was there to see them
+          db.createObjectStore('results', { keyPath: ['username', 'evaluationId'] });
+        }
+        // One save-only grant per account
+        db.createObjectStore('grants', { keyPath: 'username' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  // Run fn(store) in a transaction; resolves with what fn returns once committed
+  async function withStore(name, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(name, mode);
+      let value;
+      Promise.resolve(fn(tx.objectStore(name))).then(v => { value = v; }, reject);
+      tx.oncomplete = () => resolve(value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function accountKey(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Queue a save request.
+   * @param {{username: string, evaluationId: string, url: string, body: string}} entry
+   * @returns {Promise<boolean>} False when IndexedDB is unavailable.
+   */
+  async function enqueue(entry) {
+    const username = accountKey(entry.username);
+    if (!username || !entry.evaluationId) return false;
+    try {
+      await withStore('outbox', 'readwrite', store => {
+        store.put({
+          username,
+          evaluationId: entry.evaluationId,
+          url: entry.url,
+          body: entry.body,
+          queuedAt: new Date().toISOString()
+        });
+      });
+      return true;
+    } catch (e) {
+      console.warn('Save outbox enqueue failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Keep an account's save-only grant for sends without a page. It only
+   * authorizes evaluation saves and expires on its own.
+   * @param {string} username
+   * @param {{token: string, expiresAt: string}} grant Server answer.
+   * @returns {Promise<boolean>} False when it could not be stored.
+   */
+  async function saveGrant(username, grant) {
+    const key = accountKey(username);
+    if (!key || !grant || !grant.token) return false;
+    try {
+      await withStore('grants', 'readwrite', store => {
+        store.put({ username: key, token: grant.token, expiresAt: grant.expiresAt || '' });
+      });
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // The account's unexpired grant token, or ''
+  async function grantToken(username) {
+    try {
+      const grant = await withStore('grants', 'readonly', store => request(store.get(username)));
+      return grant && !(Date.parse(grant.expiresAt) <= Date.now()) ? grant.token : '';
+    } catch (_) {
+      return '';
+    }
+  }
+
+  /**
+   * Queued saves, for one account or all of them.
+   * @param {string} [username]
+   * @returns {Promise<Object[]>}
+   */
+  async function list(username) {
+    try {
+      const all = await withStore('outbox', 'readonly', store => request(store.getAll()));
+      return username ? all.filter(e => e.username === accountKey(username)) : all;
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // Remove a sent entry unless a newer save replaced it meanwhile
+  function removeSent(entry) {
+    return withStore('outbox', 'readwrite', async store => {
+      const key = [entry.username, entry.evaluationId];
+      const current = await request(store.get(key));
+      if (current && current.queuedAt === entry.queuedAt) store.delete(key);
+    });
+  }
+
+  /**
+   * Drop an account's queued save for an evaluation, e.g. once a newer copy
+   * reached the server.
+   * @param {string} username
+   * @param {string} evaluationId
+   * @returns {Promise<void>}
+   */
+  async function discard(username, evaluationId) {
+    try {
+      await withStore('outbox', 'readwrite', store => { store.delete([accountKey(username), evaluationId]); });
+    } catch (_) { /* nothing queued */ }
+  }
+
+  /**
+   * Drop everything queued for an account, its unread results and its grant
+   * (sign-out).
+   * @param {string} username
+   * @returns {Promise<number>} Number of queued saves dropped.
+   */
+  async function discardAccount(username) {
+    const key = accountKey(username);
+    if (!key) return 0;
+    const range = IDBKeyRange.bound([key], [key, []]);
+    try {
+      const dropped = await withStore('outbox', 'readwrite', async store => {
+        const count = await request(store.count(range));
+        store.delete(range);
+        return count;
+      });
+      await withStore('results', 'readwrite', store => { store.delete(range); });
+      await withStore('grants', 'readwrite', store => { store.delete(key); });
+      return dropped;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  function putResult(result) {
+    return withStore('results', 'readwrite', store => {
+      store.put({ ...result, at: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Take an account's stored results for the given evaluations (all when omitted).
+   * @param {string} username
+   * @param {string[]} [evaluationIds]
+   * @returns {Promise<Object[]>}
+   */
+  async function takeResults(username, evaluationIds) {
+    const key = accountKey(username);
+    try {
+      return await withStore('results', 'readwrite', async store => {
+        const all = await request(store.getAll());
+        const wanted = Array.isArray(evaluationIds) ? new Set(evaluationIds) : null;
+        const taken = all.filter(r => r.username === key && (!wanted || wanted.has(r.evaluationId)));
+        taken.forEach(r => store.delete([r.username, r.evaluationId]));
+        return taken;
+      });
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * What to do with a queued save after the server answered.
+   * 'retry' keeps it for the next connection; 'hold' keeps it until the RS
+   * signs in again, since resending a rejected session will not help.
+   *
+   * @param {number} status HTTP status, 0 when the request did not go out.
+   * @param {Object|null} data Response body.
+   * @returns {'saved'|'conflict'|'hold'|'retry'|'rejected'}
+   */
+  function settle(status, data) {
+    if (status >= 200 && status < 300 && data && data.ok) return 'saved';
+    if (status === 409 && data && data.conflict) return 'conflict';
+    if (status === 401 || status === 403) return 'hold';
+    if (status === 0 || status === 408 || status === 429 || status >= 500) return 'retry';
+    return 'rejected';
+  }
+
+  async function sendAll(options) {
+    const send = options.fetch || fetch;
+    const summary = { saved: 0, conflicts: 0, rejected: 0, held: 0, retry: 0 };
+    for (const entry of await list(options.username)) {
+      let status = 0;
+      let data = null;
+      const token = await grantToken(entry.username);
+      try {
+        const resp = await send(entry.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token && { 'X-Outbox-Token': token }),
+            ...(options.headers || {})
+          },
+          credentials: 'include',
+          body: entry.body
+        });
+        status = resp.status;
+        data = await resp.json().catch(() => null);
+      } catch (_) { /* offline again */ }
+
+      const outcome = settle(status, data);
+      if (outcome === 'retry' || outcome === 'hold') {
+        summary[outcome]++;
+        continue;
+      }
+      await removeSent(entry);
+      const key = { username: entry.username, evaluationId: entry.evaluationId };
+      if (outcome === 'saved') {
+        summary.saved++;
+        await putResult({ ...key, status: 'synced', revision: data.revision });
+      } else if (outcome === 'conflict') {
+        summary.conflicts++;
+        await putResult({ ...key, status: 'conflict', conflict: data });
+      } else {
+        summary.rejected++;
+        await putResult({ ...key, status: 'error', error: (data && data.error) || `HTTP ${status}` });
+      }
+    }
+    return summary;
+  }
+
+  let inFlight = null;
+
+  /**
+   * Send every queued save. A flush asked for while one is running (a sync
+   * event and a page message at once) shares it instead of sending twice.
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.headers] Current page's auth headers (CSRF token, session token); never stored.
+   * @param {string} [options.username] Send only this account's saves.
+   * @param {Function} [options.fetch] fetch implementation.
+   * @returns {Promise<{saved: number, conflicts: number, rejected: number, held: number, retry: number}>}
+   */
+  function flush(options = {}) {
+    if (!inFlight) {
+      inFlight = sendAll(options).finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  }
+
+  return {
+    SYNC_TAG,
+    enqueue,
+    saveGrant,
+    list,
+    discard,
+    discardAccount,
+    takeResults,
+    settle,
+    flush
+  };
+});
@@ -111,16 +111,8 @@ function analyzeTraitEvaluations() {
     const aGrades = grades.filter(g => g === 1).length; // A grades only
     const bcGrades = grades.filter(g => g >= 2 && g <= 3).length; // B and C grades
     
-    // Determine performance tier
-    let tier = 'middle';
-    if (average >= 5.5 && highGrades >= total * 0.4) {
-        tier = 'top';
-    } else if (average <= 3.5 || lowGrades >= total * 0.3) {
-        tier = 'developing';
-    }
-    
     return {
-        tier,
+        tier: SectionIComposer.tierFor(evaluationResults),
         average: average.toFixed(2),
         total,
         highGrades,
@@ -134,256 +126,24 @@ function analyzeTraitEvaluations() {
     };
 }
 
-function extractKeyAccomplishments() {
-    const accomplishments = [];
-    
-    Object.values(evaluationResults).forEach(result => {
-        if (result.gradeNumber >= 4) { // D grade or higher
-            const justification = result.justification;
-            // Extract meaningful sentences with better patterns
-            const sentences = justification.split(/[.!?]+/);
-            const meaningful = sentences.find(s => 
-                s.trim().length > 20 && 
-                (s.toLowerCase().includes('led') || 
-                 s.toLowerCase().includes('achieved') ||
-                 s.toLowerCase().includes('improved') ||
-                 s.toLowerCase().includes('exceeded') ||
-                 s.toLowerCase().includes('completed') ||
-                 s.toLowerCase().includes('managed') ||
-                 s.toLowerCase().includes('developed') ||
-                 s.toLowerCase().includes('implemented') ||
-                 s.toLowerCase().includes('organized') ||
-                 s.toLowerCase().includes('trained') ||
-                 s.toLowerCase().includes('supervised') ||
-                 s.toLowerCase().includes('coordinated'))
-            );
-            
-            if (meaningful) {
-                accomplishments.push({
-                    section: result.section,
-                    trait: result.trait,
-                    grade: result.grade,
-                    gradeNumber: result.gradeNumber,
-                    accomplishment: meaningful.trim(),
-                    sectionKey: getTraitSectionKey(result.section)
-                });
-            }
-        }
-    });
-    
-    // Sort by grade (highest first) and return top accomplishments
-    return accomplishments.sort((a, b) => b.gradeNumber - a.gradeNumber);
-}
-
-function getTraitSectionKey(sectionTitle) {
-    const sectionMap = {
-        'Mission Accomplishment': 'mission',
-        'Individual Character': 'character',
-        'Leadership': 'leadership',
-        'Intellect and Wisdom': 'intellect',
-        'Fulfillment of Evaluation Responsibilities': 'evaluation'
-    };
-    return sectionMap[sectionTitle] || 'general';
-}
-
-function analyzePerformancePatterns() {
-    const results = Object.values(evaluationResults);
-    const patterns = {
-        strongestAreas: [],
-        developmentAreas: [],
-        consistentPerformer: false,
-        standoutTraits: [],
-        leadershipFocus: false,
-        technicalExcellence: false
-    };
-    
-    // Identify strongest performing areas
-    const sectionAverages = {};
-    const sectionCounts = {};
-    
-    results.forEach(result => {
-        const section = getTraitSectionKey(result.section);
-        if (!sectionAverages[section]) {
-            sectionAverages[section] = 0;
-            sectionCounts[section] = 0;
-        }
-        sectionAverages[section] += result.gradeNumber;
-        sectionCounts[section]++;
-    });
-    
-    // Calculate section averages
-    Object.keys(sectionAverages).forEach(section => {
-        sectionAverages[section] = sectionAverages[section] / sectionCounts[section];
-    });
-    
-    // Find strongest areas (above 4.5 average)
-    patterns.strongestAreas = Object.keys(sectionAverages)
-        .filter(section => sectionAverages[section] >= 4.5)
-        .sort((a, b) => sectionAverages[b] - sectionAverages[a]);
-    
-    // Find development areas (below 3.5 average)
-    patterns.developmentAreas = Object.keys(sectionAverages)
-        .filter(section => sectionAverages[section] <= 3.5);
-    
-    // Check for consistency (standard deviation < 1.0)
-    const allGrades = results.map(r => r.gradeNumber);
-    const avg = allGrades.reduce((sum, grade) => sum + grade, 0) / allGrades.length;
-    const variance = allGrades.reduce((sum, grade) => sum + Math.pow(grade - avg, 2), 0) / allGrades.length;
-    patterns.consistentPerformer = Math.sqrt(variance) < 1.0;
-    
-    // Identify standout traits (grade 6+)
-    patterns.standoutTraits = results
-        .filter(r => r.gradeNumber >= 6)
-        .map(r => ({ trait: r.trait, grade: r.grade }));
-    
-    // Check for leadership focus
-    patterns.leadershipFocus = sectionAverages.leadership >= 4.5;
-    
-    // Check for technical excellence
-    patterns.technicalExcellence = sectionAverages.mission >= 5.0;
-    
-    return patterns;
-}
-
+// Composed from the justifications with a seed derived from the marks, so
+// regenerating an unchanged evaluation gives the same comment
 function generateSectionIComment() {
     const analysis = analyzeTraitEvaluations();
-    const accomplishments = extractKeyAccomplishments();
-    const patterns = analyzePerformancePatterns();
-    const templates = sectionITemplates[analysis.tier];
-    
     updateAnalysisDisplay(analysis);
-    
-    let comment = '';
-    
-    // Opening statement - enhanced based on patterns
-    let opening = getRandomTemplate(templates.openings);
-    if (patterns.consistentPerformer && analysis.tier === 'top') {
-        opening = "An immensely talented and effective Marine who operates at a level beyond the grasp of peers.";
-    } else if (patterns.technicalExcellence) {
-        opening = "A highly motivated and technically proficient Marine whose performance significantly exceeds expectations.";
-    }
-    comment += opening + ' ';
-    
-    // Performance section with specific accomplishments
-    if (patterns.strongestAreas.includes('mission') && accomplishments.length > 0) {
-        const missionAccomplishments = accomplishments.filter(a => a.sectionKey === 'mission');
-        if (missionAccomplishments.length > 0) {
-            comment += `MRO ${missionAccomplishments[0].accomplishment.toLowerCase()}. `;
-        } else {
-            comment += getRandomTemplate(templates.performance) + ' ';
-        }
-    } else {
-        comment += getRandomTemplate(templates.performance) + ' ';
-    }
-    
-    // Leadership section - enhanced based on leadership performance
-    if (patterns.leadershipFocus || currentGenerationStyle === 'comprehensive' || analysis.tier === 'top') {
-        const leadershipAccomplishments = accomplishments.filter(a => a.sectionKey === 'leadership');
-        if (leadershipAccomplishments.length > 0 && currentGenerationStyle !== 'concise') {
-            comment += `${leadershipAccomplishments[0].accomplishment}. `;
-        } else {
-            comment += getRandomTemplate(templates.leadership) + ' ';
-        }
-    }
-    
-    // Character section - adapt based on character grades
-    if (patterns.strongestAreas.includes('character')) {
-        comment += "Demonstrates impeccable moral character and matchless ability among peers to lead and inspire Marines and Sailors. ";
-    } else {
-        comment += getRandomTemplate(templates.character) + ' ';
-    }
-    
-    // Add specific standout traits for comprehensive style
-    if (currentGenerationStyle === 'comprehensive' && patterns.standoutTraits.length > 0) {
-        const traitText = patterns.standoutTraits.map(t => `${t.trait.toLowerCase()} (${t.grade})`).slice(0, 2).join(' and ');
-        comment += `Particularly noteworthy performance in ${traitText}. `;
-    }
-    
-    // Add multiple accomplishments for comprehensive comments
-    if (currentGenerationStyle === 'comprehensive' && accomplishments.length > 1) {
-        const topAccomplishments = accomplishments.slice(0, 3);
-        const achievementTexts = topAccomplishments.map(a => a.accomplishment.toLowerCase());
-        
-        if (achievementTexts.length === 2) {
-            comment += `Key accomplishments include: ${achievementTexts[0]} and ${achievementTexts[1]}. `;
-        } else if (achievementTexts.length >= 3) {
-            comment += `Key accomplishments include: ${achievementTexts[0]}, ${achievementTexts[1]}, and ${achievementTexts[2]}. `;
-        }
-    }
-    
-    // Generate promotion recommendation with enhanced logic
-    const promotionEndorsement = generateEnhancedPromotionEndorsement(analysis.tier, patterns);
-    comment += promotionEndorsement;
-    
-    // Clean up the comment
-    comment = comment.replace(/\s+/g, ' ').trim();
-    
-    // Set the generated comment
-    document.getElementById('sectionITextarea').value = comment;
-    generatedSectionI = comment;
-    updateSectionIWordCount();
-}
-
-function generateEnhancedPromotionEndorsement(performanceTier, patterns) {
-    let promotionStatement = '';
-    
-    // Generate promotion recommendation based on performance tier and patterns
-    if (performanceTier === 'top') {
-        if (patterns.technicalExcellence && patterns.leadershipFocus) {
-            promotionStatement = "An absolute must for promotion.";
-        } else if (patterns.standoutTraits.length >= 3) {
-            promotionStatement = "My highest recommendation for promotion.";
-        } else {
-            const topStatements = [
-                "Highly recommended for promotion.",
-                "Promote at first opportunity.",
-                "An absolute must for promotion."
-            ];
-            promotionStatement = getRandomFromArray(topStatements);
-        }
-        
-        // Add additional endorsements for exceptional performers
-        if (patterns.consistentPerformer && patterns.strongestAreas.length >= 3) {
-            promotionStatement += " Highly recommended for any officer commissioning program.";
-        }
-        
-    } else if (performanceTier === 'middle') {
-        if (patterns.strongestAreas.length >= 2) {
-            const middleStatements = [
-                "Highly recommended for promotion and billets of increased responsibility.",
-                "Strongly recommended for promotion."
-            ];
-            promotionStatement = getRandomFromArray(middleStatements);
-        } else {
-            const standardStatements = [
-                "Highly recommended for promotion.",
-                "Promote at first opportunity."
-            ];
-            promotionStatement = getRandomFromArray(standardStatements);
-        }
-        
-    } else if (performanceTier === 'developing') {
-        if (patterns.developmentAreas.length > 2) {
-            promotionStatement = "Promote.";
-        } else {
-            const developingStatements = [
-                "Recommended for promotion.",
-                "Promote with peers.",
-                "Promote."
-            ];
-            promotionStatement = getRandomFromArray(developingStatements);
-        }
-    }
-    
-    return promotionStatement;
-}
 
-function getRandomFromArray(array) {
-    return array[Math.floor(Math.random() * array.length)];
-}
+    const composed = SectionIComposer.compose({
+        results: evaluationResults,
+        templates: sectionITemplates,
+        style: currentGenerationStyle,
+        standing: typeof getOrderOfMeritStanding === 'function' ? getOrderOfMeritStanding() : null,
+        citations: typeof getCounselingCitations === 'function' ? getCounselingCitations() : [],
+        journal: typeof getJournalCandidates === 'function' ? getJournalCandidates() : {}
+    });
 
-function getRandomTemplate(templates) {
-    return templates[Math.floor(Math.random() * templates.length)];
+    document.getElementById('sectionITextarea').value = composed.text;
+    generatedSectionI = composed.text;
+    updateSectionIWordCount();
 }
 
 function updateAnalysisDisplay(analysis) {
@@ -414,6 +174,7 @@ function updateAnalysisDisplay(analysis) {
     
     // Update the detailed grade groups display
     updateGradeGroupsDisplay(analysis);
+    updateTraitPercentileDisplay();
     
     // Display validation warnings
     displayValidationWarnings();
@@ -504,6 +265,41 @@ function updateGradeGroupsDisplay(analysis) {
     `;
 }
 
+// Per-trait percentile of each mark within the RS's own history at this rank
+function updateTraitPercentileDisplay() {
+    const container = document.getElementById('traitPercentilePanel');
+    if (!container || typeof getTraitInflationAnalysis !== 'function') return;
+    const analysis = getTraitInflationAnalysis();
+    if (!analysis || !analysis.reports) {
+        container.innerHTML = '<p class="trait-percentile-note">No saved reports at this rank on your profile yet; percentiles appear once you have history.</p>';
+        return;
+    }
+
+    const fmtPct = p => (p === null ? '—' : `${Math.round(p)}th`);
+    const rows = analysis.traits.map(t => `
+        <tr class="${t.flag ? `trait-percentile-${t.flag}` : ''}">
+            <td>${escapeHtml(t.trait)}</td>
+            <td><span class="grade-badge grade-${t.grade.toLowerCase()}">${escapeHtml(t.grade)}</span></td>
+            <td>${t.historyMean === null ? '—' : t.historyMean.toFixed(2)}</td>
+            <td>${t.historyCount}</td>
+            <td>${fmtPct(t.percentile)}${t.flag === 'high' ? ' ▲' : t.flag === 'low' ? ' ▼' : ''}</td>
+        </tr>`).join('');
+    const overall = analysis.overall;
+
+    container.innerHTML = `
+        <h4 style="color: #1e3c72; margin-bottom: 10px;">Against Your ${escapeHtml(analysis.rank)} History</h4>
+        <p class="trait-percentile-note">
+            ${analysis.reports} saved report${analysis.reports === 1 ? '' : 's'}.
+            This report averages ${overall.average === null ? 'N/A' : overall.average.toFixed(2)}
+            (your average ${overall.historyMean === null ? 'N/A' : overall.historyMean.toFixed(2)}${overall.percentile === null ? '' : `, ${fmtPct(overall.percentile)} percentile`}).
+            Percentiles need at least ${TraitInflation.MIN_HISTORY} saved marks on a trait.
+        </p>
+        <table class="trait-percentile-table">
+            <thead><tr><th>Trait</th><th>Mark</th><th>Your Avg</th><th>Saved</th><th>Percentile</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
 function getGradeGroups() {
     const groups = {
         fgGrades: [], // F and G grades
@@ -556,10 +352,17 @@ function updateSectionIWordCount() {
     } else if (count > 400 || count < 150) {
         counter.classList.add('warning');
     }
+
+    renderTextFitStatus('sectionIFitStatus', textarea.value, 'sectionI');
 }
 
 // skipSectionI()
 function skipSectionI() {
+    const rules = (typeof getOccasionRules === 'function') ? getOccasionRules() : null;
+    if (rules && rules.sectionI.required) {
+        alert(`Section I comments are required for a non-observed report. Include ${rules.sectionI.mustInclude.map(c => c.label).join(' and ')}.`);
+        return;
+    }
     if (generatedSectionI && confirm('You have generated a Section I comment. Are you sure you want to skip it?')) {
         generatedSectionI = '';
     }
@@ -574,6 +377,22 @@ function skipSectionI() {
 // finalizeSectionI()
 function finalizeSectionI() {
     const sectionIText = document.getElementById('sectionITextarea').value.trim();
+
+    // Occasion rules decide what Section I must say (e.g. why a report is non-observed)
+    const rules = (typeof getOccasionRules === 'function') ? getOccasionRules() : null;
+    const missingContent = rules ? OccasionRules.checkSectionI(sectionIText, rules) : [];
+    if (missingContent.length > 0) {
+        alert(`Section I must include:\n\n${missingContent.join('\n')}`);
+        return;
+    }
+
+    // Text past the form's Section I block would be truncated on submission
+    const fit = (typeof TextFit !== 'undefined') ? TextFit.measure(sectionIText, 'sectionI') : null;
+    if (fit && !fit.fits) {
+        updateSectionIWordCount();
+        alert(`Section I runs ${fit.overflowLines} line(s) past the ${fit.maxLines}-line form block and would be cut off starting at:\n\n"${fit.overflowSentence}"\n\nShorten the comments before continuing.`);
+        return;
+    }
     
     if (sectionIText) {
         evaluationMeta.sectionIComments = sectionIText;
@@ -604,7 +423,8 @@ function showSectionIGeneration() {
     // Update progress indicator
     document.getElementById('progressText').textContent = 'Section I Comment Generation';
 
-    // Initialize the analysis
+    // Initialize the analysis (non-observed reports have no marks to analyze)
+    if (Object.keys(evaluationResults).length === 0) return;
     const analysis = analyzeTraitEvaluations();
     updateAnalysisDisplay(analysis);
 }
\ No newline at end of file
@@ -0,0 +1,351 @@
+// UMD module: Section I composer — builds the Section I narrative from the
+// RS's own trait justifications. Quantified accomplishments (counts, dollar
+// values, percentages, unit names) are pulled out, ranked by grade and
+// section, and stitched into a comprehensive or concise comment. Template
+// choices come from a seeded generator, so the same marks and justifications
+// always produce the same text. Used by generateSectionIComment() in
+// js/sectionI.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SectionIComposer = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const SECTION_KEYS = {
+    'Mission Accomplishment': 'mission',
+    'Individual Character': 'character',
+    'Leadership': 'leadership',
+    'Intellect and Wisdom': 'intellect',
+    'Fulfillment of Evaluation Responsibilities': 'evaluation'
+  };
+
+  // Narrative order; also breaks ties between accomplishments of equal grade
+  const SECTION_ORDER = ['mission', 'leadership', 'intellect', 'character', 'evaluation', 'general'];
+
+  // Only justifications of D marks and above feed the narrative
+  const MIN_GRADE = 4;
+
+  const STYLES = {
+    comprehensive: { accomplishments: 4 },
+    concise: { accomplishments: 2 }
+  };
+
+  // Kinds of quantity, strongest first; `weight` ranks sentences within a trait
+  const QUANTITIES = [
+    { kind: 'money', weight: 3, pattern: /\$\s?\d[\d,]*(?:\.\d+)?\s?(?:[KMB]\b|thousand|million|billion)?/gi },
+    { kind: 'percent', weight: 3, pattern: /\b\d+(?:\.\d+)?\s?(?:%|percent\b)/gi },
+    { kind: 'number', weight: 2, pattern: /\b\d[\d,]*(?:\.\d+)?\b/g },
+    { kind: 'unit', weight: 1, pattern: /\b(?:fire ?teams?|squads?|platoons?|detachments?|compan(?:y|ies)|batter(?:y|ies)|battalions?|squadrons?|regiments?|MEUs?|MEBs?|MEFs?|divisions?|wings?)\b/gi }
+  ];
+
+  // Leading words that read as "MRO <verb> ..." once the subject is added
+  const LEADING_VERB = /^(?:[A-Z][a-z]+ed|Led|Ran|Built|Drove|Taught|Oversaw|Won|Wrote|Made|Kept|Held|Brought|Took|Spent|Sent|Set|Met|Beat|Cut|Grew|Saw)\b/;
+  const LEADING_SUBJECT = /^(?:he|she|they|snm|mro|the marine|this marine)\s+/i;
+
+  /**
+   * 32-bit FNV-1a hash.
+   * @param {string} str - Input
+   * @returns {number} Unsigned hash
+   */
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    const s = String(str ?? '');
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // mulberry32: small, fast and identical in every JS engine
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function pick(rng, list) {
+    if (!list || !list.length) return '';
+    return list[Math.floor(rng() * list.length)];
+  }
+
+  function resultList(results) {
+    if (!results) return [];
+    return Array.isArray(results) ? results : Object.values(results);
+  }
+
+  /**
+   * Section key for a Section D-H title.
+   * @param {string} sectionTitle - e.g. "Mission Accomplishment"
+   * @returns {string} mission | character | leadership | intellect | evaluation | general
+   */
+  function sectionKey(sectionTitle) {
+    return SECTION_KEYS[sectionTitle] || 'general';
+  }
+
+  /**
+   * Seed derived from the marks and justifications, so an unchanged
+   * evaluation regenerates the same comment.
+   * @param {Object|Object[]} results - Trait results (evaluationResults shape)
+   * @returns {number} Seed
+   */
+  function seedFor(results) {
+    const key = resultList(results)
+      .map(r => `${r.section}|${r.trait}|${r.grade}|${String(r.justification || '').trim()}`)
+      .sort()
+      .join('\n');
+    return hashString(key);
+  }
+
+  /**
+   * Quantities mentioned in a sentence. Numbers inside a dollar value or
+   * percentage are not counted twice.
+   * @param {string} sentence - Sentence
+   * @returns {Array<{kind: string, text: string}>}
+   */
+  function findQuantities(sentence) {
+    const s = String(sentence || '');
+    const taken = [];
+    const out = [];
+    QUANTITIES.forEach(q => {
+      q.pattern.lastIndex = 0;
+      let m;
+      while ((m = q.pattern.exec(s)) !== null) {
+        const start = m.index;
+        const end = start + m[0].length;
+        if (taken.some(([a, b]) => start < b && end > a)) continue;
+        taken.push([start, end]);
+        out.push({ kind: q.kind, text: m[0].trim() });
+      }
+    });
+    return out;
+  }
+
+  function splitSentences(text) {
+    return String(text || '')
+      .split(/\n+|(?<=[.!?])\s+/)
+      .map(s => s.replace(/^[\s\-*\u2022]+/, '').replace(/[\s.!?;,]+$/, '').trim())
+      .filter(s => s.length > 20);
+  }
+
+  function weigh(quantities) {
+    return quantities.reduce((n, q) => n + QUANTITIES.find(d => d.kind === q.kind).weight, 0);
+  }
+
+  /**
+   * Quantified accomplishments from the justifications, best first: higher
+   * grade, then section order, then the more specific sentence. At most one
+   * sentence is taken from each trait.
+   * @param {Object|Object[]} results - Trait results (evaluationResults shape)
+   * @param {Object<string, string[]>} [journal] - Extra candidate texts per
+   *   result key ("D_performance"), e.g. from the accomplishment journal
+   * @returns {Array<{section: string, sectionKey: string, trait: string, grade: string, gradeNumber: number,
+   *   accomplishment: string, quantities: Array<{kind: string, text: string}>, score: number}>}
+   */
+  function extractAccomplishments(results, journal) {
+    const out = [];
+    const keys = results && !Array.isArray(results) ? Object.keys(results) : [];
+    resultList(results).forEach((r, order) => {
+      if (!r || !(r.gradeNumber >= MIN_GRADE)) return;
+      let best = null;
+      const extra = (journal && keys[order] && journal[keys[order]]) || [];
+      [r.justification, ...extra].flatMap(splitSentences).forEach(sentence => {
+        const quantities = findQuantities(sentence);
+        if (!quantities.length) return;
+        const score = weigh(quantities);
+        if (!best || score > best.score) best = { sentence, quantities, score };
+      });
+      if (!best) return;
+      out.push({
+        section: r.section,
+        sectionKey: sectionKey(r.section),
+        trait: r.trait,
+        grade: r.grade,
+        gradeNumber: r.gradeNumber,
+        accomplishment: best.sentence,
+        quantities: best.quantities,
+        score: best.score,
+        order
+      });
+    });
+    return out
+      .sort((a, b) => (b.gradeNumber - a.gradeNumber)
+        || (SECTION_ORDER.indexOf(a.sectionKey) - SECTION_ORDER.indexOf(b.sectionKey))
+        || (b.score - a.score)
+        || (a.order - b.order))
+      .map(({ order, ...a }) => a);
+  }
+
+  /**
+   * Performance tier from the marks.
+   * @param {Object|Object[]} results - Trait results
+   * @returns {string} top | middle | developing
+   */
+  function tierFor(results) {
+    const grades = resultList(results).map(r => r.gradeNumber);
+    if (!grades.length) return 'middle';
+    const average = grades.reduce((sum, g) => sum + g, 0) / grades.length;
+    const high = grades.filter(g => g >= 6).length;
+    const low = grades.filter(g => g <= 3).length;
+    if (average >= 5.5 && high >= grades.length * 0.4) return 'top';
+    if (average <= 3.5 || low >= grades.length * 0.3) return 'developing';
+    return 'middle';
+  }
+
+  /**
+   * Strengths and weaknesses by section.
+   * @param {Object|Object[]} results - Trait results
+   * @returns {{strongestAreas: string[], developmentAreas: string[], consistentPerformer: boolean,
+   *   standoutTraits: Array<{trait: string, grade: string}>, leadershipFocus: boolean, technicalExcellence: boolean}}
+   */
+  function analyzePatterns(results) {
+    const list = resultList(results);
+    const sums = {};
+    const counts = {};
+    list.forEach(r => {
+      const key = sectionKey(r.section);
+      sums[key] = (sums[key] || 0) + r.gradeNumber;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    const averages = {};
+    Object.keys(sums).forEach(k => { averages[k] = sums[k] / counts[k]; });
+
+    const grades = list.map(r => r.gradeNumber);
+    const avg = grades.length ? grades.reduce((s, g) => s + g, 0) / grades.length : 0;
+    const variance = grades.length ? grades.reduce((s, g) => s + Math.pow(g - avg, 2), 0) / grades.length : 0;
+
+    return {
+      strongestAreas: Object.keys(averages).filter(k => averages[k] >= 4.5).sort((a, b) => averages[b] - averages[a]),
+      developmentAreas: Object.keys(averages).filter(k => averages[k] <= 3.5),
+      consistentPerformer: grades.length > 0 && Math.sqrt(variance) < 1.0,
+      standoutTraits: list.filter(r => r.gradeNumber >= 6).map(r => ({ trait: r.trait, grade: r.grade })),
+      leadershipFocus: averages.leadership >= 4.5,
+      technicalExcellence: averages.mission >= 5.0
+    };
+  }
+
+  /**
+   * Promotion recommendation for the tier, strongest statements reserved for
+   * the strongest patterns.
+   * @param {string} tier - From tierFor()
+   * @param {Object} patterns - From analyzePatterns()
+   * @param {Function} [rng] - Seeded generator from createRng()
+   * @returns {string}
+   */
+  function promotionStatement(tier, patterns, rng) {
+    const next = rng || createRng(0);
+    const p = patterns;
+    if (tier === 'top') {
+      let statement;
+      if (p.technicalExcellence && p.leadershipFocus) statement = 'An absolute must for promotion.';
+      else if (p.standoutTraits.length >= 3) statement = 'My highest recommendation for promotion.';
+      else statement = pick(next, ['Highly recommended for promotion.', 'Promote at first opportunity.', 'An absolute must for promotion.']);
+      if (p.consistentPerformer && p.strongestAreas.length >= 3) {
+        statement += ' Highly recommended for any officer commissioning program.';
+      }
+      return statement;
+    }
+    if (tier === 'developing') {
+      if (p.developmentAreas.length > 2) return 'Promote.';
+      return pick(next, ['Recommended for promotion.', 'Promote with peers.', 'Promote.']);
+    }
+    if (p.strongestAreas.length >= 2) {
+      return pick(next, ['Highly recommended for promotion and billets of increased responsibility.', 'Strongly recommended for promotion.']);
+    }
+    return pick(next, ['Highly recommended for promotion.', 'Promote at first opportunity.']);
+  }
+
+  /**
+   * Phrase an accomplishment as a Section I sentence about MRO.
+   * @param {string} text - Accomplishment sentence from a justification
+   * @returns {string}
+   */
+  function toNarrative(text) {
+    const s = String(text || '').trim().replace(/[\s.!?;,]+$/, '');
+    if (!s) return '';
+    if (LEADING_SUBJECT.test(s)) return `${s.replace(LEADING_SUBJECT, 'MRO ')}.`;
+    if (LEADING_VERB.test(s)) return `MRO ${s.charAt(0).toLowerCase()}${s.slice(1)}.`;
+    return `${s.charAt(0).toUpperCase()}${s.slice(1)}.`;
+  }
+
+  /**
+   * Compose a Section I comment.
+   * @param {{results: Object|Object[], templates: Object, style?: string, seed?: number|string,
+   *   standing?: {ranking: number, totalPopulation: number}, citations?: string[],
+   *   journal?: Object<string, string[]>}} options
+   *   `templates` holds openings/performance/leadership/character lists per
+   *   tier (sectionITemplates in js/sectionI.js); `seed` defaults to seedFor(results);
+   *   `standing` is the MRO's place in the RS's order of merit; `citations` are
+   *   sentences from the counseling log, told before the promotion statement;
+   *   `journal` adds accomplishment candidates per trait (see extractAccomplishments())
+   * @returns {{text: string, seed: number, tier: string, accomplishments: Object[]}}
+   *   `accomplishments` are the ones used in the text
+   */
+  function compose(options) {
+    const o = options || {};
+    const style = STYLES[o.style] ? o.style : 'comprehensive';
+    const seed = o.seed === undefined || o.seed === null || o.seed === ''
+      ? seedFor(o.results)
+      : (typeof o.seed === 'number' ? o.seed >>> 0 : hashString(o.seed));
+    const rng = createRng(seed);
+    const tier = tierFor(o.results);
+    const patterns = analyzePatterns(o.results);
+    const t = (o.templates || {})[tier] || {};
+
+    // Best accomplishments, then told in section order so the comment reads
+    // mission -> leadership -> intellect -> character
+    const used = extractAccomplishments(o.results, o.journal)
+      .slice(0, STYLES[style].accomplishments)
+      .sort((a, b) => SECTION_ORDER.indexOf(a.sectionKey) - SECTION_ORDER.indexOf(b.sectionKey));
+    const covered = new Set(used.map(a => a.sectionKey));
+
+    const parts = [pick(rng, t.openings)];
+    if (used.length) used.forEach(a => parts.push(toNarrative(a.accomplishment)));
+    else parts.push(pick(rng, t.performance));
+
+    if (style === 'comprehensive' || patterns.leadershipFocus || tier === 'top') {
+      if (!covered.has('leadership')) parts.push(pick(rng, t.leadership));
+    }
+    if (style === 'comprehensive' && !covered.has('character')) {
+      parts.push(pick(rng, t.character));
+    }
+    if (style === 'comprehensive' && patterns.standoutTraits.length) {
+      const traits = patterns.standoutTraits.slice(0, 2).map(s => `${s.trait.toLowerCase()} (${s.grade})`).join(' and ');
+      parts.push(`Particularly noteworthy performance in ${traits}.`);
+    }
+    (o.citations || []).forEach(c => parts.push(c));
+    parts.push(promotionStatement(tier, patterns, rng));
+    if (o.standing && o.standing.ranking && o.standing.totalPopulation) {
+      parts.push(`Ranks #${o.standing.ranking} of ${o.standing.totalPopulation} among all Marines of this grade.`);
+    }
+
+    return {
+      text: parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim(),
+      seed,
+      tier,
+      accomplishments: used
+    };
+  }
+
+  return {
+    STYLES,
+    SECTION_ORDER,
+    hashString,
+    createRng,
+    sectionKey,
+    seedFor,
+    findQuantities,
+    extractAccomplishments,
+    tierFor,
+    analyzePatterns,
+    promotionStatement,
+    toNarrative,
+    compose
+  };
+});
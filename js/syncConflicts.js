@@ -0,0 +1,140 @@
+// Sync Conflict Functions
+// Three-way merges a report saved from another device since this one last
+// synced (js/evaluationMerge.js). Fields changed on one side merge on their
+// own; fields changed on both sides wait here for the RS, shown side by side.
+
+function countSyncConflicts() {
+    return (profileEvaluations || []).filter(e => e.syncStatus === 'conflict' && e.syncConflict).length;
+}
+
+// Swap an evaluation's contents keeping the object that profileEvaluations holds
+function replaceEvaluationInPlace(target, next) {
+    Object.keys(target).forEach(k => { delete target[k]; });
+    Object.assign(target, next);
+    return target;
+}
+
+function conflictRecord(revision, server, result) {
+    return { revision, server, conflicts: result.conflicts, picks: result.picks };
+}
+
+/**
+ * Handle a 409 from the save route: merge with the server copy and resave,
+ * or leave the report in 'conflict' for showSyncConflicts().
+ *
+ * @param {Object} evaluation Evaluation (updated in place).
+ * @param {{revision: number, server: Object}} conflict 409 response body.
+ * @param {number} attempt Merge-and-resave rounds so far.
+ * @returns {Promise<boolean>} True when the merged report saved.
+ */
+async function mergeSyncConflict(evaluation, conflict, attempt) {
+    const merge = window.EvaluationMerge;
+    const server = conflict.server || {};
+    const revision = Number(conflict.revision) || 0;
+    const result = merge.merge(evaluation.syncBase?.fields || {}, evaluation, server);
+    // Another device may save between our merge and resave; give up after two rounds
+    if (!result.conflicts.length && attempt < 2) {
+        replaceEvaluationInPlace(evaluation, merge.markSynced({ ...result.evaluation, syncStatus: 'pending' }, revision, server));
+        return syncEvaluationToGitHub(evaluation, attempt + 1);
+    }
+    evaluation.syncStatus = 'conflict';
+    evaluation.syncConflict = conflictRecord(revision, server, result);
+    return false;
+}
+
+/**
+ * Reconcile a local report with the server copy loaded at sign-in.
+ *
+ * @param {Object} local Local copy with a syncBase.
+ * @param {Object} remote Server copy with its revision.
+ * @returns {Object} The copy to keep.
+ */
+function reconcileWithRemote(local, remote) {
+    const merge = window.EvaluationMerge;
+    if (!merge) return local;
+    const revision = Number(remote.revision);
+    if (revision === Number(local.syncBase.revision)) return local;
+    if (local.syncStatus === 'synced') {
+        return merge.markSynced({ ...remote, syncStatus: 'synced' }, revision);
+    }
+    const result = merge.merge(local.syncBase.fields, local, remote);
+    if (result.conflicts.length) {
+        return { ...local, syncStatus: 'conflict', syncConflict: conflictRecord(revision, remote, result) };
+    }
+    return merge.markSynced({ ...result.evaluation, syncStatus: 'pending' }, revision, remote);
+}
+
+function renderSyncConflict(evaluation, index) {
+    const c = evaluation.syncConflict;
+    const info = evaluation.marineInfo || {};
+    const period = info.evaluationPeriod || {};
+    const rows = c.conflicts.map((f, i) => `
+        <tr>
+            <td>${escapeHtml(f.label)}</td>
+            <td><label class="sync-conflict-choice"><input type="radio" name="conflict-${index}-${i}" value="local" data-field="${escapeHtml(f.field)}" checked>
+                <span class="sync-conflict-value">${escapeHtml(window.EvaluationMerge.formatValue(f.local))}</span></label></td>
+            <td><label class="sync-conflict-choice"><input type="radio" name="conflict-${index}-${i}" value="remote" data-field="${escapeHtml(f.field)}">
+                <span class="sync-conflict-value">${escapeHtml(window.EvaluationMerge.formatValue(f.remote))}</span></label></td>
+        </tr>`).join('');
+    return `
+        <section class="sync-conflict" data-evaluation-id="${escapeHtml(evaluation.evaluationId)}">
+            <h4>${escapeHtml(info.name || 'Unknown Marine')} · ${escapeHtml(evaluation.occasion || '')} · ${escapeHtml(period.from || '?')} – ${escapeHtml(period.to || '?')}</h4>
+            <table class="marine-history-table sync-conflict-table">
+                <thead><tr><th>Field</th><th>This device</th><th>Server (revision ${escapeHtml(String(c.revision))})</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="calibration-actions">
+                <button type="button" class="btn btn-primary" data-resolve-conflict="${escapeHtml(evaluation.evaluationId)}">Apply &amp; Sync</button>
+            </div>
+        </section>`;
+}
+
+/**
+ * Side-by-side resolution of the reports in conflict: pick this device's or
+ * the server's value per field, then resave on top of the server revision.
+ */
+function showSyncConflicts() {
+    const pending = (profileEvaluations || []).filter(e => e.syncStatus === 'conflict' && e.syncConflict);
+    const panel = openMarinePanel(`
+        <div class="panel-header">
+            <div class="panel-title">
+                <div class="panel-marine">Sync Conflicts</div>
+                <div class="panel-meta">${pending.length} report(s) changed here and on another device</div>
+            </div>
+            <div class="panel-actions">
+                <button class="panel-close" id="gridDetailCloseBtn">✕</button>
+            </div>
+        </div>
+        <div class="panel-body">
+            <p class="reporting-calendar-hint">Changes to different fields were merged. Pick the version to keep where both devices changed the same field.</p>
+            ${pending.length ? pending.map(renderSyncConflict).join('') : '<div class="bullet-empty">No sync conflicts.</div>'}
+        </div>`);
+    if (!panel) return;
+    panel.querySelectorAll('[data-resolve-conflict]').forEach(btn => {
+        btn.addEventListener('click', () => applySyncResolution(btn.getAttribute('data-resolve-conflict')));
+    });
+}
+
+async function applySyncResolution(evaluationId) {
+    const evaluation = (profileEvaluations || []).find(e => e.evaluationId === evaluationId);
+    if (!evaluation || !evaluation.syncConflict || !window.EvaluationMerge) return;
+    const c = evaluation.syncConflict;
+    const choices = { ...c.picks };
+    document.querySelectorAll(`.sync-conflict[data-evaluation-id="${CSS.escape(evaluationId)}"] input[type="radio"]:checked`).forEach(input => {
+        choices[input.getAttribute('data-field')] = input.value;
+    });
+    const resolved = window.EvaluationMerge.resolve(evaluation, c.server, choices);
+    replaceEvaluationInPlace(evaluation, window.EvaluationMerge.markSynced({ ...resolved, syncStatus: 'pending' }, c.revision, c.server));
+
+    const ok = await syncEvaluationToGitHub(evaluation);
+    saveEvaluationsToLocal(generateProfileKey(currentProfile.rsName, currentProfile.rsEmail), profileEvaluations);
+    if (typeof renderEvaluationsList === 'function') renderEvaluationsList();
+    if (ok) {
+        showToast('Conflict resolved and synced', 'success');
+    } else if (evaluation.syncStatus === 'conflict') {
+        showToast('The report changed again on another device; review the new differences', 'warning');
+    } else {
+        showToast('Conflict resolved; sync will retry', 'warning');
+    }
+    showSyncConflicts();
+}
@@ -0,0 +1,189 @@
+// UMD module: form text fitting — lays comments out the way the NAVMC 10835
+// form renders them (fixed-width Courier lines, printable ASCII only) so the
+// editor can show remaining lines and the save routes can reject text that
+// would be cut off. server/fitrepPdf.js draws its text boxes from the same
+// layout.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TextFit = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Courier 8pt across the form's content width (see boxCols in server/fitrepPdf.js)
+  const FORM_COLUMNS = 110;
+
+  // Text blocks on the form; `enforced` blocks are checked before submission
+  const BOXES = {
+    billetAccomplishments: { label: 'Section C billet accomplishments', cols: FORM_COLUMNS, rows: 6, enforced: true },
+    directedComments: { label: 'Directed comments', cols: FORM_COLUMNS, rows: 8 },
+    sectionI: { label: 'Section I comments', cols: FORM_COLUMNS, rows: 42, enforced: true },
+    promotion: { label: 'Promotion endorsement', cols: FORM_COLUMNS, rows: 2 }
+  };
+
+  /**
+   * Reduce text to printable ASCII, the way the form renders it. Typographic
+   * quotes, dashes, bullets and ellipses are substituted; anything else
+   * becomes "?".
+   * @param {*} value - Any value
+   * @returns {string} Sanitized text
+   */
+  function toAscii(value) {
+    return String(value ?? '')
+      .replace(/[\u2018\u2019\u201B]/g, "'")
+      .replace(/[\u201C\u201D\u201F]/g, '"')
+      .replace(/[\u2013\u2014\u2212]/g, '-')
+      .replace(/[\u2022\u25CF]/g, '*')
+      .replace(/\u2026/g, '...')
+      .replace(/\u00A0/g, ' ')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, ' ')
+      .replace(/[^\n\x20-\x7E]/g, '?');
+  }
+
+  /**
+   * Characters the form cannot print (they would appear as "?").
+   * @param {string} text - Raw text
+   * @returns {string[]} Distinct characters, in order of appearance
+   */
+  function unsupportedChars(text) {
+    const out = [];
+    const handled = /[\u2018\u2019\u201B\u201C\u201D\u201F\u2013\u2014\u2212\u2022\u25CF\u2026\u00A0\r\t]/;
+    Array.from(String(text ?? '')).forEach((ch) => {
+      if (/[\n\x20-\x7E]/.test(ch) || handled.test(ch) || out.includes(ch)) return;
+      out.push(ch);
+    });
+    return out;
+  }
+
+  /**
+   * Word-wrap sanitized text to a fixed column width, hard-breaking words
+   * longer than a line. Newlines are kept as paragraph breaks.
+   * @param {string} clean - Output of toAscii()
+   * @param {number} cols - Characters per line
+   * @returns {Array<{text: string, start: number}>} Lines with their offset in `clean`
+   */
+  function layout(clean, cols) {
+    const lines = [];
+    let offset = 0;
+    clean.split('\n').forEach((para) => {
+      let line = '';
+      let lineStart = offset;
+      const words = /[^ ]+/g;
+      let m;
+      while ((m = words.exec(para)) !== null) {
+        let w = m[0];
+        let wStart = offset + m.index;
+        while (w.length > cols) {
+          if (line) { lines.push({ text: line, start: lineStart }); line = ''; }
+          lines.push({ text: w.slice(0, cols), start: wStart });
+          w = w.slice(cols);
+          wStart += cols;
+        }
+        if (!line) { line = w; lineStart = wStart; }
+        else if (line.length + 1 + w.length <= cols) line += ` ${w}`;
+        else { lines.push({ text: line, start: lineStart }); line = w; lineStart = wStart; }
+      }
+      lines.push({ text: line, start: line ? lineStart : offset });
+      offset += para.length + 1;
+    });
+    while (lines.length && !lines[lines.length - 1].text) lines.pop();
+    return lines;
+  }
+
+  /**
+   * Word-wrap text to a fixed column width (hard-breaks long words).
+   * @param {string} text - Text (newlines are kept as paragraph breaks)
+   * @param {number} cols - Characters per line
+   * @returns {string[]} Lines
+   */
+  function wrapText(text, cols) {
+    return layout(toAscii(text), cols).map(l => l.text);
+  }
+
+  /**
+   * Fit text into a box of `rows` lines of `cols` characters.
+   * @param {string} text - Text to fit
+   * @param {number} cols - Characters per line
+   * @param {number} rows - Lines available
+   * @returns {{lines: string[], charCount: number, capacity: number, overflowChars: number}}
+   */
+  function fitText(text, cols, rows) {
+    const clean = toAscii(text).trim();
+    const all = wrapText(clean, cols);
+    const lines = all.slice(0, rows);
+    const overflowChars = all.slice(rows).reduce((n, l) => n + l.length, 0);
+    return { lines, charCount: clean.length, capacity: cols * rows, overflowChars };
+  }
+
+  function sentenceAt(clean, offset) {
+    const re = /[^\s][^.!?\n]*(?:[.!?]+["')\]]*|(?=\n)|$)/g;
+    let m;
+    while ((m = re.exec(clean)) !== null) {
+      if (m.index + m[0].length > offset) return m[0].trim();
+    }
+    return '';
+  }
+
+  /**
+   * Measure text against a form box.
+   * @param {string} text - Text as typed
+   * @param {string|{cols: number, rows: number}} box - BOXES key or explicit size
+   * @returns {{lines: number, maxLines: number, remainingLines: number, charCount: number,
+   *   overflowLines: number, fits: boolean, overflowSentence: string, unsupported: string[]}}
+   *   `overflowSentence` is the sentence in which the form runs out of room ('' when it fits)
+   */
+  function measure(text, box) {
+    const b = typeof box === 'string' ? BOXES[box] : box;
+    const clean = toAscii(text).trim();
+    const lines = layout(clean, b.cols);
+    const overflowLines = Math.max(0, lines.length - b.rows);
+    return {
+      lines: lines.length,
+      maxLines: b.rows,
+      remainingLines: Math.max(0, b.rows - lines.length),
+      charCount: clean.length,
+      overflowLines,
+      fits: overflowLines === 0,
+      overflowSentence: overflowLines ? sentenceAt(clean, lines[b.rows].start) : '',
+      unsupported: unsupportedChars(text)
+    };
+  }
+
+  /**
+   * Check the enforced text blocks of an evaluation (frontend shape).
+   * @param {Object} evaluation - Evaluation being saved
+   * @returns {Array<{field: string, message: string, overflowSentence: string}>} Blocks that would be truncated
+   */
+  function checkEvaluation(evaluation) {
+    const ev = evaluation || {};
+    const values = {
+      billetAccomplishments: ev.billet?.accomplishments,
+      sectionI: ev.sectionIComments
+    };
+    const out = [];
+    Object.keys(values).forEach((field) => {
+      const box = BOXES[field];
+      if (!box.enforced) return;
+      const m = measure(values[field], box);
+      if (m.fits) return;
+      out.push({
+        field,
+        message: `${box.label} run ${m.overflowLines} line${m.overflowLines === 1 ? '' : 's'} past the ${box.rows}-line form block; text from "${m.overflowSentence}" on would be cut off.`,
+        overflowSentence: m.overflowSentence
+      });
+    });
+    return out;
+  }
+
+  return {
+    FORM_COLUMNS,
+    BOXES,
+    toAscii,
+    unsupportedChars,
+    wrapText,
+    fitText,
+    measure,
+    checkEvaluation
+  };
+});
@@ -0,0 +1,150 @@
+// UMD module: trait inflation against the RS's own history — places each
+// trait mark of a draft within the RS's saved marks for that trait at the
+// same rank (the per-trait distribution a promotion board sees on the RS
+// profile) and flags marks that sit unusually high or low. Used by
+// validateEvaluation() (js/validation.js) and the Section I analysis panel.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TraitInflation = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const GRADE_NUMBERS = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
+
+  // Fewer saved marks than this on a trait say nothing about the RS's habits
+  const MIN_HISTORY = 3;
+  const HIGH_PERCENTILE = 90;
+  const LOW_PERCENTILE = 10;
+
+  const round1 = n => Math.round(n * 10) / 10;
+  const round2 = n => Math.round(n * 100) / 100;
+
+  function rankKey(rank) {
+    return String(rank || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  function traitItems(traitEvaluations) {
+    if (!traitEvaluations) return [];
+    return Array.isArray(traitEvaluations) ? traitEvaluations : Object.values(traitEvaluations);
+  }
+
+  function gradeNumberOf(t) {
+    const grade = String(t?.grade || '').toUpperCase();
+    const n = Number(t?.gradeNumber) || GRADE_NUMBERS[grade] || 0;
+    return n >= 1 && n <= 7 ? n : null;
+  }
+
+  /**
+   * Percentile rank of a value in a distribution; ties count half, so a mark
+   * equal to every saved mark sits at the 50th percentile.
+   * @param {number} value - Mark (1-7)
+   * @param {number[]} values - Saved marks
+   * @returns {number|null} 0-100, or null without history
+   */
+  function percentile(value, values) {
+    if (!values || !values.length) return null;
+    const below = values.filter(v => v < value).length;
+    const equal = values.filter(v => v === value).length;
+    return round1(((below + equal / 2) / values.length) * 100);
+  }
+
+  /**
+   * Saved marks per trait for one rank, from the RS's evaluations.
+   * @param {Object[]} evaluations - Saved evaluations (frontend shape)
+   * @param {{rank: string, excludeId?: string}} options - `excludeId` skips the report being edited
+   * @returns {{reports: number, traits: Object<string, number[]>}}
+   */
+  function history(evaluations, options) {
+    const o = options || {};
+    const rank = rankKey(o.rank);
+    const traits = {};
+    let reports = 0;
+    (evaluations || []).forEach(ev => {
+      if (!ev || (o.excludeId && ev.evaluationId === o.excludeId)) return;
+      if (rankKey(ev.marineInfo?.rank) !== rank) return;
+      const items = traitItems(ev.traitEvaluations);
+      let marked = false;
+      items.forEach(t => {
+        const n = gradeNumberOf(t);
+        if (!t?.trait || n === null) return;
+        (traits[t.trait] = traits[t.trait] || []).push(n);
+        marked = true;
+      });
+      if (marked) reports += 1;
+    });
+    return { reports, traits };
+  }
+
+  /**
+   * Compare a draft's marks with the RS's history at the same rank.
+   * @param {Object|Object[]} draftResults - Draft trait results (evaluationResults shape)
+   * @param {Object[]} evaluations - Saved evaluations
+   * @param {{rank: string, excludeId?: string, minHistory?: number, high?: number, low?: number}} options
+   * @returns {{rank: string, reports: number, traits: Array<{trait: string, section: string, grade: string,
+   *   gradeNumber: number, historyCount: number, historyMean: (number|null), percentile: (number|null),
+   *   flag: (string|null)}>, flagged: Object[], overall: {average: (number|null), historyMean: (number|null),
+   *   percentile: (number|null)}}}
+   *   `flag` is 'high' or 'low' when the mark is at or beyond the RS's usual range
+   */
+  function analyze(draftResults, evaluations, options) {
+    const o = options || {};
+    const minHistory = o.minHistory ?? MIN_HISTORY;
+    const high = o.high ?? HIGH_PERCENTILE;
+    const low = o.low ?? LOW_PERCENTILE;
+    const h = history(evaluations, o);
+
+    const traits = traitItems(draftResults)
+      .filter(t => t && t.trait && gradeNumberOf(t) !== null)
+      .map(t => {
+        const n = gradeNumberOf(t);
+        const past = h.traits[t.trait] || [];
+        const enough = past.length >= minHistory;
+        const pct = enough ? percentile(n, past) : null;
+        let flag = null;
+        if (pct !== null && pct >= high && n > Math.min(...past)) flag = 'high';
+        else if (pct !== null && pct <= low && n < Math.max(...past)) flag = 'low';
+        return {
+          trait: t.trait,
+          section: t.section || '',
+          grade: String(t.grade || '').toUpperCase(),
+          gradeNumber: n,
+          historyCount: past.length,
+          historyMean: past.length ? round2(past.reduce((a, b) => a + b, 0) / past.length) : null,
+          percentile: pct,
+          flag
+        };
+      });
+
+    // Report averages, so the whole draft can be placed the same way
+    const averages = (evaluations || [])
+      .filter(ev => ev && !(o.excludeId && ev.evaluationId === o.excludeId) && rankKey(ev.marineInfo?.rank) === rankKey(o.rank))
+      .map(ev => {
+        const marks = traitItems(ev.traitEvaluations).map(gradeNumberOf).filter(n => n !== null);
+        return marks.length ? marks.reduce((a, b) => a + b, 0) / marks.length : null;
+      })
+      .filter(n => n !== null);
+    const average = traits.length ? traits.reduce((s, t) => s + t.gradeNumber, 0) / traits.length : null;
+
+    return {
+      rank: rankKey(o.rank),
+      reports: h.reports,
+      traits,
+      flagged: traits.filter(t => t.flag),
+      overall: {
+        average: average === null ? null : round2(average),
+        historyMean: averages.length ? round2(averages.reduce((a, b) => a + b, 0) / averages.length) : null,
+        percentile: average !== null && averages.length >= minHistory ? percentile(average, averages) : null
+      }
+    };
+  }
+
+  return {
+    MIN_HISTORY,
+    HIGH_PERCENTILE,
+    LOW_PERCENTILE,
+    percentile,
+    history,
+    analyze
+  };
+});
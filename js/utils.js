@@ -107,6 +107,31 @@ function updateWordCount() {
     }
 }
 
+/**
+ * Show how text fits its block on the form (see js/textFit.js): lines used,
+ * lines remaining, and the sentence where the form runs out of room.
+ * @param {string} statusId - Status element id
+ * @param {string} text - Text as typed
+ * @param {string} boxKey - TextFit.BOXES key
+ * @returns {Object|null} TextFit.measure() result
+ */
+function renderTextFitStatus(statusId, text, boxKey) {
+    const status = document.getElementById(statusId);
+    if (!status || typeof TextFit === 'undefined') return null;
+
+    const fit = TextFit.measure(text, boxKey);
+    let html = fit.fits
+        ? `${fit.lines} of ${fit.maxLines} form lines used · ${fit.remainingLines} remaining`
+        : `${fit.lines} of ${fit.maxLines} form lines · ${fit.overflowLines} over; text from <strong>"${escapeHtml(fit.overflowSentence)}"</strong> on would be cut off`;
+    if (fit.unsupported.length) {
+        html += `<div>Not printable on the form (shown as "?"): ${escapeHtml(fit.unsupported.join(' '))}</div>`;
+    }
+    status.innerHTML = html;
+    status.className = 'text-fit-status';
+    if (!fit.fits) status.classList.add('error');
+    else if (fit.remainingLines <= 2 || fit.unsupported.length) status.classList.add('warning');
+    return fit;
+}
 
 function calculateFitrepAverage() {
     // Excel-style aliases for the 13/14 attributes
@@ -26,10 +26,90 @@ function validateEvaluation() {
     validateJustificationQuality();
     validatePerformanceTierConsistency();
     validateGradeInflation();
+    validateReportingPeriod();
+    validateTraitHistory();
+    validateCommentLanguage();
     
     return validationWarnings;
 }
 
+/**
+ * Reporting period findings for an evaluation against the RS's other saved
+ * reports on the same Marine (overlaps, gaps, short periods, occasion dates).
+ * @param {Object} meta - evaluationMeta (fromDate, toDate, occasionType, marineRank, marineName, edipi)
+ * @returns {Array<{id: string, type: string, message: string, recommendation: string}>}
+ */
+function getReportingPeriodFindings(meta) {
+    if (typeof ReportingPeriod === 'undefined') return [];
+    const saved = (typeof profileEvaluations !== 'undefined' && Array.isArray(profileEvaluations)) ? profileEvaluations : [];
+    const marine = (typeof MarineHistory !== 'undefined' && saved.length)
+        ? MarineHistory.findMarine(saved, { name: meta.marineName, edipi: meta.edipi })
+        : null;
+    return ReportingPeriod.check({
+        evaluationId: meta.evaluationId,
+        occasion: meta.occasionType,
+        rank: meta.marineRank,
+        from: meta.fromDate,
+        to: meta.toDate
+    }, marine ? marine.evaluations : []);
+}
+
+function validateReportingPeriod() {
+    getReportingPeriodFindings(evaluationMeta).forEach(f => {
+        addWarning(f.id, f.type, f.message, f.recommendation);
+    });
+}
+
+/**
+ * The draft's trait marks placed within the RS's saved marks at the same rank.
+ * @returns {Object|null} TraitInflation.analyze() result, or null when unavailable
+ */
+function getTraitInflationAnalysis() {
+    if (typeof TraitInflation === 'undefined') return null;
+    const saved = (typeof profileEvaluations !== 'undefined' && Array.isArray(profileEvaluations)) ? profileEvaluations : [];
+    return TraitInflation.analyze(evaluationResults, saved, {
+        rank: evaluationMeta.marineRank,
+        excludeId: evaluationMeta.evaluationId
+    });
+}
+
+function validateTraitHistory() {
+    const analysis = getTraitInflationAnalysis();
+    if (!analysis) return;
+    analysis.flagged.forEach(t => {
+        const direction = t.flag === 'high' ? 'above' : 'below';
+        addWarning(`trait-history-${t.flag}`, t.flag === 'high' ? 'warning' : 'info',
+            `${t.trait} (${t.grade}) is at the ${t.percentile}th percentile of your ${t.historyCount} ${analysis.rank} marks for this trait (your average ${t.historyMean}).`,
+            `This mark is ${direction} how you usually grade ${t.trait}; a board reads it against your profile. Make sure the justification shows why.`
+        );
+    });
+}
+
+/**
+ * Language findings (prohibited topics, superlatives, inflated adjectives,
+ * first-person references, abbreviations) for Section I, Section C and the
+ * trait justifications; one warning per block, with the text highlighted.
+ */
+function validateCommentLanguage() {
+    if (typeof LanguageLint === 'undefined') return;
+    const blocks = LanguageLint.lintEvaluation({
+        sectionIComments: evaluationMeta.sectionIComments,
+        billetAccomplishments: evaluationMeta.billetAccomplishments,
+        traits: Object.values(evaluationResults)
+    });
+    const severity = ['info', 'warning', 'error'];
+    blocks.forEach(block => {
+        const type = block.findings.reduce((worst, f) => severity.indexOf(f.type) > severity.indexOf(worst) ? f.type : worst, 'info');
+        const issues = [...new Set(block.findings.map(f => f.message))];
+        const advice = [...new Set(block.findings.map(f => f.recommendation))];
+        addWarning(`language-${block.field}`, type,
+            `Language: ${block.label}\n${issues.join('\n')}`,
+            advice.join(' '),
+            LanguageLint.highlight(block.text, block.findings)
+        );
+    });
+}
+
 function validateGradeConsistency() {
     const grades = Object.values(evaluationResults).map(r => r.gradeNumber);
     const average = grades.reduce((sum, grade) => sum + grade, 0) / grades.length;
@@ -268,12 +348,13 @@ function isGenericJustification(text) {
            !lowerText.includes('achieved') && !lowerText.includes('implemented');
 }
 
-function addWarning(id, type, message, recommendation) {
+function addWarning(id, type, message, recommendation, highlightHtml) {
     validationWarnings.push({
         id: id,
         type: type, // 'error', 'warning', 'info'
         message: message,
         recommendation: recommendation,
+        highlightHtml: highlightHtml || '', // pre-escaped text with <mark> highlights (LanguageLint.highlight)
         timestamp: new Date()
     });
 }
@@ -330,6 +411,7 @@ function displayValidationWarnings() {
                 html += `
                     <div class="validation-item ${item.type}">
                         <div class="validation-message">${nl2br(escapeHtml(String(item.message || '')))}</div>
+                        ${item.highlightHtml ? `<div class="validation-highlight">${item.highlightHtml.replace(/\r\n|\n|\r/g, '<br>')}</div>` : ''}
                         <div class="validation-recommendation">${nl2br(escapeHtml(String(item.recommendation || '')))}</div>
                     </div>
                 `;
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Migration Script: any backend → any backend
+ *
+ * Copies users, evaluations and per-user collections (bullets, counseling,
+ * journal, calendar, order of merit) between the GitHub data repository, a
+ * local data directory, Supabase and a portable export archive, in either
+ * direction. Revision history stays behind. Every copied record is read back and checked against the
+ * source's checksum, and the run ends with a reconciliation report of what
+ * still differs between the two sides.
+ *
+ * Usage:
+ *   node scripts/migrate-storage.js --from=<backend> --to=<backend> [options]
+ *
+ * Backends:
+ *   local[:<dir>]          Local data directory holding users/ (default LOCAL_DATA_DIR)
+ *   github[:<owner/repo>]  GitHub data repository, JSON or YAML (default DATA_REPO; token FITREP_DATA)
+ *   supabase               Supabase (SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
+ *   archive:<file>         Export archive (.json, or .json.gz for gzip)
+ *
+ * Options:
+ *   --user=<username>      Migrate specific user only, by username or account email (comma-separated for several)
+ *   --users-only           Migrate only user profiles (no evaluations or collections)
+ *   --dry-run              Read both sides, write nothing
+ *   --verify-only          Skip the copy; only reconcile source and destination
+ *   --resume               Continue an interrupted run from the state file
+ *   --state=<file>         Progress file (default: .migration-state.json)
+ *   --report=<file>        Reconciliation report (default: migration-report.json)
+ *   --verbose              Show detailed logging
+ *
+ * Exits with status 1 when a record failed to copy or the destination is
+ * missing or differs from a source record.
+ *
+ * Examples:
+ *   node scripts/migrate-storage.js --from=github --to=archive:unit.json.gz
+ *   node scripts/migrate-storage.js --from=supabase --to=local:./data --user=john_smith
+ *   node scripts/migrate-storage.js --from=archive:unit.json.gz --to=supabase --resume
+ *   node scripts/migrate-storage.js --from=local:./data --to=supabase --verify-only
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  createFileProvider,
+  createGitHubProvider,
+  createSupabaseProvider,
+  createArchiveProvider
+} = require('../server/storage');
+const { migrateStorage, reconcileStorage } = require('../server/storage/migration');
+const { isSupabaseAvailable } = require('../server/supabaseClient');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const args = process.argv.slice(2);
+const options = {
+  from: getArg('from'),
+  to: getArg('to'),
+  users: (getArg('user') || '').split(',').map(s => s.trim()).filter(Boolean),
+  usersOnly: hasArg('users-only'),
+  dryRun: hasArg('dry-run'),
+  verifyOnly: hasArg('verify-only'),
+  resume: hasArg('resume'),
+  statePath: getArg('state', '.migration-state.json'),
+  reportPath: getArg('report', 'migration-report.json'),
+  verbose: hasArg('verbose'),
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+function getArg(name, defaultValue = null) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : defaultValue;
+}
+
+function hasArg(name) {
+  return args.includes(`--${name}`);
+}
+
+function log(message, level = 'info') {
+  const prefix = {
+    info: 'ℹ️ ',
+    success: '✅',
+    warn: '⚠️ ',
+    error: '❌',
+    verbose: '  ',
+  }[level];
+
+  if (level === 'verbose' && !options.verbose) return;
+
+  console.log(`${prefix} ${message}`);
+}
+
+/**
+ * Build a provider from a backend argument such as `local:./data`.
+ * @param {string} spec - Backend argument
+ * @returns {import('../server/storage').StorageProvider}
+ */
+function providerFor(spec) {
+  const [kind, ...rest] = String(spec || '').split(':');
+  const location = rest.join(':');
+  switch (kind) {
+    case 'local':
+      return createFileProvider({
+        baseDir: path.resolve(location || process.env.LOCAL_DATA_DIR || path.join(os.tmpdir(), 'fitrep-local'))
+      });
+    case 'github': {
+      const token = process.env.FITREP_DATA;
+      if (!token) throw new Error('FITREP_DATA must be set in .env for the github backend');
+      return createGitHubProvider({
+        token,
+        repo: location || process.env.DATA_REPO || 'SemperAdmin/Fitness-Report-Evaluator-Data'
+      });
+    }
+    case 'supabase':
+      if (!isSupabaseAvailable() || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set in .env for the supabase backend');
+      }
+      return createSupabaseProvider();
+    case 'archive':
+      if (!location) throw new Error('archive backend needs a file: archive:<file>');
+      return createArchiveProvider({ file: path.resolve(location) });
+    default:
+      throw new Error(`Unknown backend: ${spec || '(none)'}`);
+  }
+}
+
+// ============================================================================
+// MAIN MIGRATION LOGIC
+// ============================================================================
+
+async function run() {
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📊 USMC FITREP EVALUATOR - Storage Migration');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  if (!options.from || !options.to) {
+    log('Both --from and --to are required (see the usage notes in this script)', 'error');
+    process.exit(1);
+  }
+  if (options.from === options.to) {
+    log('Source and destination are the same backend', 'error');
+    process.exit(1);
+  }
+
+  let source;
+  let destination;
+  try {
+    source = providerFor(options.from);
+    destination = providerFor(options.to);
+  } catch (err) {
+    log(err.message, 'error');
+    process.exit(1);
+  }
+
+  log(`From: ${options.from}`, 'info');
+  log(`To: ${options.to}`, 'info');
+  log(`Dry Run: ${options.dryRun ? 'Yes' : 'No'}`, 'info');
+  log(`Users Only: ${options.usersOnly ? 'Yes' : 'No'}`, 'info');
+  if (options.users.length) {
+    log(`Users: ${options.users.join(', ')}`, 'info');
+  }
+  if (options.resume) {
+    log(`Resuming from: ${options.statePath}`, 'info');
+  }
+  console.log('');
+
+  let migration = null;
+  if (!options.verifyOnly) {
+    try {
+      migration = await migrateStorage({
+        source,
+        destination,
+        from: options.from,
+        to: options.to,
+        users: options.users,
+        usersOnly: options.usersOnly,
+        dryRun: options.dryRun,
+        statePath: options.dryRun ? null : options.statePath,
+        resume: options.resume,
+        log: (message) => log(message, 'verbose')
+      });
+    } catch (err) {
+      log(`Migration stopped: ${err.message}`, 'error');
+      process.exit(1);
+    }
+  }
+
+  log('Reconciling source and destination...', 'info');
+  const reconciliation = await reconcileStorage({
+    source,
+    destination,
+    users: options.users,
+    usersOnly: options.usersOnly
+  });
+
+  const report = { from: options.from, to: options.to, dryRun: options.dryRun, migration, reconciliation };
+  await fs.writeFile(options.reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  printSummary(migration, reconciliation);
+  log(`Report written to ${options.reportPath}`, 'info');
+
+  const failed = (migration?.errors.length || 0) > 0;
+  const unreconciled = ['users', 'evaluations', 'collections']
+    .some(kind => reconciliation[kind].missing + reconciliation[kind].differs > 0);
+  if (failed || (unreconciled && !options.dryRun)) {
+    process.exitCode = 1;
+  }
+}
+
+function printSummary(migration, reconciliation) {
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📈 Migration Summary');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const kinds = options.usersOnly ? ['users'] : ['users', 'evaluations', 'collections'];
+  const labels = { users: 'Users', evaluations: 'Evaluations', collections: 'Collections' };
+
+  if (migration) {
+    for (const kind of kinds) {
+      const s = migration[kind];
+      console.log(`${labels[kind]} copied:`);
+      console.log(`  ${(options.dryRun ? 'Would copy:' : 'Copied:').padEnd(11)} ${s.copied}`);
+      console.log(`  Skipped:    ${s.skipped}`);
+      console.log(`  Failed:     ${s.failed}`);
+      console.log('');
+    }
+    if (migration.errors.length > 0) {
+      console.log(`❌ Errors (${migration.errors.length}):`);
+      migration.errors.forEach((err, i) => {
+        const fields = err.fields && err.fields.length ? ` (${err.fields.join(', ')})` : '';
+        console.log(`  ${i + 1}. ${err.key}: ${err.error}${fields}`);
+      });
+      console.log('');
+    }
+  }
+
+  for (const kind of kinds) {
+    const r = reconciliation[kind];
+    console.log(`${labels[kind]} reconciled:`);
+    console.log(`  Matched:    ${r.matched}`);
+    console.log(`  Differs:    ${r.differs}`);
+    console.log(`  Missing:    ${r.missing}  (source only)`);
+    console.log(`  Extra:      ${r.extra}  (destination only)`);
+    console.log('');
+  }
+
+  if (options.dryRun) {
+    console.log('⚠️  DRY RUN - No data was written to the destination');
+  } else if (reconciliation.differences.some(d => d.status !== 'extra')) {
+    console.log('⚠️  Source and destination differ; see the report for details');
+  } else {
+    console.log('✅ Destination matches source');
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+}
+
+// ============================================================================
+// RUN MIGRATION
+// ============================================================================
+
+run().catch((err) => {
+  console.error('Unhandled error:', err);
+  process.exit(1);
+});
@@ -3,6 +3,7 @@ const router = express.Router();
 const path = require('path');
 const fsp = require('fs/promises');
 const fetch = require('node-fetch');
+const AdverseReport = require('../js/adverseReport.js');
 
 // Config constants (align with server.js defaults)
 const DATA_REPO = process.env.DATA_REPO || 'SemperAdmin/Fitness-Report-Evaluator-Data';
@@ -200,10 +201,16 @@ router.get('/metrics/performance', requireAdmin, async (req, res) => {
     const performanceTiers = { top: 0, middle: 0, developing: 0 };
     const gradeValues = { A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7 };
     const bySectionValues = { D: [], E: [], F: [], G: [] };
+    let evaluationCount = 0;
+    let adverseCount = 0;
 
     const processEvaluationObject = async (obj) => {
       try {
         const ev = obj && obj.evaluation ? obj.evaluation : obj;
+        if (ev && ev.evaluationId) {
+          evaluationCount += 1;
+          if (AdverseReport.fromEvaluation(ev).isAdverse) adverseCount += 1;
+        }
         const traits = ev?.traitEvaluations || {};
         const avgStr = ev?.fitrepAverage;
         const avgNum = avgStr !== undefined ? parseFloat(avgStr) : NaN;
@@ -310,6 +317,8 @@ router.get('/metrics/performance', requireAdmin, async (req, res) => {
     const highGradePercent = totalTraits > 0 ? parseFloat(((highCount / totalTraits) * 100).toFixed(2)) : 0;
     const lowGradePercent = totalTraits > 0 ? parseFloat(((lowCount / totalTraits) * 100).toFixed(2)) : 0;
 
+    const adversePercent = evaluationCount > 0 ? parseFloat(((adverseCount / evaluationCount) * 100).toFixed(2)) : 0;
+
     const mean = (arr) => (arr.length ? parseFloat((arr.reduce((a,b)=>a+b,0)/arr.length).toFixed(2)) : 0);
     const avgGradeBySection = {
       D_mission: mean(bySectionValues.D),
@@ -324,7 +333,9 @@ router.get('/metrics/performance', requireAdmin, async (req, res) => {
       performanceTiers,
       avgGradeBySection,
       highGradePercent,
-      lowGradePercent
+      lowGradePercent,
+      adverseCount,
+      adversePercent
     });
   } catch (err) {
     console.error('admin metrics performance error:', err);
@@ -0,0 +1,33 @@
+/**
+ * Justification Bullet Library Routes
+ *
+ * Personal library of reusable justification snippets, tagged by trait,
+ * grade and Marine:
+ * - GET /api/bullets - List the signed-in RS's bullets
+ * - POST /api/bullets - Save a bullet { text, trait, grade, marineName, tags }
+ * - DELETE /api/bullets/:bulletId - Remove a bullet
+ *
+ * Kept by the storage provider (server/userCollections.js): the Supabase
+ * `justification_bullets` table (migration 009), or the `bullets` document.
+ */
+
+const BulletLibrary = require('../js/bulletLibrary.js');
+const { createCollectionRoutes } = require('./userCollections');
+
+const bullets = createCollectionRoutes({
+  collection: 'bullets',
+  key: 'bullets',
+  itemKey: 'bullet',
+  param: 'bulletId',
+  idPrefix: 'blt',
+  title: 'bullet library',
+  noun: 'bullet',
+  validate: BulletLibrary.validate,
+  maxItems: BulletLibrary.MAX_BULLETS,
+});
+
+module.exports = {
+  listBulletsHandler: bullets.listHandler,
+  createBulletHandler: bullets.createHandler,
+  deleteBulletHandler: bullets.deleteHandler,
+};
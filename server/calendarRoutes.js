@@ -0,0 +1,122 @@
+/**
+ * Reporting Calendar Routes
+ *
+ * Report due dates per Marine (js/reportingCalendar.js) from the RS's saved
+ * reports and the transfer/PCS dates they know about:
+ * - GET /api/calendar/transfers - List the signed-in RS's known transfer/PCS dates
+ * - PUT /api/calendar/transfers - Replace them { transfers: [{ marineKey, marineName, date }] }
+ * - GET /api/calendar/feed.ics - iCalendar feed of due dates (overdue, due soon, upcoming, submitted)
+ *
+ * Transfer dates are the storage provider's `calendar` collection: the
+ * Supabase `reporting_transfers` table (migration 014), or the `calendar`
+ * document. Saved reports come from the storage provider too.
+ */
+
+const { getStorageProvider } = require('./storage');
+const { getSessionUser } = require('./sessionUser');
+const ReportingCalendar = require('../js/reportingCalendar.js');
+const ReportingPeriod = require('../js/reportingPeriod.js');
+const MarineHistory = require('../js/marineHistory.js');
+
+const CALENDAR_RULES = {
+  annualEndDates: ReportingPeriod.ANNUAL_END_DATES,
+  annualGrades: ReportingPeriod.ANNUAL_GRADES,
+  semiannualEndDates: ReportingPeriod.SEMIANNUAL_END_DATES,
+  semiannualGrades: ReportingPeriod.SEMIANNUAL_GRADES,
+};
+
+// ============================================================================
+// TRANSFER DATES
+// ============================================================================
+
+/**
+ * List the signed-in RS's known transfer/PCS dates
+ * GET /api/calendar/transfers
+ */
+async function listTransfersHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const transfers = await getStorageProvider().listItems(sessionUser, 'calendar');
+    return res.json({ transfers });
+  } catch (err) {
+    console.error('Error in listTransfers:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Replace the signed-in RS's transfer/PCS dates
+ * PUT /api/calendar/transfers
+ *
+ * Request body: { transfers: [{ marineKey, marineName?, date }] }
+ * `marineKey` is the MarineHistory key, or "rs" for the RS's own PCS.
+ */
+async function saveTransfersHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const check = ReportingCalendar.validateTransfers(req.body?.transfers);
+    if (!check.valid) {
+      return res.status(400).json({ error: check.errors[0], errors: check.errors });
+    }
+
+    const transfers = await getStorageProvider().replaceItems(sessionUser, 'calendar', check.value);
+    return res.json({ ok: true, transfers });
+  } catch (err) {
+    console.error('Error in saveTransfers:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// ICALENDAR FEED
+// ============================================================================
+
+/**
+ * iCalendar feed of the signed-in RS's report due dates
+ * GET /api/calendar/feed.ics
+ */
+async function calendarFeedHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const storage = getStorageProvider();
+    const [evaluations, transfers] = await Promise.all([
+      storage.listEvaluations(sessionUser),
+      storage.listItems(sessionUser, 'calendar'),
+    ]);
+    const items = ReportingCalendar.schedule(MarineHistory.groupByMarine(evaluations), {
+      today: new Date().toISOString().slice(0, 10),
+      transfers,
+      rules: CALENDAR_RULES,
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="fitrep-due-dates.ics"');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(ReportingCalendar.toICS(items));
+  } catch (err) {
+    console.error('Error in calendarFeed:', err);
+    return res.status(500).json({ error: 'Failed to build calendar' });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  listTransfersHandler,
+  saveTransfersHandler,
+  calendarFeedHandler,
+};
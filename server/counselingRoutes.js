@@ -0,0 +1,36 @@
+/**
+ * Counseling Log Routes
+ *
+ * Dated counseling sessions (initial, mid-period, event-based) the RS records
+ * per Marine, with notes, goals and follow-up:
+ * - GET /api/counseling - List the signed-in RS's counseling entries
+ * - POST /api/counseling - Log a session { marineName, marineKey, date, type, notes, goals, traits, followUp }
+ * - PUT /api/counseling/:entryId - Update a session (e.g. record the follow-up)
+ * - DELETE /api/counseling/:entryId - Remove a session
+ *
+ * Kept by the storage provider (server/userCollections.js): the Supabase
+ * `counseling_entries` table (migration 012), or the `counseling` document.
+ */
+
+const CounselingLog = require('../js/counselingLog.js');
+const { createCollectionRoutes } = require('./userCollections');
+
+const counseling = createCollectionRoutes({
+  collection: 'counseling',
+  key: 'entries',
+  itemKey: 'entry',
+  param: 'entryId',
+  idPrefix: 'cns',
+  title: 'counseling log',
+  noun: 'counseling entry',
+  validate: CounselingLog.validate,
+  maxItems: CounselingLog.MAX_ENTRIES,
+  updatable: true,
+});
+
+module.exports = {
+  listCounselingHandler: counseling.listHandler,
+  createCounselingHandler: counseling.createHandler,
+  updateCounselingHandler: counseling.updateHandler,
+  deleteCounselingHandler: counseling.deleteHandler,
+};
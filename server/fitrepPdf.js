@@ -0,0 +1,372 @@
+/**
+ * FITREP PDF Renderer
+ *
+ * Renders a saved evaluation as a NAVMC 10835-style fitness report draft:
+ * - Page 1: Section A administrative block, Sections B/C and the D–H trait grid
+ * - Page 2: Directed comments, Section I narrative and promotion endorsement
+ *
+ * The PDF is written by hand (standard Type 1 fonts, uncompressed streams, no
+ * timestamps or random IDs) so the same evaluation always yields the same bytes.
+ * Values are set in Courier so text fitting is a simple column count.
+ */
+
+const TextFit = require('../js/textFit.js');
+
+const { toAscii, wrapText, fitText } = TextFit;
+
+const PAGE_W = 612;
+const PAGE_H = 792;
+const MARGIN = 36;
+const CONTENT_W = PAGE_W - MARGIN * 2;
+
+const FONTS = {
+  label: { ref: 'F1', base: 'Helvetica' },
+  bold: { ref: 'F2', base: 'Helvetica-Bold' },
+  value: { ref: 'F3', base: 'Courier' },
+};
+
+// Courier glyphs are 600/1000 em wide
+const COURIER_ADVANCE = 0.6;
+const BOX_FONT_SIZE = 8;
+const BOX_LEADING = 9.5;
+const BOX_PADDING = 4;
+
+const GRADES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+// Form order for Sections D–H; aliases match the trait names the app saves
+const FORM_SECTIONS = [
+  {
+    letter: 'D', title: 'Mission Accomplishment', traits: [
+      { label: 'Performance', aliases: ['performance'] },
+      { label: 'Proficiency', aliases: ['proficiency'] },
+    ],
+  },
+  {
+    letter: 'E', title: 'Individual Character', traits: [
+      { label: 'Courage', aliases: ['courage'] },
+      { label: 'Effectiveness Under Stress', aliases: ['effectiveness under stress', 'stress tolerance'] },
+      { label: 'Initiative', aliases: ['initiative'] },
+    ],
+  },
+  {
+    letter: 'F', title: 'Leadership', traits: [
+      { label: 'Leading Subordinates', aliases: ['leading subordinates', 'leading'] },
+      { label: 'Developing Subordinates', aliases: ['developing subordinates', 'developing others'] },
+      { label: 'Setting the Example', aliases: ['setting the example'] },
+      { label: 'Ensuring Well-being of Subordinates', aliases: ['ensuring well-being of subordinates', 'well-being/health', 'well being', 'well-being'] },
+      { label: 'Communication Skills', aliases: ['communication skills'] },
+    ],
+  },
+  {
+    letter: 'G', title: 'Intellect and Wisdom', traits: [
+      { label: 'Professional Military Education (PME)', aliases: ['professional military education (pme)', 'professional military education', 'pme'] },
+      { label: 'Decision Making Ability', aliases: ['decision making ability', 'decision making'] },
+      { label: 'Judgment', aliases: ['judgment', 'judgement'] },
+    ],
+  },
+  {
+    letter: 'H', title: 'Fulfillment of Evaluation Responsibilities', traits: [
+      { label: 'Evaluations', aliases: ['evaluations'] },
+    ],
+  },
+];
+
+// Text box sizes (rows of Courier 8pt) come from the shared fitting engine so
+// the editor, the save routes and the PDF agree on what fits
+const BOX_ROWS = Object.fromEntries(Object.entries(TextFit.BOXES).map(([key, box]) => [key, box.rows]));
+
+// ============================================================================
+// TEXT HELPERS
+// ============================================================================
+
+function escapePdfString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function boxCols(width) {
+  return Math.floor((width - BOX_PADDING * 2) / (BOX_FONT_SIZE * COURIER_ADVANCE));
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+// ============================================================================
+// DRAWING PRIMITIVES (top-left origin, converted to PDF user space)
+// ============================================================================
+
+function text(page, x, y, str, font, size) {
+  page.push(`BT /${font.ref} ${num(size)} Tf ${num(x)} ${num(PAGE_H - y)} Td (${escapePdfString(toAscii(str))}) Tj ET`);
+}
+
+function line(page, x1, y1, x2, y2, width) {
+  page.push(`${num(width || 0.5)} w ${num(x1)} ${num(PAGE_H - y1)} m ${num(x2)} ${num(PAGE_H - y2)} l S`);
+}
+
+function rect(page, x, y, w, h, fillGray) {
+  const op = fillGray === undefined ? 'S' : 'B';
+  const fill = fillGray === undefined ? '' : `${num(fillGray)} g `;
+  page.push(`${fill}0.5 w ${num(x)} ${num(PAGE_H - y - h)} ${num(w)} ${num(h)} re ${op} 0 g`);
+}
+
+/**
+ * Labeled form cell: small Helvetica label, Courier value.
+ */
+function cell(page, x, y, w, h, label, value) {
+  rect(page, x, y, w, h);
+  text(page, x + 2, y + 7, label, FONTS.label, 6);
+  const cols = Math.floor((w - BOX_PADDING * 2) / (9 * COURIER_ADVANCE));
+  text(page, x + BOX_PADDING, y + h - 5, wrapText(value, cols)[0] || '', FONTS.value, 9);
+}
+
+/**
+ * Row of cells that together span the content width.
+ * @param {Array<[string, string, number]>} cells - [label, value, width]
+ */
+function cellRow(page, y, cells, h) {
+  let x = MARGIN;
+  cells.forEach(([label, value, w]) => {
+    cell(page, x, y, w, h, label, value);
+    x += w;
+  });
+  return y + h;
+}
+
+function band(page, y, title) {
+  rect(page, MARGIN, y, CONTENT_W, 12, 0.85);
+  text(page, MARGIN + 3, y + 9, title, FONTS.bold, 7.5);
+  return y + 12;
+}
+
+/**
+ * Text box with a capacity line under it. Returns the next y.
+ */
+function textBox(page, y, rows, value, emptyText) {
+  const h = rows * BOX_LEADING + BOX_PADDING * 2;
+  const fit = fitText(value, boxCols(CONTENT_W), rows);
+  rect(page, MARGIN, y, CONTENT_W, h);
+  const lines = fit.charCount ? fit.lines : [emptyText || ''];
+  lines.forEach((l, i) => {
+    text(page, MARGIN + BOX_PADDING, y + BOX_PADDING + (i + 1) * BOX_LEADING - 2, l, FONTS.value, BOX_FONT_SIZE);
+  });
+  const status = fit.overflowChars
+    ? `${fit.charCount} characters - exceeds the form space by ${fit.overflowChars}; text truncated`
+    : `${fit.charCount} of ${fit.capacity} characters`;
+  text(page, MARGIN + 2, y + h + 8, status, FONTS.label, 6.5);
+  return { y: y + h + 12, fit };
+}
+
+// ============================================================================
+// FORM LAYOUT
+// ============================================================================
+
+function normalizeKey(s) {
+  return String(s || '').trim().toLowerCase();
+}
+
+function traitList(evaluation) {
+  const raw = evaluation?.traitEvaluations;
+  return Array.isArray(raw) ? raw : Object.values(raw || {});
+}
+
+function findGrade(traits, aliases) {
+  const hit = traits.find(t => aliases.includes(normalizeKey(t.trait)));
+  const grade = String(hit?.grade || '').trim().toUpperCase();
+  return GRADES.includes(grade) ? grade : '';
+}
+
+/**
+ * Promotion endorsement: an explicit field when present, otherwise the closing
+ * Section I sentence that carries the recommendation.
+ */
+function promotionEndorsement(evaluation) {
+  if (evaluation?.promotionEndorsement) return String(evaluation.promotionEndorsement);
+  const sentences = toAscii(evaluation?.sectionIComments || '').match(/[^.!?]+[.!?]*/g) || [];
+  const hit = [...sentences].reverse().find(s => /promot/i.test(s));
+  return hit ? hit.trim() : '';
+}
+
+function header(page, evaluation, pageNo, pageCount) {
+  text(page, MARGIN, 40, 'USMC FITNESS REPORT (1610) - NAVMC 10835 FORMAT', FONTS.bold, 12);
+  text(page, MARGIN, 52, 'DRAFT - generated for review; not an official record', FONTS.label, 7);
+  const id = `Evaluation ${evaluation?.evaluationId || ''}  |  Page ${pageNo} of ${pageCount}`;
+  text(page, MARGIN, PAGE_H - 24, id, FONTS.label, 7);
+}
+
+function drawPageOne(page, evaluation) {
+  const m = evaluation?.marineInfo || {};
+  const period = m.evaluationPeriod || {};
+  const unit = m.unit || {};
+  const rs = evaluation?.rsInfo || {};
+  const ro = evaluation?.roInfo || {};
+  const billet = evaluation?.billet || {};
+
+  let y = band(page, 62, 'SECTION A: ADMINISTRATIVE');
+  y = cellRow(page, y, [
+    ['1a. Marine (Last, First MI)', m.name, 220],
+    ['1b. EDIPI', m.edipi, 90],
+    ['1c. Grade', m.rank, 60],
+    ['1d. PMOS', m.pmos, 60],
+    ['2. Duty Status', m.dutyStatus, 110],
+  ], 24);
+  y = cellRow(page, y, [
+    ['3a. Occasion', evaluation?.occasion, 80],
+    ['3b. Period From', period.from, 90],
+    ['3c. Period To', period.to, 90],
+    ['4a. Unit RUC', unit.ruc, 70],
+    ['4b. MCC', unit.mcc, 50],
+    ['Average', evaluation?.fitrepAverage, 160],
+  ], 24);
+  y = cellRow(page, y, [
+    ['5a. Reporting Senior', rs.name, 200],
+    ['5b. RS Grade', rs.rank, 70],
+    ['6a. Reviewing Officer', ro.name, 200],
+    ['6b. RO Grade', ro.rank, 70],
+  ], 24);
+
+  y = band(page, y + 6, 'SECTION B: BILLET DESCRIPTION');
+  y = cellRow(page, y, [['Billet', billet.description, CONTENT_W]], 24);
+
+  y = band(page, y + 6, 'SECTION C: BILLET ACCOMPLISHMENTS');
+  y = textBox(page, y, BOX_ROWS.billetAccomplishments, billet.accomplishments, 'None provided').y;
+
+  // Trait grid: label column + one column per grade A–G
+  const labelW = CONTENT_W - GRADES.length * 36;
+  const rowH = 15;
+  y += 2;
+  const gridTop = y + rowH;
+  rect(page, MARGIN, y, CONTENT_W, rowH, 0.85);
+  text(page, MARGIN + 3, y + 10, 'SECTIONS D-H: PERFORMANCE TRAITS', FONTS.bold, 7.5);
+  GRADES.forEach((g, i) => text(page, MARGIN + labelW + i * 36 + 15, y + 10, g, FONTS.bold, 8));
+  y += rowH;
+
+  const traits = traitList(evaluation);
+  FORM_SECTIONS.forEach((section) => {
+    rect(page, MARGIN, y, CONTENT_W, 12, 0.93);
+    text(page, MARGIN + 3, y + 9, `${section.letter}. ${section.title.toUpperCase()}`, FONTS.bold, 7);
+    y += 12;
+    section.traits.forEach((trait, idx) => {
+      const grade = findGrade(traits, trait.aliases);
+      rect(page, MARGIN, y, CONTENT_W, rowH);
+      text(page, MARGIN + 6, y + 10, `${idx + 1}. ${trait.label}`, FONTS.label, 8);
+      GRADES.forEach((g, i) => {
+        const bx = MARGIN + labelW + i * 36 + 14;
+        const by = y + 3.5;
+        rect(page, bx, by, 8, 8);
+        if (g === grade) {
+          line(page, bx, by, bx + 8, by + 8, 1);
+          line(page, bx, by + 8, bx + 8, by, 1);
+        }
+      });
+      y += rowH;
+    });
+  });
+  GRADES.forEach((g, i) => line(page, MARGIN + labelW + i * 36, gridTop, MARGIN + labelW + i * 36, y));
+}
+
+function drawPageTwo(page, evaluation) {
+  const rs = evaluation?.rsInfo || {};
+  const ro = evaluation?.roInfo || {};
+  const result = {};
+
+  let y = band(page, 62, 'DIRECTED COMMENTS (SECTION A, ITEM 8)');
+  let box = textBox(page, y, BOX_ROWS.directedComments, evaluation?.directedComments, 'None');
+  y = box.y;
+  result.directedComments = box.fit;
+
+  y = band(page, y + 2, 'SECTION I: DIRECTED AND ADDITIONAL COMMENTS');
+  box = textBox(page, y, BOX_ROWS.sectionI, evaluation?.sectionIComments, 'None provided');
+  y = box.y;
+  result.sectionI = box.fit;
+
+  y = band(page, y + 2, 'PROMOTION ENDORSEMENT');
+  box = textBox(page, y, BOX_ROWS.promotion, promotionEndorsement(evaluation), 'None stated');
+  y = box.y;
+
+  y = band(page, y + 2, 'CERTIFICATION');
+  y = cellRow(page, y, [
+    ['Reporting Senior (Rank, Name)', `${rs.rank || ''} ${rs.name || ''}`.trim(), CONTENT_W / 2],
+    ['Signature / Date', '', CONTENT_W / 2],
+  ], 26);
+  cellRow(page, y, [
+    ['Reviewing Officer (Rank, Name)', `${ro.rank || ''} ${ro.name || ''}`.trim(), CONTENT_W / 2],
+    ['Signature / Date', '', CONTENT_W / 2],
+  ], 26);
+  return result;
+}
+
+// ============================================================================
+// PDF SERIALIZATION
+// ============================================================================
+
+/**
+ * Serialize pages (arrays of content-stream operators) into PDF bytes.
+ * @param {string[][]} pages - Content operators per page
+ * @param {string} title - Document title
+ * @returns {Buffer} PDF file
+ */
+function serializePdf(pages, title) {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontIds = Object.values(FONTS).map(f => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`));
+  const fontRes = Object.values(FONTS).map((f, i) => `/${f.ref} ${fontIds[i]} 0 R`).join(' ');
+
+  const pageIds = pages.map((ops) => {
+    const stream = ops.join('\n');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << ${fontRes} >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title (${escapePdfString(toAscii(title))}) /Producer (Fitness Report Evaluator) >>`);
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((o) => { out += `${String(o).padStart(10, '0')} 00000 n \n`; });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Render an evaluation as a two-page NAVMC 10835-style PDF draft.
+ * @param {Object} evaluation - Evaluation object (the `evaluation` member of a saved record)
+ * @returns {{buffer: Buffer, filename: string, fit: {sectionI: Object, directedComments: Object}}}
+ */
+function renderFitrepPdf(evaluation) {
+  const pageOne = [];
+  const pageTwo = [];
+  header(pageOne, evaluation, 1, 2);
+  header(pageTwo, evaluation, 2, 2);
+  drawPageOne(pageOne, evaluation);
+  const fit = drawPageTwo(pageTwo, evaluation);
+
+  const m = evaluation?.marineInfo || {};
+  const title = `FITREP ${m.rank || ''} ${m.name || ''} ${m.evaluationPeriod?.to || ''}`.replace(/\s+/g, ' ').trim();
+  const safeId = String(evaluation?.evaluationId || 'evaluation').replace(/[^a-zA-Z0-9_-]/g, '_');
+
+  return {
+    buffer: serializePdf([pageOne, pageTwo], title),
+    filename: `${safeId}.pdf`,
+    fit,
+  };
+}
+
+module.exports = {
+  renderFitrepPdf,
+  fitText,
+  wrapText,
+  BOX_ROWS,
+};
@@ -1,13 +1,31 @@
+const { getStorageProvider } = require('./storage');
+
 const jobs = new Map();
+const saves = new Map();
 
 function genId() {
   return 'job_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
 }
 
+// Keep a copy with the storage provider so the result outlives this process.
+// Saves of one job run in order so a late 'queued' never overwrites the result;
+// the chain is dropped once its last save settles.
+function persistJob(job) {
+  const record = { ...job };
+  const previous = saves.get(job.id) || Promise.resolve();
+  const next = previous.then(() => getStorageProvider().saveJob(record)).catch((e) => {
+    console.warn(`job ${job.id}: record save failed:`, e?.message || e);
+  }).then(() => {
+    if (saves.get(job.id) === next) saves.delete(job.id);
+  });
+  saves.set(job.id, next);
+}
+
 function createJob(type, handler) {
   const id = genId();
   const job = { id, type, status: 'queued', startedAt: null, finishedAt: null, result: null, error: null };
   jobs.set(id, job);
+  persistJob(job);
   setImmediate(async () => {
     job.status = 'running';
     job.startedAt = new Date().toISOString();
@@ -19,13 +37,20 @@ function createJob(type, handler) {
       job.status = 'failed';
     } finally {
       job.finishedAt = new Date().toISOString();
+      persistJob(job);
     }
   });
   return id;
 }
 
-function getJob(id) {
-  return jobs.get(id) || null;
+async function getJob(id) {
+  if (jobs.has(id)) return jobs.get(id);
+  try {
+    return await getStorageProvider().getJob(id);
+  } catch (e) {
+    console.warn(`job ${id}: record read failed:`, e?.message || e);
+    return null;
+  }
 }
 
 module.exports = { createJob, getJob };
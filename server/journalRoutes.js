@@ -0,0 +1,36 @@
+/**
+ * Accomplishment Journal Routes
+ *
+ * Dated accomplishments the RS jots down per Marine as they happen, tagged
+ * to FITREP traits, with an optional link or attachment description:
+ * - GET /api/journal - List the signed-in RS's journal entries
+ * - POST /api/journal - Add an entry { marineName, marineKey, date, text, traits, link, attachment }
+ * - PUT /api/journal/:entryId - Update an entry
+ * - DELETE /api/journal/:entryId - Remove an entry
+ *
+ * Kept by the storage provider (server/userCollections.js): the Supabase
+ * `journal_entries` table (migration 013), or the `journal` document.
+ */
+
+const AccomplishmentJournal = require('../js/accomplishmentJournal.js');
+const { createCollectionRoutes } = require('./userCollections');
+
+const journal = createCollectionRoutes({
+  collection: 'journal',
+  key: 'entries',
+  itemKey: 'entry',
+  param: 'entryId',
+  idPrefix: 'jrn',
+  title: 'accomplishment journal',
+  noun: 'journal entry',
+  validate: AccomplishmentJournal.validate,
+  maxItems: AccomplishmentJournal.MAX_ENTRIES,
+  updatable: true,
+});
+
+module.exports = {
+  listJournalHandler: journal.listHandler,
+  createJournalHandler: journal.createHandler,
+  updateJournalHandler: journal.updateHandler,
+  deleteJournalHandler: journal.deleteHandler,
+};
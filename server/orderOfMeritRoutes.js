@@ -0,0 +1,89 @@
+/**
+ * Order of Merit Routes
+ *
+ * The RS's ranked list of Marines per grade and reporting cycle
+ * (js/orderOfMerit.js), kept with the profile so it follows the RS across
+ * devices:
+ * - GET /api/order-of-merit - List the signed-in RS's lists
+ * - PUT /api/order-of-merit/:cycleKey - Save one list { rank, cycle, order }
+ *
+ * Lists are the storage provider's `merit` collection: the Supabase
+ * `order_of_merit` table (migration 018), or the `merit` document.
+ */
+
+const { getStorageProvider } = require('./storage');
+const { getSessionUser } = require('./sessionUser');
+const OrderOfMerit = require('../js/orderOfMerit.js');
+
+// Cap on saved lists, so reads stay cheap
+const MAX_LISTS = 200;
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * List the signed-in RS's order-of-merit lists
+ * GET /api/order-of-merit
+ *
+ * Response: { lists: [{ cycleKey, rank, cycle, order, updatedAt }] }
+ */
+async function listOrderOfMeritHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const lists = await getStorageProvider().listItems(sessionUser, 'merit');
+    return res.json({ lists });
+  } catch (err) {
+    console.error('Error in listOrderOfMerit:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Save one grade's order of merit for one cycle
+ * PUT /api/order-of-merit/:cycleKey
+ *
+ * Request body: { rank, cycle, order: [marineKey] } (best first)
+ * Response: { ok: true, list }
+ */
+async function saveOrderOfMeritHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const check = OrderOfMerit.validateList(req.body || {});
+    if (!check.valid) {
+      return res.status(400).json({ error: check.errors[0], errors: check.errors });
+    }
+    if (check.value.cycleKey !== req.params.cycleKey) {
+      return res.status(400).json({ error: 'Grade and cycle do not match the list being saved' });
+    }
+
+    const storage = getStorageProvider();
+    const lists = await storage.listItems(sessionUser, 'merit');
+    const others = lists.filter((l) => l.cycleKey !== check.value.cycleKey);
+    if (others.length >= MAX_LISTS) {
+      return res.status(400).json({ error: `Order of merit is full (${MAX_LISTS} lists)` });
+    }
+    const list = await storage.putItem(sessionUser, 'merit', { ...check.value, updatedAt: new Date().toISOString() });
+    return res.json({ ok: true, list });
+  } catch (err) {
+    console.error('Error in saveOrderOfMerit:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  listOrderOfMeritHandler,
+  saveOrderOfMeritHandler,
+};
@@ -0,0 +1,156 @@
+/**
+ * Evaluation Revision Routes
+ *
+ * Every save of an evaluation is kept so the RS can compare any two versions
+ * and restore an earlier one:
+ * - GET /api/evaluation/:evaluationId/revisions - List revisions, newest first
+ * - GET /api/evaluation/:evaluationId/revisions/:rev - One revision's evaluation
+ * - POST /api/evaluation/:evaluationId/restore/:rev - Save a revision's content as the newest revision
+ *
+ * History comes from the storage provider: the Supabase `evaluation_revisions`
+ * table (migration 016, `rev` is the revision number), the commit history of
+ * `users/<user>/evaluations/<id>.json` in the GitHub data repo (`rev` is the
+ * commit SHA), or the copies the embedded file store keeps under
+ * `users/<user>/revisions/<id>/`.
+ */
+
+const { getStorageProvider } = require('./storage');
+const { getSessionUser } = require('./sessionUser');
+
+/**
+ * Load the current evaluation; the provider only returns the session's own.
+ * @returns {Promise<{evaluation: Object|null, status: number, error: string}>}
+ */
+async function loadOwnedEvaluation(storage, sessionUser, evaluationId) {
+  const evaluation = await storage.getEvaluation(sessionUser, evaluationId);
+  if (!evaluation) return { evaluation: null, status: 404, error: 'Evaluation not found' };
+  return { evaluation, status: 200, error: '' };
+}
+
+/**
+ * Load one revision's evaluation for the signed-in RS, with the current one.
+ * @returns {Promise<{evaluation: Object|null, current: Object|null, status: number, error: string}>}
+ */
+async function loadRevision(storage, sessionUser, evaluationId, rev) {
+  const owned = await loadOwnedEvaluation(storage, sessionUser, evaluationId);
+  if (!owned.evaluation) return { ...owned, current: null };
+  const evaluation = await storage.getRevision(sessionUser, evaluationId, rev);
+  if (!evaluation) return { evaluation: null, current: owned.evaluation, status: 404, error: 'Revision not found' };
+  return { evaluation, current: owned.evaluation, status: 200, error: '' };
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * List an evaluation's revisions, newest first
+ * GET /api/evaluation/:evaluationId/revisions
+ *
+ * Response: { revisions: [{ rev, revision, savedAt, message }] }
+ * (`revision` is null for GitHub commits)
+ */
+async function listRevisionsHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const { evaluationId } = req.params;
+    if (!evaluationId) {
+      return res.status(400).json({ error: 'Evaluation ID required' });
+    }
+
+    const storage = getStorageProvider();
+    const owned = await loadOwnedEvaluation(storage, sessionUser, evaluationId);
+    if (!owned.evaluation) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+    const revisions = await storage.listRevisions(sessionUser, evaluationId);
+    return res.json({ revisions });
+  } catch (err) {
+    console.error('Error in listRevisions:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * One revision's evaluation
+ * GET /api/evaluation/:evaluationId/revisions/:rev
+ *
+ * Response: { rev, evaluation }
+ */
+async function getRevisionHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const storage = getStorageProvider();
+    const { evaluationId, rev } = req.params;
+    if (!evaluationId || !storage.revisionPattern.test(String(rev || ''))) {
+      return res.status(400).json({ error: 'Evaluation ID and a valid revision required' });
+    }
+
+    const { evaluation, status, error } = await loadRevision(storage, sessionUser, evaluationId, rev);
+    if (!evaluation) {
+      return res.status(status).json({ error });
+    }
+    return res.json({ rev, evaluation });
+  } catch (err) {
+    console.error('Error in getRevision:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Restore an earlier revision: its content is saved as a new revision, so
+ * the history keeps everything in between
+ * POST /api/evaluation/:evaluationId/restore/:rev
+ *
+ * Response: { ok: true, revision, evaluation }
+ */
+async function restoreRevisionHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const storage = getStorageProvider();
+    const { evaluationId, rev } = req.params;
+    if (!evaluationId || !storage.revisionPattern.test(String(rev || ''))) {
+      return res.status(400).json({ error: 'Evaluation ID and a valid revision required' });
+    }
+
+    const { evaluation: restored, current, status, error } = await loadRevision(storage, sessionUser, evaluationId, rev);
+    if (!restored) {
+      return res.status(status).json({ error });
+    }
+
+    // An older revision may carry an older RO review; the current one stands
+    const { roReview: _restoredReview, ...fields } = restored;
+    const evaluation = {
+      ...fields,
+      ...(current.roReview && { roReview: current.roReview }),
+      evaluationId,
+      revision: (Number(current.revision) || 0) + 1,
+      savedAt: new Date().toISOString(),
+    };
+    const saved = await storage.saveEvaluation(sessionUser, evaluation);
+    const revision = Number(saved?.revision) || evaluation.revision;
+    return res.json({ ok: true, revision, evaluation: { ...evaluation, revision } });
+  } catch (err) {
+    console.error('Error in restoreRevision:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  listRevisionsHandler,
+  getRevisionHandler,
+  restoreRevisionHandler,
+};
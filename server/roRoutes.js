@@ -0,0 +1,197 @@
+/**
+ * Reviewing Officer (RO) Routes
+ *
+ * This module provides the RS → RO review workflow endpoints:
+ * - POST /api/evaluation/:id/ro/route - RS routes an evaluation to an RO account
+ * - GET /api/evaluation/:id/ro - RS or RO reads the review status
+ * - POST /api/evaluation/:id/ro/review - RO records concurrence, Section K and comments
+ * - GET /api/ro/inbox - RO lists evaluations routed to them
+ *
+ * Reviews are kept by the storage provider: the Supabase `ro_reviews` table
+ * (migration 008), or on the evaluation itself with an inbox document per RO
+ * (server/storage/documentStore.js).
+ */
+
+const { getStorageProvider } = require('./storage');
+const RoReview = require('../js/roReview.js');
+const { getSessionUser, isSameUser, sanitizePrefix } = require('./sessionUser');
+
+/**
+ * Compare a session identity with an RS or RO account. An account with an
+ * email matches on that email (see sessionUser.isSameUser) or on its exact
+ * username; a username-only account matches like any legacy username.
+ * @param {string} sessionUser - req.sessionUser or session email
+ * @param {{email?: string, username?: string}} account - Account identity
+ * @returns {boolean} True when they refer to the same account
+ */
+function isAccountUser(sessionUser, account) {
+  if (!sessionUser || !account) return false;
+  if (!account.email) return isSameUser(sessionUser, account.username);
+  const username = account.username ? sanitizePrefix(account.username) : '';
+  return isSameUser(sessionUser, account.email) || Boolean(username && sanitizePrefix(sessionUser) === username);
+}
+
+// ============================================================================
+// ROUTE TO RO
+// ============================================================================
+
+/**
+ * Route an evaluation to a Reviewing Officer
+ * POST /api/evaluation/:evaluationId/ro/route
+ *
+ * Request body: { roEmail: string } (RO account email or username)
+ */
+async function routeToRoHandler(req, res) {
+  try {
+    const { evaluationId } = req.params;
+    const roEmail = String(req.body?.roEmail || '').trim();
+
+    if (!evaluationId) {
+      return res.status(400).json({ error: 'Evaluation ID required' });
+    }
+    if (!roEmail) {
+      return res.status(400).json({ error: 'Reviewing Officer email required' });
+    }
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    // Only the RS's own evaluations are found, so no one else can route them
+    const review = await getStorageProvider().routeToRo(sessionUser, evaluationId, roEmail);
+    return res.json({ ok: true, review });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in routeToRo:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// REVIEW STATUS
+// ============================================================================
+
+/**
+ * Get the RO review for an evaluation (RS or assigned RO only)
+ * GET /api/evaluation/:evaluationId/ro
+ */
+async function getRoReviewHandler(req, res) {
+  try {
+    const { evaluationId } = req.params;
+    if (!evaluationId) {
+      return res.status(400).json({ error: 'Evaluation ID required' });
+    }
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const review = await getStorageProvider().getRoReview(sessionUser, evaluationId);
+    if (!review) {
+      return res.status(404).json({ error: 'Evaluation has not been routed to an RO' });
+    }
+    if (!isAccountUser(sessionUser, review.rs) && !isAccountUser(sessionUser, review.ro)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    return res.json({ review });
+  } catch (err) {
+    console.error('Error in getRoReview:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// SUBMIT RO REVIEW
+// ============================================================================
+
+/**
+ * Record the RO's concurrence, Section K assessment and comments
+ * POST /api/evaluation/:evaluationId/ro/review
+ *
+ * Request body:
+ * {
+ *   concurrence: 'concur' | 'nonconcur',
+ *   comparativeAssessment: number (1-8),
+ *   comments: string
+ * }
+ */
+async function submitRoReviewHandler(req, res) {
+  try {
+    const { evaluationId } = req.params;
+    if (!evaluationId) {
+      return res.status(400).json({ error: 'Evaluation ID required' });
+    }
+
+    const check = RoReview.validate(req.body || {});
+    if (!check.valid) {
+      return res.status(400).json({ error: check.errors[0], errors: check.errors });
+    }
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const storage = getStorageProvider();
+    const review = await storage.getRoReview(sessionUser, evaluationId);
+    if (!review) {
+      return res.status(404).json({ error: 'Evaluation has not been routed to an RO' });
+    }
+    if (!isAccountUser(sessionUser, review.ro)) {
+      return res.status(403).json({ error: 'Only the assigned Reviewing Officer can submit this review' });
+    }
+    if (review.status !== RoReview.STATUS.PENDING) {
+      return res.status(409).json({ error: 'Review has already been submitted' });
+    }
+
+    const completed = await storage.completeRoReview(review.id, check.value);
+    if (!completed) {
+      return res.status(409).json({ error: 'Review has already been submitted' });
+    }
+
+    return res.json({ ok: true, review: completed });
+  } catch (err) {
+    console.error('Error in submitRoReview:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// RO INBOX
+// ============================================================================
+
+/**
+ * List evaluations routed to the signed-in RO
+ * GET /api/ro/inbox
+ */
+async function roInboxHandler(req, res) {
+  try {
+    const sessionUser = getSessionUser(req);
+    if (!sessionUser) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const reviews = await getStorageProvider().getRoInbox(sessionUser);
+    return res.json({
+      reviews,
+      count: reviews.length,
+      pending: reviews.filter((r) => r.status === RoReview.STATUS.PENDING).length,
+    });
+  } catch (err) {
+    console.error('Error in roInbox:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  routeToRoHandler,
+  getRoReviewHandler,
+  submitRoReviewHandler,
+  roInboxHandler,
+  isAccountUser,
+};
@@ -4,11 +4,8 @@ const express = require('express');
 // Support node-fetch v3 in CommonJS via dynamic import wrapper
 const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
 const bcrypt = require('bcryptjs');
-const yaml = require('js-yaml');
 const fs = require('fs');
-const os = require('os');
 const path = require('path');
-const fsp = fs.promises;
 const crypto = require('crypto');
 // Centralized constants (isomorphic: shared with frontend)
 let CONSTANTS;
@@ -17,14 +14,47 @@ try { CONSTANTS = require('../js/constants.js'); } catch (_) { CONSTANTS = null;
 // Supabase integration modules
 const { getStorageMode, isSupabaseAvailable } = require('./supabaseClient');
 const { createAccountHandler, loginHandler, resetPasswordHandler } = require('./authRoutes');
-const { loadUserHandler, saveUserHandler } = require('./userRoutes');
 const {
-  saveEvaluationHandler,
-  listEvaluationsHandler,
-  getEvaluationHandler,
-  deleteEvaluationHandler,
-  exportEvaluationsHandler,
-} = require('./evaluationRoutes');
+  routeToRoHandler,
+  getRoReviewHandler,
+  submitRoReviewHandler,
+  roInboxHandler,
+} = require('./roRoutes');
+const {
+  listBulletsHandler,
+  createBulletHandler,
+  deleteBulletHandler,
+} = require('./bulletRoutes');
+const {
+  listCounselingHandler,
+  createCounselingHandler,
+  updateCounselingHandler,
+  deleteCounselingHandler,
+} = require('./counselingRoutes');
+const {
+  listJournalHandler,
+  createJournalHandler,
+  updateJournalHandler,
+  deleteJournalHandler,
+} = require('./journalRoutes');
+const {
+  listTransfersHandler,
+  saveTransfersHandler,
+  calendarFeedHandler,
+} = require('./calendarRoutes');
+const {
+  listOrderOfMeritHandler,
+  saveOrderOfMeritHandler,
+} = require('./orderOfMeritRoutes');
+const {
+  listRevisionsHandler,
+  getRevisionHandler,
+  restoreRevisionHandler,
+} = require('./revisionRoutes');
+// Storage provider interface (server/storage) behind the account, profile,
+// evaluation, feedback and job routes in every STORAGE_MODE
+const { getStorageProvider } = require('./storage');
+const storageRoutes = require('./storageRoutes');
 
 const app = express();
 app.use(express.json());
@@ -74,7 +104,7 @@ if (!useCustomCors) {
     },
     credentials: true,
     methods: ['GET','POST','PUT','DELETE','OPTIONS'],
-    allowedHeaders: ['Content-Type','Accept','Authorization','X-CSRF-Token'],
+    allowedHeaders: ['Content-Type','Accept','Authorization','X-CSRF-Token','X-Outbox-Token'],
     maxAge: 600
   }));
 } else {
@@ -93,7 +123,7 @@ if (!useCustomCors) {
     const isAllowed = originIsLocalhost || isGhPages || (!CORS_ALLOW_ALL && (origin && allowedOrigins.includes(origin)));
     res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
     const requestedHeaders = req.headers['access-control-request-headers'];
-    const baseAllowed = ['Content-Type', 'Accept', 'Authorization', 'X-CSRF-Token'];
+    const baseAllowed = ['Content-Type', 'Accept', 'Authorization', 'X-CSRF-Token', 'X-Outbox-Token'];
     const allowHeaderValue = requestedHeaders
       ? Array.from(new Set([...baseAllowed, ...requestedHeaders.split(',').map(h => h.trim()).filter(Boolean)])).join(', ')
       : baseAllowed.join(', ');
@@ -175,6 +205,10 @@ if (process.env.NODE_ENV !== 'development' && (!process.env.SESSION_SECRET || pr
   process.exit(1);
 }
 const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 60 * 60 * 1000);
+// Save-only token for evaluation saves queued offline (js/saveOutbox.js): the
+// service worker sends them after the tab and its session are gone
+const OUTBOX_TOKEN_TTL_MS = Number(process.env.OUTBOX_TOKEN_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+const OUTBOX_SAVE_ROUTE = '/api/evaluation/save';
 // Cookie security: explicit env overrides auto detection
 const envCookieSecure = String(process.env.COOKIE_SECURE || '').toLowerCase();
 let COOKIE_SECURE = false;
@@ -206,12 +240,13 @@ function signSessionPayload(payload) {
 }
 /**
  * Verify a session token produced by {@link signSessionPayload}.
- * Validates signature and expiration. Returns parsed object or `null`.
+ * Validates signature, expiration and scope. Returns parsed object or `null`.
  *
  * @param {string} token - Token in `data.signature` format.
+ * @param {string} [scope] - Required `scope`; session tokens have none.
  * @returns {Object|null} Parsed session data `{ u, exp }` or `null`.
  */
-function verifySessionToken(token) {
+function verifySessionToken(token, scope) {
   if (!token || typeof token !== 'string') return null;
   const idx = token.lastIndexOf('.');
   if (idx === -1) return null;
@@ -223,6 +258,7 @@ function verifySessionToken(token) {
     const obj = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
     if (!obj || typeof obj !== 'object') return null;
     if (obj.exp && Date.now() > Number(obj.exp)) return null;
+    if ((obj.scope || '') !== (scope || '')) return null;
     return obj;
   } catch (_) {
     return null;
@@ -246,6 +282,18 @@ app.use((req, _res, next) => {
       if (s2 && s2.u) req.sessionUser = String(s2.u);
     }
   } catch (_) { /* ignore */ }
+  // Queued saves sent by the service worker carry a save-only token instead
+  // of the session, which has usually expired by then
+  try {
+    const outboxTok = req.headers['x-outbox-token'];
+    if (outboxTok && req.method === 'POST' && req.path === OUTBOX_SAVE_ROUTE) {
+      const grant = verifySessionToken(String(outboxTok), 'outbox');
+      if (grant && grant.u && (!req.sessionUser || req.sessionUser === String(grant.u))) {
+        req.sessionUser = String(grant.u);
+        req.outboxGrant = true;
+      }
+    }
+  } catch (_) { /* ignore */ }
   // Dev/local fallback: when cookies are not usable (e.g., HTTP localhost) and COOKIE_SECURE=false,
   // infer session user from explicit request payload to unblock local testing only.
   try {
@@ -271,6 +319,8 @@ app.use((req, res, next) => {
   if (path === ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.ACCOUNT_LOGIN) || '/api/account/login')) return next();
     // Only enforce when a session exists
     if (!req.sessionUser) return next();
+    // The save-only token is a header a cross-site form cannot send or read
+    if (req.outboxGrant) return next();
 
     const headerToken = req.headers['x-csrf-token'] || req.headers['X-CSRF-Token'] || '';
     const cookieToken = req.cookies['fitrep_csrf'] || '';
@@ -446,143 +496,6 @@ function emailPrefix(email) {
   return String(email || '').trim().toLowerCase().split('@')[0];
 }
 
-// --- Local filesystem fallback storage (no-env/dev friendly) ---
-// Use OS temp dir by default to ensure writeability on platforms like Render
-// Allow override via LOCAL_DATA_DIR env var
-const LOCAL_BASE_DIR = process.env.LOCAL_DATA_DIR || path.join(os.tmpdir(), 'fitrep-local');
-const LOCAL_DATA_DIR = path.join(LOCAL_BASE_DIR, 'users');
-function isLocalFallbackEnabled() {
-  return String(process.env.ALLOW_LOCAL_FALLBACK || 'false').trim().toLowerCase() === 'true';
-}
-async function ensureLocalDir() {
-  try { await fsp.mkdir(LOCAL_DATA_DIR, { recursive: true }); } catch (_) {}
-}
-function localUserPath(prefix) {
-  return path.join(LOCAL_DATA_DIR, `${prefix}.json`);
-}
-async function readLocalUser(prefix) {
-  try {
-    const p = localUserPath(prefix);
-    const buf = await fsp.readFile(p);
-    return JSON.parse(buf.toString('utf8'));
-  } catch (_) {
-    return null;
-  }
-}
-async function writeLocalUser(prefix, userObj) {
-  await ensureLocalDir();
-  const p = localUserPath(prefix);
-  const str = JSON.stringify(userObj, null, 2);
-  await fsp.writeFile(p, str, 'utf8');
-}
-
-/**
- * Parse YAML evaluation files produced by CI workflows.
- * Normalizes trait evaluations from array or object form into an array.
- *
- * Performance: O(n) over trait entries; memory O(n) for normalized list.
- *
- * Rationale: Use `js-yaml` for tolerant parsing across formatting variants
- * and fall back to a minimal valid structure on errors.
- *
- * @param {string} yamlStr - Raw YAML content.
- * @returns {Object} Minimal normalized evaluation object.
- * @example
- * // Returns object with `traitEvaluations: [{ section, trait, grade, ...}]`
- */
-function parseEvaluationYamlMinimal(yamlStr) {
-  try {
-    // Parse YAML with js-yaml for robustness
-    const parsed = yaml.load(yamlStr);
-
-    if (!parsed || typeof parsed !== 'object') {
-      throw new Error('Invalid YAML structure');
-    }
-
-    // Extract fields with safe defaults
-    const id = parsed.id || `eval-${crypto.randomBytes(8).toString('hex')}`;
-    const occasion = parsed.occasion || null;
-    const completedDate = parsed.completedDate || null;
-
-    // Parse and validate fitrepAverage (parseFloat handles undefined/null by returning NaN)
-    const numFitrep = parseFloat(parsed.fitrepAverage);
-    const fitrepAverage = Number.isFinite(numFitrep) ? String(numFitrep) : null;
-
-    const sectionIComments = parsed.sectionIComments || '';
-
-    // Marine info
-    const marine = parsed.marine || {};
-    const evaluationPeriod = marine.evaluationPeriod || {};
-    const marineInfo = {
-      name: marine.name || '',
-      rank: marine.rank || '',
-      evaluationPeriod: {
-        from: evaluationPeriod.from || '',
-        to: evaluationPeriod.to || ''
-      }
-    };
-
-    // RS info
-    const rs = parsed.rs || {};
-    const rsInfo = {
-      name: rs.name || '',
-      email: rs.email || '',
-      rank: rs.rank || ''
-    };
-
-    // Trait evaluations - handle both array and object formats
-    const traits = [];
-    const rawTraits = parsed.traitEvaluations;
-
-    // Normalize to array: handle both array and object (keyed by trait name) formats
-    const traitsList = Array.isArray(rawTraits)
-      ? rawTraits
-      : (rawTraits && typeof rawTraits === 'object' ? Object.values(rawTraits) : []);
-
-    for (const trait of traitsList) {
-      if (trait && typeof trait === 'object') {
-        traits.push({
-          section: trait.section || '',
-          trait: trait.trait || '',
-          grade: trait.grade || '',
-          gradeNumber: Number(trait.gradeNumber) || 0
-        });
-      }
-    }
-
-    return {
-      evaluationId: id,
-      occasion,
-      completedDate,
-      fitrepAverage,
-      marineInfo,
-      rsInfo,
-      sectionIComments,
-      traitEvaluations: traits,
-      syncStatus: 'synced'
-    };
-
-  } catch (error) {
-    console.error('YAML parsing error:', error.message);
-    // Return minimal valid structure on parse failure
-    return {
-      evaluationId: `eval-${crypto.randomBytes(8).toString('hex')}`,
-      occasion: null,
-      completedDate: null,
-      fitrepAverage: null,
-      marineInfo: {
-        name: '',
-        rank: '',
-        evaluationPeriod: { from: '', to: '' }
-      },
-      rsInfo: { name: '', email: '', rank: '' },
-      sectionIComments: '',
-      traitEvaluations: [],
-      syncStatus: 'synced'
-    };
-  }
-}
-
 /**
  * Factory for a lightweight, per-IP rate limiter middleware.
  * Uses an in-memory map with periodic cleanup; suitable for small apps.
@@ -725,173 +638,23 @@ if (STORAGE_MODE === 'supabase') {
   }
 }
 
-// Account creation endpoint - use Supabase if configured
+// Account creation: Supabase Auth when Supabase is configured, otherwise a
+// bcrypt hash in the storage provider's user record
 app.post(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.ACCOUNT_CREATE) || '/api/account/create'), authRateLimit, async (req, res) => {
-  // Route to Supabase handler if enabled
   if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
     return createAccountHandler(req, res);
   }
-
-  // Legacy GitHub/local storage implementation
-  try {
-    const { rank, name, email, password, username: rawUsername } = req.body || {};
-    const username = String(rawUsername || email || '').trim();
-    if (!rank || !name || !username || !password) {
-      return res.status(400).json({ error: 'Missing fields: rank, name, username, password' });
-    }
-    if (!isValidUsername(username)) {
-      return res.status(400).json({ error: 'Invalid username format' });
-    }
-    if (!isValidRank(rank) || !isValidName(name)) {
-      return res.status(400).json({ error: 'Invalid rank or name' });
-    }
-    if (!isStrongPassword(password)) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters with upper, lower, and number' });
-    }
-    const passwordHash = await bcrypt.hash(password, 12);
-
-    // Prefer direct write with FITREP_DATA when available
-    // Prefer server token; otherwise accept client-provided token via header/body for dev/no-env usage
-    const fitrepToken = process.env.FITREP_DATA || req.headers['x-github-token'] || req.body?.token || '';
-    const previousEmail = (req.body?.userData?.previousEmail || '').trim();
-    if (fitrepToken) {
-      try {
-        const prefix = sanitizePrefix(username);
-        const filePath = `users/${prefix}.json`;
-        const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/${filePath}`;
-
-        // Get existing SHA if present
-        let sha = '';
-        const getResp = await fetch(apiUrl, {
-          headers: {
-            'Authorization': `Bearer ${fitrepToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        });
-        if (getResp.status === 200) {
-          // Username already exists; prevent account overwrite
-          return res.status(409).json({ error: 'Username already exists' });
-        } else if (getResp.status !== 404 && !getResp.ok) {
-          const text = await getResp.text();
-          console.error('create-account: get SHA failed:', text);
-          return res.status(502).json({ error: `Read failed: ${text}` });
-        }
-
-        const now = new Date().toISOString();
-        const userJson = {
-          rsEmail: username,
-          rsName: name,
-          rsRank: rank,
-          passwordHash,
-          createdDate: now,
-          lastUpdated: now
-        };
-
-        const contentStr = JSON.stringify(userJson, null, 2);
-        const contentB64 = Buffer.from(contentStr, 'utf8').toString('base64');
-        const msg = sha ? `Update user via Server - ${now}` : `Create user via Server - ${now}`;
-        const body = { message: msg, content: contentB64, branch: 'main', ...(sha && { sha }) };
-
-        const putResp = await fetch(apiUrl, {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Bearer ${fitrepToken}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(body)
-        });
-        if (!putResp.ok) {
-          const text = await putResp.text();
-          console.error('create-account: put failed:', text);
-          return res.status(502).json({ error: `Write failed: ${text}` });
-        }
-        const result = await putResp.json();
-        return res.json({ ok: true, path: result?.content?.path || filePath, commit: result?.commit?.sha || null, method: 'direct' });
-      } catch (err) {
-        console.error('create-account direct write error:', err);
-        return res.status(500).json({ error: 'Internal server error' });
-      }
-    }
-
-    // Fallback: repository_dispatch when direct write not possible
-    const dispatchToken = DISPATCH_TOKEN;
-    if (!dispatchToken) {
-      if (isLocalFallbackEnabled()) {
-        try {
-          const prefix = sanitizePrefix(username);
-          const existingLocal = await readLocalUser(prefix);
-          if (existingLocal) {
-            return res.status(409).json({ error: 'Username already exists' });
-          }
-          const now = new Date().toISOString();
-          const userJson = { rsEmail: username, rsName: name, rsRank: rank, passwordHash, createdDate: now, lastUpdated: now };
-          await writeLocalUser(prefix, userJson);
-          return res.json({ ok: true, path: `local:${prefix}.json`, method: 'local' });
-        } catch (err) {
-          console.error('create-account: local write error:', err);
-          return res.status(500).json({ error: 'Local write failed' });
-        }
-      }
-      return res.status(503).json({ error: 'Server not configured for account creation (no dispatch token)' });
-    }
-
-    // If dispatch is available, attempt a remote existence check before dispatching
-    try {
-      const prefix = sanitizePrefix(username);
-      const checkUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-      const checkResp = await fetch(checkUrl, {
-        headers: {
-          'Authorization': `Bearer ${dispatchToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (checkResp.status === 200) {
-        return res.status(409).json({ error: 'Username already exists' });
-      }
-    } catch (e) {
-      // Non-fatal; proceed to dispatch
-      console.warn('create-account: dispatch pre-check failed:', e?.message || e);
-    }
-
-    const payload = {
-      event_type: 'create-user',
-      client_payload: {
-        user: { rsRank: rank, rsName: name, rsEmail: email, passwordHash }
-      }
-    };
-
-    const resp = await fetch(`https://api.github.com/repos/${MAIN_REPO}/dispatches`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${dispatchToken}`,
-        'Accept': 'application/vnd.github+json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!resp.ok) {
-      const text = await resp.text();
-      console.error('create-account: dispatch failed:', text);
-      return res.status(502).json({ error: `Dispatch failed: ${text}` });
-    }
-
-    return res.json({ ok: true, dispatched: true, method: 'dispatch' });
-  } catch (err) {
-    console.error('create account error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+  return storageRoutes.createAccountHandler(req, res);
 });
 
-// Login endpoint - use Supabase if configured
+// Login endpoint: Supabase Auth when Supabase is configured
 app.post(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.ACCOUNT_LOGIN) || '/api/account/login'), authRateLimit, async (req, res) => {
   // Route to Supabase handler if enabled
   if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
     return loginHandler(req, res);
   }
 
-  // Legacy GitHub/local storage implementation
+  // Password hash in the storage provider's user record
   try {
     const { email, password, username: rawUsername } = req.body || {};
     const username = String(rawUsername || email || '').trim();
@@ -902,58 +665,18 @@ app.post(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.RO
       return res.status(400).json({ error: 'Invalid username format' });
     }
     const prefix = sanitizePrefix(username);
-    // Try GitHub first. Use server token if present; otherwise accept client-provided token; else anonymous for public.
-    let user = null;
-    try {
-      const token = process.env.FITREP_DATA || '';
-      const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-      const headers = { 'Accept': 'application/vnd.github+json' };
-      if (token) headers['Authorization'] = `Bearer ${token}`;
-      const resp = await fetch(apiUrl, { headers });
-      if (resp.status === 200) {
-        const data = await resp.json();
-        const fileContentBase64 = data.content;
-        const jsonStr = Buffer.from(fileContentBase64, 'base64').toString('utf8');
-        user = JSON.parse(jsonStr);
-      } else if (resp.status === 404) {
-        const dirUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users`;
-        const dirResp = await fetch(dirUrl, { headers });
-        if (dirResp.ok) {
-          const entries = await dirResp.json();
-          const targetName = `${prefix}.json`;
-          const match = Array.isArray(entries) ? entries.find(e => e && typeof e.name === 'string' && e.name.toLowerCase() === targetName) : null;
-          if (match && match.path) {
-            const fileResp = await fetch(`https://api.github.com/repos/${DATA_REPO}/contents/${match.path}`, { headers });
-            if (fileResp.ok) {
-              const data = await fileResp.json();
-              const fileContentBase64 = data.content;
-              const jsonStr = Buffer.from(fileContentBase64, 'base64').toString('utf8');
-              user = JSON.parse(jsonStr);
-            }
-          }
-        }
-      } else if (!resp.ok) {
-        const text = await resp.text();
-        console.error('login: github read failed:', text);
-      }
-    } catch (err) {
-      console.error('login: github fetch error:', err);
+    const user = await getStorageProvider().getUser(prefix);
+    if (!user) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+    // Guard against missing or invalid password hash (e.g., accounts created without backend)
+    if (!user.passwordHash || typeof user.passwordHash !== 'string' || !user.passwordHash.length) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) {
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
-  // If not found on GitHub, do not use local fallback unless explicitly enabled
-  if (!user && isLocalFallbackEnabled()) {
-    user = await readLocalUser(prefix);
-  }
-  if (!user) {
-    return res.status(401).json({ error: 'Account not found' });
-  }
-  // Guard against missing or invalid password hash (e.g., accounts created without backend)
-  if (!user.passwordHash || typeof user.passwordHash !== 'string' || !user.passwordHash.length) {
-    return res.status(401).json({ error: 'Invalid credentials' });
-  }
-  const ok = await bcrypt.compare(password, user.passwordHash);
-  if (!ok) {
-    return res.status(401).json({ error: 'Invalid credentials' });
-  }
     // Issue HttpOnly session cookie and CSRF cookie
     let csrfToken = null;
     try {
@@ -1075,6 +798,17 @@ app.post('/api/dev/create-auth-user', async (req, res) => {
     }
   });
 
+// Save-only token the service worker sends with queued saves. It needs a
+// signed-in session and cannot be renewed with another save-only token.
+app.post(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.OUTBOX_TOKEN) || '/api/account/outbox-token'), (req, res) => {
+  if (!req.sessionUser || req.outboxGrant) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  const expiresAt = Date.now() + OUTBOX_TOKEN_TTL_MS;
+  const token = signSessionPayload({ u: String(req.sessionUser), scope: 'outbox', iat: Date.now(), exp: expiresAt });
+  return res.json({ ok: true, token, expiresAt: new Date(expiresAt).toISOString() });
+});
+
 // Logout: clear session and CSRF cookies
 app.post('/api/account/logout', (req, res) => {
   try {
@@ -1187,44 +921,7 @@ app.get('/health', (req, res) => {
 });
 
 // Check if a username is available (not already taken)
-app.get('/api/account/available', async (req, res) => {
-  try {
-    const username = String((req.query.username || req.query.email || '')).trim();
-    if (!username) return res.status(400).json({ error: 'Missing username query param' });
-    if (!isValidUsername(username)) return res.status(400).json({ error: 'Invalid username format' });
-
-    const prefix = sanitizePrefix(username);
-    const token = process.env.FITREP_DATA || DISPATCH_TOKEN || '';
-    const headers = { 'Accept': 'application/vnd.github+json' };
-    if (token) headers['Authorization'] = `Bearer ${token}`;
-    try {
-      const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-      const resp = await fetch(apiUrl, { headers });
-      if (resp.status === 200) return res.json({ ok: true, available: false });
-      if (resp.status === 404) {
-        const dirUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users`;
-        const dirResp = await fetch(dirUrl, { headers });
-        if (dirResp.ok) {
-          const entries = await dirResp.json();
-          const targetName = `${prefix}.json`;
-          const match = Array.isArray(entries) ? entries.find(e => e && typeof e.name === 'string' && e.name.toLowerCase() === targetName) : null;
-          if (match) return res.json({ ok: true, available: false });
-          return res.json({ ok: true, available: true });
-        }
-        return res.json({ ok: true, available: true });
-      }
-      const text = await resp.text();
-      console.warn('availability check: github read unexpected:', text);
-      return res.json({ ok: true, available: true });
-    } catch (e) {
-      console.warn('availability check: github read failed:', e?.message || e);
-      return res.json({ ok: true, available: true });
-    }
-  } catch (err) {
-    console.error('availability check error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
+app.get('/api/account/available', storageRoutes.accountAvailableHandler);
 
 // Development-only endpoint to provide a GitHub token to the client.
 // This should NEVER be enabled in production.
@@ -1245,33 +942,6 @@ app.get(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROU
   }
 });
 
-/**
- * Build data JSON compatible with the data repository schema.
- *
- * @param {Object} userData - Minimal user profile info.
- * @param {string} [userData.rsName] - Reporting senior name.
- * @param {string} [userData.rsEmail] - Reporting senior username/email.
- * @param {string} [userData.rsRank] - Reporting senior rank.
- * @returns {Object} Structured JSON used for export.
- */
-function buildUserDataJson(userData) {
-  const now = new Date().toISOString();
-  return {
-    version: '1.0',
-    lastUpdated: now,
-    profile: {
-      rsName: userData.rsName || '',
-      rsEmail: userData.rsEmail || '',
-      rsRank: userData.rsRank || ''
-    },
-    metadata: {
-      exportedAt: now,
-      exportedBy: userData.rsName || '',
-      applicationVersion: '1.0'
-    }
-  };
-}
-
 /**
  * Normalize a username to a safe filesystem prefix.
  *
@@ -1328,30 +998,6 @@ function isValidUsername(username) {
   // Allow letters, numbers, underscore, dot, hyphen; no spaces or @
   return /^[a-zA-Z0-9._-]+$/.test(u);
 }
-/**
- * Check password strength: ≥8 chars, includes upper, lower, and digit.
- *
- * @param {string} pw - Password candidate.
- * @returns {boolean} True when all criteria are satisfied.
- */
-function isStrongPassword(pw) {
-  const p = String(pw || '');
-  if (p.length < 8) return false;
-  const hasLower = /[a-z]/.test(p);
-  const hasUpper = /[A-Z]/.test(p);
-  const hasDigit = /\d/.test(p);
-  return hasLower && hasUpper && hasDigit;
-}
-/**
- * Validate display name length (2–100 characters).
- *
- * @param {string} name - Display name.
- * @returns {boolean} True when within allowed length.
- */
-function isValidName(name) {
-  const n = String(name || '').trim();
-  return n.length >= 2 && n.length <= 100;
-}
 /**
  * Validate rank field length (2–20 characters).
  *
@@ -1363,868 +1009,65 @@ function isValidRank(rank) {
   return r.length >= 2 && r.length <= 20;
 }
 
-/**
- * Merge a new evaluation into the aggregate user object while preserving
- * immutable fields from an existing record.
- *
- * @param {string} userEmail - Reporting senior username/email.
- * @param {Object} evaluation - Parsed evaluation object.
- * @param {Object|null} existingUser - Current stored user (if present).
- * @param {string} _newEvaluationFilePath - Path hint (unused; kept for API).
- * @param {string} now - ISO timestamp for `lastUpdated`.
- * @returns {Object} Updated aggregate user object.
- */
-function buildUpdatedUserAggregate(userEmail, evaluation, existingUser, _newEvaluationFilePath, now) {
-  const obj = {
-    rsEmail: userEmail,
-    rsName: evaluation?.rsInfo?.name ?? existingUser?.rsName ?? '',
-    rsRank: evaluation?.rsInfo?.rank ?? existingUser?.rsRank ?? '',
-    branch: evaluation?.rsInfo?.branch ?? existingUser?.branch ?? 'USMC',
-    contactEmail: evaluation?.rsInfo?.email ?? existingUser?.contactEmail ?? '',
-    username: sanitizePrefix(userEmail),
-    full_name: evaluation?.rsInfo?.name ?? existingUser?.full_name ?? '',
-    rank: evaluation?.rsInfo?.rank ?? existingUser?.rank ?? '',
-    createdDate: existingUser?.createdDate || now,
-    lastUpdated: now
-  };
-  if (existingUser?.passwordHash) {
-    obj.passwordHash = existingUser.passwordHash;
-  }
-  return obj;
-}
-
-// Save user data: either direct write via FITREP_DATA or dispatch workflow via DISPATCH_TOKEN
-// User save endpoint - use Supabase if configured
-app.post('/api/user/save', saveRateLimit, requireAuth, async (req, res) => {
-  // Route to Supabase handler if enabled
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return saveUserHandler(req, res);
-  }
-
-  // Legacy GitHub/local storage implementation
-  try {
-    const { userData } = req.body || {};
-    if (!userData || !userData.rsEmail) {
-      return res.status(400).json({ error: 'Missing userData.rsEmail' });
-    }
-    if (!isValidUsername(userData.rsEmail)) {
-      return res.status(400).json({ error: 'Invalid username format' });
-    }
-    // Enforce that the request user matches the authenticated session
-    try {
-      const reqUser = sanitizePrefix(userData.rsEmail);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      const prevUser = userData.previousEmail ? sanitizePrefix(userData.previousEmail) : null;
-      // Allow save when session matches either current email or previousEmail (for migrations)
-      const sessionMatches = !!sessUser && (reqUser === sessUser || (prevUser && prevUser === sessUser));
-      if (!sessionMatches) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-
-    // Optional: previousEmail used only for migrating preserved fields
-    const previousEmail = userData.previousEmail || null;
-
-    const fitrepToken = process.env.FITREP_DATA || req.headers['x-github-token'] || req.body?.token || '';
-    const dispatchToken = DISPATCH_TOKEN;
-
-    // Prefer direct write when FITREP_DATA is available
-    if (fitrepToken) {
-      // Always write to the new email path; use previousEmail only to migrate fields
-      const writePrefix = sanitizePrefix(userData.rsEmail);
-      const filePath = `users/${writePrefix}.json`;
-      const apiBase = `https://api.github.com/repos/${DATA_REPO}/contents/${filePath}`;
-
-      // Try to get existing SHA and existing file for preserving fields like passwordHash
-      let sha = '';
-      let existingUser = null;
-      let previousUser = null;
-      const getResp = await fetch(apiBase, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (getResp.status === 200) {
-        const existing = await getResp.json();
-        sha = existing.sha || '';
-        try {
-          const existingStr = Buffer.from(existing.content || '', 'base64').toString('utf8');
-          existingUser = existingStr ? JSON.parse(existingStr) : null;
-        } catch (_) {
-          existingUser = null;
-        }
-      } else if (getResp.status !== 404 && !getResp.ok) {
-        // Do not hard-fail on read errors; continue without sha so we can attempt PUT
-        let text = '';
-        try { text = await getResp.text(); } catch (_) { /* ignore */ }
-        console.error('save user: get SHA failed, continuing without sha:', text);
-        sha = '';
-        existingUser = null;
-      }
-
-      // If creating a new file (or missing hash) and previousEmail is provided, try to migrate passwordHash
-      if ((!existingUser || !existingUser.passwordHash) && previousEmail && isValidUsername(previousEmail)) {
-        try {
-          const prevPrefix = sanitizePrefix(previousEmail);
-          const prevFilePath = `users/${prevPrefix}.json`;
-          const prevApiBase = `https://api.github.com/repos/${DATA_REPO}/contents/${prevFilePath}`;
-          const prevResp = await fetch(prevApiBase, {
-            headers: {
-              'Authorization': `Bearer ${fitrepToken}`,
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          });
-          if (prevResp.status === 200) {
-            const prev = await prevResp.json();
-            try {
-              const prevStr = Buffer.from(prev.content || '', 'base64').toString('utf8');
-              previousUser = prevStr ? JSON.parse(prevStr) : null;
-            } catch (_) {
-              previousUser = null;
-            }
-          }
-        } catch (e) {
-          // best-effort; ignore migration errors
-          console.warn('passwordHash migration from previousEmail failed:', e?.message || e);
-        }
-      }
-
-      // Build new data preserving flat structure and critical fields
-      const now = new Date().toISOString();
-      const bodyObj = {
-        rsEmail: userData.rsEmail,
-        rsName: userData.rsName ?? existingUser?.rsName ?? '',
-        rsRank: userData.rsRank ?? existingUser?.rsRank ?? '',
-        branch: userData.branch ?? existingUser?.branch ?? 'USMC',
-        contactEmail: userData.contactEmail ?? existingUser?.contactEmail ?? '',
-        username: sanitizePrefix(userData.rsEmail),
-        full_name: userData.rsName ?? existingUser?.full_name ?? '',
-        rank: userData.rsRank ?? existingUser?.rank ?? '',
-        createdDate: existingUser?.createdDate || previousUser?.createdDate || now,
-        lastUpdated: now
-      };
-
-      // SECURITY: Only preserve passwordHash from existing user, never from client input
-      if (existingUser?.passwordHash) {
-        bodyObj.passwordHash = existingUser.passwordHash;
-      } else if (previousUser?.passwordHash) {
-        bodyObj.passwordHash = previousUser.passwordHash;
-      }
-
-      const contentStr = JSON.stringify(bodyObj, null, 2);
-      const contentB64 = Buffer.from(contentStr, 'utf8').toString('base64');
-      const msg = sha ? `Update profile via Server - ${new Date().toISOString()}` : `Create profile via Server - ${new Date().toISOString()}`;
-      const putBody = { message: msg, content: contentB64, branch: 'main', ...(sha && { sha }) };
-
-      const putResp = await fetch(apiBase, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(putBody)
-      });
-      if (!putResp.ok) {
-        let text = '';
-        try { text = await putResp.text(); } catch (_) { /* ignore */ }
-        console.error('save user: put failed, falling back to local:', text);
-        // Fall back to local persistence to avoid 5xx
-        try {
-          await writeLocalUser(writePrefix, bodyObj);
-          return res.json({ ok: true, path: `local:${writePrefix}.json`, method: 'local', fallback: 'put-failed' });
-        } catch (err) {
-          console.error('save user: local write failed after put error:', err);
-          return res.status(500).json({ error: 'Local write failed' });
-        }
-      }
-      const result = await putResp.json();
-      return res.json({ ok: true, path: result?.content?.path || filePath, commit: result?.commit?.sha || null, method: 'direct' });
-    }
-
-    // Fallback: dispatch workflow when direct write is not possible
-    if (dispatchToken) {
-      try {
-        const payload = {
-          event_type: 'save-user-data',
-          client_payload: { userData }
-        };
-        const resp = await fetch(`https://api.github.com/repos/${MAIN_REPO}/dispatches`, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${dispatchToken}`,
-            'Accept': 'application/vnd.github+json',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(payload)
-        });
-        if (resp.ok) {
-          return res.json({ ok: true, dispatched: true, method: 'dispatch' });
-        }
-        const text = await resp.text();
-        console.error('save user: dispatch failed:', text);
-        // Do not hard-fail; fall back to local persistence to avoid 500s in production
-      } catch (e) {
-        console.error('save user: dispatch error, falling back to local:', e?.message || e);
-      }
-      // Continue to local filesystem fallback below
-    }
-
-      // Local filesystem fallback when no tokens are available
-    try {
-      // Always write to new email path locally as well
-      const writePrefix = sanitizePrefix(userData.rsEmail);
-      // Merge with existing local user to preserve passwordHash
-      const existingUser = await readLocalUser(writePrefix);
-      // Try migration from previousEmail in local mode
-      let previousUser = null;
-      if ((!existingUser || !existingUser.passwordHash) && previousEmail && isValidUsername(previousEmail)) {
-        // Prefer GitHub read using client-provided token when available
-        previousUser = null;
-        try {
-          const clientToken = req.headers['x-github-token'] || req.body?.token || '';
-          if (clientToken) {
-            const prevPrefix = sanitizePrefix(previousEmail);
-            const prevApi = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prevPrefix}.json`;
-            const prevResp = await fetch(prevApi, {
-              headers: {
-                'Authorization': `Bearer ${clientToken}`,
-                'Accept': 'application/vnd.github.v3+json'
-              }
-            });
-            if (prevResp.status === 200) {
-              const prev = await prevResp.json();
-              try {
-                const prevStr = Buffer.from(prev.content || '', 'base64').toString('utf8');
-                previousUser = prevStr ? JSON.parse(prevStr) : null;
-              } catch (_) {
-                previousUser = null;
-              }
-            }
-          }
-        } catch (_) { /* ignore */ }
-        // If GitHub read not possible or failed, try local fallback
-        if (!previousUser) {
-          try { previousUser = await readLocalUser(sanitizePrefix(previousEmail)); } catch (_) { previousUser = null; }
-        }
-      }
-      const now = new Date().toISOString();
-      const bodyObj = {
-        rsEmail: userData.rsEmail,
-        rsName: userData.rsName ?? existingUser?.rsName ?? '',
-        rsRank: userData.rsRank ?? existingUser?.rsRank ?? '',
-        branch: userData.branch ?? existingUser?.branch ?? 'USMC',
-        contactEmail: userData.contactEmail ?? existingUser?.contactEmail ?? '',
-        username: sanitizePrefix(userData.rsEmail),
-        full_name: userData.rsName ?? existingUser?.full_name ?? '',
-        rank: userData.rsRank ?? existingUser?.rank ?? '',
-        createdDate: existingUser?.createdDate || previousUser?.createdDate || now,
-        lastUpdated: now
-      };
-      if (existingUser?.passwordHash) {
-        bodyObj.passwordHash = existingUser.passwordHash;
-      } else if (previousUser?.passwordHash) {
-        bodyObj.passwordHash = previousUser.passwordHash;
-      }
-      await writeLocalUser(writePrefix, bodyObj);
-      return res.json({ ok: true, path: `local:${writePrefix}.json`, method: 'local' });
-    } catch (err) {
-      console.error('save user: local write failed:', err);
-      return res.status(500).json({ error: 'Local write failed' });
-    }
-  } catch (err) {
-    console.error('save user error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Save a single evaluation as a unique file and update aggregate user file
-// Path: users/{email_local}/evaluations/{evaluationId}.json
-// Evaluation save endpoint - use Supabase if configured
-app.post('/api/evaluation/save', saveRateLimit, requireAuth, async (req, res) => {
-  // Route to Supabase handler if enabled
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return saveEvaluationHandler(req, res);
-  }
-
-  // Legacy GitHub/local storage implementation
-  try {
-    const { evaluation, userEmail } = req.body || {};
-    if (!evaluation || !evaluation.evaluationId) {
-      return res.status(400).json({ error: 'Missing evaluation.evaluationId' });
-    }
-    if (!userEmail || !isValidUsername(userEmail)) {
-      return res.status(400).json({ error: 'Invalid or missing username' });
-    }
-    // Enforce that the request user matches the authenticated session
-    try {
-      const reqUser = sanitizePrefix(userEmail);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      if (!sessUser || reqUser !== sessUser) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-
-    const fitrepToken = process.env.FITREP_DATA || req.headers['x-github-token'] || req.body?.token || '';
-
-    // Helper: safe local-part for directory naming and file names
-    const prefix = sanitizePrefix(userEmail);
-    const evalIdSafe = String(evaluation.evaluationId).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const filePath = `users/${prefix}/evaluations/${evalIdSafe}.json`;
-
-    // Attempt direct write via GitHub Contents API when token available
-    if (fitrepToken) {
-      const apiBase = `https://api.github.com/repos/${DATA_REPO}/contents/${filePath}`;
-
-      // Check for existing file SHA
-      let existingSha = '';
-      const getResp = await fetch(apiBase, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (getResp.status === 200) {
-        const existing = await getResp.json();
-        existingSha = existing.sha || '';
-      } else if (getResp.status !== 404 && !getResp.ok) {
-        const text = await getResp.text();
-        console.error('save evaluation: get SHA failed:', text);
-        return res.status(502).json({ error: `Read failed: ${text}` });
-      }
-
-      // Build content payload with minimal metadata + evaluation
-      const contentStr = JSON.stringify({
-        version: '1.0',
-        savedAt: new Date().toISOString(),
-        rsEmail: userEmail,
-        rsName: evaluation?.rsInfo?.name || '',
-        rsRank: evaluation?.rsInfo?.rank || '',
-        evaluation
-      }, null, 2);
-      const contentB64 = Buffer.from(contentStr, 'utf8').toString('base64');
-      const msg = existingSha
-        ? `Update evaluation ${evaluation.evaluationId} for ${userEmail}`
-        : `Create evaluation ${evaluation.evaluationId} for ${userEmail}`;
-      const putBody = { message: msg, content: contentB64, branch: 'main', ...(existingSha && { sha: existingSha }) };
-
-      const putResp = await fetch(apiBase, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(putBody)
-      });
-      if (!putResp.ok) {
-        const text = await putResp.text();
-        console.error('save evaluation: put failed:', text);
-        return res.status(502).json({ error: `Write failed: ${text}` });
-      }
-      const putResult = await putResp.json();
-
-      // Also update aggregate user file to include/merge this evaluation
-      const userApi = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-      let userSha = '';
-      let existingUser = null;
-      const userGet = await fetch(userApi, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (userGet.status === 200) {
-        const existing = await userGet.json();
-        userSha = existing.sha || '';
-        try {
-          const existingStr = Buffer.from(existing.content || '', 'base64').toString('utf8');
-          existingUser = existingStr ? JSON.parse(existingStr) : null;
-        } catch (_) {
-          existingUser = null;
-        }
-      } else if (userGet.status !== 404 && !userGet.ok) {
-        const text = await userGet.text();
-        console.warn('save evaluation: read aggregate failed:', text);
-        // Continue without blocking unique file save
-      }
-
-      const bodyObj = buildUpdatedUserAggregate(userEmail, evaluation, existingUser, filePath);
-      const now = new Date().toISOString();
-      const bodyStr = JSON.stringify(bodyObj, null, 2);
-      const bodyB64 = Buffer.from(bodyStr, 'utf8').toString('base64');
-      const aggMsg = userSha ? `Update profile via Server - ${now}` : `Create profile via Server - ${now}`;
-      const userPutBody = { message: aggMsg, content: bodyB64, branch: 'main', ...(userSha && { sha: userSha }) };
-
-      const userPut = await fetch(userApi, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(userPutBody)
-      });
-      if (!userPut.ok) {
-        const text = await userPut.text();
-        console.warn('save evaluation: aggregate put failed (non-blocking):', text);
-      }
-
-      return res.json({ ok: true, path: putResult?.content?.path || filePath, commit: putResult?.commit?.sha || null, method: 'direct' });
-    }
-
-    // Local filesystem fallback when no tokens are available
-    try {
-      const now = new Date().toISOString();
-      const evalDir = path.join(LOCAL_DATA_DIR, prefix, 'evaluations');
-      try { await fsp.mkdir(evalDir, { recursive: true }); } catch (err) { console.warn('Could not create local eval directory, may fail if it does not exist:', err); }
-      const evalPath = path.join(evalDir, `${evalIdSafe}.json`);
-      const evalStr = JSON.stringify({
-        version: '1.0',
-        savedAt: now,
-        rsEmail: userEmail,
-        rsName: evaluation?.rsInfo?.name || '',
-        rsRank: evaluation?.rsInfo?.rank || '',
-        evaluation
-      }, null, 2);
-      await fsp.writeFile(evalPath, evalStr, 'utf8');
-
-      // Update aggregate local user file
-      const existingUser = await readLocalUser(prefix);
-      const localEvalPath = `local:${prefix}/evaluations/${evalIdSafe}.json`;
-      const bodyObj = buildUpdatedUserAggregate(userEmail, evaluation, existingUser, localEvalPath);
-      await writeLocalUser(prefix, bodyObj);
-
-      return res.json({ ok: true, path: `local:${prefix}/evaluations/${evalIdSafe}.json`, method: 'local' });
-    } catch (err) {
-      console.error('save evaluation: local write failed:', err);
-      return res.status(500).json({ error: 'Local write failed' });
-    }
-  } catch (err) {
-    console.error('save evaluation error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// List evaluations for a user. Uses server token when available; falls back to local storage.
-// Evaluations list endpoint - use Supabase if configured
-app.get('/api/evaluations/list', requireAuth, async (req, res) => {
-  // Route to Supabase handler if enabled
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return listEvaluationsHandler(req, res);
-  }
-
-  // Legacy GitHub/local storage implementation
-  try {
-    const username = String((req.query.username || req.query.email || '')).trim();
-    if (!username) return res.status(400).json({ error: 'Missing username query param' });
-    try {
-      const reqUser = sanitizePrefix(username);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      if (!sessUser || reqUser !== sessUser) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-
-    const fitrepToken = process.env.FITREP_DATA || '';
-    const prefix = sanitizePrefix(username);
-    const dirPath = `users/${prefix}/evaluations`;
-
-    // Attempt listing via GitHub Contents API when token available
-    if (fitrepToken) {
-      const listUrl = `https://api.github.com/repos/${DATA_REPO}/contents/${dirPath}`;
-      const resp = await fetch(listUrl, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (resp.status === 404) {
-        return res.json({ ok: true, evaluations: [] });
-      }
-      if (!resp.ok) {
-        const text = await resp.text();
-        return res.status(502).json({ error: `List failed: ${text}` });
-      }
-      const items = await resp.json();
-      const files = Array.isArray(items) ? items.filter(i => i.type === 'file') : [];
-      const evaluations = [];
-      for (const f of files) {
-        try {
-          const fileApi = `https://api.github.com/repos/${DATA_REPO}/contents/${f.path}`;
-          const fileResp = await fetch(fileApi, {
-            headers: {
-              'Authorization': `Bearer ${fitrepToken}`,
-              'Accept': 'application/vnd.github.v3+json'
-            }
-          });
-          if (!fileResp.ok) continue;
-          const fileData = await fileResp.json();
-          const contentStr = Buffer.from(fileData.content || '', 'base64').toString('utf8');
-          const ext = String(f.name || '').split('.').pop().toLowerCase();
-          if (ext === 'json') {
-            try {
-              const obj = JSON.parse(contentStr);
-              if (obj && obj.evaluation) {
-                evaluations.push(obj.evaluation);
-              } else if (obj && obj.id) {
-                evaluations.push({
-                  evaluationId: obj.id,
-                  occasion: obj.occasion || null,
-                  completedDate: obj.completedDate || null,
-                  fitrepAverage: obj.fitrepAverage || null,
-                  marineInfo: obj.marine || {},
-                  rsInfo: obj.rs || {},
-                  sectionIComments: obj.sectionIComments || '',
-                  traitEvaluations: Array.isArray(obj.traitEvaluations) ? obj.traitEvaluations : []
-                });
-              }
-            } catch (_) { /* ignore parse errors */ }
-          } else if (ext === 'yml' || ext === 'yaml') {
-            try {
-              const ev = parseEvaluationYamlMinimal(contentStr || '');
-              if (ev) evaluations.push(ev);
-            } catch (_) { /* ignore yaml parse errors */ }
-          } else {
-            // Unknown extension: attempt JSON parse as a best effort
-            try {
-              const obj = JSON.parse(contentStr);
-              if (obj && obj.evaluation) evaluations.push(obj.evaluation);
-            } catch (_) { /* ignore */ }
-          }
-        } catch (_) { /* ignore individual file errors */ }
-      }
-      return res.json({ ok: true, evaluations });
-    }
-
-    // Fallback: read from local filesystem
-    try {
-      const evalDir = path.join(LOCAL_DATA_DIR, prefix, 'evaluations');
-      let entries = [];
-      try {
-        entries = await fsp.readdir(evalDir, { withFileTypes: true });
-      } catch (_) {
-        return res.json({ ok: true, evaluations: [] });
-      }
-      const evaluations = [];
-      for (const ent of entries) {
-        if (!ent.isFile()) continue;
-        const name = ent.name || '';
-        if (!name.toLowerCase().endsWith('.json')) continue;
-        const fp = path.join(evalDir, name);
-        try {
-          const str = await fsp.readFile(fp, 'utf8');
-          const obj = JSON.parse(str);
-          if (obj && obj.evaluation) {
-            evaluations.push(obj.evaluation);
-          }
-        } catch (_) { /* ignore file read/parse errors */ }
-      }
-      return res.json({ ok: true, evaluations });
-    } catch (err) {
-      console.error('list evaluations: local read failed:', err);
-      return res.status(500).json({ error: 'Local read failed' });
-    }
-  } catch (err) {
-    console.error('list evaluations error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get a single evaluation - Supabase mode
-app.get('/api/evaluation/:evaluationId', requireAuth, async (req, res) => {
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return getEvaluationHandler(req, res);
-  }
-  try {
-    const { evaluationId } = req.params;
-    if (!evaluationId) return res.status(400).json({ error: 'Evaluation ID required' });
-    const email = String((req.query.email || req.query.rsEmail || req.sessionUser || '')).trim();
-    if (!email) return res.status(400).json({ error: 'Email required' });
-    try {
-      const reqUser = sanitizePrefix(email);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      if (!sessUser || reqUser !== sessUser) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-
-    const fitrepToken = process.env.FITREP_DATA || '';
-    const prefix = sanitizePrefix(email);
-    const evalIdSafe = String(evaluationId).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const filePath = `users/${prefix}/evaluations/${evalIdSafe}.json`;
-
-    if (fitrepToken) {
-      const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/${filePath}`;
-      const resp = await fetch(apiUrl, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (resp.status === 404) return res.status(404).json({ error: 'Not found' });
-      if (!resp.ok) {
-        const text = await resp.text();
-        return res.status(502).json({ error: `Read failed: ${text}` });
-      }
-      const data = await resp.json();
-      const contentStr = Buffer.from(data.content || '', 'base64').toString('utf8');
-      const ext = String(filePath).split('.').pop().toLowerCase();
-      if (ext === 'json') {
-        try {
-          const obj = JSON.parse(contentStr);
-          return res.json(obj?.evaluation ? obj.evaluation : obj);
-        } catch (_) {
-          return res.status(500).json({ error: 'Parse failed' });
-        }
-      } else {
-        try {
-          const ev = parseEvaluationYamlMinimal(contentStr || '');
-          if (ev) return res.json(ev);
-        } catch (_) {}
-        return res.status(500).json({ error: 'Unsupported format' });
-      }
-    }
-
-    try {
-      const evalPath = path.join(LOCAL_DATA_DIR, prefix, 'evaluations', `${evalIdSafe}.json`);
-      const str = await fsp.readFile(evalPath, 'utf8');
-      const obj = JSON.parse(str);
-      return res.json(obj?.evaluation ? obj.evaluation : obj);
-    } catch (err) {
-      return res.status(404).json({ error: 'Not found' });
-    }
-  } catch (err) {
-    console.error('get evaluation error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Export evaluations (Supabase only)
-app.get('/api/evaluations/export', requireAuth, async (req, res) => {
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return exportEvaluationsHandler(req, res);
-  }
-  return res.status(501).json({ error: 'Legacy storage mode - use original endpoint' });
-});
-
-// Delete an evaluation - Supabase mode
-app.delete('/api/evaluation/:evaluationId', requireAuth, async (req, res) => {
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return deleteEvaluationHandler(req, res);
-  }
-  try {
-    const { evaluationId } = req.params;
-    if (!evaluationId) return res.status(400).json({ error: 'Evaluation ID required' });
-    const email = String((req.query.email || req.query.rsEmail || req.sessionUser || '')).trim();
-    if (!email) return res.status(400).json({ error: 'Email required' });
-    try {
-      const reqUser = sanitizePrefix(email);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      if (!sessUser || reqUser !== sessUser) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-
-    const fitrepToken = process.env.FITREP_DATA || '';
-    const prefix = sanitizePrefix(email);
-    const evalIdSafe = String(evaluationId).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const filePath = `users/${prefix}/evaluations/${evalIdSafe}.json`;
-
-    if (fitrepToken) {
-      const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/${filePath}`;
-      const getResp = await fetch(apiUrl, {
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-      if (getResp.status === 404) return res.status(404).json({ error: 'Not found' });
-      if (!getResp.ok) {
-        const text = await getResp.text();
-        return res.status(502).json({ error: `Read failed: ${text}` });
-      }
-      const existing = await getResp.json();
-      const sha = existing.sha || '';
-      if (!sha) return res.status(500).json({ error: 'Missing SHA for delete' });
-      const now = new Date().toISOString();
-      const delResp = await fetch(apiUrl, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${fitrepToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ message: `Delete evaluation ${evaluationId} - ${now}`, sha, branch: 'main' })
-      });
-      if (!delResp.ok) {
-        const text = await delResp.text();
-        return res.status(502).json({ error: `Delete failed: ${text}` });
-      }
-      return res.json({ ok: true, message: 'Evaluation deleted' });
-    }
-
-    try {
-      const evalPath = path.join(LOCAL_DATA_DIR, prefix, 'evaluations', `${evalIdSafe}.json`);
-      await fsp.unlink(evalPath);
-      return res.json({ ok: true, message: 'Evaluation deleted (local)' });
-    } catch (err) {
-      return res.status(404).json({ error: 'Not found' });
-    }
-  } catch (err) {
-    console.error('delete evaluation error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Load user data via server using FITREP_DATA
-// User load endpoint - use Supabase if configured
-app.get('/api/user/load', requireAuth, async (req, res) => {
-  // Route to Supabase handler if enabled
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    return loadUserHandler(req, res);
-  }
-
-  // Legacy GitHub/local storage implementation
-  try {
-    const username = String((req.query.username || req.query.email || '')).trim();
-    if (!username) return res.status(400).json({ error: 'Missing username query param' });
-    try {
-      const reqUser = sanitizePrefix(username);
-      const sessUser = sanitizePrefix(req.sessionUser || '');
-      if (!sessUser || reqUser !== sessUser) {
-        return res.status(403).json({ error: 'Forbidden: user mismatch' });
-      }
-    } catch (_) { return res.status(403).json({ error: 'Forbidden' }); }
-    const token = process.env.FITREP_DATA;
-    if (!token) {
-      if (isLocalFallbackEnabled()) {
-        try {
-          const prefix = sanitizePrefix(username);
-          const localUser = await readLocalUser(prefix);
-          if (!localUser) return res.status(404).json({ error: 'Not found' });
-          return res.json({ ok: true, data: localUser });
-        } catch (_) {
-          return res.status(500).json({ error: 'Local read failed' });
-        }
-      }
-      return res.status(500).json({ error: 'Server missing FITREP_DATA' });
-    }
-
-    const prefix = sanitizePrefix(username);
-    const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-    const resp = await fetch(apiUrl, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-    if (resp.status === 404) return res.status(404).json({ error: 'Not found' });
-    if (!resp.ok) {
-      const text = await resp.text();
-      return res.status(502).json({ error: `Read failed: ${text}` });
-    }
-    const data = await resp.json();
-    const jsonStr = Buffer.from(data.content, 'base64').toString('utf8');
-    const obj = JSON.parse(jsonStr);
-    return res.json({ ok: true, data: obj });
-  } catch (err) {
-    console.error('load user error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Delete user account - Supabase mode
-app.delete('/api/user/delete', requireAuth, async (req, res) => {
-  if (STORAGE_MODE === 'supabase' && isSupabaseAvailable()) {
-    const { deleteUserHandler } = require('./userRoutes');
-    return deleteUserHandler(req, res);
-  }
-  return res.status(501).json({ error: 'Legacy storage mode - use original endpoint' });
-});
-
-// Feedback submission endpoint: creates GitHub issues or stores locally
-app.post('/api/feedback', feedbackRateLimit, async (req, res) => {
-  try {
-    const { type, title, description, email, context } = req.body || {};
-    const t = String(type || '').toLowerCase();
-    const typeSafe = ['bug', 'feature', 'ux'].includes(t) ? t : 'other';
-    const titleSan = sanitizeString(title).trim().substring(0, 200);
-    const descSan = sanitizeString(description).trim().substring(0, 50000);
-    const emailSan = sanitizeString(email).trim().substring(0, 200);
-    if (!titleSan || !descSan) {
-      return res.status(400).json({ error: 'Missing title or description' });
-    }
-
-    const repo = process.env.GITHUB_REPO || process.env.MAIN_REPO || 'SemperAdmin/Fitness-Report-Evaluator';
-    // Prefer a dedicated GitHub token for issue creation; fall back to dispatch/data tokens
-    const token = process.env.GITHUB_TOKEN || process.env.DISPATCH_TOKEN || process.env.FITREP_DATA;
-
-    if (!token) {
-      // Fallback: store feedback locally for later triage in development
-      try { await ensureLocalDir(); } catch (_) {}
-      const fbDir = path.join(LOCAL_BASE_DIR, 'feedback');
-      await fsp.mkdir(fbDir, { recursive: true });
-      const now = new Date().toISOString().replace(/[:.]/g, '-');
-      const fname = `${now}-${Math.random().toString(36).slice(2, 8)}.json`;
-      const payload = { type: typeSafe, title: titleSan, description: descSan, email: emailSan, context: (context || {}), createdAt: new Date().toISOString() };
-      await fsp.writeFile(path.join(fbDir, fname), JSON.stringify(payload, null, 2), 'utf8');
-      return res.json({ ok: true, stored: 'local', file: fname });
-    }
-
-    const issueBody = [
-      `Type: ${typeSafe}`,
-      '',
-      'Description:',
-      descSan,
-      '',
-      'Context:',
-      `- Route: ${(context && context.route) ? String(context.route) : ''}`,
-      `- User-Agent: ${(context && context.userAgent) ? String(context.userAgent) : ''}`,
-      `- Screen: ${(context && context.screen) ? String(context.screen) : ''}`,
-      `- Viewport: ${(context && context.viewport) ? String(context.viewport) : ''}`,
-      `- Theme: ${(context && context.theme) ? String(context.theme) : ''}`,
-      `- Timestamp: ${(context && context.timestamp) ? String(context.timestamp) : new Date().toISOString()}`,
-      emailSan ? `- Reporter Email: ${emailSan}` : ''
-    ].filter(Boolean).join('\n');
-
-    const resp = await fetch(`https://api.github.com/repos/${repo}/issues`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        title: `[Feedback] ${typeSafe}: ${titleSan}`,
-        body: issueBody,
-        labels: ['feedback', typeSafe]
-      })
-    });
-    if (!resp.ok) {
-      const text = await resp.text();
-      console.error('feedback issue create failed:', text);
-      // Graceful fallback: if token lacks permission or credentials are invalid, store locally
-      if (resp.status === 401 || resp.status === 403) {
-        try { await ensureLocalDir(); } catch (_) {}
-        const fbDir = path.join(LOCAL_BASE_DIR, 'feedback');
-        await fsp.mkdir(fbDir, { recursive: true });
-        const now = new Date().toISOString().replace(/[:.]/g, '-');
-        const fname = `${now}-${Math.random().toString(36).slice(2, 8)}.json`;
-        const payload = { type: typeSafe, title: titleSan, description: descSan, email: emailSan, context: (context || {}), createdAt: new Date().toISOString(), githubError: text };
-        await fsp.writeFile(path.join(fbDir, fname), JSON.stringify(payload, null, 2), 'utf8');
-        return res.json({ ok: true, stored: 'local', file: fname, reason: 'github_unauthorized' });
-      }
-      return res.status(502).json({ error: 'GitHub issue creation failed' });
-    }
-    const data = await resp.json();
-    return res.json({ ok: true, issueUrl: data.html_url, issueNumber: data.number });
-  } catch (err) {
-    console.error('feedback error:', err);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Profile save, evaluation save and list through the storage provider
+app.post('/api/user/save', saveRateLimit, requireAuth, storageRoutes.saveUserHandler);
+app.post('/api/evaluation/save', saveRateLimit, requireAuth, storageRoutes.saveEvaluationHandler);
+app.get('/api/evaluations/list', requireAuth, storageRoutes.listEvaluationsHandler);
+
+// Single evaluations, PDF drafts and export through the storage provider
+app.get('/api/evaluation/:evaluationId', requireAuth, storageRoutes.getEvaluationHandler);
+app.get('/api/evaluation/:evaluationId/pdf', requireAuth, storageRoutes.getEvaluationPdfHandler);
+app.get('/api/evaluations/export', requireAuth, storageRoutes.exportEvaluationsHandler);
+app.delete('/api/evaluation/:evaluationId', requireAuth, storageRoutes.deleteEvaluationHandler);
+
+// Reviewing Officer workflow (Supabase only)
+app.post('/api/evaluation/:evaluationId/ro/route', saveRateLimit, requireAuth, routeToRoHandler);
+app.get('/api/evaluation/:evaluationId/ro', requireAuth, getRoReviewHandler);
+app.post('/api/evaluation/:evaluationId/ro/review', saveRateLimit, requireAuth, submitRoReviewHandler);
+app.get(((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.RO_INBOX) || '/api/ro/inbox'), requireAuth, roInboxHandler);
+
+// Evaluation revision history and restore (Supabase, GitHub commits or local copies)
+app.get('/api/evaluation/:evaluationId/revisions', requireAuth, listRevisionsHandler);
+app.get('/api/evaluation/:evaluationId/revisions/:rev', requireAuth, getRevisionHandler);
+app.post('/api/evaluation/:evaluationId/restore/:rev', saveRateLimit, requireAuth, restoreRevisionHandler);
+
+// Justification bullet library (Supabase or GitHub/local, following the profile)
+const BULLETS_ROUTE = ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.BULLETS) || '/api/bullets');
+app.get(BULLETS_ROUTE, requireAuth, listBulletsHandler);
+app.post(BULLETS_ROUTE, saveRateLimit, requireAuth, createBulletHandler);
+app.delete(`${BULLETS_ROUTE}/:bulletId`, requireAuth, deleteBulletHandler);
+
+// Counseling log (Supabase or GitHub/local, following the profile)
+const COUNSELING_ROUTE = ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.COUNSELING) || '/api/counseling');
+app.get(COUNSELING_ROUTE, requireAuth, listCounselingHandler);
+app.post(COUNSELING_ROUTE, saveRateLimit, requireAuth, createCounselingHandler);
+app.put(`${COUNSELING_ROUTE}/:entryId`, saveRateLimit, requireAuth, updateCounselingHandler);
+app.delete(`${COUNSELING_ROUTE}/:entryId`, requireAuth, deleteCounselingHandler);
+
+// Accomplishment journal (Supabase or GitHub/local, following the profile)
+const JOURNAL_ROUTE = ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.JOURNAL) || '/api/journal');
+app.get(JOURNAL_ROUTE, requireAuth, listJournalHandler);
+app.post(JOURNAL_ROUTE, saveRateLimit, requireAuth, createJournalHandler);
+app.put(`${JOURNAL_ROUTE}/:entryId`, saveRateLimit, requireAuth, updateJournalHandler);
+app.delete(`${JOURNAL_ROUTE}/:entryId`, requireAuth, deleteJournalHandler);
+
+// Reporting calendar: transfer/PCS dates and the due-date iCalendar feed
+const CALENDAR_ROUTE = ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.CALENDAR) || '/api/calendar');
+app.get(`${CALENDAR_ROUTE}/transfers`, requireAuth, listTransfersHandler);
+app.put(`${CALENDAR_ROUTE}/transfers`, saveRateLimit, requireAuth, saveTransfersHandler);
+app.get(`${CALENDAR_ROUTE}/feed.ics`, requireAuth, calendarFeedHandler);
+
+// Order of merit per grade and reporting cycle (Supabase or GitHub/local, following the profile)
+const ORDER_OF_MERIT_ROUTE = ((CONSTANTS && CONSTANTS.ROUTES && CONSTANTS.ROUTES.API && CONSTANTS.ROUTES.API.ORDER_OF_MERIT) || '/api/order-of-merit');
+app.get(ORDER_OF_MERIT_ROUTE, requireAuth, listOrderOfMeritHandler);
+app.put(`${ORDER_OF_MERIT_ROUTE}/:cycleKey`, saveRateLimit, requireAuth, saveOrderOfMeritHandler);
+
+// Profile load and account deletion through the storage provider
+app.get('/api/user/load', requireAuth, storageRoutes.loadUserHandler);
+app.delete('/api/user/delete', requireAuth, storageRoutes.deleteUserHandler);
+
+// Feedback submission: a GitHub issue, a Supabase row or a local file, following STORAGE_MODE
+app.post('/api/feedback', feedbackRateLimit, storageRoutes.feedbackHandler);
 
 // Server-side validation fallback endpoint
 // POST body: { field: string, value: string }
@@ -2264,24 +1107,11 @@ app.post('/api/validate/field', validationRateLimit, async (req, res) => {
         result = { valid: false, message: 'Invalid username format' };
       } else {
         const prefix = sanitizePrefix(v);
-        const token = process.env.FITREP_DATA || DISPATCH_TOKEN || '';
         let taken = false;
-        if (token) {
-          try {
-            const apiUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users/${prefix}.json`;
-            const resp = await fetch(apiUrl, {
-              headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/vnd.github+json' }
-            });
-            taken = resp.status === 200;
-          } catch (e) {
-            console.warn('validate username: github read failed:', e?.message || e);
-          }
-        }
-        if (!taken) {
-          try {
-            const existing = await readLocalUser(prefix);
-            taken = Boolean(existing);
-          } catch (_) { /* assume not taken on local read error */ }
+        try {
+          taken = Boolean(await getStorageProvider().getUser(prefix));
+        } catch (e) {
+          console.warn('validate username: user lookup failed:', e?.message || e);
         }
         if (taken) {
           result = { valid: false, message: 'Username is already taken' };
@@ -2354,28 +1184,13 @@ app.post('/api/admin/normalize-users', async (req, res) => {
     }
     const runAsync = String(req.headers['x-run-async'] || '').toLowerCase() === 'true';
     const doNormalize = async () => {
-      const token = process.env.FITREP_DATA || '';
-      if (!token) throw new Error('Missing FITREP_DATA token');
-      const baseUrl = `https://api.github.com/repos/${DATA_REPO}/contents/users`;
-      const listResp = await fetch(baseUrl, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/vnd.github.v3+json' } });
-      if (!listResp.ok) {
-        const t = await listResp.text();
-        throw new Error(`List failed: ${t}`);
-      }
-      const items = await listResp.json();
+      const storage = getStorageProvider();
       let updated = 0, skipped = 0, errors = 0;
       const now = new Date().toISOString();
-      for (const it of items) {
+      for (const username of await storage.listUsers()) {
         try {
-          if (it.type !== 'file') { skipped++; continue; }
-          if (!/\.json$/i.test(it.name)) { skipped++; continue; }
-          const getResp = await fetch(`https://api.github.com/repos/${DATA_REPO}/contents/${it.path}`, { headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/vnd.github.v3+json' } });
-          if (!getResp.ok) { errors++; continue; }
-          const data = await getResp.json();
-          const contentStr = Buffer.from(data.content || '', 'base64').toString('utf8');
-          let obj = {};
-          try { obj = JSON.parse(contentStr || '{}'); } catch (_) { obj = {}; }
-          const username = String(it.name).replace(/\.json$/i, '');
+          const obj = await storage.getUser(username);
+          if (!obj) { skipped++; continue; }
           const full_name = obj.full_name || obj.rsName || obj.name || '';
           const rank = obj.rank || obj.rsRank || '';
           const normalized = {
@@ -2388,17 +1203,12 @@ app.post('/api/admin/normalize-users', async (req, res) => {
             full_name,
             rank,
             createdDate: obj.createdDate || now,
-            lastUpdated: now
+            lastUpdated: obj.lastUpdated || now
           };
           if (obj.passwordHash) normalized.passwordHash = obj.passwordHash;
-          const nextStr = JSON.stringify(normalized, null, 2);
-          if (nextStr === contentStr) { skipped++; continue; }
-          const putResp = await fetch(`https://api.github.com/repos/${DATA_REPO}/contents/${it.path}`, {
-            method: 'PUT',
-            headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'application/vnd.github.v3+json', 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message: `Normalize user profile - ${now}`, content: Buffer.from(nextStr, 'utf8').toString('base64'), branch: 'main', sha: data.sha || undefined })
-          });
-          if (putResp.ok) updated++; else errors++;
+          if (JSON.stringify(normalized) === JSON.stringify(obj)) { skipped++; continue; }
+          await storage.saveUser(username, { ...normalized, lastUpdated: now });
+          updated++;
         } catch (_) { errors++; }
       }
       return { updated, skipped, errors };
@@ -2415,9 +1225,9 @@ app.post('/api/admin/normalize-users', async (req, res) => {
   }
 });
 
-app.get('/api/admin/jobs/:jobId', (req, res) => {
+app.get('/api/admin/jobs/:jobId', async (req, res) => {
   try {
-    const j = getJob(String(req.params.jobId || ''));
+    const j = await getJob(String(req.params.jobId || ''));
     if (!j) return res.status(404).json({ error: 'Not found' });
     return res.json({ ok: true, job: j });
   } catch (err) {
@@ -0,0 +1,57 @@
+/**
+ * Session Identity
+ *
+ * Who a request is signed in as, and whether a username or email named in
+ * a request is that account. Accounts created on the GitHub and embedded
+ * backends sign in with a username (`jsmith`); Supabase accounts carry an
+ * email (`jsmith@unit.usmc.mil`), or a `<username>@local.dev` placeholder.
+ */
+
+function sanitizePrefix(username) {
+  return String(username || '').trim().toLowerCase().replace(/[^a-z0-9._-]/gi, '_');
+}
+
+/**
+ * Signed-in account: the session cookie user, or the Supabase session email.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getSessionUser(req) {
+  return req.session?.rsEmail || req.sessionUser || '';
+}
+
+/**
+ * Whether two identities name the same account. Full identities compare as
+ * a whole, so `jsmith@a.mil` and `jsmith@b.mil` are different accounts. A
+ * bare username matches an email by its local part, for legacy accounts that
+ * were created with a username and later given an address.
+ * @param {string} a - Username or email
+ * @param {string} b - Username or email
+ * @returns {boolean}
+ */
+function isSameUser(a, b) {
+  const x = String(a || '').trim().toLowerCase();
+  const y = String(b || '').trim().toLowerCase();
+  if (!x || !y) return false;
+  if (sanitizePrefix(x) === sanitizePrefix(y)) return true;
+  if (x.includes('@') === y.includes('@')) return false;
+  const local = (s) => sanitizePrefix(s.split('@')[0]);
+  return local(x) === local(y);
+}
+
+/**
+ * Whether `identity` is the signed-in account.
+ * @param {Object} req - Express request
+ * @param {string} identity - Username or email named by the request
+ * @returns {boolean}
+ */
+function isSessionUser(req, identity) {
+  return isSameUser(getSessionUser(req), identity);
+}
+
+module.exports = {
+  sanitizePrefix,
+  getSessionUser,
+  isSameUser,
+  isSessionUser
+};
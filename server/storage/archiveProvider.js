@@ -0,0 +1,198 @@
+/**
+ * Export Archive Storage Provider
+ *
+ * One portable JSON file holding users and their evaluations, for moving a
+ * unit between deployments or keeping an offline copy. Names ending in `.gz`
+ * are gzip-compressed. scripts/migrate-storage.js reads and writes archives;
+ * the server never runs on one.
+ *
+ * {
+ *   "format": "fitrep-archive",
+ *   "version": 1,
+ *   "exportedAt": "2026-01-15T10:30:00.000Z",
+ *   "users": {
+ *     "<user>": {
+ *       "user": { ... },
+ *       "evaluations": { "<evaluationId>": { ... } },
+ *       "documents": { "bullets": { ... } }
+ *     }
+ *   },
+ *   "feedback": [],
+ *   "jobs": {}
+ * }
+ *
+ * The whole file is rewritten, via a temporary file and a rename, after
+ * every change so an interrupted migration leaves a readable archive.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const fsp = require('fs/promises');
+const { sanitizePrefix, feedbackRecord, REVISION_NUMBER } = require('./common');
+const { withDocumentStore } = require('./documentStore');
+
+const ARCHIVE_FORMAT = 'fitrep-archive';
+const ARCHIVE_VERSION = 1;
+
+function emptyArchive() {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    users: {},
+    feedback: [],
+    jobs: {}
+  };
+}
+
+const clone = (obj) => (obj ? JSON.parse(JSON.stringify(obj)) : null);
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - Archive path; created on the first write
+ * @returns {import('./index').StorageProvider}
+ */
+function createArchiveProvider({ file }) {
+  const gzip = /\.gz$/i.test(file);
+  let archive = null;
+
+  async function load() {
+    if (archive) return archive;
+    let buf;
+    try {
+      buf = await fsp.readFile(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      archive = emptyArchive();
+      return archive;
+    }
+    const parsed = JSON.parse((gzip ? zlib.gunzipSync(buf) : buf).toString('utf8'));
+    if (!parsed || parsed.format !== ARCHIVE_FORMAT) {
+      throw new Error(`${file} is not a storage archive`);
+    }
+    if (parsed.version > ARCHIVE_VERSION) {
+      throw new Error(`${file} is archive version ${parsed.version}; this build reads up to ${ARCHIVE_VERSION}`);
+    }
+    archive = { ...emptyArchive(), ...parsed };
+    return archive;
+  }
+
+  async function save() {
+    archive.exportedAt = new Date().toISOString();
+    const str = JSON.stringify(archive, null, 2);
+    await fsp.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, gzip ? zlib.gzipSync(str) : str);
+    await fsp.rename(tmp, file);
+  }
+
+  async function entry(username, create) {
+    const users = (await load()).users;
+    const key = sanitizePrefix(username);
+    if (!users[key] && create) users[key] = { user: null, evaluations: {} };
+    return users[key] || null;
+  }
+
+  return withDocumentStore({
+    name: 'archive',
+
+    async listUsers() {
+      const users = (await load()).users;
+      return Object.keys(users).filter(key => users[key].user).sort();
+    },
+
+    async getUser(username) {
+      return clone((await entry(username))?.user);
+    },
+
+    async saveUser(username, user) {
+      (await entry(username, true)).user = clone(user);
+      await save();
+      return { path: `archive:${sanitizePrefix(username)}` };
+    },
+
+    async renameUser(from, to) {
+      const users = (await load()).users;
+      const key = sanitizePrefix(from);
+      if (!users[key]?.user) return false;
+      users[sanitizePrefix(to)] = users[key];
+      delete users[key];
+      await save();
+      return true;
+    },
+
+    async deleteUser(username) {
+      const users = (await load()).users;
+      const key = sanitizePrefix(username);
+      if (!users[key]) return false;
+      delete users[key];
+      await save();
+      return true;
+    },
+
+    async listEvaluations(username) {
+      const evaluations = (await entry(username))?.evaluations || {};
+      return Object.keys(evaluations).sort().map(id => clone(evaluations[id]));
+    },
+
+    async getEvaluation(username, evaluationId) {
+      return clone((await entry(username))?.evaluations?.[evaluationId]);
+    },
+
+    async saveEvaluation(username, evaluation) {
+      (await entry(username, true)).evaluations[evaluation.evaluationId] = clone(evaluation);
+      await save();
+      return { path: `archive:${sanitizePrefix(username)}/${evaluation.evaluationId}`, revision: evaluation.revision };
+    },
+
+    async deleteEvaluation(username, evaluationId) {
+      const user = await entry(username);
+      if (!user || !user.evaluations[evaluationId]) return false;
+      delete user.evaluations[evaluationId];
+      await save();
+      return true;
+    },
+
+    // Archives carry each evaluation's current revision only
+    revisionPattern: REVISION_NUMBER,
+
+    async listRevisions() {
+      return [];
+    },
+
+    async getRevision() {
+      return null;
+    },
+
+    async getDocument(username, name) {
+      return clone((await entry(username))?.documents?.[name]);
+    },
+
+    async saveDocument(username, name, doc) {
+      const user = await entry(username, true);
+      user.documents = { ...user.documents, [name]: clone(doc) };
+      await save();
+      return { path: `archive:${sanitizePrefix(username)}/${name}` };
+    },
+
+    async saveFeedback(item) {
+      const feedback = (await load()).feedback;
+      const id = feedback.length + 1;
+      feedback.push({ id, ...feedbackRecord(item) });
+      await save();
+      return { id, stored: 'archive' };
+    },
+
+    async saveJob(job) {
+      (await load()).jobs[job.id] = clone(job);
+      await save();
+      return job;
+    },
+
+    async getJob(jobId) {
+      return clone((await load()).jobs[jobId]);
+    }
+  });
+}
+
+module.exports = { createArchiveProvider, ARCHIVE_FORMAT };
@@ -0,0 +1,213 @@
+/**
+ * Per-User Collections and RO Reviews on Documents
+ *
+ * The file, GitHub and archive providers keep each per-RS collection as one
+ * JSON document (`users/<user>/<collection>.json`) and an RO review on the
+ * evaluation it belongs to (`roReview`), with a `roinbox` document per RO
+ * listing the reports routed to them. withDocumentStore() adds the
+ * collection and RO review methods of the storage provider interface on top
+ * of a provider's own getDocument()/saveDocument() and evaluation methods.
+ * The Supabase provider keeps both in their own tables.
+ */
+
+const { isSameUser } = require('../sessionUser');
+const { sanitizePrefix, storageError } = require('./common');
+
+// Document field holding each collection's list, and the item key putItem() matches on
+const COLLECTIONS = {
+  bullets: { key: 'bullets' },
+  counseling: { key: 'entries' },
+  journal: { key: 'entries' },
+  calendar: { key: 'transfers' },
+  merit: { key: 'lists', id: 'cycleKey' }
+};
+
+function collectionSpec(collection) {
+  const spec = COLLECTIONS[collection];
+  if (!spec) throw new Error(`Unknown collection: ${collection}`);
+  return { id: 'id', ...spec };
+}
+
+// Review IDs name the RS and their evaluation; evaluation IDs are per RS here
+function reviewId(rsUsername, evaluationId) {
+  return `${sanitizePrefix(rsUsername)}:${evaluationId}`;
+}
+
+function parseReviewId(id) {
+  const str = String(id || '');
+  const at = str.indexOf(':');
+  return at > 0 ? { rs: str.slice(0, at), evaluationId: str.slice(at + 1) } : null;
+}
+
+/**
+ * RS or RO identity on a review, as the Supabase provider reports it.
+ * @param {string} username - Account key
+ * @param {Object|null} user - User record
+ * @returns {{name: string, rank: string, email: string, username: string}}
+ */
+function reviewParty(username, user) {
+  const contact = String(user?.contactEmail || '');
+  return {
+    name: user?.rsName || '',
+    rank: user?.rsRank || '',
+    email: contact.includes('@') ? contact : '',
+    username: sanitizePrefix(username)
+  };
+}
+
+/**
+ * Add the collection and RO review methods to a document-backed provider.
+ * @param {import('./index').StorageProvider} provider - Provider with getDocument(username, name) and saveDocument(username, name, doc)
+ * @returns {import('./index').StorageProvider} The same provider
+ */
+function withDocumentStore(provider) {
+  async function readList(username, name, key) {
+    const doc = await provider.getDocument(username, name);
+    return Array.isArray(doc?.[key]) ? doc[key] : [];
+  }
+
+  async function writeList(username, name, key, items) {
+    const prefix = sanitizePrefix(username);
+    await provider.saveDocument(prefix, name, {
+      version: '1.0',
+      rsEmail: prefix,
+      updatedAt: new Date().toISOString(),
+      [key]: items
+    });
+  }
+
+  // Accounts are keyed by username; an RO may also be named by their contact email
+  async function findAccount(identifier) {
+    const user = await provider.getUser(identifier);
+    if (user) return { username: sanitizePrefix(identifier), user };
+    if (!String(identifier).includes('@')) return null;
+    for (const username of await provider.listUsers()) {
+      const candidate = await provider.getUser(username);
+      if (candidate && isSameUser(identifier, candidate.contactEmail)) return { username, user: candidate };
+    }
+    return null;
+  }
+
+  async function loadReview(id) {
+    const ref = parseReviewId(id);
+    if (!ref) return null;
+    const evaluation = await provider.getEvaluation(ref.rs, ref.evaluationId);
+    const review = evaluation?.roReview;
+    return review && review.id === id ? { rs: ref.rs, evaluation, review } : null;
+  }
+
+  return Object.assign(provider, {
+    async listItems(username, collection) {
+      return readList(username, collection, collectionSpec(collection).key);
+    },
+
+    async addItem(username, collection, item) {
+      const { key } = collectionSpec(collection);
+      await writeList(username, collection, key, [item, ...(await readList(username, collection, key))]);
+      return item;
+    },
+
+    async updateItem(username, collection, id, changes) {
+      const { key } = collectionSpec(collection);
+      const items = await readList(username, collection, key);
+      const existing = items.find(i => i.id === id);
+      if (!existing) return null;
+      const item = { ...existing, ...changes };
+      await writeList(username, collection, key, items.map(i => (i.id === id ? item : i)));
+      return item;
+    },
+
+    async putItem(username, collection, item) {
+      const spec = collectionSpec(collection);
+      const items = await readList(username, collection, spec.key);
+      const others = items.filter(i => i[spec.id] !== item[spec.id]);
+      await writeList(username, collection, spec.key, [...others, item]);
+      return item;
+    },
+
+    async deleteItem(username, collection, id) {
+      const { key } = collectionSpec(collection);
+      const items = await readList(username, collection, key);
+      const remaining = items.filter(i => i.id !== id);
+      if (remaining.length === items.length) return false;
+      await writeList(username, collection, key, remaining);
+      return true;
+    },
+
+    async replaceItems(username, collection, items) {
+      await writeList(username, collection, collectionSpec(collection).key, items);
+      return items;
+    },
+
+    async routeToRo(username, evaluationId, roIdentifier) {
+      const evaluation = await provider.getEvaluation(username, evaluationId);
+      if (!evaluation) throw storageError('Evaluation not found', 404);
+      const ro = await findAccount(roIdentifier);
+      if (!ro) throw storageError('Reviewing Officer account not found', 404);
+      if (ro.username === sanitizePrefix(username)) {
+        throw storageError('Reviewing Officer must differ from the Reporting Senior', 400);
+      }
+      if (evaluation.roReview?.status === 'completed') {
+        throw storageError('Evaluation has already been reviewed', 409);
+      }
+
+      const review = {
+        id: reviewId(username, evaluationId),
+        status: 'pending',
+        concurrence: null,
+        comparativeAssessment: null,
+        comments: '',
+        routedAt: new Date().toISOString(),
+        completedAt: null,
+        ro: reviewParty(ro.username, ro.user),
+        rs: reviewParty(username, await provider.getUser(username))
+      };
+      // Same denormalized RO identity the Supabase provider keeps on the evaluation
+      const roInfo = { ...evaluation.roInfo, name: review.ro.name, rank: review.ro.rank, email: review.ro.email };
+      await provider.saveEvaluation(username, { ...evaluation, roInfo, roReview: review });
+
+      const inbox = await readList(ro.username, 'roinbox', 'reviews');
+      await writeList(ro.username, 'roinbox', 'reviews', [review.id, ...inbox.filter(id => id !== review.id)]);
+      return review;
+    },
+
+    async getRoReview(username, evaluationId) {
+      const own = await provider.getEvaluation(username, evaluationId);
+      if (own) return own.roReview || null;
+      const inbox = await readList(username, 'roinbox', 'reviews');
+      const id = inbox.find(i => parseReviewId(i)?.evaluationId === evaluationId);
+      const found = id ? await loadReview(id) : null;
+      return found ? found.review : null;
+    },
+
+    async completeRoReview(id, value) {
+      const found = await loadReview(id);
+      if (!found || found.review.status !== 'pending') return null;
+      const review = {
+        ...found.review,
+        status: 'completed',
+        concurrence: value.concurrence,
+        comparativeAssessment: value.comparativeAssessment,
+        comments: value.comments || '',
+        completedAt: new Date().toISOString()
+      };
+      await provider.saveEvaluation(found.rs, { ...found.evaluation, roReview: review });
+      return review;
+    },
+
+    async getRoInbox(username) {
+      const items = [];
+      for (const id of await readList(username, 'roinbox', 'reviews')) {
+        const found = await loadReview(id);
+        // A re-routed review is still listed for the RO it was taken from
+        if (found && found.review.ro?.username === sanitizePrefix(username)) {
+          const { roReview: _review, ...evaluation } = found.evaluation;
+          items.push({ ...found.review, evaluation });
+        }
+      }
+      return items.sort((a, b) => String(b.routedAt).localeCompare(String(a.routedAt)));
+    }
+  });
+}
+
+module.exports = { withDocumentStore, COLLECTIONS };
@@ -0,0 +1,211 @@
+/**
+ * Embedded File Storage Provider
+ *
+ * Keeps everything as JSON files under one directory so the app runs
+ * self-hosted on a single box without GitHub or Supabase:
+ * - users/<user>.json
+ * - users/<user>/evaluations/<evaluationId>.json
+ * - users/<user>/revisions/<evaluationId>/<revision>.json (a copy per saved
+ *   revision)
+ * - users/<user>/<document>.json (bullets, counseling, journal, calendar,
+ *   merit, roinbox; ./documentStore.js)
+ * - feedback/<timestamp>-<random>.json
+ * - jobs/<jobId>.json
+ *
+ * This is the layout the legacy local fallback already uses, so an existing
+ * LOCAL_DATA_DIR works as is, and so is a checkout of the data repository:
+ * CI-written YAML evaluations are listed alongside the JSON ones. Writes go
+ * to a temporary file first and are renamed into place, so a crash never
+ * leaves a half-written file.
+ */
+
+const path = require('path');
+const fsp = require('fs/promises');
+const {
+  sanitizePrefix,
+  safeEvaluationId,
+  safeJobId,
+  userFilePath,
+  evaluationDirPath,
+  evaluationFilePath,
+  documentFilePath,
+  MAX_REVISIONS,
+  REVISION_NUMBER,
+  evaluationFile,
+  unwrapEvaluation,
+  feedbackRecord
+} = require('./common');
+const { withDocumentStore } = require('./documentStore');
+const { parseEvaluationFile } = require('./githubProvider');
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseDir - Root directory (LOCAL_DATA_DIR)
+ * @returns {import('./index').StorageProvider}
+ */
+function createFileProvider({ baseDir }) {
+  const resolve = (relPath) => path.join(baseDir, ...relPath.split('/'));
+  const revisionDirPath = (username, evaluationId) =>
+    `users/${sanitizePrefix(username)}/revisions/${safeEvaluationId(evaluationId)}`;
+
+  async function readJson(relPath) {
+    let str;
+    try {
+      str = await fsp.readFile(resolve(relPath), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    return JSON.parse(str);
+  }
+
+  async function writeText(relPath, str) {
+    const filePath = resolve(relPath);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await fsp.writeFile(tmp, str, 'utf8');
+    await fsp.rename(tmp, filePath);
+  }
+
+  async function writeJson(relPath, obj) {
+    await writeText(relPath, JSON.stringify(obj, null, 2));
+  }
+
+  async function remove(relPath) {
+    try {
+      await fsp.unlink(resolve(relPath));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async function listFiles(relDir, pattern) {
+    let entries;
+    try {
+      entries = await fsp.readdir(resolve(relDir), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return entries
+      .filter(e => e.isFile() && pattern.test(e.name))
+      .map(e => e.name)
+      .sort();
+  }
+
+  return withDocumentStore({
+    name: 'file',
+
+    async listUsers() {
+      return (await listFiles('users', /\.json$/i)).map(name => name.replace(/\.json$/i, ''));
+    },
+
+    async getUser(username) {
+      return readJson(userFilePath(username));
+    },
+
+    async saveUser(username, user) {
+      await writeJson(userFilePath(username), user);
+      return { path: `local:${sanitizePrefix(username)}.json` };
+    },
+
+    async renameUser(from, to) {
+      const user = await readJson(userFilePath(from));
+      if (!user) return false;
+      try {
+        await fsp.rename(resolve(`users/${sanitizePrefix(from)}`), resolve(`users/${sanitizePrefix(to)}`));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      await writeJson(userFilePath(to), user);
+      await remove(userFilePath(from));
+      return true;
+    },
+
+    async deleteUser(username) {
+      const existed = await remove(userFilePath(username));
+      await fsp.rm(resolve(`users/${sanitizePrefix(username)}`), { recursive: true, force: true });
+      return existed;
+    },
+
+    async listEvaluations(username) {
+      const dir = evaluationDirPath(username);
+      const evaluations = [];
+      for (const name of await listFiles(dir, /\.(json|ya?ml)$/i)) {
+        try {
+          const ev = parseEvaluationFile(name, await fsp.readFile(resolve(`${dir}/${name}`), 'utf8'));
+          if (ev) evaluations.push(ev);
+        } catch (_) { /* skip unreadable files */ }
+      }
+      return evaluations;
+    },
+
+    async getEvaluation(username, evaluationId) {
+      return unwrapEvaluation(await readJson(evaluationFilePath(username, evaluationId)));
+    },
+
+    async saveEvaluation(username, evaluation) {
+      const relPath = evaluationFilePath(username, evaluation.evaluationId);
+      const str = JSON.stringify(evaluationFile(username, evaluation), null, 2);
+      await writeText(relPath, str);
+      if (evaluation.revision) {
+        await writeText(`${revisionDirPath(username, evaluation.evaluationId)}/${evaluation.revision}.json`, str);
+      }
+      return { path: `local:${relPath.replace(/^users\//, '')}`, revision: evaluation.revision };
+    },
+
+    async deleteEvaluation(username, evaluationId) {
+      return remove(evaluationFilePath(username, evaluationId));
+    },
+
+    revisionPattern: REVISION_NUMBER,
+
+    async listRevisions(username, evaluationId) {
+      const dir = revisionDirPath(username, evaluationId);
+      const revisions = (await listFiles(dir, /^\d+\.json$/))
+        .map(name => Number(name.replace(/\.json$/, '')))
+        .sort((a, b) => b - a)
+        .slice(0, MAX_REVISIONS);
+      const out = [];
+      for (const revision of revisions) {
+        const file = await readJson(`${dir}/${revision}.json`);
+        out.push({ rev: String(revision), revision, savedAt: file?.savedAt || '', message: '' });
+      }
+      return out;
+    },
+
+    async getRevision(username, evaluationId, rev) {
+      if (!REVISION_NUMBER.test(String(rev))) return null;
+      return unwrapEvaluation(await readJson(`${revisionDirPath(username, evaluationId)}/${rev}.json`));
+    },
+
+    async getDocument(username, name) {
+      return readJson(documentFilePath(username, name));
+    },
+
+    async saveDocument(username, name, doc) {
+      await writeJson(documentFilePath(username, name), doc);
+      return { path: `local:${documentFilePath(username, name).replace(/^users\//, '')}` };
+    },
+
+    async saveFeedback(entry) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const id = `${stamp}-${Math.random().toString(36).slice(2, 8)}`;
+      await writeJson(`feedback/${id}.json`, feedbackRecord(entry));
+      return { id, stored: 'local' };
+    },
+
+    async saveJob(job) {
+      await writeJson(`jobs/${safeJobId(job.id)}.json`, job);
+      return job;
+    },
+
+    async getJob(jobId) {
+      return readJson(`jobs/${safeJobId(jobId)}.json`);
+    }
+  });
+}
+
+module.exports = { createFileProvider };
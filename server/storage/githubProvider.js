@@ -0,0 +1,421 @@
+/**
+ * GitHub Data Repository Storage Provider
+ *
+ * Reads and writes JSON files in the data repository (DATA_REPO) through the
+ * GitHub Contents API, one commit per write. Evaluation files written by the
+ * CI workflows may be YAML; they are read but never written. Feedback becomes
+ * an issue in the main repository. Job records change several times per job,
+ * so they go to a separate store instead of becoming commits.
+ */
+
+// Support node-fetch v3 in CommonJS via dynamic import wrapper
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const {
+  sanitizePrefix,
+  userFilePath,
+  evaluationDirPath,
+  evaluationFilePath,
+  documentFilePath,
+  MAX_REVISIONS,
+  COMMIT_SHA,
+  evaluationFile,
+  unwrapEvaluation,
+  feedbackRecord
+} = require('./common');
+const { withDocumentStore } = require('./documentStore');
+
+/**
+ * Parse YAML evaluation files produced by CI workflows.
+ * Normalizes trait evaluations from array or object form into an array.
+ *
+ * Performance: O(n) over trait entries; memory O(n) for normalized list.
+ *
+ * Rationale: Use `js-yaml` for tolerant parsing across formatting variants
+ * and fall back to a minimal valid structure on errors.
+ *
+ * @param {string} yamlStr - Raw YAML content.
+ * @returns {Object} Minimal normalized evaluation object.
+ * @example
+ * // Returns object with `traitEvaluations: [{ section, trait, grade, ...}]`
+ */
+function parseEvaluationYamlMinimal(yamlStr) {
+  try {
+    // Parse YAML with js-yaml for robustness
+    const parsed = yaml.load(yamlStr);
+
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('Invalid YAML structure');
+    }
+
+    // Extract fields with safe defaults
+    const id = parsed.id || `eval-${crypto.randomBytes(8).toString('hex')}`;
+    const occasion = parsed.occasion || null;
+    const completedDate = parsed.completedDate || null;
+
+    // Parse and validate fitrepAverage (parseFloat handles undefined/null by returning NaN)
+    const numFitrep = parseFloat(parsed.fitrepAverage);
+    const fitrepAverage = Number.isFinite(numFitrep) ? String(numFitrep) : null;
+
+    const sectionIComments = parsed.sectionIComments || '';
+    const isAdverse = parsed.isAdverse === true;
+    const mroAcknowledgment = parsed.mroAcknowledgment || null;
+
+    // Marine info
+    const marine = parsed.marine || {};
+    const evaluationPeriod = marine.evaluationPeriod || {};
+    const unit = marine.unit || {};
+    const marineInfo = {
+      name: marine.name || '',
+      rank: marine.rank || '',
+      marineId: marine.marineId || '',
+      edipi: marine.edipi ? String(marine.edipi) : '',
+      pmos: marine.pmos ? String(marine.pmos) : '',
+      dutyStatus: marine.dutyStatus || '',
+      unit: { ruc: unit.ruc || '', mcc: unit.mcc || '' },
+      evaluationPeriod: {
+        from: evaluationPeriod.from || '',
+        to: evaluationPeriod.to || ''
+      }
+    };
+
+    // Section B billet and Reviewing Officer
+    const billet = parsed.billet || {};
+    const ro = parsed.ro || {};
+    const billetInfo = {
+      description: billet.description || '',
+      accomplishments: billet.accomplishments || ''
+    };
+    const roInfo = {
+      name: ro.name || '',
+      rank: ro.rank || '',
+      email: ro.email || ''
+    };
+
+    // RS info
+    const rs = parsed.rs || {};
+    const rsInfo = {
+      name: rs.name || '',
+      email: rs.email || '',
+      rank: rs.rank || ''
+    };
+
+    // Trait evaluations - handle both array and object formats
+    const traits = [];
+    const rawTraits = parsed.traitEvaluations;
+
+    // Normalize to array: handle both array and object (keyed by trait name) formats
+    const traitsList = Array.isArray(rawTraits)
+      ? rawTraits
+      : (rawTraits && typeof rawTraits === 'object' ? Object.values(rawTraits) : []);
+
+    for (const trait of traitsList) {
+      if (trait && typeof trait === 'object') {
+        traits.push({
+          section: trait.section || '',
+          trait: trait.trait || '',
+          grade: trait.grade || '',
+          gradeNumber: Number(trait.gradeNumber) || 0
+        });
+      }
+    }
+
+    return {
+      evaluationId: id,
+      occasion,
+      completedDate,
+      fitrepAverage,
+      marineInfo,
+      billet: billetInfo,
+      roInfo,
+      rsInfo,
+      sectionIComments,
+      isAdverse,
+      mroAcknowledgment,
+      traitEvaluations: traits,
+      syncStatus: 'synced'
+    };
+
+  } catch (error) {
+    console.error('YAML parsing error:', error.message);
+    // Return minimal valid structure on parse failure
+    return {
+      evaluationId: `eval-${crypto.randomBytes(8).toString('hex')}`,
+      occasion: null,
+      completedDate: null,
+      fitrepAverage: null,
+      marineInfo: {
+        name: '',
+        rank: '',
+        evaluationPeriod: { from: '', to: '' }
+      },
+      rsInfo: { name: '', email: '', rank: '' },
+      sectionIComments: '',
+      traitEvaluations: [],
+      syncStatus: 'synced'
+    };
+  }
+}
+
+/**
+ * Evaluation held in a data repository file, JSON or CI-written YAML.
+ * @param {string} name - File name (extension decides the format)
+ * @param {string} contentStr - File content
+ * @returns {Object|null}
+ */
+function parseEvaluationFile(name, contentStr) {
+  const ext = String(name || '').split('.').pop().toLowerCase();
+  if (ext === 'yml' || ext === 'yaml') {
+    return parseEvaluationYamlMinimal(contentStr || '');
+  }
+  try {
+    return unwrapEvaluation(JSON.parse(contentStr));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Issue body for a feedback submission.
+ * @param {Object} entry - Sanitized submission with `context`
+ * @returns {string}
+ */
+function feedbackIssueBody(entry) {
+  const context = entry.context || {};
+  return [
+    `Type: ${entry.type}`,
+    '',
+    'Description:',
+    entry.description,
+    '',
+    'Context:',
+    `- Route: ${context.route ? String(context.route) : ''}`,
+    `- User-Agent: ${context.userAgent ? String(context.userAgent) : ''}`,
+    `- Screen: ${context.screen ? String(context.screen) : ''}`,
+    `- Viewport: ${context.viewport ? String(context.viewport) : ''}`,
+    `- Theme: ${context.theme ? String(context.theme) : ''}`,
+    `- Timestamp: ${context.timestamp ? String(context.timestamp) : new Date().toISOString()}`,
+    entry.email ? `- Reporter Email: ${entry.email}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.token - Token with contents read/write on the data repo (FITREP_DATA)
+ * @param {string} options.repo - Data repository, owner/name
+ * @param {string} [options.issueRepo] - Repository for feedback issues
+ * @param {string} [options.issueToken] - Token for issue creation (defaults to `token`)
+ * @param {{saveJob: Function, getJob: Function}} [options.jobStore] - Keeps job records (server/jobs.js); without one they live only in that process
+ * @returns {import('./index').StorageProvider}
+ */
+function createGitHubProvider({ token, repo, issueRepo, issueToken, jobStore = null }) {
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'application/vnd.github.v3+json'
+  };
+  const contentsUrl = (relPath) => `https://api.github.com/repos/${repo}/contents/${relPath}`;
+
+  async function readFile(relPath, ref) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const resp = await fetch(`${contentsUrl(relPath)}${query}`, { headers });
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw new Error(`Read failed: ${await resp.text()}`);
+    const data = await resp.json();
+    return { text: Buffer.from(data.content || '', 'base64').toString('utf8'), sha: data.sha || '' };
+  }
+
+  async function readJson(relPath) {
+    const file = await readFile(relPath);
+    return file ? JSON.parse(file.text || '{}') : null;
+  }
+
+  async function listDir(relPath) {
+    const resp = await fetch(contentsUrl(relPath), { headers });
+    if (resp.status === 404) return [];
+    if (!resp.ok) throw new Error(`List failed: ${await resp.text()}`);
+    const items = await resp.json();
+    return Array.isArray(items) ? items.filter(i => i.type === 'file') : [];
+  }
+
+  async function writeText(relPath, str, message) {
+    const existing = await readFile(relPath);
+    const body = {
+      message: `${existing ? 'Update' : 'Create'} ${message} - ${new Date().toISOString()}`,
+      content: Buffer.from(str, 'utf8').toString('base64'),
+      branch: 'main',
+      ...(existing && existing.sha && { sha: existing.sha })
+    };
+    const resp = await fetch(contentsUrl(relPath), {
+      method: 'PUT',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!resp.ok) throw new Error(`Write failed: ${await resp.text()}`);
+    const result = await resp.json();
+    return { path: result?.content?.path || relPath, commit: result?.commit?.sha || null };
+  }
+
+  async function writeJson(relPath, obj, message) {
+    return writeText(relPath, JSON.stringify(obj, null, 2), message);
+  }
+
+  async function removeFile(relPath, message) {
+    const existing = await readFile(relPath);
+    if (!existing) return false;
+    const resp = await fetch(contentsUrl(relPath), {
+      method: 'DELETE',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: `${message} - ${new Date().toISOString()}`, sha: existing.sha, branch: 'main' })
+    });
+    if (!resp.ok) throw new Error(`Delete failed: ${await resp.text()}`);
+    return true;
+  }
+
+  async function findUser(username) {
+    const user = await readJson(userFilePath(username));
+    if (user) return user;
+    // Older accounts were saved with mixed-case file names
+    const target = `${sanitizePrefix(username)}.json`;
+    const match = (await listDir('users')).find(f => String(f.name).toLowerCase() === target);
+    return match ? readJson(match.path) : null;
+  }
+
+  return withDocumentStore({
+    name: 'github',
+
+    async listUsers() {
+      return (await listDir('users'))
+        .filter(f => /\.json$/i.test(f.name))
+        .map(f => f.name.replace(/\.json$/i, ''));
+    },
+
+    getUser: findUser,
+
+    async saveUser(username, user) {
+      return writeJson(userFilePath(username), user, 'profile via Server');
+    },
+
+    async renameUser(from, to) {
+      const user = await findUser(from);
+      if (!user) return false;
+      for (const f of await listDir(evaluationDirPath(from))) {
+        const file = await readFile(f.path);
+        if (!file) continue;
+        await writeText(`${evaluationDirPath(to)}/${f.name}`, file.text, `evaluation ${f.name} for ${sanitizePrefix(to)}`);
+        await removeFile(f.path, `Move evaluation ${f.name} to ${sanitizePrefix(to)}`);
+      }
+      await writeJson(userFilePath(to), user, 'profile via Server');
+      await removeFile(userFilePath(from), `Rename user ${sanitizePrefix(from)} to ${sanitizePrefix(to)}`);
+      return true;
+    },
+
+    async deleteUser(username) {
+      for (const f of await listDir(evaluationDirPath(username))) {
+        await removeFile(f.path, `Delete evaluation ${f.name}`);
+      }
+      return removeFile(userFilePath(username), `Delete user ${sanitizePrefix(username)}`);
+    },
+
+    async listEvaluations(username) {
+      const evaluations = [];
+      for (const f of await listDir(evaluationDirPath(username))) {
+        try {
+          const file = await readFile(f.path);
+          const ev = file ? parseEvaluationFile(f.name, file.text) : null;
+          if (ev) evaluations.push(ev);
+        } catch (_) { /* skip unreadable files */ }
+      }
+      return evaluations;
+    },
+
+    async getEvaluation(username, evaluationId) {
+      const relPath = evaluationFilePath(username, evaluationId);
+      const file = await readFile(relPath);
+      return file ? parseEvaluationFile(relPath, file.text) : null;
+    },
+
+    async saveEvaluation(username, evaluation) {
+      const result = await writeJson(
+        evaluationFilePath(username, evaluation.evaluationId),
+        evaluationFile(username, evaluation),
+        `evaluation ${evaluation.evaluationId} for ${username}`
+      );
+      return { ...result, revision: evaluation.revision };
+    },
+
+    async deleteEvaluation(username, evaluationId) {
+      return removeFile(evaluationFilePath(username, evaluationId), `Delete evaluation ${evaluationId}`);
+    },
+
+    // Each save is a commit to the evaluation file; `rev` is the commit SHA
+    revisionPattern: COMMIT_SHA,
+
+    async listRevisions(username, evaluationId) {
+      const relPath = evaluationFilePath(username, evaluationId);
+      const resp = await fetch(`https://api.github.com/repos/${repo}/commits?path=${encodeURIComponent(relPath)}&per_page=${MAX_REVISIONS}`, { headers });
+      if (!resp.ok) throw new Error(`History read failed: ${await resp.text()}`);
+      const commits = await resp.json();
+      return (Array.isArray(commits) ? commits : []).map(c => ({
+        rev: c.sha,
+        revision: null,
+        savedAt: c.commit?.committer?.date || c.commit?.author?.date || '',
+        message: c.commit?.message || ''
+      }));
+    },
+
+    async getRevision(username, evaluationId, rev) {
+      if (!COMMIT_SHA.test(String(rev))) return null;
+      const relPath = evaluationFilePath(username, evaluationId);
+      const file = await readFile(relPath, rev);
+      return file ? parseEvaluationFile(relPath, file.text) : null;
+    },
+
+    async getDocument(username, name) {
+      return readJson(documentFilePath(username, name));
+    },
+
+    async saveDocument(username, name, doc) {
+      return writeJson(documentFilePath(username, name), doc, `${name} for ${sanitizePrefix(username)}`);
+    },
+
+    async saveFeedback(entry) {
+      const record = feedbackRecord(entry);
+      const resp = await fetch(`https://api.github.com/repos/${issueRepo || repo}/issues`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${issueToken || token}`,
+          'Accept': 'application/vnd.github.v3+json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          title: `[Feedback] ${record.type}: ${record.title}`,
+          body: feedbackIssueBody(record),
+          labels: ['feedback', record.type]
+        })
+      });
+      if (!resp.ok) {
+        const err = new Error(`Issue create failed: ${await resp.text()}`);
+        err.status = resp.status;
+        throw err;
+      }
+      const data = await resp.json();
+      return { id: data.number, issueUrl: data.html_url, issueNumber: data.number };
+    },
+
+    async saveJob(job) {
+      return jobStore ? jobStore.saveJob(job) : job;
+    },
+
+    async getJob(jobId) {
+      return jobStore ? jobStore.getJob(jobId) : null;
+    }
+  });
+}
+
+module.exports = {
+  createGitHubProvider,
+  parseEvaluationYamlMinimal,
+  parseEvaluationFile,
+  feedbackIssueBody
+};
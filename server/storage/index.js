@@ -0,0 +1,126 @@
+/**
+ * Storage Providers
+ *
+ * One interface for users, evaluations, per-user collections, RO reviews,
+ * feedback and jobs, with three backends behind it:
+ * - Supabase (./supabaseProvider.js)
+ * - GitHub data repository (./githubProvider.js)
+ * - Embedded JSON files under LOCAL_DATA_DIR (./fileProvider.js)
+ *
+ * STORAGE_MODE picks the provider: `supabase` when Supabase is configured,
+ * `local` for the embedded files, otherwise GitHub when FITREP_DATA is set
+ * and the embedded files when it is not. The account, profile, evaluation,
+ * collection, RO review and feedback routes, sign-in outside Supabase and
+ * jobs (server/jobs.js) go through this interface in every mode; tests
+ * swap in their own provider with setStorageProvider(). Supabase accounts
+ * are still created and signed in through Supabase Auth
+ * (server/authRoutes.js). Export archives (./archiveProvider.js) implement
+ * the same interface for scripts/migrate-storage.js.
+ *
+ * Usernames, or Supabase account emails, are the account key; evaluations
+ * are in the frontend shape. Methods throw on backend errors and resolve to
+ * null/false when a record does not exist. The file, GitHub and archive
+ * providers keep collections and RO reviews in per-user documents
+ * (./documentStore.js).
+ */
+
+const os = require('os');
+const path = require('path');
+const { getStorageMode, isSupabaseAvailable } = require('../supabaseClient');
+const { createFileProvider } = require('./fileProvider');
+const { createGitHubProvider } = require('./githubProvider');
+const { createSupabaseProvider } = require('./supabaseProvider');
+const { createArchiveProvider } = require('./archiveProvider');
+
+/**
+ * @typedef {Object} StorageProvider
+ * @property {string} name - 'file', 'github' or 'supabase'
+ * @property {function(): Promise<string[]>} listUsers - Usernames of every account
+ * @property {function(string): Promise<Object|null>} getUser - User record, with passwordHash
+ * @property {function(string, Object): Promise<Object>} saveUser - Create or replace a user record
+ * @property {function(string, string): Promise<boolean>} renameUser - Move a user and their evaluations to a new username; false when there is no such user
+ * @property {function(string): Promise<boolean>} deleteUser - Remove a user and their evaluations
+ * @property {function(string): Promise<Object[]>} listEvaluations - A user's evaluations
+ * @property {function(string, string): Promise<Object|null>} getEvaluation - One of a user's evaluations
+ * @property {function(string, Object): Promise<{revision: number}>} saveEvaluation - Create or replace an evaluation; `evaluation.revision` is already set
+ * @property {function(string, string): Promise<boolean>} deleteEvaluation - Remove one of a user's evaluations
+ * @property {RegExp} revisionPattern - Form of the `rev` identifiers below
+ * @property {function(string, string): Promise<Object[]>} listRevisions - An evaluation's saved revisions, newest first: { rev, revision, savedAt, message }
+ * @property {function(string, string, string): Promise<Object|null>} getRevision - An evaluation as saved at `rev`
+ * @property {function(string, string): Promise<Object[]>} listItems - A per-user collection (`bullets`, `counseling`, `journal`, `calendar`, `merit`)
+ * @property {function(string, string, Object): Promise<Object>} addItem - Add an item to a collection; returns it as stored
+ * @property {function(string, string, string, Object): Promise<Object|null>} updateItem - Merge changes into the item with that `id`
+ * @property {function(string, string, Object): Promise<Object>} putItem - Create or replace an order-of-merit list by `cycleKey`
+ * @property {function(string, string, string): Promise<boolean>} deleteItem - Remove the item with that `id`
+ * @property {function(string, string, Object[]): Promise<Object[]>} replaceItems - Replace a whole collection (calendar transfers)
+ * @property {function(string, string, string): Promise<Object>} routeToRo - Route one of a user's evaluations to an RO account (email or username); errors carry a `status`
+ * @property {function(string, string): Promise<Object|null>} getRoReview - RO review of an evaluation the user wrote or was routed
+ * @property {function(string, Object): Promise<Object|null>} completeRoReview - Record the RO's review by review ID; null when it is no longer pending
+ * @property {function(string): Promise<Object[]>} getRoInbox - Reviews routed to an RO, newest first, each with its `evaluation`
+ * @property {function(Object): Promise<{id: string|number}>} saveFeedback - Store a feedback submission
+ * @property {function(Object): Promise<Object>} saveJob - Create or replace a job record (server/jobs.js)
+ * @property {function(string): Promise<Object|null>} getJob - Job record
+ */
+
+const DATA_REPO = process.env.DATA_REPO || 'SemperAdmin/Fitness-Report-Evaluator-Data';
+const LOCAL_BASE_DIR = process.env.LOCAL_DATA_DIR || path.join(os.tmpdir(), 'fitrep-local');
+
+let currentProvider = null;
+
+/**
+ * Build the provider for a storage mode.
+ * @param {string} mode - 'supabase', 'github' or 'local'
+ * @returns {StorageProvider}
+ */
+function createStorageProvider(mode) {
+  const token = process.env.FITREP_DATA || '';
+  const mainRepo = process.env.MAIN_REPO || 'SemperAdmin/Fitness-Report-Evaluator';
+  const github = token ? createGitHubProvider({
+    token,
+    repo: DATA_REPO,
+    issueRepo: process.env.GITHUB_REPO || mainRepo,
+    issueToken: process.env.GITHUB_TOKEN || process.env.DISPATCH_TOKEN || token,
+    jobStore: createFileProvider({ baseDir: LOCAL_BASE_DIR })
+  }) : null;
+  if (mode === 'supabase' && isSupabaseAvailable()) {
+    const supabaseOnly = String(process.env.SUPABASE_ONLY || 'false').toLowerCase() === 'true';
+    const dispatchToken = process.env.DISPATCH_TOKEN || '';
+    return createSupabaseProvider({
+      mirror: github,
+      dispatch: dispatchToken && !supabaseOnly ? { token: dispatchToken, repo: mainRepo } : null
+    });
+  }
+  if (mode !== 'local' && github) {
+    return github;
+  }
+  return createFileProvider({ baseDir: LOCAL_BASE_DIR });
+}
+
+/**
+ * Provider for the configured STORAGE_MODE, created on first use.
+ * @returns {StorageProvider}
+ */
+function getStorageProvider() {
+  if (!currentProvider) {
+    currentProvider = createStorageProvider(getStorageMode());
+  }
+  return currentProvider;
+}
+
+/**
+ * Replace the provider (tests, scripts). Pass null to go back to STORAGE_MODE.
+ * @param {StorageProvider|null} provider
+ */
+function setStorageProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = {
+  createStorageProvider,
+  getStorageProvider,
+  setStorageProvider,
+  createFileProvider,
+  createGitHubProvider,
+  createSupabaseProvider,
+  createArchiveProvider
+};
@@ -0,0 +1,485 @@
+/**
+ * Storage Migration
+ *
+ * Copies users, their evaluations and their per-user collections (bullets,
+ * counseling, journal, calendar, order of merit) between any two storage
+ * providers (./index.js backends or an export archive), reads every copy back
+ * to check it, and reconciles the two sides afterwards. Revision history is
+ * not copied: the destination starts from each evaluation's current version.
+ *
+ * Records are compared by a checksum over their portable fields, the ones
+ * every backend keeps the same way. Backend bookkeeping (revision numbers,
+ * save timestamps, row ids, sync status) is left out, so a report copied
+ * from Supabase to files and back still matches.
+ *
+ * Users are passed to both providers as the source names them (a Supabase
+ * account may be an email address); each provider maps them to its own keys.
+ *
+ * Progress is written to a state file after every record. A run started with
+ * `resume` skips records the state file says were already copied with the
+ * same checksum, and copies again any that changed since.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fsp = require('fs/promises');
+const { COLLECTIONS } = require('./documentStore');
+
+const STATE_VERSION = 1;
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+/**
+ * JSON with object keys sorted, so equal records hash equally.
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  // js-yaml loads unquoted dates as Date objects
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'object' ? stableStringify(value) : String(value);
+}
+
+// Supabase returns timestamps for date columns
+function dateOnly(value) {
+  const s = text(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : s;
+}
+
+function average(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n.toFixed(2) : '';
+}
+
+/**
+ * User fields every backend keeps.
+ * @param {Object} user - User record
+ * @returns {Object}
+ */
+function portableUser(user) {
+  return {
+    rsName: text(user?.rsName),
+    rsRank: text(user?.rsRank),
+    passwordHash: text(user?.passwordHash)
+  };
+}
+
+function portableAcknowledgment(ack) {
+  if (!ack || typeof ack !== 'object') return null;
+  return {
+    acknowledged: ack.acknowledged === true,
+    date: dateOnly(ack.date),
+    statementIntent: text(ack.statementIntent)
+  };
+}
+
+// RO review as server/supabaseService.js formats it; the RO by account email
+function portableRoReview(review) {
+  if (!review || typeof review !== 'object') return null;
+  return {
+    status: text(review.status),
+    concurrence: text(review.concurrence),
+    comparativeAssessment: text(review.comparativeAssessment),
+    comments: text(review.comments),
+    ro: text(review.ro?.email).toLowerCase()
+  };
+}
+
+/**
+ * Evaluation fields every backend keeps. Traits are keyed by name and sorted,
+ * since the frontend keeps them in an object and Supabase and the CI files in
+ * a list.
+ * @param {Object} evaluation - Evaluation (frontend shape)
+ * @returns {Object}
+ */
+function portableEvaluation(evaluation) {
+  const marine = evaluation?.marineInfo || {};
+  const period = marine.evaluationPeriod || {};
+  const billet = evaluation?.billet || {};
+  const ro = evaluation?.roInfo || {};
+  const rawTraits = evaluation?.traitEvaluations;
+  const traits = Array.isArray(rawTraits)
+    ? rawTraits
+    : (rawTraits && typeof rawTraits === 'object' ? Object.values(rawTraits) : []);
+  return {
+    evaluationId: text(evaluation?.evaluationId),
+    occasion: text(evaluation?.occasion),
+    completedDate: dateOnly(evaluation?.completedDate),
+    fitrepAverage: average(evaluation?.fitrepAverage),
+    marineName: text(marine.name),
+    marineRank: text(marine.rank),
+    marineId: text(marine.marineId),
+    edipi: text(marine.edipi),
+    pmos: text(marine.pmos),
+    periodFrom: dateOnly(period.from),
+    periodTo: dateOnly(period.to),
+    billetDescription: text(billet.description),
+    billetAccomplishments: text(billet.accomplishments),
+    roName: text(ro.name),
+    roRank: text(ro.rank),
+    roEmail: text(ro.email),
+    rsName: text(evaluation?.rsInfo?.name),
+    sectionIComments: text(evaluation?.sectionIComments),
+    directedComments: text(evaluation?.directedComments),
+    isAdverse: evaluation?.isAdverse === true,
+    mroAcknowledgment: portableAcknowledgment(evaluation?.mroAcknowledgment),
+    roReview: portableRoReview(evaluation?.roReview),
+    traits: traits
+      .filter(t => t && typeof t === 'object')
+      .map(t => ({ trait: text(t.trait), grade: text(t.grade), justification: text(t.justification) }))
+      .sort((a, b) => a.trait.localeCompare(b.trait))
+  };
+}
+
+/**
+ * Collection item without the IDs and timestamps each backend assigns.
+ * @param {Object} item - Collection item
+ * @returns {Object}
+ */
+function portableItem(item) {
+  const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...rest } = item || {};
+  return rest;
+}
+
+/**
+ * A collection's items in a fixed order, since backends list them by their
+ * own timestamps.
+ * @param {Object[]} items - Collection items
+ * @returns {{items: string[]}}
+ */
+function portableCollection(items) {
+  return { items: items.map(item => stableStringify(portableItem(item))).sort() };
+}
+
+/**
+ * SHA-256 of a portable record.
+ * @param {Object} record - Output of portableUser or portableEvaluation
+ * @returns {string} Hex digest
+ */
+function checksum(record) {
+  return crypto.createHash('sha256').update(stableStringify(record)).digest('hex');
+}
+
+/**
+ * Portable fields that differ between two records.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]}
+ */
+function diffFields(a, b) {
+  return Object.keys(a).filter(key => stableStringify(a[key]) !== stableStringify(b[key]));
+}
+
+async function readState(statePath) {
+  try {
+    return JSON.parse(await fsp.readFile(statePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeState(statePath, state) {
+  state.updatedAt = new Date().toISOString();
+  await fsp.mkdir(path.dirname(path.resolve(statePath)), { recursive: true });
+  const tmp = `${statePath}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(state, null, 2), 'utf8');
+  await fsp.rename(tmp, statePath);
+}
+
+async function selectUsers(provider, users) {
+  if (Array.isArray(users) && users.length) return users.map(String);
+  return (await provider.listUsers()).map(String);
+}
+
+/**
+ * Write a collection's items to the destination. Calendar dates are replaced
+ * and merit lists saved per cycle; bullets, counseling and journal entries
+ * get new IDs on some backends, so only items the destination does not hold
+ * yet are added.
+ * @param {import('./index').StorageProvider} destination
+ * @param {string} username
+ * @param {string} collection
+ * @param {Object[]} items - Source items, newest first
+ */
+async function copyItems(destination, username, collection, items) {
+  if (collection === 'calendar') {
+    await destination.replaceItems(username, collection, items);
+    return;
+  }
+  if (collection === 'merit') {
+    for (const item of items) await destination.putItem(username, collection, item);
+    return;
+  }
+  const held = (await destination.listItems(username, collection)).map(item => stableStringify(portableItem(item)));
+  // addItem() puts an item first, so add the oldest first
+  for (const item of [...items].reverse()) {
+    const at = held.indexOf(stableStringify(portableItem(item)));
+    if (at >= 0) held.splice(at, 1);
+    else await destination.addItem(username, collection, item);
+  }
+}
+
+const counter = () => ({ copied: 0, skipped: 0, failed: 0 });
+
+/**
+ * Copy users, their evaluations and their collections from one provider to
+ * another.
+ *
+ * Every copy is read back from the destination and its checksum compared to
+ * the source's; a mismatch counts as a failure and is not recorded in the
+ * state file, so a resumed run tries it again.
+ *
+ * @param {Object} options
+ * @param {import('./index').StorageProvider} options.source
+ * @param {import('./index').StorageProvider} options.destination
+ * @param {string} options.from - Source label, kept in the state file
+ * @param {string} options.to - Destination label, kept in the state file
+ * @param {string[]} [options.users] - Usernames or account emails to copy (default: all in source)
+ * @param {boolean} [options.usersOnly] - Skip evaluations and collections
+ * @param {boolean} [options.dryRun] - Read only; count what would be copied
+ * @param {string} [options.statePath] - Progress file
+ * @param {boolean} [options.resume] - Continue from the progress file
+ * @param {function(string): void} [options.log] - Progress messages
+ * @returns {Promise<{users: Object, evaluations: Object, collections: Object, errors: Object[]}>}
+ */
+async function migrateStorage({
+  source,
+  destination,
+  from,
+  to,
+  users,
+  usersOnly = false,
+  dryRun = false,
+  statePath,
+  resume = false,
+  log = () => {}
+}) {
+  let state = null;
+  if (resume && statePath) {
+    state = await readState(statePath);
+    if (state && (state.from !== from || state.to !== to)) {
+      throw new Error(`${statePath} is for ${state.from} -> ${state.to}, not ${from} -> ${to}`);
+    }
+  }
+  if (!state) {
+    state = { version: STATE_VERSION, from, to, startedAt: new Date().toISOString(), done: {} };
+  }
+
+  const stats = { users: counter(), evaluations: counter(), collections: counter(), errors: [] };
+
+  // Returns whether the record is present at the destination afterwards
+  async function copy(kind, key, record, portable, write, readBack) {
+    const sum = checksum(portable(record));
+    if (state.done[key] === sum) {
+      stats[kind].skipped++;
+      log(`skip ${key} (already copied)`);
+      return true;
+    }
+    if (dryRun) {
+      stats[kind].copied++;
+      log(`would copy ${key}`);
+      return true;
+    }
+    try {
+      await write();
+    } catch (err) {
+      stats[kind].failed++;
+      stats.errors.push({ key, error: err.message });
+      log(`failed ${key}: ${err.message}`);
+      return false;
+    }
+    const copied = await readBack().catch(() => null);
+    if (!copied || checksum(portable(copied)) !== sum) {
+      stats[kind].failed++;
+      const fields = copied ? diffFields(portable(record), portable(copied)) : [];
+      stats.errors.push({ key, error: 'Checksum mismatch after copy', fields });
+      log(`failed ${key}: checksum mismatch`);
+      return Boolean(copied);
+    }
+    stats[kind].copied++;
+    state.done[key] = sum;
+    if (statePath) await writeState(statePath, state);
+    log(`copied ${key}`);
+    return true;
+  }
+
+  for (const username of await selectUsers(source, users)) {
+    let user = null;
+    let lookupError = 'User not found in source';
+    try {
+      user = await source.getUser(username);
+    } catch (err) {
+      lookupError = err.message;
+    }
+    if (!user) {
+      stats.users.failed++;
+      stats.errors.push({ key: `user:${username}`, error: lookupError });
+      continue;
+    }
+
+    const present = await copy(
+      'users',
+      `user:${username}`,
+      user,
+      portableUser,
+      () => destination.saveUser(username, user),
+      () => destination.getUser(username)
+    );
+    if (!present || usersOnly) continue;
+
+    let evaluations;
+    try {
+      evaluations = await source.listEvaluations(username);
+    } catch (err) {
+      stats.errors.push({ key: `evaluations:${username}`, error: err.message });
+      continue;
+    }
+    for (const evaluation of evaluations) {
+      if (!evaluation || !evaluation.evaluationId) continue;
+      await copy(
+        'evaluations',
+        `evaluation:${username}/${evaluation.evaluationId}`,
+        evaluation,
+        portableEvaluation,
+        () => destination.saveEvaluation(username, evaluation),
+        () => destination.getEvaluation(username, evaluation.evaluationId)
+      );
+    }
+
+    for (const collection of COLLECTION_NAMES) {
+      let items;
+      try {
+        items = await source.listItems(username, collection);
+      } catch (err) {
+        stats.errors.push({ key: `${collection}:${username}`, error: err.message });
+        continue;
+      }
+      if (!items.length) continue;
+      await copy(
+        'collections',
+        `${collection}:${username}`,
+        items,
+        portableCollection,
+        () => copyItems(destination, username, collection, items),
+        () => destination.listItems(username, collection)
+      );
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Compare source and destination record by record.
+ *
+ * `missing` records are in the source only, `extra` ones in the destination
+ * only, `differs` lists the portable fields that do not match. A collection
+ * is one record, compared item by item.
+ *
+ * @param {Object} options
+ * @param {import('./index').StorageProvider} options.source
+ * @param {import('./index').StorageProvider} options.destination
+ * @param {string[]} [options.users] - Usernames or account emails to compare (default: all on both sides)
+ * @param {boolean} [options.usersOnly] - Skip evaluations and collections
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcileStorage({ source, destination, users, usersOnly = false }) {
+  const tally = () => ({ matched: 0, differs: 0, missing: 0, extra: 0 });
+  const report = {
+    generatedAt: new Date().toISOString(),
+    users: tally(),
+    evaluations: tally(),
+    collections: tally(),
+    differences: []
+  };
+
+  function compare(kind, entry, a, b, portable) {
+    let status;
+    let fields;
+    if (a && !b) status = 'missing';
+    else if (!a && b) status = 'extra';
+    else {
+      const pa = portable(a);
+      const pb = portable(b);
+      if (checksum(pa) === checksum(pb)) status = 'matched';
+      else {
+        status = 'differs';
+        fields = diffFields(pa, pb);
+      }
+    }
+    report[kind][status]++;
+    if (status !== 'matched') {
+      report.differences.push({ ...entry, status, ...(fields && { fields }) });
+    }
+  }
+
+  let usernames;
+  if (Array.isArray(users) && users.length) {
+    usernames = await selectUsers(source, users);
+  } else {
+    const all = new Set([...(await selectUsers(source)), ...(await selectUsers(destination))]);
+    usernames = [...all].sort();
+  }
+
+  for (const username of usernames) {
+    const [a, b] = await Promise.all([source.getUser(username), destination.getUser(username)]);
+    if (!a && !b) continue;
+    compare('users', { record: 'user', username }, a, b, portableUser);
+    if (usersOnly) continue;
+
+    const byId = (list) => new Map(list.filter(ev => ev && ev.evaluationId).map(ev => [String(ev.evaluationId), ev]));
+    const [sourceEvals, destEvals] = await Promise.all([
+      a ? source.listEvaluations(username).then(byId) : new Map(),
+      b ? destination.listEvaluations(username).then(byId) : new Map()
+    ]);
+    const ids = [...new Set([...sourceEvals.keys(), ...destEvals.keys()])].sort();
+    for (const evaluationId of ids) {
+      compare(
+        'evaluations',
+        { record: 'evaluation', username, evaluationId },
+        sourceEvals.get(evaluationId),
+        destEvals.get(evaluationId),
+        portableEvaluation
+      );
+    }
+
+    for (const collection of COLLECTION_NAMES) {
+      const [sourceItems, destItems] = await Promise.all([
+        a ? source.listItems(username, collection) : [],
+        b ? destination.listItems(username, collection) : []
+      ]);
+      if (!sourceItems.length && !destItems.length) continue;
+      compare(
+        'collections',
+        { record: 'collection', username, collection },
+        sourceItems.length ? sourceItems : null,
+        destItems.length ? destItems : null,
+        portableCollection
+      );
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  migrateStorage,
+  reconcileStorage,
+  portableUser,
+  portableEvaluation,
+  portableItem,
+  checksum,
+  stableStringify
+};
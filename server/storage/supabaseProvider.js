@@ -0,0 +1,375 @@
+/**
+ * Supabase Storage Provider
+ *
+ * Adapts server/supabaseService.js ({ data, error } results, table rows) to
+ * the storage provider interface: records come back in the same shape the
+ * file and GitHub providers store, and errors are thrown.
+ *
+ * Evaluations carry their RO review (`roReview`, from the `ro_reviews`
+ * table), so a migration moves it with the report; saving a report with a
+ * review that is not in Supabase yet routes it and records the outcome.
+ * The per-user collections have their own tables (bullets, counseling,
+ * journal, calendar transfers, order of merit).
+ *
+ * The server's provider also keeps the GitHub data repository in step when
+ * one is configured: profiles are copied to it, and each saved evaluation
+ * triggers the `save-evaluation` workflow (DISPATCH_TOKEN; off with
+ * SUPABASE_ONLY=true).
+ */
+
+// Support node-fetch v3 in CommonJS via dynamic import wrapper
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const service = require('../supabaseService');
+const { isSameUser } = require('../sessionUser');
+const { sanitizePrefix, feedbackRecord, storageError, REVISION_NUMBER } = require('./common');
+
+// PostgREST code for `.single()` matching no row
+const NO_ROWS = 'PGRST116';
+
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+// supabaseService functions behind each per-user collection, looked up per call
+const COLLECTION_FUNCTIONS = {
+  bullets: { list: 'getBulletsByUser', add: 'createBullet', remove: 'deleteBullet' },
+  counseling: {
+    list: 'getCounselingByUser',
+    add: 'createCounselingEntry',
+    update: 'updateCounselingEntry',
+    remove: 'deleteCounselingEntry'
+  },
+  journal: {
+    list: 'getJournalByUser',
+    add: 'createJournalEntry',
+    update: 'updateJournalEntry',
+    remove: 'deleteJournalEntry'
+  },
+  calendar: { list: 'getTransfersByUser', replace: 'replaceTransfers' },
+  merit: { list: 'getOrderOfMeritByUser', put: 'saveOrderOfMeritList' }
+};
+
+function collectionCall(collection, op) {
+  const name = COLLECTION_FUNCTIONS[collection]?.[op];
+  if (!name) throw new Error(`No ${op} for collection ${collection}`);
+  return (...args) => service[name](...args);
+}
+
+// routeEvaluationToRo() reports refusals as plain messages
+function routeError(error) {
+  const msg = String(error?.message || '');
+  if (/not found/i.test(msg)) return storageError(msg, 404);
+  if (/already been reviewed/i.test(msg)) return storageError(msg, 409);
+  if (/must differ/i.test(msg)) return storageError(msg, 400);
+  return error;
+}
+
+/**
+ * fit_users row in the user file shape (server.js `buildUserDataJson`).
+ * @param {Object} row - fit_users row
+ * @returns {Object}
+ */
+function toUserRecord(row) {
+  const username = row.username || sanitizePrefix(String(row.rs_email || '').split('@')[0]);
+  const user = {
+    rsEmail: username,
+    rsName: row.rs_name || '',
+    rsRank: row.rs_rank || '',
+    branch: row.branch || 'USMC',
+    contactEmail: row.rs_email || '',
+    username,
+    full_name: row.rs_name || '',
+    rank: row.rs_rank || '',
+    createdDate: row.created_date || null,
+    lastUpdated: row.last_updated || null
+  };
+  if (row.password_hash) user.passwordHash = row.password_hash;
+  return user;
+}
+
+/**
+ * Flatten a frontend evaluation into the record saveEvaluation() stores. The
+ * owner is always `userEmail` (the session account), never the client's
+ * `rsInfo.email`.
+ * @param {Object} ev - Evaluation (frontend shape; traits as a map or a list)
+ * @param {string} userEmail - Owner
+ * @param {number} [baseRevision] - Revision the client edited from
+ * @returns {Object}
+ */
+function toSaveData(ev, userEmail, baseRevision) {
+  return {
+    rsEmail: userEmail,
+    rsName: ev?.rsInfo?.name || '',
+    rsRank: ev?.rsInfo?.rank || '',
+    evaluationId: ev?.evaluationId,
+    occasion: ev?.occasion,
+    completedDate: ev?.completedDate,
+    fitrepAverage: ev?.fitrepAverage,
+    marineInfo: ev?.marineInfo || {},
+    billet: ev?.billet || {},
+    roInfo: ev?.roInfo || {},
+    sectionIComments: ev?.sectionIComments || '',
+    directedComments: ev?.directedComments || '',
+    isAdverse: ev?.isAdverse === true,
+    mroAcknowledgment: ev?.mroAcknowledgment || null,
+    traitEvaluations: Array.isArray(ev?.traitEvaluations)
+      ? ev.traitEvaluations
+      : (ev?.traitEvaluations && typeof ev.traitEvaluations === 'object'
+        ? Object.values(ev.traitEvaluations)
+        : []),
+    rsInfo: { name: '', rank: '', ...(ev?.rsInfo || {}), email: userEmail },
+    savedAt: ev?.savedAt || new Date().toISOString(),
+    syncStatus: ev?.syncStatus || 'synced',
+    baseRevision,
+  };
+}
+
+/**
+ * Trigger the data repository's save-evaluation workflow for a saved record.
+ * Failures are logged; the Supabase save stands.
+ * @param {{token: string, repo: string}} dispatch - DISPATCH_TOKEN and MAIN_REPO
+ * @param {Object} saveData - toSaveData() record
+ */
+async function dispatchSave(dispatch, saveData) {
+  const { rsName, rsEmail, rsRank } = saveData;
+  try {
+    const resp = await fetch(`https://api.github.com/repos/${dispatch.repo}/dispatches`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${dispatch.token}`,
+        'Accept': 'application/vnd.github+json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        event_type: 'save-evaluation',
+        client_payload: {
+          evaluation: {
+            evaluationId: saveData.evaluationId,
+            occasion: saveData.occasion,
+            completedDate: saveData.completedDate,
+            fitrepAverage: saveData.fitrepAverage,
+            marineInfo: saveData.marineInfo,
+            billet: saveData.billet,
+            roInfo: saveData.roInfo,
+            rsInfo: { rsName, rsEmail, rsRank },
+            sectionIComments: saveData.sectionIComments,
+            directedComments: saveData.directedComments,
+            isAdverse: saveData.isAdverse,
+            mroAcknowledgment: saveData.mroAcknowledgment,
+            traitEvaluations: saveData.traitEvaluations,
+          },
+          createdBy: { name: rsName, email: rsEmail, rank: rsRank },
+        },
+      }),
+    });
+    if (!resp.ok) {
+      console.error('⚠ GitHub workflow dispatch failed:', await resp.text());
+    }
+  } catch (err) {
+    console.error('⚠ GitHub workflow dispatch error:', err.message);
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {import('./index').StorageProvider} [options.mirror] - GitHub provider that receives profile copies
+ * @param {{token: string, repo: string}} [options.dispatch] - Workflow to run after each evaluation save
+ * @returns {import('./index').StorageProvider}
+ */
+function createSupabaseProvider({ mirror = null, dispatch = null } = {}) {
+  async function getRecord(username, evaluationId) {
+    const { data, error } = await service.getEvaluationById(evaluationId);
+    if (error && error.code === NO_ROWS) return null;
+    if (error) throw error;
+    return data && isSameUser(username, data.rsEmail) ? data : null;
+  }
+
+  // A review carried in from another backend; one already here stands
+  async function copyRoReview(evaluation) {
+    const review = evaluation.roReview;
+    if (!review?.ro?.email || unwrap(await service.getRoReview(evaluation.evaluationId))) return;
+    const routed = unwrap(await service.routeEvaluationToRo(evaluation.evaluationId, review.ro.email));
+    if (review.status === 'completed') {
+      unwrap(await service.completeRoReview(routed.id, review));
+    }
+  }
+
+  async function findRow(username) {
+    const row = unwrap(await service.getUserByEmail(username));
+    if (row || String(username).includes('@')) return row;
+    // Accounts created without an address carry the ensureUserExists() placeholder
+    return unwrap(await service.getUserByEmail(`${sanitizePrefix(username)}@local.dev`));
+  }
+
+  return {
+    name: 'supabase',
+
+    async listUsers() {
+      return unwrap(await service.listUsers()).map(row => toUserRecord(row).username);
+    },
+
+    async getUser(username) {
+      const row = await findRow(username);
+      if (!row) return null;
+      const user = toUserRecord(row);
+      if (mirror && (!user.contactEmail.includes('@') || user.contactEmail.endsWith('@local.dev'))) {
+        try {
+          const copy = await mirror.getUser(user.username);
+          if (copy && String(copy.contactEmail || '').includes('@')) user.contactEmail = copy.contactEmail;
+        } catch (_) { /* the Supabase record stands */ }
+      }
+      return user;
+    },
+
+    async saveUser(username, user) {
+      const existing = await findRow(username);
+      let identifier = existing ? existing.rs_email : username;
+      if (!existing) {
+        // Same placeholder address ensureUserExists() gives accounts without one
+        const contact = String(user.contactEmail || '');
+        identifier = contact.includes('@') ? contact : `${sanitizePrefix(username)}@local.dev`;
+        unwrap(await service.createUser({
+          email: identifier,
+          name: user.rsName,
+          rank: user.rsRank,
+          passwordHash: user.passwordHash
+        }));
+      }
+      const row = unwrap(await service.updateUser(identifier, {
+        rsName: user.rsName,
+        rsRank: user.rsRank,
+        contactEmail: user.contactEmail,
+        username: user.username || sanitizePrefix(username)
+      }));
+      if (mirror) {
+        const { passwordHash: _passwordHash, ...copy } = user;
+        try {
+          await mirror.saveUser(copy.username || username, copy);
+        } catch (err) {
+          console.warn('profile copy to the data repository failed:', err?.message || err);
+        }
+      }
+      return { path: null, id: row?.id || null };
+    },
+
+    async renameUser(from, to) {
+      const row = await findRow(from);
+      if (!row) return false;
+      unwrap(await service.updateUserEmail(row.rs_email, to));
+      return true;
+    },
+
+    async deleteUser(username) {
+      const row = await findRow(username);
+      return row ? unwrap(await service.deleteUser(row.rs_email)) : false;
+    },
+
+    async listEvaluations(username) {
+      const evaluations = unwrap(await service.getFullEvaluationsByUser(username)).map(obj => obj.evaluation);
+      const reviews = unwrap(await service.getRoReviewsByRs(username)) || {};
+      return evaluations.map(ev => (reviews[ev.evaluationId] ? { ...ev, roReview: reviews[ev.evaluationId] } : ev));
+    },
+
+    async getEvaluation(username, evaluationId) {
+      const record = await getRecord(username, evaluationId);
+      if (!record) return null;
+      const review = unwrap(await service.getRoReview(evaluationId));
+      return review ? { ...record.evaluation, roReview: review } : record.evaluation;
+    },
+
+    async saveEvaluation(username, evaluation) {
+      // Evaluation IDs are unique across accounts here, unlike the per-user
+      // file layouts, so an ID held by another RS must not be overwritten
+      const { data: existing, error } = await service.getEvaluationById(evaluation.evaluationId);
+      if (error && error.code !== NO_ROWS) throw error;
+      if (existing && !isSameUser(username, existing.rsEmail)) {
+        throw storageError('Cannot save evaluation for another user', 403);
+      }
+      const saveData = toSaveData(evaluation, username);
+      const saved = unwrap(await service.saveEvaluation(saveData));
+      await copyRoReview(evaluation);
+      if (dispatch) {
+        await dispatchSave(dispatch, saveData);
+      }
+      return { path: null, revision: Number(saved?.revision) || evaluation.revision };
+    },
+
+    async deleteEvaluation(username, evaluationId) {
+      if (!(await getRecord(username, evaluationId))) return false;
+      return unwrap(await service.deleteEvaluation(evaluationId));
+    },
+
+    async listItems(username, collection) {
+      return unwrap(await collectionCall(collection, 'list')(username)) || [];
+    },
+
+    async addItem(username, collection, item) {
+      return unwrap(await collectionCall(collection, 'add')(username, item));
+    },
+
+    async updateItem(username, collection, id, changes) {
+      return unwrap(await collectionCall(collection, 'update')(username, id, changes));
+    },
+
+    async putItem(username, collection, item) {
+      return unwrap(await collectionCall(collection, 'put')(username, item));
+    },
+
+    async deleteItem(username, collection, id) {
+      return Boolean(unwrap(await collectionCall(collection, 'remove')(username, id)));
+    },
+
+    async replaceItems(username, collection, items) {
+      return unwrap(await collectionCall(collection, 'replace')(username, items)) || [];
+    },
+
+    async routeToRo(username, evaluationId, roIdentifier) {
+      if (!(await getRecord(username, evaluationId))) throw storageError('Evaluation not found', 404);
+      const { data, error } = await service.routeEvaluationToRo(evaluationId, roIdentifier);
+      if (error) throw routeError(error);
+      return data;
+    },
+
+    // Evaluation IDs are unique here; the caller checks the RS or RO is asking
+    async getRoReview(username, evaluationId) {
+      return unwrap(await service.getRoReview(evaluationId));
+    },
+
+    async completeRoReview(id, value) {
+      return unwrap(await service.completeRoReview(id, value));
+    },
+
+    async getRoInbox(username) {
+      return unwrap(await service.getRoInbox(username)) || [];
+    },
+
+    revisionPattern: REVISION_NUMBER,
+
+    async listRevisions(username, evaluationId) {
+      if (!(await getRecord(username, evaluationId))) return [];
+      return unwrap(await service.getEvaluationRevisions(evaluationId)).map(r => ({ ...r, message: '' }));
+    },
+
+    async getRevision(username, evaluationId, rev) {
+      if (!REVISION_NUMBER.test(String(rev)) || !(await getRecord(username, evaluationId))) return null;
+      const data = unwrap(await service.getEvaluationRevision(evaluationId, Number(rev)));
+      return data ? data.evaluation : null;
+    },
+
+    async saveFeedback(entry) {
+      const data = unwrap(await service.createFeedback(feedbackRecord(entry)));
+      return { id: data.id, stored: 'supabase' };
+    },
+
+    async saveJob(job) {
+      return unwrap(await service.saveJob(job));
+    },
+
+    async getJob(jobId) {
+      return unwrap(await service.getJob(jobId));
+    }
+  };
+}
+
+module.exports = { createSupabaseProvider, toUserRecord, toSaveData };
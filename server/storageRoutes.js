@@ -0,0 +1,557 @@
+/**
+ * Storage Provider Routes
+ *
+ * Account, profile, evaluation and feedback endpoints written against the
+ * storage provider interface (server/storage), the same handlers for every
+ * STORAGE_MODE:
+ * - POST /api/account/create (GitHub and embedded; Supabase creates a Supabase Auth user, server/authRoutes.js)
+ * - GET /api/account/available
+ * - GET /api/user/load
+ * - POST /api/user/save
+ * - DELETE /api/user/delete
+ * - POST /api/evaluation/save
+ * - GET /api/evaluations/list
+ * - GET /api/evaluations/export
+ * - GET /api/evaluation/:evaluationId
+ * - GET /api/evaluation/:evaluationId/pdf
+ * - DELETE /api/evaluation/:evaluationId
+ * - POST /api/feedback
+ *
+ * Handlers act on the signed-in account: a username or email named in the
+ * request must be that account (server/sessionUser.js), and records are
+ * read and written under the session identity.
+ */
+
+const bcrypt = require('bcryptjs');
+const { getStorageProvider } = require('./storage');
+const { sanitizePrefix, getSessionUser, isSessionUser } = require('./sessionUser');
+const { isValidUsername, isValidRank, isValidName, isStrongPassword } = require('./authRoutes');
+const { renderFitrepPdf } = require('./fitrepPdf');
+const MarineHistory = require('../js/marineHistory.js');
+const ReportingPeriod = require('../js/reportingPeriod.js');
+const AdverseReport = require('../js/adverseReport.js');
+const TextFit = require('../js/textFit.js');
+const EvaluationMerge = require('../js/evaluationMerge.js');
+
+/**
+ * Account a request acts on: the session identity, when the username or
+ * email the request names (if any) is that account.
+ * @param {Object} req - Express request
+ * @param {string} [named] - Identity from the body; defaults to the query
+ * @returns {string} Empty when the request names another account
+ */
+function requestOwner(req, named) {
+  const sessionUser = getSessionUser(req);
+  const requested = String(named ?? (req.query.username || req.query.email || req.query.rsEmail || '')).trim();
+  if (!sessionUser) return '';
+  if (requested && !isSessionUser(req, requested)) return '';
+  return sessionUser;
+}
+
+function withoutPasswordHash(user) {
+  const { passwordHash: _passwordHash, ...rest } = user || {};
+  return rest;
+}
+
+/**
+ * Profile record to save, keeping fields the client does not send.
+ * @param {Object} userData - Client profile
+ * @param {Object|null} existingUser - Stored record
+ * @returns {Object}
+ */
+function buildUserRecord(userData, existingUser) {
+  const now = new Date().toISOString();
+  const user = {
+    rsEmail: userData.rsEmail,
+    rsName: userData.rsName ?? existingUser?.rsName ?? '',
+    rsRank: userData.rsRank ?? existingUser?.rsRank ?? '',
+    branch: userData.branch ?? existingUser?.branch ?? 'USMC',
+    contactEmail: userData.contactEmail ?? existingUser?.contactEmail ?? '',
+    username: existingUser?.username || sanitizePrefix(userData.rsEmail),
+    full_name: userData.rsName ?? existingUser?.full_name ?? '',
+    rank: userData.rsRank ?? existingUser?.rank ?? '',
+    createdDate: existingUser?.createdDate || now,
+    lastUpdated: now
+  };
+  // SECURITY: Only preserve passwordHash from stored records, never from client input
+  if (existingUser?.passwordHash) user.passwordHash = existingUser.passwordHash;
+  return user;
+}
+
+/**
+ * Reporting period findings against the RS's other reports on the Marine.
+ * @param {Object} evaluation - Evaluation being saved
+ * @param {Object[]} saved - The RS's stored evaluations
+ * @returns {{errors: Object[], warnings: Object[]}}
+ */
+function checkReportingPeriod(evaluation, saved) {
+  const marineInfo = evaluation.marineInfo || {};
+  const period = marineInfo.evaluationPeriod || {};
+  const marine = MarineHistory.findMarine(saved, { name: marineInfo.name, edipi: marineInfo.edipi });
+  const findings = ReportingPeriod.check({
+    evaluationId: evaluation.evaluationId,
+    occasion: evaluation.occasion,
+    rank: marineInfo.rank,
+    from: period.from,
+    to: period.to
+  }, marine ? marine.evaluations : []);
+  return {
+    errors: findings.filter(f => f.type === 'error'),
+    warnings: findings.filter(f => f.type !== 'error')
+  };
+}
+
+/**
+ * Compare a save's base revision with the stored copy.
+ * @param {Object|null} stored - Stored evaluation (frontend shape), null when new
+ * @param {Object} incoming - Evaluation being saved
+ * @param {number|undefined} baseRevision - Revision the client edited from
+ * @returns {{conflict: Object|null, revision: number}} `conflict` is the 409
+ *   body; `revision` is the one the save will get
+ */
+function checkRevision(stored, incoming, baseRevision) {
+  const current = Number(stored?.revision) || 0;
+  if (stored && baseRevision !== undefined && baseRevision !== null && Number(baseRevision) !== current) {
+    return {
+      conflict: {
+        error: 'This evaluation was changed on another device since you last synced',
+        conflict: true,
+        revision: current,
+        fields: EvaluationMerge.diff(stored, incoming),
+        server: stored,
+      },
+      revision: current,
+    };
+  }
+  return { conflict: null, revision: current + 1 };
+}
+
+/**
+ * Remove control characters from user-submitted text.
+ * @param {string} str
+ * @returns {string}
+ */
+function sanitizeString(str) {
+  let out = '';
+  for (const ch of String(str || '')) {
+    const code = ch.charCodeAt(0);
+    if (code <= 8 || code === 11 || code === 12 || (code >= 14 && code <= 31) || code === 127) continue;
+    out += ch;
+  }
+  return out;
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+/**
+ * Create an account with a bcrypt password hash in the user record
+ * POST /api/account/create
+ */
+async function createAccountHandler(req, res) {
+  try {
+    const { rank, branch, name, email, password, username: rawUsername } = req.body || {};
+    const username = String(rawUsername || email || '').trim();
+    if (!rank || !name || !username || !password) {
+      return res.status(400).json({ error: 'Missing fields: rank, name, username, password' });
+    }
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+    if (!isValidRank(rank) || !isValidName(name)) {
+      return res.status(400).json({ error: 'Invalid rank or name' });
+    }
+    if (!isStrongPassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters with upper, lower, and number' });
+    }
+
+    const storage = getStorageProvider();
+    if (await storage.getUser(username)) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    const now = new Date().toISOString();
+    const result = await storage.saveUser(username, {
+      rsEmail: username,
+      rsName: name,
+      rsRank: rank,
+      branch: branch || 'USMC',
+      username: sanitizePrefix(username),
+      passwordHash: await bcrypt.hash(password, 12),
+      createdDate: now,
+      lastUpdated: now
+    });
+    return res.json({ ok: true, path: result.path || null, method: storage.name });
+  } catch (err) {
+    console.error('create account error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Whether a username is free
+ * GET /api/account/available?username=
+ */
+async function accountAvailableHandler(req, res) {
+  try {
+    const username = String(req.query.username || req.query.email || '').trim();
+    if (!username) return res.status(400).json({ error: 'Missing username query param' });
+    if (!isValidUsername(username)) return res.status(400).json({ error: 'Invalid username format' });
+
+    const existing = await getStorageProvider().getUser(username);
+    return res.json({ ok: true, available: !existing });
+  } catch (err) {
+    console.error('availability check error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// PROFILE
+// ============================================================================
+
+/**
+ * Load the signed-in user's profile. The fields are returned both at the top
+ * level (login flow) and under `data` (githubService.loadUserData).
+ * GET /api/user/load?username=
+ */
+async function loadUserHandler(req, res) {
+  try {
+    const owner = requestOwner(req);
+    if (!owner) return res.status(403).json({ error: 'Forbidden: user mismatch' });
+
+    const user = await getStorageProvider().getUser(owner);
+    if (!user) return res.status(404).json({ error: 'Not found' });
+    const data = withoutPasswordHash(user);
+    return res.json({ ok: true, ...data, data });
+  } catch (err) {
+    console.error('load user error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Save the signed-in user's profile. `previousEmail` renames the account:
+ * the record, its password and its evaluations move to the new username.
+ * POST /api/user/save  body: { userData: { rsEmail, rsName, rsRank, contactEmail?, previousEmail? } }
+ */
+async function saveUserHandler(req, res) {
+  try {
+    const body = req.body || {};
+    const userData = { ...body, ...(body.userData || {}) };
+    if (!userData.rsEmail) {
+      return res.status(400).json({ error: 'Missing userData.rsEmail' });
+    }
+    if (!isValidUsername(userData.rsEmail)) {
+      return res.status(400).json({ error: 'Invalid username format' });
+    }
+    const previousEmail = userData.previousEmail && isValidUsername(userData.previousEmail) ? userData.previousEmail : null;
+    if (!isSessionUser(req, userData.rsEmail) && !(previousEmail && isSessionUser(req, previousEmail))) {
+      return res.status(403).json({ error: 'Forbidden: user mismatch' });
+    }
+
+    const storage = getStorageProvider();
+    let existingUser = await storage.getUser(userData.rsEmail);
+    let renamed = false;
+    if (!existingUser && previousEmail && sanitizePrefix(previousEmail) !== sanitizePrefix(userData.rsEmail)) {
+      renamed = await storage.renameUser(previousEmail, userData.rsEmail);
+      if (renamed) existingUser = await storage.getUser(userData.rsEmail);
+    }
+    const result = await storage.saveUser(userData.rsEmail, buildUserRecord(userData, existingUser));
+    return res.json({
+      ok: true,
+      path: result.path || null,
+      method: storage.name,
+      ...(renamed && { emailMigrated: true })
+    });
+  } catch (err) {
+    console.error('save user error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Delete the signed-in user's account and evaluations
+ * DELETE /api/user/delete  body: { confirm: 'DELETE_MY_ACCOUNT' }
+ */
+async function deleteUserHandler(req, res) {
+  try {
+    if ((req.body || {}).confirm !== 'DELETE_MY_ACCOUNT') {
+      return res.status(400).json({
+        error: 'Confirmation required',
+        hint: 'Send { confirm: "DELETE_MY_ACCOUNT" } to confirm deletion',
+      });
+    }
+    const owner = requestOwner(req, req.body?.rsEmail || '');
+    if (!owner) return res.status(403).json({ error: 'Unauthorized' });
+
+    const deleted = await getStorageProvider().deleteUser(owner);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, message: 'Account deleted successfully' });
+  } catch (err) {
+    console.error('delete user error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// EVALUATIONS
+// ============================================================================
+
+/**
+ * Save an evaluation
+ * POST /api/evaluation/save  body: { evaluation, userEmail, baseRevision? }
+ *
+ * Reporting period rules (js/reportingPeriod.js): a period that overlaps
+ * another report on the same Marine is rejected with 400; gaps, short
+ * periods and occasion/date mismatches come back in `warnings`.
+ *
+ * Form fit (js/textFit.js): Section I and Section C text that would be cut
+ * off on the form is rejected with 400.
+ *
+ * Adverse reports (js/adverseReport.js): `isAdverse` is recomputed from the
+ * marks and comment text; an adverse report without the Item 8e directed
+ * comment and the MRO acknowledgment is rejected with 400.
+ *
+ * Revisions (js/evaluationMerge.js): every save bumps `revision`. A body
+ * `baseRevision` older than the stored one is rejected with 409 and the
+ * fields that differ plus the server copy, for the client to merge and
+ * resave. Without `baseRevision` the save overwrites as before.
+ */
+async function saveEvaluationHandler(req, res) {
+  try {
+    const { evaluation, userEmail, baseRevision } = req.body || {};
+    if (!evaluation || !evaluation.evaluationId) {
+      return res.status(400).json({ error: 'Missing evaluation.evaluationId' });
+    }
+    if (!userEmail || !isValidUsername(userEmail)) {
+      return res.status(400).json({ error: 'Invalid or missing username' });
+    }
+    const owner = requestOwner(req, userEmail);
+    if (!owner) return res.status(403).json({ error: 'Forbidden: user mismatch' });
+
+    const storage = getStorageProvider();
+    const saved = await storage.listEvaluations(owner);
+    const stored = saved.find(ev => ev.evaluationId === evaluation.evaluationId) || null;
+    const { conflict, revision } = checkRevision(stored, evaluation, baseRevision);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    const periodCheck = checkReportingPeriod(evaluation, saved);
+    if (periodCheck.errors.length) {
+      return res.status(400).json({
+        error: periodCheck.errors[0].message,
+        errors: periodCheck.errors,
+        warnings: periodCheck.warnings,
+      });
+    }
+
+    const fitErrors = TextFit.checkEvaluation(evaluation);
+    if (fitErrors.length) {
+      return res.status(400).json({ error: fitErrors[0].message, errors: fitErrors });
+    }
+
+    const adverse = AdverseReport.fromEvaluation(evaluation);
+    const adverseGaps = AdverseReport.missing(adverse, {
+      text: evaluation.directedComments,
+      acknowledgment: evaluation.mroAcknowledgment,
+    });
+    if (adverseGaps.length) {
+      return res.status(400).json({
+        error: `Adverse report is incomplete: ${adverseGaps.join('; ')}`,
+        missing: adverseGaps,
+        triggers: adverse.triggers,
+      });
+    }
+
+    // The RO review is written by the RO routes only; a save keeps the stored one
+    const { roReview: _clientReview, ...fields } = evaluation;
+    const result = await storage.saveEvaluation(owner, {
+      ...fields,
+      ...(stored?.roReview && { roReview: stored.roReview }),
+      isAdverse: adverse.isAdverse,
+      revision
+    });
+    return res.json({
+      ok: true,
+      path: result.path || null,
+      revision: result.revision,
+      warnings: periodCheck.warnings,
+      method: storage.name
+    });
+  } catch (err) {
+    if (err.status === 403) {
+      return res.status(403).json({ error: err.message });
+    }
+    console.error('save evaluation error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * List the signed-in user's evaluations
+ * GET /api/evaluations/list?username=
+ */
+async function listEvaluationsHandler(req, res) {
+  try {
+    const owner = requestOwner(req);
+    if (!owner) return res.status(403).json({ error: 'Forbidden: user mismatch' });
+
+    const storage = getStorageProvider();
+    const evaluations = await storage.listEvaluations(owner);
+    return res.json({ ok: true, evaluations, count: evaluations.length, method: storage.name });
+  } catch (err) {
+    console.error('list evaluations error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Download every evaluation of the signed-in user as JSON
+ * GET /api/evaluations/export
+ */
+async function exportEvaluationsHandler(req, res) {
+  try {
+    const owner = requestOwner(req);
+    if (!owner) return res.status(403).json({ error: 'Forbidden: user mismatch' });
+
+    const evaluations = await getStorageProvider().listEvaluations(owner);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="evaluations-${sanitizePrefix(owner)}-${Date.now()}.json"`);
+    return res.json({
+      exportedAt: new Date().toISOString(),
+      userEmail: owner,
+      count: evaluations.length,
+      evaluations: evaluations.map(evaluation => ({ evaluation })),
+    });
+  } catch (err) {
+    console.error('export evaluations error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+async function loadOwnEvaluation(req, res) {
+  const { evaluationId } = req.params;
+  if (!evaluationId) {
+    res.status(400).json({ error: 'Evaluation ID required' });
+    return null;
+  }
+  const owner = requestOwner(req);
+  if (!owner) {
+    res.status(403).json({ error: 'Forbidden: user mismatch' });
+    return null;
+  }
+  const evaluation = await getStorageProvider().getEvaluation(owner, evaluationId);
+  if (!evaluation) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  return evaluation;
+}
+
+/**
+ * Get one of the signed-in user's evaluations
+ * GET /api/evaluation/:evaluationId
+ */
+async function getEvaluationHandler(req, res) {
+  try {
+    const evaluation = await loadOwnEvaluation(req, res);
+    if (!evaluation) return undefined;
+    return res.json(evaluation);
+  } catch (err) {
+    console.error('get evaluation error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * NAVMC 10835-style PDF draft of one of the signed-in user's evaluations.
+ * The output is byte-for-byte deterministic for a given evaluation.
+ * GET /api/evaluation/:evaluationId/pdf
+ */
+async function getEvaluationPdfHandler(req, res) {
+  try {
+    const evaluation = await loadOwnEvaluation(req, res);
+    if (!evaluation) return undefined;
+    const { buffer, filename } = renderFitrepPdf(evaluation);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  } catch (err) {
+    console.error('evaluation PDF error:', err);
+    return res.status(500).json({ error: 'Failed to render PDF' });
+  }
+}
+
+/**
+ * Delete one of the signed-in user's evaluations
+ * DELETE /api/evaluation/:evaluationId
+ */
+async function deleteEvaluationHandler(req, res) {
+  try {
+    const { evaluationId } = req.params;
+    if (!evaluationId) return res.status(400).json({ error: 'Evaluation ID required' });
+    const owner = requestOwner(req);
+    if (!owner) return res.status(403).json({ error: 'Forbidden: user mismatch' });
+
+    const deleted = await getStorageProvider().deleteEvaluation(owner, evaluationId);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    return res.json({ ok: true, message: 'Evaluation deleted' });
+  } catch (err) {
+    console.error('delete evaluation error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// ============================================================================
+// FEEDBACK
+// ============================================================================
+
+/**
+ * Store a feedback submission: an issue in the main repository (GitHub), a
+ * feedback row (Supabase) or a JSON file (embedded)
+ * POST /api/feedback  body: { type, title, description, email?, context? }
+ */
+async function feedbackHandler(req, res) {
+  try {
+    const { type, title, description, email, context } = req.body || {};
+    const t = String(type || '').toLowerCase();
+    const entry = {
+      type: ['bug', 'feature', 'ux'].includes(t) ? t : 'other',
+      title: sanitizeString(title).trim().substring(0, 200),
+      description: sanitizeString(description).trim().substring(0, 50000),
+      email: sanitizeString(email).trim().substring(0, 200),
+      context: (context && typeof context === 'object') ? context : {}
+    };
+    if (!entry.title || !entry.description) {
+      return res.status(400).json({ error: 'Missing title or description' });
+    }
+    const stored = await getStorageProvider().saveFeedback(entry);
+    return res.json({ ok: true, ...stored });
+  } catch (err) {
+    console.error('feedback error:', err);
+    if (err.status === 401 || err.status === 403) {
+      return res.status(502).json({ error: 'Feedback could not be stored' });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  createAccountHandler,
+  accountAvailableHandler,
+  loadUserHandler,
+  saveUserHandler,
+  deleteUserHandler,
+  saveEvaluationHandler,
+  listEvaluationsHandler,
+  exportEvaluationsHandler,
+  getEvaluationHandler,
+  getEvaluationPdfHandler,
+  deleteEvaluationHandler,
+  feedbackHandler,
+  buildUserRecord,
+  checkRevision,
+};
@@ -20,6 +20,15 @@ const SUPABASE_SECRET_KEY = process.env.SUPABASE_SECRET_KEY;
 const SUPABASE_USERS_TABLE = process.env.SUPABASE_USERS_TABLE || 'fit_users';
 const SUPABASE_EVALUATIONS_TABLE = process.env.SUPABASE_EVALUATIONS_TABLE || 'evaluations';
 const SUPABASE_TRAITS_TABLE = process.env.SUPABASE_TRAITS_TABLE || 'trait_evaluations';
+const SUPABASE_RO_REVIEWS_TABLE = process.env.SUPABASE_RO_REVIEWS_TABLE || 'ro_reviews';
+const SUPABASE_BULLETS_TABLE = process.env.SUPABASE_BULLETS_TABLE || 'justification_bullets';
+const SUPABASE_COUNSELING_TABLE = process.env.SUPABASE_COUNSELING_TABLE || 'counseling_entries';
+const SUPABASE_JOURNAL_TABLE = process.env.SUPABASE_JOURNAL_TABLE || 'journal_entries';
+const SUPABASE_TRANSFERS_TABLE = process.env.SUPABASE_TRANSFERS_TABLE || 'reporting_transfers';
+const SUPABASE_MERIT_TABLE = process.env.SUPABASE_MERIT_TABLE || 'order_of_merit';
+const SUPABASE_REVISIONS_TABLE = process.env.SUPABASE_REVISIONS_TABLE || 'evaluation_revisions';
+const SUPABASE_FEEDBACK_TABLE = process.env.SUPABASE_FEEDBACK_TABLE || 'feedback';
+const SUPABASE_JOBS_TABLE = process.env.SUPABASE_JOBS_TABLE || 'jobs';
 
 // Check if Supabase is configured
 const isSupabaseConfigured = !!(SUPABASE_URL && (SUPABASE_ANON_KEY || SUPABASE_SECRET_KEY));
@@ -110,4 +119,13 @@ module.exports = {
   USERS_TABLE: SUPABASE_USERS_TABLE,
   EVALUATIONS_TABLE: SUPABASE_EVALUATIONS_TABLE,
   TRAITS_TABLE: SUPABASE_TRAITS_TABLE,
+  RO_REVIEWS_TABLE: SUPABASE_RO_REVIEWS_TABLE,
+  BULLETS_TABLE: SUPABASE_BULLETS_TABLE,
+  COUNSELING_TABLE: SUPABASE_COUNSELING_TABLE,
+  JOURNAL_TABLE: SUPABASE_JOURNAL_TABLE,
+  TRANSFERS_TABLE: SUPABASE_TRANSFERS_TABLE,
+  MERIT_TABLE: SUPABASE_MERIT_TABLE,
+  REVISIONS_TABLE: SUPABASE_REVISIONS_TABLE,
+  FEEDBACK_TABLE: SUPABASE_FEEDBACK_TABLE,
+  JOBS_TABLE: SUPABASE_JOBS_TABLE,
 };
@@ -7,7 +7,22 @@
  * All functions return standardized responses: { data, error }
  */
 
-const { getClient, isSupabaseAvailable, USERS_TABLE, EVALUATIONS_TABLE, TRAITS_TABLE } = require('./supabaseClient');
+const {
+  getClient,
+  isSupabaseAvailable,
+  USERS_TABLE,
+  EVALUATIONS_TABLE,
+  TRAITS_TABLE,
+  RO_REVIEWS_TABLE,
+  BULLETS_TABLE,
+  COUNSELING_TABLE,
+  JOURNAL_TABLE,
+  TRANSFERS_TABLE,
+  MERIT_TABLE,
+  REVISIONS_TABLE,
+  FEEDBACK_TABLE,
+  JOBS_TABLE,
+} = require('./supabaseClient');
 
 // ============================================================================
 // USER OPERATIONS
@@ -271,10 +286,198 @@ async function updateUserEmail(oldEmail, newEmail) {
   }
 }
 
+/**
+ * List all user accounts
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function listUsers() {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data, error } = await client
+      .from(USERS_TABLE)
+      .select('*')
+      .order('created_date', { ascending: true });
+    if (error) return { data: null, error };
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error listing users:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Delete a user account (evaluations and traits cascade)
+ * @param {string} identifier - Email or username
+ * @returns {Promise<{data: boolean, error: Error|null}>} data is false when the user does not exist
+ */
+async function deleteUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: false, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+    const { data: user, error: lookupError } = await getUserByEmail(identifier);
+    if (lookupError) return { data: false, error: lookupError };
+    if (!user) return { data: false, error: null };
+
+    const { error } = await client.from(USERS_TABLE).delete().eq('id', user.id);
+    if (error) return { data: false, error };
+
+    return { data: true, error: null };
+  } catch (err) {
+    console.error('Error deleting user:', err);
+    return { data: false, error: err };
+  }
+}
+
 // ============================================================================
 // EVALUATION OPERATIONS
 // ============================================================================
 
+/**
+ * Map Section A/B administrative fields from the frontend evaluation shape
+ * to evaluations table columns (see migrations 007 and 010).
+ * @param {Object} evaluationData - Evaluation in frontend format
+ * @returns {Object} Column values
+ */
+function toAdminColumns(evaluationData) {
+  const marine = evaluationData.marineInfo || {};
+  const unit = marine.unit || {};
+  const billet = evaluationData.billet || {};
+  const ro = evaluationData.roInfo || {};
+  return {
+    marine_id: marine.marineId || null,
+    marine_edipi: marine.edipi || null,
+    marine_pmos: marine.pmos || null,
+    duty_status: marine.dutyStatus || null,
+    unit_ruc: unit.ruc || null,
+    unit_mcc: unit.mcc || null,
+    billet_description: billet.description || null,
+    billet_accomplishments: billet.accomplishments || null,
+    ro_name: ro.name || null,
+    ro_rank: ro.rank || null,
+    ro_email: ro.email || null,
+  };
+}
+
+/**
+ * Inverse of toAdminColumns for formatting rows back to the frontend shape.
+ * @param {Object} row - evaluations table row
+ * @returns {{marineInfo: Object, billet: Object, roInfo: Object}}
+ */
+function fromAdminColumns(row) {
+  return {
+    marineInfo: {
+      marineId: row.marine_id || '',
+      edipi: row.marine_edipi || '',
+      pmos: row.marine_pmos || '',
+      dutyStatus: row.duty_status || '',
+      unit: { ruc: row.unit_ruc || '', mcc: row.unit_mcc || '' },
+    },
+    billet: {
+      description: row.billet_description || '',
+      accomplishments: row.billet_accomplishments || '',
+    },
+    roInfo: {
+      name: row.ro_name || '',
+      rank: row.ro_rank || '',
+      email: row.ro_email || '',
+    },
+  };
+}
+
+/**
+ * Format an evaluations row (with joined trait_evaluations) into the
+ * frontend JSON structure: { version, savedAt, rs*, evaluation }.
+ * @param {Object} ev - evaluations table row
+ * @returns {Object} Formatted evaluation wrapper
+ */
+function formatEvaluationRow(ev) {
+  const admin = fromAdminColumns(ev);
+  return {
+    version: ev.version,
+    savedAt: ev.saved_at,
+    rsEmail: ev.rs_email,
+    rsName: ev.rs_name,
+    rsRank: ev.rs_rank,
+    evaluation: {
+      evaluationId: ev.evaluation_id,
+      occasion: ev.occasion,
+      completedDate: ev.completed_date,
+      fitrepAverage: ev.fitrep_average?.toString(),
+      marineInfo: {
+        name: ev.marine_name,
+        rank: ev.marine_rank,
+        ...admin.marineInfo,
+        evaluationPeriod: {
+          from: ev.evaluation_period_from,
+          to: ev.evaluation_period_to,
+        },
+      },
+      billet: admin.billet,
+      roInfo: admin.roInfo,
+      rsInfo: {
+        name: ev.rs_name,
+        email: ev.rs_email,
+        rank: ev.rs_rank,
+      },
+      revision: Number(ev.revision || 0),
+      sectionIComments: ev.section_i_comments,
+      sectionICommentsVersion: ev.section_i_comments_version,
+      directedComments: ev.directed_comments,
+      directedCommentsVersion: ev.directed_comments_version,
+      isAdverse: Boolean(ev.is_adverse),
+      mroAcknowledgment: ev.mro_acknowledgment || null,
+      traitEvaluations: (ev.trait_evaluations || []).map((trait) => ({
+        id: trait.id,
+        section: trait.section,
+        trait: trait.trait,
+        grade: trait.grade,
+        gradeNumber: trait.grade_number,
+        justification: trait.justification,
+      })),
+      syncStatus: ev.sync_status,
+    },
+  };
+}
+
+/**
+ * Frontend-shaped copy of an evaluation as saved, for the revision history
+ * @param {Object} evaluationData - Evaluation being saved
+ * @param {Array} traits - Trait evaluations as a list
+ * @param {number} revision - Revision the save gets
+ * @returns {Object}
+ */
+function revisionSnapshot(evaluationData, traits, revision) {
+  return {
+    evaluationId: evaluationData.evaluationId,
+    revision,
+    occasion: evaluationData.occasion,
+    completedDate: evaluationData.completedDate,
+    fitrepAverage: evaluationData.fitrepAverage,
+    marineInfo: evaluationData.marineInfo || {},
+    billet: evaluationData.billet || {},
+    roInfo: evaluationData.roInfo || {},
+    rsInfo: evaluationData.rsInfo || {
+      name: evaluationData.rsName,
+      email: evaluationData.rsEmail,
+      rank: evaluationData.rsRank,
+    },
+    sectionIComments: evaluationData.sectionIComments || '',
+    directedComments: evaluationData.directedComments || '',
+    isAdverse: Boolean(evaluationData.isAdverse),
+    mroAcknowledgment: evaluationData.mroAcknowledgment || null,
+    traitEvaluations: Array.isArray(traits) ? traits : [],
+  };
+}
+
 /**
  * Create or update an evaluation
  * @param {Object} evaluationData - Full evaluation object
@@ -320,11 +523,14 @@ async function saveEvaluation(evaluationData) {
       marine_rank: evaluationData.marineInfo?.rank,
       evaluation_period_from: evaluationData.marineInfo?.evaluationPeriod?.from,
       evaluation_period_to: evaluationData.marineInfo?.evaluationPeriod?.to,
+      ...toAdminColumns(evaluationData),
       rs_name: evaluationData.rsInfo?.name || evaluationData.rsName,
       rs_email: evaluationData.rsInfo?.email || evaluationData.rsEmail,
       rs_rank: evaluationData.rsInfo?.rank || evaluationData.rsRank,
       section_i_comments: evaluationData.sectionIComments,
       directed_comments: evaluationData.directedComments,
+      is_adverse: Boolean(evaluationData.isAdverse),
+      mro_acknowledgment: evaluationData.isAdverse ? (evaluationData.mroAcknowledgment || null) : null,
       sync_status: evaluationData.syncStatus || 'synced',
       saved_at: evaluationData.savedAt || new Date().toISOString(),
     };
@@ -332,9 +538,14 @@ async function saveEvaluation(evaluationData) {
     // Check if evaluation exists (and get comments for versioning)
     const { data: existing } = await client
       .from(EVALUATIONS_TABLE)
-      .select('id, section_i_comments, section_i_comments_version, directed_comments, directed_comments_version')
+      .select('id, user_id, revision, section_i_comments, section_i_comments_version, directed_comments, directed_comments_version')
       .eq('evaluation_id', evaluationData.evaluationId)
       .single();
+    if (existing && existing.user_id !== user.id) {
+      const ownerError = new Error('Cannot save evaluation for another user');
+      ownerError.status = 403;
+      return { data: null, error: ownerError };
+    }
 
     let savedEval;
     if (existing) {
@@ -348,6 +559,7 @@ async function saveEvaluation(evaluationData) {
       const prevDirectedVersion = Number(existing.directed_comments_version || 1);
       const nextDirectedVersion = prevDirectedVersion + (newDirected !== prevDirected ? 1 : 0);
       evalRecord.directed_comments_version = nextDirectedVersion;
+      evalRecord.revision = Number(existing.revision || 0) + 1;
       // Update existing evaluation
       const { data, error } = await client
         .from(EVALUATIONS_TABLE)
@@ -361,6 +573,7 @@ async function saveEvaluation(evaluationData) {
     } else {
       evalRecord.section_i_comments_version = 1;
       evalRecord.directed_comments_version = 1;
+      evalRecord.revision = 1;
       // Insert new evaluation
       const { data, error } = await client
         .from(EVALUATIONS_TABLE)
@@ -418,6 +631,20 @@ async function saveEvaluation(evaluationData) {
       }
     }
 
+    // Keep this save in the revision history (non-blocking)
+    const { error: revisionError } = await client
+      .from(REVISIONS_TABLE)
+      .insert([{
+        evaluation_id: savedEval.id,
+        user_id: user.id,
+        revision: savedEval.revision,
+        snapshot: revisionSnapshot(evaluationData, traitsSrc, savedEval.revision),
+        saved_at: evalRecord.saved_at,
+      }]);
+    if (revisionError) {
+      console.warn('Error recording evaluation revision:', revisionError);
+    }
+
     return { data: savedEval, error: null };
   } catch (err) {
     console.error('Error saving evaluation:', err);
@@ -540,45 +767,7 @@ async function getFullEvaluationsByUser(rsEmail) {
     }
 
     // Format to match frontend JSON structure
-    const formatted = (evaluations || []).map((ev) => ({
-      version: ev.version,
-      savedAt: ev.saved_at,
-      rsEmail: ev.rs_email,
-      rsName: ev.rs_name,
-      rsRank: ev.rs_rank,
-      evaluation: {
-        evaluationId: ev.evaluation_id,
-        occasion: ev.occasion,
-        completedDate: ev.completed_date,
-        fitrepAverage: ev.fitrep_average?.toString(),
-        marineInfo: {
-          name: ev.marine_name,
-          rank: ev.marine_rank,
-          evaluationPeriod: {
-            from: ev.evaluation_period_from,
-            to: ev.evaluation_period_to,
-          },
-        },
-        rsInfo: {
-          name: ev.rs_name,
-          email: ev.rs_email,
-          rank: ev.rs_rank,
-        },
-        sectionIComments: ev.section_i_comments,
-        sectionICommentsVersion: ev.section_i_comments_version,
-        directedComments: ev.directed_comments,
-        directedCommentsVersion: ev.directed_comments_version,
-        traitEvaluations: (ev.trait_evaluations || []).map((trait) => ({
-          id: trait.id,
-          section: trait.section,
-          trait: trait.trait,
-          grade: trait.grade,
-          gradeNumber: trait.grade_number,
-          justification: trait.justification,
-        })),
-        syncStatus: ev.sync_status,
-      },
-    }));
+    const formatted = (evaluations || []).map(formatEvaluationRow);
 
     return { data: formatted, error: null };
   } catch (err) {
@@ -638,20 +827,26 @@ async function getEvaluationById(evaluationId) {
         marineInfo: {
           name: evaluation.marine_name,
           rank: evaluation.marine_rank,
+          ...fromAdminColumns(evaluation).marineInfo,
           evaluationPeriod: {
             from: evaluation.evaluation_period_from,
             to: evaluation.evaluation_period_to,
           },
         },
+        billet: fromAdminColumns(evaluation).billet,
+        roInfo: fromAdminColumns(evaluation).roInfo,
         rsInfo: {
           name: evaluation.rs_name,
           email: evaluation.rs_email,
           rank: evaluation.rs_rank,
         },
+        revision: Number(evaluation.revision || 0),
         sectionIComments: evaluation.section_i_comments,
         sectionICommentsVersion: evaluation.section_i_comments_version,
         directedComments: evaluation.directed_comments,
         directedCommentsVersion: evaluation.directed_comments_version,
+        isAdverse: Boolean(evaluation.is_adverse),
+        mroAcknowledgment: evaluation.mro_acknowledgment || null,
         traitEvaluations: traits || [],
         syncStatus: evaluation.sync_status,
       },
@@ -694,6 +889,1107 @@ async function deleteEvaluation(evaluationId) {
   }
 }
 
+// ============================================================================
+// REVIEWING OFFICER (RO) OPERATIONS
+// ============================================================================
+
+/**
+ * Public identity of an RS or RO account joined onto a review.
+ * @param {Object} user - fit_users row subset
+ * @returns {Object} { name, rank, email, username }
+ */
+function formatRoParty(user) {
+  return {
+    name: user.rs_name,
+    rank: user.rs_rank,
+    email: user.rs_email,
+    username: user.username || '',
+  };
+}
+
+/**
+ * Format an ro_reviews row for API responses.
+ * @param {Object} row - ro_reviews row (optionally joined with users)
+ * @returns {Object} Review in camelCase
+ */
+function formatRoReviewRow(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    concurrence: row.concurrence || null,
+    comparativeAssessment: row.comparative_assessment ?? null,
+    comments: row.ro_comments || '',
+    routedAt: row.routed_at,
+    completedAt: row.completed_at || null,
+    ro: row.ro ? formatRoParty(row.ro) : null,
+    rs: row.rs ? formatRoParty(row.rs) : null,
+  };
+}
+
+const RO_REVIEW_SELECT = `
+  *,
+  ro:${USERS_TABLE}!ro_user_id ( rs_name, rs_rank, rs_email, username ),
+  rs:${USERS_TABLE}!rs_user_id ( rs_name, rs_rank, rs_email, username )
+`;
+
+/**
+ * Get the RO review attached to an evaluation, if any
+ * @param {string} evaluationId - Evaluation ID (text id used by the app)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function getRoReview(evaluationId) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: evaluation, error: evalError } = await client
+      .from(EVALUATIONS_TABLE)
+      .select('id')
+      .eq('evaluation_id', evaluationId)
+      .maybeSingle();
+    if (evalError) return { data: null, error: evalError };
+    if (!evaluation) return { data: null, error: null };
+
+    const { data, error } = await client
+      .from(RO_REVIEWS_TABLE)
+      .select(RO_REVIEW_SELECT)
+      .eq('evaluation_id', evaluation.id)
+      .maybeSingle();
+    if (error) return { data: null, error };
+
+    return { data: data ? formatRoReviewRow(data) : null, error: null };
+  } catch (err) {
+    console.error('Error getting RO review:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Route an evaluation to a Reviewing Officer account. Re-routing a pending
+ * review replaces the RO; completed reviews are left untouched.
+ * @param {string} evaluationId - Evaluation ID
+ * @param {string} roIdentifier - RO account email or username
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function routeEvaluationToRo(evaluationId, roIdentifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: evaluation, error: evalError } = await client
+      .from(EVALUATIONS_TABLE)
+      .select('id, user_id')
+      .eq('evaluation_id', evaluationId)
+      .maybeSingle();
+    if (evalError || !evaluation) {
+      return { data: null, error: evalError || new Error('Evaluation not found') };
+    }
+
+    const { data: roUser, error: roError } = await getUserByEmail(roIdentifier);
+    if (roError || !roUser) {
+      return { data: null, error: roError || new Error('Reviewing Officer account not found') };
+    }
+    if (roUser.id === evaluation.user_id) {
+      return { data: null, error: new Error('Reviewing Officer must differ from the Reporting Senior') };
+    }
+
+    const { data: existing } = await client
+      .from(RO_REVIEWS_TABLE)
+      .select('id, status')
+      .eq('evaluation_id', evaluation.id)
+      .maybeSingle();
+    if (existing && existing.status === 'completed') {
+      return { data: null, error: new Error('Evaluation has already been reviewed') };
+    }
+
+    const { data, error } = await client
+      .from(RO_REVIEWS_TABLE)
+      .upsert({
+        evaluation_id: evaluation.id,
+        rs_user_id: evaluation.user_id,
+        ro_user_id: roUser.id,
+        status: 'pending',
+        concurrence: null,
+        comparative_assessment: null,
+        ro_comments: null,
+        routed_at: new Date().toISOString(),
+        completed_at: null,
+      }, { onConflict: 'evaluation_id' })
+      .select(RO_REVIEW_SELECT)
+      .single();
+    if (error) return { data: null, error };
+
+    // Keep the denormalized RO identity on the evaluation in sync
+    await client
+      .from(EVALUATIONS_TABLE)
+      .update({ ro_name: roUser.rs_name, ro_rank: roUser.rs_rank, ro_email: roUser.rs_email })
+      .eq('id', evaluation.id);
+
+    return { data: formatRoReviewRow(data), error: null };
+  } catch (err) {
+    console.error('Error routing evaluation to RO:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * List reviews assigned to an RO, newest first, with the full evaluation
+ * @param {string} roIdentifier - RO account email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getRoInbox(roIdentifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: roUser, error: userError } = await getUserByEmail(roIdentifier);
+    if (userError) return { data: null, error: userError };
+    if (!roUser) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(RO_REVIEWS_TABLE)
+      .select(`
+        ${RO_REVIEW_SELECT},
+        ${EVALUATIONS_TABLE} (
+          *,
+          trait_evaluations (
+            id,
+            section,
+            trait,
+            grade,
+            grade_number,
+            justification
+          )
+        )
+      `)
+      .eq('ro_user_id', roUser.id)
+      .order('routed_at', { ascending: false });
+    if (error) return { data: null, error };
+
+    const items = (data || []).map((row) => ({
+      ...formatRoReviewRow(row),
+      evaluation: row[EVALUATIONS_TABLE]
+        ? formatEvaluationRow(row[EVALUATIONS_TABLE]).evaluation
+        : null,
+    }));
+
+    return { data: items, error: null };
+  } catch (err) {
+    console.error('Error getting RO inbox:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * List the RO reviews on an RS's evaluations, keyed by evaluation ID
+ * @param {string} rsIdentifier - RS account email or username
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function getRoReviewsByRs(rsIdentifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: rsUser, error: userError } = await getUserByEmail(rsIdentifier);
+    if (userError) return { data: null, error: userError };
+    if (!rsUser) return { data: {}, error: null };
+
+    const { data, error } = await client
+      .from(RO_REVIEWS_TABLE)
+      .select(`
+        ${RO_REVIEW_SELECT},
+        ${EVALUATIONS_TABLE} ( evaluation_id )
+      `)
+      .eq('rs_user_id', rsUser.id);
+    if (error) return { data: null, error };
+
+    const byEvaluation = {};
+    (data || []).forEach((row) => {
+      const evaluationId = row[EVALUATIONS_TABLE]?.evaluation_id;
+      if (evaluationId) byEvaluation[evaluationId] = formatRoReviewRow(row);
+    });
+
+    return { data: byEvaluation, error: null };
+  } catch (err) {
+    console.error('Error getting RO reviews:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Record the RO's concurrence, Section K assessment and comments
+ * @param {string} reviewId - ro_reviews.id
+ * @param {Object} review - { concurrence, comparativeAssessment, comments }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function completeRoReview(reviewId, review) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data, error } = await client
+      .from(RO_REVIEWS_TABLE)
+      .update({
+        status: 'completed',
+        concurrence: review.concurrence,
+        comparative_assessment: review.comparativeAssessment,
+        ro_comments: review.comments || null,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', reviewId)
+      .eq('status', 'pending')
+      .select(RO_REVIEW_SELECT)
+      .maybeSingle();
+    if (error) return { data: null, error };
+
+    return { data: data ? formatRoReviewRow(data) : null, error: null };
+  } catch (err) {
+    console.error('Error completing RO review:', err);
+    return { data: null, error: err };
+  }
+}
+
+// ============================================================================
+// JUSTIFICATION BULLET LIBRARY OPERATIONS
+// ============================================================================
+
+/**
+ * Format a justification_bullets row for API responses.
+ * @param {Object} row - justification_bullets row
+ * @returns {Object} Bullet in camelCase
+ */
+function formatBulletRow(row) {
+  return {
+    id: row.id,
+    text: row.text,
+    trait: row.trait || '',
+    grade: row.grade || '',
+    marineName: row.marine_name || '',
+    tags: row.tags || [],
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * List a user's saved justification bullets, newest first
+ * @param {string} identifier - User email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getBulletsByUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(BULLETS_TABLE)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false });
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatBulletRow), error: null };
+  } catch (err) {
+    console.error('Error getting bullets:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Add a bullet to a user's library
+ * @param {string} identifier - User email or username
+ * @param {Object} bullet - Validated { text, trait, grade, marineName, tags }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function createBullet(identifier, bullet) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: new Error('User not found') };
+
+    const { data, error } = await client
+      .from(BULLETS_TABLE)
+      .insert({
+        user_id: user.id,
+        text: bullet.text,
+        trait: bullet.trait || null,
+        grade: bullet.grade || null,
+        marine_name: bullet.marineName || null,
+        tags: bullet.tags || [],
+      })
+      .select('*')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: formatBulletRow(data), error: null };
+  } catch (err) {
+    console.error('Error creating bullet:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Delete a bullet owned by the user
+ * @param {string} identifier - User email or username
+ * @param {string} bulletId - justification_bullets.id
+ * @returns {Promise<{data: boolean, error: Error|null}>} data is false when nothing matched
+ */
+async function deleteBullet(identifier, bulletId) {
+  if (!isSupabaseAvailable()) {
+    return { data: false, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: false, error: userError };
+    if (!user) return { data: false, error: null };
+
+    const { data, error } = await client
+      .from(BULLETS_TABLE)
+      .delete()
+      .eq('id', bulletId)
+      .eq('user_id', user.id)
+      .select('id');
+    if (error) return { data: false, error };
+
+    return { data: (data || []).length > 0, error: null };
+  } catch (err) {
+    console.error('Error deleting bullet:', err);
+    return { data: false, error: err };
+  }
+}
+
+// ============================================================================
+// COUNSELING LOG OPERATIONS
+// ============================================================================
+
+/**
+ * Format a counseling_entries row for API responses.
+ * @param {Object} row - counseling_entries row
+ * @returns {Object} Entry in camelCase
+ */
+function formatCounselingRow(row) {
+  return {
+    id: row.id,
+    marineName: row.marine_name,
+    marineKey: row.marine_key || '',
+    date: row.counseling_date,
+    type: row.counseling_type,
+    notes: row.notes || '',
+    goals: row.goals || [],
+    traits: row.traits || [],
+    followUp: {
+      date: row.follow_up_date || '',
+      notes: row.follow_up_notes || '',
+      status: row.follow_up_status || 'open',
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function counselingRowValues(entry) {
+  return {
+    marine_name: entry.marineName,
+    marine_key: entry.marineKey || null,
+    counseling_date: entry.date,
+    counseling_type: entry.type,
+    notes: entry.notes || null,
+    goals: entry.goals || [],
+    traits: entry.traits || [],
+    follow_up_date: entry.followUp?.date || null,
+    follow_up_notes: entry.followUp?.notes || null,
+    follow_up_status: entry.followUp?.status || 'open',
+  };
+}
+
+/**
+ * List a user's counseling entries, newest session first
+ * @param {string} identifier - User email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getCounselingByUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(COUNSELING_TABLE)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('counseling_date', { ascending: false });
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatCounselingRow), error: null };
+  } catch (err) {
+    console.error('Error getting counseling entries:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Log a counseling session
+ * @param {string} identifier - User email or username
+ * @param {Object} entry - Validated entry (see js/counselingLog.js)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function createCounselingEntry(identifier, entry) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: new Error('User not found') };
+
+    const { data, error } = await client
+      .from(COUNSELING_TABLE)
+      .insert({ user_id: user.id, ...counselingRowValues(entry) })
+      .select('*')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: formatCounselingRow(data), error: null };
+  } catch (err) {
+    console.error('Error creating counseling entry:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Update a counseling session owned by the user
+ * @param {string} identifier - User email or username
+ * @param {string} entryId - counseling_entries.id
+ * @param {Object} entry - Validated entry
+ * @returns {Promise<{data: Object|null, error: Error|null}>} data is null when nothing matched
+ */
+async function updateCounselingEntry(identifier, entryId, entry) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: null };
+
+    const { data, error } = await client
+      .from(COUNSELING_TABLE)
+      .update(counselingRowValues(entry))
+      .eq('id', entryId)
+      .eq('user_id', user.id)
+      .select('*');
+    if (error) return { data: null, error };
+
+    return { data: data && data.length ? formatCounselingRow(data[0]) : null, error: null };
+  } catch (err) {
+    console.error('Error updating counseling entry:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Delete a counseling session owned by the user
+ * @param {string} identifier - User email or username
+ * @param {string} entryId - counseling_entries.id
+ * @returns {Promise<{data: boolean, error: Error|null}>} data is false when nothing matched
+ */
+async function deleteCounselingEntry(identifier, entryId) {
+  if (!isSupabaseAvailable()) {
+    return { data: false, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: false, error: userError };
+    if (!user) return { data: false, error: null };
+
+    const { data, error } = await client
+      .from(COUNSELING_TABLE)
+      .delete()
+      .eq('id', entryId)
+      .eq('user_id', user.id)
+      .select('id');
+    if (error) return { data: false, error };
+
+    return { data: (data || []).length > 0, error: null };
+  } catch (err) {
+    console.error('Error deleting counseling entry:', err);
+    return { data: false, error: err };
+  }
+}
+
+// ============================================================================
+// ACCOMPLISHMENT JOURNAL OPERATIONS
+// ============================================================================
+
+/**
+ * Format a journal_entries row for API responses.
+ * @param {Object} row - journal_entries row
+ * @returns {Object} Entry in camelCase
+ */
+function formatJournalRow(row) {
+  return {
+    id: row.id,
+    marineName: row.marine_name,
+    marineKey: row.marine_key || '',
+    date: row.entry_date,
+    text: row.text,
+    traits: row.traits || [],
+    link: row.link || '',
+    attachment: row.attachment || '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function journalRowValues(entry) {
+  return {
+    marine_name: entry.marineName,
+    marine_key: entry.marineKey || null,
+    entry_date: entry.date,
+    text: entry.text,
+    traits: entry.traits || [],
+    link: entry.link || null,
+    attachment: entry.attachment || null,
+  };
+}
+
+/**
+ * List a user's journal entries, newest first
+ * @param {string} identifier - User email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getJournalByUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(JOURNAL_TABLE)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('entry_date', { ascending: false });
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatJournalRow), error: null };
+  } catch (err) {
+    console.error('Error getting journal entries:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Add a journal entry
+ * @param {string} identifier - User email or username
+ * @param {Object} entry - Validated entry (see js/accomplishmentJournal.js)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function createJournalEntry(identifier, entry) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: new Error('User not found') };
+
+    const { data, error } = await client
+      .from(JOURNAL_TABLE)
+      .insert({ user_id: user.id, ...journalRowValues(entry) })
+      .select('*')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: formatJournalRow(data), error: null };
+  } catch (err) {
+    console.error('Error creating journal entry:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Update a journal entry owned by the user
+ * @param {string} identifier - User email or username
+ * @param {string} entryId - journal_entries.id
+ * @param {Object} entry - Validated entry
+ * @returns {Promise<{data: Object|null, error: Error|null}>} data is null when nothing matched
+ */
+async function updateJournalEntry(identifier, entryId, entry) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: null };
+
+    const { data, error } = await client
+      .from(JOURNAL_TABLE)
+      .update(journalRowValues(entry))
+      .eq('id', entryId)
+      .eq('user_id', user.id)
+      .select('*');
+    if (error) return { data: null, error };
+
+    return { data: data && data.length ? formatJournalRow(data[0]) : null, error: null };
+  } catch (err) {
+    console.error('Error updating journal entry:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Delete a journal entry owned by the user
+ * @param {string} identifier - User email or username
+ * @param {string} entryId - journal_entries.id
+ * @returns {Promise<{data: boolean, error: Error|null}>} data is false when nothing matched
+ */
+async function deleteJournalEntry(identifier, entryId) {
+  if (!isSupabaseAvailable()) {
+    return { data: false, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: false, error: userError };
+    if (!user) return { data: false, error: null };
+
+    const { data, error } = await client
+      .from(JOURNAL_TABLE)
+      .delete()
+      .eq('id', entryId)
+      .eq('user_id', user.id)
+      .select('id');
+    if (error) return { data: false, error };
+
+    return { data: (data || []).length > 0, error: null };
+  } catch (err) {
+    console.error('Error deleting journal entry:', err);
+    return { data: false, error: err };
+  }
+}
+
+// ============================================================================
+// REPORTING CALENDAR OPERATIONS
+// ============================================================================
+
+function formatTransferRow(row) {
+  return {
+    marineKey: row.marine_key,
+    marineName: row.marine_name || '',
+    date: row.transfer_date,
+  };
+}
+
+/**
+ * List a user's known transfer/PCS dates
+ * @param {string} identifier - User email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getTransfersByUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(TRANSFERS_TABLE)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('transfer_date', { ascending: true });
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatTransferRow), error: null };
+  } catch (err) {
+    console.error('Error getting transfer dates:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Replace a user's transfer/PCS dates with the given list
+ * @param {string} identifier - User email or username
+ * @param {Object[]} transfers - Validated transfers (see js/reportingCalendar.js)
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function replaceTransfers(identifier, transfers) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: new Error('User not found') };
+
+    const { error: deleteError } = await client
+      .from(TRANSFERS_TABLE)
+      .delete()
+      .eq('user_id', user.id);
+    if (deleteError) return { data: null, error: deleteError };
+    if (!transfers.length) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(TRANSFERS_TABLE)
+      .insert(transfers.map((t) => ({
+        user_id: user.id,
+        marine_key: t.marineKey,
+        marine_name: t.marineName || null,
+        transfer_date: t.date,
+      })))
+      .select('*');
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatTransferRow), error: null };
+  } catch (err) {
+    console.error('Error saving transfer dates:', err);
+    return { data: null, error: err };
+  }
+}
+
+// ============================================================================
+// ORDER OF MERIT OPERATIONS
+// ============================================================================
+
+function formatMeritRow(row) {
+  return {
+    cycleKey: row.cycle_key,
+    rank: row.grade,
+    cycle: row.cycle,
+    order: Array.isArray(row.marine_order) ? row.marine_order : [],
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * List a user's order-of-merit lists
+ * @param {string} identifier - User email or username
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+async function getOrderOfMeritByUser(identifier) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(MERIT_TABLE)
+      .select('*')
+      .eq('user_id', user.id)
+      .order('cycle_key', { ascending: true });
+    if (error) return { data: null, error };
+
+    return { data: (data || []).map(formatMeritRow), error: null };
+  } catch (err) {
+    console.error('Error getting order of merit:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Create or replace one grade's order of merit for one cycle
+ * @param {string} identifier - User email or username
+ * @param {Object} list - Validated list (see js/orderOfMerit.js)
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function saveOrderOfMeritList(identifier, list) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data: user, error: userError } = await getUserByEmail(identifier);
+    if (userError) return { data: null, error: userError };
+    if (!user) return { data: null, error: new Error('User not found') };
+
+    const { data, error } = await client
+      .from(MERIT_TABLE)
+      .upsert({
+        user_id: user.id,
+        cycle_key: list.cycleKey,
+        grade: list.rank,
+        cycle: list.cycle,
+        marine_order: list.order,
+      }, { onConflict: 'user_id,cycle_key' })
+      .select('*')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: formatMeritRow(data), error: null };
+  } catch (err) {
+    console.error('Error saving order of merit:', err);
+    return { data: null, error: err };
+  }
+}
+
+// ============================================================================
+// EVALUATION REVISION OPERATIONS
+// ============================================================================
+
+async function getEvaluationRowId(client, evaluationId) {
+  const { data, error } = await client
+    .from(EVALUATIONS_TABLE)
+    .select('id')
+    .eq('evaluation_id', evaluationId)
+    .maybeSingle();
+  return { id: data?.id || null, error };
+}
+
+/**
+ * List an evaluation's saved revisions, newest first
+ * @param {string} evaluationId - Evaluation ID (not the row UUID)
+ * @returns {Promise<{data: Array<{rev: string, revision: number, savedAt: string}>|null, error: Error|null}>}
+ */
+async function getEvaluationRevisions(evaluationId) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { id, error: idError } = await getEvaluationRowId(client, evaluationId);
+    if (idError) return { data: null, error: idError };
+    if (!id) return { data: [], error: null };
+
+    const { data, error } = await client
+      .from(REVISIONS_TABLE)
+      .select('revision, saved_at')
+      .eq('evaluation_id', id)
+      .order('revision', { ascending: false });
+    if (error) return { data: null, error };
+
+    return {
+      data: (data || []).map((row) => ({ rev: String(row.revision), revision: row.revision, savedAt: row.saved_at })),
+      error: null,
+    };
+  } catch (err) {
+    console.error('Error listing evaluation revisions:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Get one saved revision of an evaluation
+ * @param {string} evaluationId - Evaluation ID (not the row UUID)
+ * @param {number} revision - Revision number
+ * @returns {Promise<{data: {revision: number, savedAt: string, evaluation: Object}|null, error: Error|null}>}
+ *   data is null when the revision does not exist
+ */
+async function getEvaluationRevision(evaluationId, revision) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { id, error: idError } = await getEvaluationRowId(client, evaluationId);
+    if (idError) return { data: null, error: idError };
+    if (!id) return { data: null, error: null };
+
+    const { data, error } = await client
+      .from(REVISIONS_TABLE)
+      .select('revision, saved_at, snapshot')
+      .eq('evaluation_id', id)
+      .eq('revision', revision)
+      .maybeSingle();
+    if (error) return { data: null, error };
+    if (!data) return { data: null, error: null };
+
+    return { data: { revision: data.revision, savedAt: data.saved_at, evaluation: data.snapshot }, error: null };
+  } catch (err) {
+    console.error('Error getting evaluation revision:', err);
+    return { data: null, error: err };
+  }
+}
+
+// ============================================================================
+// FEEDBACK AND JOB OPERATIONS
+// ============================================================================
+
+function formatJobRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    result: row.result,
+    error: row.error,
+  };
+}
+
+/**
+ * Store a feedback submission
+ * @param {Object} entry - { type, title, description, email, context }
+ * @returns {Promise<{data: {id: string}|null, error: Error|null}>}
+ */
+async function createFeedback(entry) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data, error } = await client
+      .from(FEEDBACK_TABLE)
+      .insert([{
+        type: entry.type,
+        title: entry.title,
+        description: entry.description,
+        email: entry.email || null,
+        context: entry.context || {},
+      }])
+      .select('id')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: { id: data.id }, error: null };
+  } catch (err) {
+    console.error('Error saving feedback:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Create or update a background job record (server/jobs.js)
+ * @param {Object} job - { id, type, status, startedAt, finishedAt, result, error }
+ * @returns {Promise<{data: Object|null, error: Error|null}>}
+ */
+async function saveJob(job) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data, error } = await client
+      .from(JOBS_TABLE)
+      .upsert({
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        started_at: job.startedAt || null,
+        finished_at: job.finishedAt || null,
+        result: job.result ?? null,
+        error: job.error || null,
+      })
+      .select('*')
+      .single();
+    if (error) return { data: null, error };
+
+    return { data: formatJobRow(data), error: null };
+  } catch (err) {
+    console.error('Error saving job:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Get a background job record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<{data: Object|null, error: Error|null}>} data is null when the job does not exist
+ */
+async function getJob(jobId) {
+  if (!isSupabaseAvailable()) {
+    return { data: null, error: new Error('Supabase not available') };
+  }
+
+  try {
+    const client = getClient(true);
+
+    const { data, error } = await client
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+    if (error) return { data: null, error };
+
+    return { data: data ? formatJobRow(data) : null, error: null };
+  } catch (err) {
+    console.error('Error getting job:', err);
+    return { data: null, error: err };
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -705,6 +2001,8 @@ module.exports = {
   updateUser,
   updateUserEmail,
   ensureUserExists,
+  listUsers,
+  deleteUser,
 
   // Evaluation operations
   saveEvaluation,
@@ -712,4 +2010,43 @@ module.exports = {
   getFullEvaluationsByUser,
   getEvaluationById,
   deleteEvaluation,
+  getEvaluationRevisions,
+  getEvaluationRevision,
+
+  // Reviewing Officer operations
+  getRoReview,
+  routeEvaluationToRo,
+  getRoInbox,
+  getRoReviewsByRs,
+  completeRoReview,
+
+  // Justification bullet library operations
+  getBulletsByUser,
+  createBullet,
+  deleteBullet,
+
+  // Counseling log operations
+  getCounselingByUser,
+  createCounselingEntry,
+  updateCounselingEntry,
+  deleteCounselingEntry,
+
+  // Accomplishment journal operations
+  getJournalByUser,
+  createJournalEntry,
+  updateJournalEntry,
+  deleteJournalEntry,
+
+  // Reporting calendar operations
+  getTransfersByUser,
+  replaceTransfers,
+
+  // Order of merit operations
+  getOrderOfMeritByUser,
+  saveOrderOfMeritList,
+
+  // Feedback and job operations
+  createFeedback,
+  saveJob,
+  getJob,
 };
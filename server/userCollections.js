@@ -0,0 +1,165 @@
+/**
+ * Per-User Collection Routes
+ *
+ * List/create/update/delete handlers for the small per-RS collections
+ * (bullet library, counseling log, accomplishment journal). Each route
+ * module describes its collection and exports the handlers built here.
+ *
+ * Items are kept by the storage provider (listItems/addItem/updateItem/
+ * deleteItem): the collection's own Supabase table, or one JSON document per
+ * user (`users/<user>/<collection>.json` in the GitHub data repo or under
+ * LOCAL_DATA_DIR).
+ */
+
+const crypto = require('crypto');
+
+const { getStorageProvider } = require('./storage');
+const { getSessionUser } = require('./sessionUser');
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Build the handlers for one collection.
+ * @param {Object} spec
+ * @param {string} spec.collection - Provider collection, e.g. `counseling`
+ * @param {string} spec.key - List field in list responses, e.g. `entries`
+ * @param {string} spec.itemKey - Field for one item in responses, e.g. `entry`
+ * @param {string} spec.param - Route parameter holding the item ID, e.g. `entryId`
+ * @param {string} spec.idPrefix - Prefix of generated IDs, e.g. `cns`
+ * @param {string} spec.title - Collection name in messages, e.g. `counseling log`
+ * @param {string} spec.noun - Item name in messages, e.g. `counseling entry`
+ * @param {function(Object): {valid: boolean, errors: string[], value: Object}} spec.validate - Request body check
+ * @param {number} spec.maxItems - Cap on the collection, so reads stay cheap
+ * @param {boolean} [spec.updatable] - Items are edited in place and carry `updatedAt`
+ * @returns {{listHandler: Function, createHandler: Function, updateHandler?: Function, deleteHandler: Function}}
+ */
+function createCollectionRoutes(spec) {
+  const { collection, key, itemKey, param, title, noun, validate, maxItems } = spec;
+  const notFound = `${capitalize(noun)} not found`;
+
+  function newItemId() {
+    return `${spec.idPrefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * List the signed-in RS's collection
+   * GET /api/<collection>
+   */
+  async function listHandler(req, res) {
+    try {
+      const sessionUser = getSessionUser(req);
+      if (!sessionUser) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const items = await getStorageProvider().listItems(sessionUser, collection);
+      return res.json({ [key]: items, count: items.length });
+    } catch (err) {
+      console.error(`Error listing ${key}:`, err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Add an item
+   * POST /api/<collection>
+   */
+  async function createHandler(req, res) {
+    try {
+      const sessionUser = getSessionUser(req);
+      if (!sessionUser) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const check = validate(req.body || {});
+      if (!check.valid) {
+        return res.status(400).json({ error: check.errors[0], errors: check.errors });
+      }
+
+      const storage = getStorageProvider();
+      const items = await storage.listItems(sessionUser, collection);
+      if (items.length >= maxItems) {
+        return res.status(400).json({ error: `${capitalize(title)} is full (${maxItems} ${key})` });
+      }
+      const now = new Date().toISOString();
+      const item = { id: newItemId(), ...check.value, createdAt: now, ...(spec.updatable && { updatedAt: now }) };
+      const saved = await storage.addItem(sessionUser, collection, item);
+      return res.json({ ok: true, [itemKey]: saved });
+    } catch (err) {
+      console.error(`Error creating ${noun}:`, err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Update an item (the whole item is re-validated)
+   * PUT /api/<collection>/:id
+   */
+  async function updateHandler(req, res) {
+    try {
+      const sessionUser = getSessionUser(req);
+      const id = req.params[param];
+      if (!sessionUser) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      if (!id) {
+        return res.status(400).json({ error: `${capitalize(noun)} ID required` });
+      }
+
+      const check = validate(req.body || {});
+      if (!check.valid) {
+        return res.status(400).json({ error: check.errors[0], errors: check.errors });
+      }
+
+      const item = await getStorageProvider().updateItem(sessionUser, collection, id, {
+        ...check.value,
+        updatedAt: new Date().toISOString()
+      });
+      if (!item) {
+        return res.status(404).json({ error: notFound });
+      }
+      return res.json({ ok: true, [itemKey]: item });
+    } catch (err) {
+      console.error(`Error updating ${noun}:`, err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Remove an item
+   * DELETE /api/<collection>/:id
+   */
+  async function deleteHandler(req, res) {
+    try {
+      const sessionUser = getSessionUser(req);
+      const id = req.params[param];
+      if (!sessionUser) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+      if (!id) {
+        return res.status(400).json({ error: `${capitalize(noun)} ID required` });
+      }
+
+      if (!(await getStorageProvider().deleteItem(sessionUser, collection, id))) {
+        return res.status(404).json({ error: notFound });
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error(`Error deleting ${noun}:`, err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  return {
+    listHandler,
+    createHandler,
+    ...(spec.updatable && { updateHandler }),
+    deleteHandler
+  };
+}
+
+module.exports = {
+  createCollectionRoutes
+};
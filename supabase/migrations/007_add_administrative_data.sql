@@ -0,0 +1,28 @@
+-- Migration: Add Section A/B administrative data to evaluations
+-- Description: Stores EDIPI, PMOS, duty status, unit RUC/MCC, billet
+--              description/accomplishments and Reviewing Officer identity
+-- Date: 2026-10-18
+BEGIN;
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS marine_edipi TEXT,
+  ADD COLUMN IF NOT EXISTS marine_pmos TEXT,
+  ADD COLUMN IF NOT EXISTS duty_status TEXT,
+  ADD COLUMN IF NOT EXISTS unit_ruc TEXT,
+  ADD COLUMN IF NOT EXISTS unit_mcc TEXT,
+  ADD COLUMN IF NOT EXISTS billet_description TEXT,
+  ADD COLUMN IF NOT EXISTS billet_accomplishments TEXT,
+  ADD COLUMN IF NOT EXISTS ro_name TEXT,
+  ADD COLUMN IF NOT EXISTS ro_rank TEXT,
+  ADD COLUMN IF NOT EXISTS ro_email TEXT;
+
+COMMENT ON COLUMN public.evaluations.marine_edipi IS 'Section A: 10-digit EDIPI of the Marine reported on';
+COMMENT ON COLUMN public.evaluations.unit_ruc IS 'Section A: Reporting Unit Code (5 characters)';
+COMMENT ON COLUMN public.evaluations.unit_mcc IS 'Section A: Monitored Command Code (3 characters)';
+COMMENT ON COLUMN public.evaluations.billet_accomplishments IS 'Section C: billet accomplishments';
+COMMENT ON COLUMN public.evaluations.ro_email IS 'Reviewing Officer email, if known';
+
+-- Lookups by Marine identity across RS reports
+CREATE INDEX IF NOT EXISTS idx_evaluations_marine_edipi ON public.evaluations(marine_edipi);
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- Migration: Reviewing Officer (RO) reviews
+-- Description: An RS routes a completed evaluation to an RO account; the RO
+--              records concurrence, the Section K comparative assessment
+--              (1-8) and RO comments. One review per evaluation.
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.ro_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  evaluation_id UUID NOT NULL REFERENCES public.evaluations(id) ON DELETE CASCADE,
+  rs_user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+  ro_user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  status TEXT NOT NULL DEFAULT 'pending',
+  concurrence TEXT,
+  comparative_assessment SMALLINT,
+  ro_comments TEXT,
+
+  routed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT ro_reviews_one_per_eval UNIQUE (evaluation_id),
+  CONSTRAINT ro_reviews_status_check CHECK (status IN ('pending', 'completed')),
+  CONSTRAINT ro_reviews_concurrence_check CHECK (concurrence IS NULL OR concurrence IN ('concur', 'nonconcur')),
+  CONSTRAINT ro_reviews_section_k_check CHECK (comparative_assessment IS NULL OR (comparative_assessment >= 1 AND comparative_assessment <= 8)),
+  CONSTRAINT ro_reviews_distinct_users CHECK (rs_user_id <> ro_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ro_reviews_ro_status ON public.ro_reviews(ro_user_id, status);
+CREATE INDEX IF NOT EXISTS idx_ro_reviews_rs_user ON public.ro_reviews(rs_user_id);
+
+ALTER TABLE public.ro_reviews ENABLE ROW LEVEL SECURITY;
+
+-- RS and RO may both read the review; only the server (service role) writes
+CREATE POLICY ro_reviews_select_party ON public.ro_reviews
+  FOR SELECT
+  USING (
+    rs_user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text)
+    OR ro_user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text)
+  );
+
+CREATE TRIGGER update_ro_reviews_updated_at
+  BEFORE UPDATE ON public.ro_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Migration: Justification bullet library
+-- Description: Personal library of reusable justification snippets per RS,
+--              tagged by trait, grade, Marine and free-form tags.
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.justification_bullets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  text TEXT NOT NULL,
+  trait TEXT,
+  grade TEXT,
+  marine_name TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT justification_bullets_text_length CHECK (char_length(text) BETWEEN 1 AND 1000),
+  CONSTRAINT justification_bullets_grade_check CHECK (grade IS NULL OR grade IN ('A', 'B', 'C', 'D', 'E', 'F', 'G'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_justification_bullets_user ON public.justification_bullets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_justification_bullets_trait ON public.justification_bullets(user_id, trait);
+
+ALTER TABLE public.justification_bullets ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own bullets; the server (service role) writes
+CREATE POLICY justification_bullets_select_own ON public.justification_bullets
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+CREATE TRIGGER update_justification_bullets_updated_at
+  BEFORE UPDATE ON public.justification_bullets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- Migration: Add Marine identity to evaluations
+-- Description: Stable Marine key (EDIPI-based or generated from the name) so
+--              every report an RS writes on the same Marine can be listed as
+--              one timeline
+-- Date: 2026-10-18
+BEGIN;
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS marine_id TEXT;
+
+COMMENT ON COLUMN public.evaluations.marine_id IS 'Marine entity key: edipi-<EDIPI> or mrn-<hash of name> (see js/marineHistory.js)';
+
+-- Timeline lookups: one RS, one Marine
+CREATE INDEX IF NOT EXISTS idx_evaluations_rs_marine_id ON public.evaluations(user_id, marine_id);
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- Migration: Adverse report flag and MRO acknowledgment
+-- Description: Evaluations with an adverse trigger ("A" mark, adverse directed
+--              comment, not-recommended promotion statement) are flagged and
+--              carry the MRO's acknowledgment and statement intent
+-- Date: 2026-10-18
+BEGIN;
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS is_adverse BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS mro_acknowledgment JSONB;
+
+COMMENT ON COLUMN public.evaluations.is_adverse IS 'Report has an adverse trigger (see js/adverseReport.js)';
+COMMENT ON COLUMN public.evaluations.mro_acknowledgment IS '{ acknowledged, date, statementIntent: will-submit | declines } for adverse reports';
+
+-- Admin metrics count adverse reports
+CREATE INDEX IF NOT EXISTS idx_evaluations_is_adverse ON public.evaluations(is_adverse) WHERE is_adverse;
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Migration: Counseling log
+-- Description: Dated counseling sessions (initial, mid-period, event-based)
+--              the RS records per Marine, with notes, goals and follow-up.
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.counseling_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  marine_name TEXT NOT NULL,
+  marine_key TEXT,
+  counseling_date DATE NOT NULL,
+  counseling_type TEXT NOT NULL,
+  notes TEXT,
+  goals TEXT[] NOT NULL DEFAULT '{}',
+  traits TEXT[] NOT NULL DEFAULT '{}',
+
+  follow_up_date DATE,
+  follow_up_notes TEXT,
+  follow_up_status TEXT NOT NULL DEFAULT 'open',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT counseling_entries_type_check CHECK (counseling_type IN ('initial', 'mid-period', 'event')),
+  CONSTRAINT counseling_entries_follow_up_status_check CHECK (follow_up_status IN ('open', 'met', 'not-met')),
+  CONSTRAINT counseling_entries_notes_length CHECK (notes IS NULL OR char_length(notes) <= 4000)
+);
+
+CREATE INDEX IF NOT EXISTS idx_counseling_entries_user ON public.counseling_entries(user_id, counseling_date DESC);
+CREATE INDEX IF NOT EXISTS idx_counseling_entries_marine ON public.counseling_entries(user_id, marine_key);
+
+ALTER TABLE public.counseling_entries ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own entries; the server (service role) writes
+CREATE POLICY counseling_entries_select_own ON public.counseling_entries
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+CREATE TRIGGER update_counseling_entries_updated_at
+  BEFORE UPDATE ON public.counseling_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Migration: Accomplishment journal
+-- Description: Dated accomplishments the RS records per Marine during the
+--              period, tagged to FITREP trait keys (e.g. D_performance).
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.journal_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  marine_name TEXT NOT NULL,
+  marine_key TEXT,
+  entry_date DATE NOT NULL,
+  text TEXT NOT NULL,
+  traits TEXT[] NOT NULL DEFAULT '{}',
+  link TEXT,
+  attachment TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT journal_entries_text_length CHECK (char_length(text) BETWEEN 1 AND 2000),
+  CONSTRAINT journal_entries_traits_present CHECK (cardinality(traits) > 0),
+  CONSTRAINT journal_entries_attachment_length CHECK (attachment IS NULL OR char_length(attachment) <= 300)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_user ON public.journal_entries(user_id, entry_date DESC);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_marine ON public.journal_entries(user_id, marine_key);
+
+ALTER TABLE public.journal_entries ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own entries; the server (service role) writes
+CREATE POLICY journal_entries_select_own ON public.journal_entries
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+CREATE TRIGGER update_journal_entries_updated_at
+  BEFORE UPDATE ON public.journal_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Migration: Reporting calendar transfer dates
+-- Description: Known transfer/PCS dates per Marine (marine_key 'rs' for the
+--              RS's own PCS) used to project report due dates.
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.reporting_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  marine_key TEXT NOT NULL,
+  marine_name TEXT,
+  transfer_date DATE NOT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT reporting_transfers_marine_unique UNIQUE (user_id, marine_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reporting_transfers_user ON public.reporting_transfers(user_id, transfer_date);
+
+ALTER TABLE public.reporting_transfers ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own dates; the server (service role) writes
+CREATE POLICY reporting_transfers_select_own ON public.reporting_transfers
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+CREATE TRIGGER update_reporting_transfers_updated_at
+  BEFORE UPDATE ON public.reporting_transfers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- Migration: Evaluation revision for sync conflict detection
+-- Description: Every save bumps the revision; a save edited from an older
+--              revision is refused (409) so the client can three-way merge
+--              (see js/evaluationMerge.js)
+-- Date: 2026-10-18
+BEGIN;
+
+ALTER TABLE public.evaluations
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.evaluations.revision IS 'Incremented on every save; clients send the revision they edited from as baseRevision';
+
+COMMIT;
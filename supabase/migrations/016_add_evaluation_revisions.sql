@@ -0,0 +1,33 @@
+-- Migration: Evaluation revision history
+-- Description: A full copy of the evaluation on every save, so the RS can
+--              compare any two revisions and restore an earlier one
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.evaluation_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  evaluation_id UUID NOT NULL REFERENCES public.evaluations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  revision INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT evaluation_revisions_unique UNIQUE (evaluation_id, revision)
+);
+
+COMMENT ON TABLE public.evaluation_revisions IS 'Evaluation as saved at each revision (see evaluations.revision)';
+COMMENT ON COLUMN public.evaluation_revisions.snapshot IS 'Frontend-shaped evaluation: marineInfo, billet, roInfo, traitEvaluations, comments';
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_revisions_evaluation ON public.evaluation_revisions(evaluation_id, revision DESC);
+
+ALTER TABLE public.evaluation_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own history; the server (service role) writes
+CREATE POLICY evaluation_revisions_select_own ON public.evaluation_revisions
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+COMMIT;
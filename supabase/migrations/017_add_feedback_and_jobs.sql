@@ -0,0 +1,45 @@
+-- Migration: Feedback and background jobs
+-- Description: Feedback submissions and admin job records, so every storage
+--              provider (server/storage) keeps users, evaluations, feedback
+--              and jobs in the same backend
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  type TEXT NOT NULL DEFAULT 'other',
+  title TEXT NOT NULL,
+  description TEXT NOT NULL,
+  email TEXT,
+  context JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_created ON public.feedback(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id TEXT PRIMARY KEY,
+
+  type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  result JSONB,
+  error TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Server-only tables: no policies, only the service role reads or writes
+ALTER TABLE public.feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_jobs_updated_at
+  BEFORE UPDATE ON public.jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
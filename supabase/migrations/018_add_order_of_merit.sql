@@ -0,0 +1,37 @@
+-- Migration: Order of merit
+-- Description: The RS's ranked list of Marines per grade and reporting cycle
+--              (cycle_key e.g. 'SSGT:2026'), used for the promotion
+--              endorsement ranking.
+-- Date: 2026-10-18
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.order_of_merit (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.fit_users(id) ON DELETE CASCADE,
+
+  cycle_key TEXT NOT NULL,
+  grade TEXT NOT NULL,
+  cycle TEXT NOT NULL,
+  marine_order JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT order_of_merit_cycle_unique UNIQUE (user_id, cycle_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_of_merit_user ON public.order_of_merit(user_id);
+
+ALTER TABLE public.order_of_merit ENABLE ROW LEVEL SECURITY;
+
+-- Owners may read their own lists; the server (service role) writes
+CREATE POLICY order_of_merit_select_own ON public.order_of_merit
+  FOR SELECT
+  USING (user_id IN (SELECT id FROM public.fit_users WHERE auth.uid()::text = id::text));
+
+CREATE TRIGGER update_order_of_merit_updated_at
+  BEFORE UPDATE ON public.order_of_merit
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
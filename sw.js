@@ -0,0 +1,199 @@
+// Service worker: offline app shell and background sync of queued saves.
+//
+// - Precaches index.html, the stylesheets and every script it loads,
+//   including the CDN libraries (Redux, jsPDF), so the evaluator opens and
+//   drafts reports with no connection.
+// - Same-origin pages and files are network-first, falling back to the cache;
+//   the versioned CDN files are cache-first. API calls are never cached here
+//   (js/networkCache.js handles those).
+// - Evaluation saves queued while offline (js/saveOutbox.js) are sent on the
+//   Background Sync event, even after the tab is closed. Results are left in
+//   IndexedDB for the page and announced to any open tab. The outbox holds no
+//   auth headers: each account's save-only grant authorizes the send, plus
+//   the headers of the page that asked for the flush, if any.
+//
+// Bump CACHE_VERSION when the list below changes so old caches are dropped.
+// tests/serviceWorker.test.js checks that every local script and stylesheet
+// in index.html is precached.
+
+importScripts('js/saveOutbox.js');
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `fitrep-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `fitrep-runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'css/performance.css',
+  'assets/images/Logo.png',
+  // FITREP data and rules
+  'js/errorLogger.js',
+  'js/config.js',
+  'js/constants.js',
+  'js/data.js',
+  'js/militaryData.js',
+  'js/adminData.js',
+  'js/roReview.js',
+  'js/rvProjection.js',
+  'js/profileProtection.js',
+  'js/bulletLibrary.js',
+  'js/counselingLog.js',
+  'js/accomplishmentJournal.js',
+  'js/marineHistory.js',
+  'js/reportingPeriod.js',
+  'js/reportingCalendar.js',
+  'js/occasionRules.js',
+  'js/adverseReport.js',
+  'js/textFit.js',
+  'js/sectionIComposer.js',
+  'js/languageLint.js',
+  'js/traitInflation.js',
+  'js/gradeConsistency.js',
+  'js/calibrationBoard.js',
+  'js/orderOfMerit.js',
+  'js/evaluationMerge.js',
+  // Storage and sync
+  'js/utils.js',
+  'js/githubService.js',
+  'js/idbStore.js',
+  'js/saveOutbox.js',
+  'js/storageCore.js',
+  'js/unifiedStorage.js',
+  'js/storageHelpers.js',
+  'js/networkCache.js',
+  'js/githubServiceCached.js',
+  'js/githubHelpers.js',
+  // Interface
+  'js/voice.js',
+  'js/bulletPicker.js',
+  'js/counselingPanel.js',
+  'js/journalPanel.js',
+  'js/calendarPanel.js',
+  'js/syncConflicts.js',
+  'js/revisionsPanel.js',
+  'js/formCore.js',
+  'js/formStore.js',
+  'js/formUI.js',
+  'js/validation.js',
+  'js/sectionI.js',
+  'js/directedComments.js',
+  'js/memoryManager.js',
+  'js/performance.js',
+  'js/ui-states.js',
+  'js/accessibility.js',
+  'js/tooltips.js',
+  'js/modals.js',
+  'js/formValidationCore.js',
+  'js/formValidationUI.js',
+  'js/navigation.js',
+  'js/profile.js',
+  'js/persistence.js',
+  'js/evaluation.js',
+  'js/app.js',
+  'js/feedback.js'
+];
+
+// Versioned URLs; fetched with CORS to match the crossorigin script tags
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/redux@4.2.1/dist/redux.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/jspdf-autotable@3.8.0/dist/jspdf.plugin.autotable.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(APP_SHELL);
+    // A CDN outage should not stop the shell from installing; PDF export
+    // then needs one online visit
+    await Promise.all(CDN_ASSETS.map(url =>
+      cache.add(new Request(url, { mode: 'cors' })).catch(err => console.warn('Precache failed:', url, err))
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('fitrep-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response && response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // Any page of the app opens the shell offline
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('index.html');
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response && response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (url.pathname.includes('/api/')) return;
+    event.respondWith(networkFirst(request));
+  } else if (CDN_ASSETS.includes(url.href)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function notifyClients(summary) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'fitrep-save-queue', summary }));
+}
+
+async function flushOutbox() {
+  const summary = await SaveOutbox.flush();
+  await notifyClients(summary);
+  // A rejected promise asks the browser to fire the sync event again later
+  if (summary.retry > 0) {
+    throw new Error(`${summary.retry} queued save(s) still waiting for the server`);
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SaveOutbox.SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+// Pages without Background Sync ask for a flush when they come back online
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'flush-save-queue') {
+    const { headers, username } = event.data;
+    event.waitUntil(
+      SaveOutbox.flush({ headers, username }).then(notifyClients).catch(() => {})
+    );
+  }
+});
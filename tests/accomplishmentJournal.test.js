@@ -0,0 +1,48 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const AccomplishmentJournal = require('../js/accomplishmentJournal.js');
+
+// Trait keys come from js/data.js (a browser script, not a module)
+const ctx = {};
+vm.runInNewContext(`${fs.readFileSync(path.join(__dirname, '..', 'js', 'data.js'), 'utf8')};this.firepData = firepData;`, ctx);
+
+const journal = [
+  { id: '1', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2025-08-14', text: 'Qualified 212 Marines on the range.', traits: ['D_proficiency', 'F_leading_subordinates'] },
+  { id: '2', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2025-07-02', text: 'Wrote the battalion embark SOP.', traits: ['D_performance'] },
+  { id: '3', marineName: 'doe john a', date: '2026-01-10', text: 'Ran the unit 5K.', traits: ['F_leading_subordinates'] },
+  { id: '4', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2025-05-01', text: 'Before the period.', traits: ['D_performance'] },
+  { id: '5', marineName: 'Roe, Jane', date: '2025-09-01', text: 'Other Marine.', traits: ['D_performance'] }
+];
+
+function run() {
+  const keys = AccomplishmentJournal.traitKeys(ctx.firepData);
+  assert.deepStrictEqual(keys[0], { key: 'D_performance', section: 'Mission Accomplishment', name: 'Performance' });
+  assert.ok(keys.some(k => k.key === 'F_leading_subordinates'));
+
+  // Validation
+  const known = keys.map(k => k.key);
+  let r = AccomplishmentJournal.validate({ marineName: ' Doe ', date: '2025-08-14', text: ' Did a thing. ', traits: 'D_performance, D_performance,F_leading_subordinates', link: 'https://example.mil/award' }, { traitKeys: known });
+  assert.strictEqual(r.valid, true);
+  assert.deepStrictEqual(r.value, { marineName: 'Doe', marineKey: '', date: '2025-08-14', text: 'Did a thing.', traits: ['D_performance', 'F_leading_subordinates'], link: 'https://example.mil/award', attachment: '' });
+  assert.strictEqual(AccomplishmentJournal.validate({ ...r.value, traits: [] }).valid, false);
+  assert.strictEqual(AccomplishmentJournal.validate({ ...r.value, traits: ['D_nothing'] }, { traitKeys: known }).valid, false);
+  assert.strictEqual(AccomplishmentJournal.validate({ ...r.value, traits: ['performance'] }).valid, false);
+  assert.strictEqual(AccomplishmentJournal.validate({ ...r.value, link: 'javascript:alert(1)' }).valid, false);
+  assert.strictEqual(AccomplishmentJournal.validate({ ...r.value, date: '14 Aug 2025' }).valid, false);
+
+  // Inside the period, for this Marine
+  const period = AccomplishmentJournal.forPeriod(journal, { marineKey: 'edipi-1234567890', marineName: 'Doe, John A', from: '2025-06-01', to: '2026-05-31' });
+  assert.deepStrictEqual(period.map(e => e.id), ['2', '1', '3']);
+
+  const grouped = AccomplishmentJournal.byTrait(period);
+  assert.deepStrictEqual(grouped.F_leading_subordinates.map(e => e.id), ['1', '3']);
+  assert.deepStrictEqual(Object.keys(grouped).sort(), ['D_performance', 'D_proficiency', 'F_leading_subordinates']);
+
+  assert.deepStrictEqual(AccomplishmentJournal.candidates(period).D_proficiency, ['Qualified 212 Marines on the range.']);
+
+  console.log('All AccomplishmentJournal tests passed.');
+}
+
+run();
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const AdminData = require('../js/adminData.js');
+
+// githubService.js exports GITHUB_CONFIG from the browser global scope
+global.GITHUB_CONFIG = {};
+const { GitHubDataService } = require('../js/githubService.js');
+
+function run() {
+  // Normalization: trims, strips EDIPI separators, upper-cases unit codes
+  const data = AdminData.normalize({
+    edipi: ' 1234-567-890 ',
+    pmos: '0369',
+    dutyStatus: 'AD',
+    unitRuc: 'm1234',
+    unitMcc: '1a2',
+    billetDescription: 'Platoon Sergeant',
+    billetAccomplishments: 'Led 40 Marines.\nCompleted ITX.',
+    roName: 'Jones, Robert B',
+    roRank: 'LtCol',
+    roEmail: 'Robert.Jones@USMC.mil',
+    bogus: 'dropped'
+  });
+  assert.strictEqual(data.edipi, '1234567890');
+  assert.strictEqual(data.unitRuc, 'M1234');
+  assert.strictEqual(data.unitMcc, '1A2');
+  assert.strictEqual(data.roEmail, 'robert.jones@usmc.mil');
+  assert.ok(!('bogus' in data), 'Unknown keys should be dropped');
+  assert.deepStrictEqual(AdminData.validate(data), []);
+
+  // All fields are optional
+  assert.deepStrictEqual(AdminData.validate({}), []);
+
+  // Format errors are reported per field
+  const errors = AdminData.validate({ edipi: '123', pmos: '03', unitRuc: 'AB', dutyStatus: 'XX', roEmail: 'nope' });
+  assert.strictEqual(errors.length, 5, `Expected 5 errors, got ${errors.join('; ')}`);
+
+  // collect() reads through the provided lookup by input id
+  const byId = { edipiInput: '0987654321', unitMccInput: 'zz9' };
+  const collected = AdminData.collect(id => byId[id] || '');
+  assert.strictEqual(collected.edipi, '0987654321');
+  assert.strictEqual(collected.unitMcc, 'ZZ9');
+  assert.strictEqual(collected.pmos, '');
+
+  // toEvaluation/fromEvaluation round trip
+  const fragments = AdminData.toEvaluation(data);
+  assert.deepStrictEqual(fragments.marineInfo.unit, { ruc: 'M1234', mcc: '1A2' });
+  assert.strictEqual(fragments.roInfo.rank, 'LtCol');
+  const evaluation = {
+    marineInfo: { name: 'Doe, Jane', rank: 'SSgt', ...fragments.marineInfo },
+    billet: fragments.billet,
+    roInfo: fragments.roInfo
+  };
+  assert.deepStrictEqual(AdminData.fromEvaluation(evaluation), data);
+
+  // Summary rows skip empties and expand duty status codes
+  const rows = AdminData.summaryRows({ edipi: '1234567890', dutyStatus: 'SMCR' });
+  assert.deepStrictEqual(rows.map(r => r.value), ['1234567890', 'Selected Marine Corps Reserve']);
+
+  // GitHub YAML writer and minimal reader carry the administrative block
+  const svc = new GitHubDataService();
+  const yaml = svc.buildEvaluationYaml({
+    evaluationId: 'eval-1',
+    occasion: 'AN',
+    ...evaluation,
+    marineInfo: { ...evaluation.marineInfo, evaluationPeriod: { from: '2025-01-01', to: '2025-12-31' } },
+    rsInfo: { name: 'Smith, John', email: 'john.smith@usmc.mil', rank: 'Capt' },
+    traitEvaluations: {}
+  }, 'john.smith@usmc.mil');
+  const parsed = svc.parseEvaluationYamlMinimal(yaml);
+  assert.strictEqual(parsed.marineInfo.edipi, '1234567890');
+  assert.strictEqual(parsed.marineInfo.pmos, '0369');
+  assert.deepStrictEqual(parsed.marineInfo.unit, { ruc: 'M1234', mcc: '1A2' });
+  assert.strictEqual(parsed.billet.description, 'Platoon Sergeant');
+  assert.deepStrictEqual(parsed.roInfo, { name: 'Jones, Robert B', rank: 'LtCol', email: 'robert.jones@usmc.mil' });
+  assert.strictEqual(parsed.rsInfo.rank, 'Capt');
+
+  // Null RO fields must not pick up values from the RS block
+  const sparse = svc.parseEvaluationYamlMinimal(svc.buildEvaluationYaml({
+    evaluationId: 'eval-2',
+    marineInfo: { name: 'Doe, Jane', rank: 'SSgt' },
+    rsInfo: { name: 'Smith, John', email: 'john.smith@usmc.mil', rank: 'Capt' }
+  }, 'john.smith@usmc.mil'));
+  assert.deepStrictEqual(sparse.roInfo, { name: '', rank: '', email: '' });
+  assert.strictEqual(sparse.marineInfo.edipi, '');
+
+  // Quoted scalars round-trip through JSON escaping: quotes, backslashes, newlines
+  const accomplishments = 'Led the "Iron Mike" relay.\nRe-certified 40 Marines on C:\\range\\data.';
+  const quoted = svc.parseEvaluationYamlMinimal(svc.buildEvaluationYaml({
+    evaluationId: 'eval-3',
+    marineInfo: { name: 'O"Neil, Pat', rank: 'Sgt', evaluationPeriod: { from: '2025-01-01', to: '2025-12-31' } },
+    billet: { description: 'Squad Leader', accomplishments },
+    rsInfo: { name: 'Smith, John', email: 'john.smith@usmc.mil', rank: 'Capt' },
+    sectionIComments: 'Says "ready".\nPromote now.',
+    traitEvaluations: [{ section: 'Mission Accomplishment', trait: 'Performance', grade: 'E', gradeNumber: 5, justification: 'Led "by example".\nTwice.' }]
+  }, 'john.smith@usmc.mil'));
+  assert.strictEqual(quoted.billet.accomplishments, accomplishments);
+  assert.strictEqual(quoted.billet.description, 'Squad Leader');
+  assert.strictEqual(quoted.marineInfo.name, 'O"Neil, Pat');
+  assert.strictEqual(quoted.sectionIComments, 'Says "ready".\nPromote now.');
+  assert.strictEqual(quoted.traitEvaluations[0].justification, 'Led "by example".\nTwice.');
+  assert.strictEqual(quoted.rsInfo.rank, 'Capt');
+
+  console.log('All AdminData tests passed.');
+}
+
+run();
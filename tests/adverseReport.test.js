@@ -0,0 +1,49 @@
+const assert = require('assert');
+const AdverseReport = require('../js/adverseReport.js');
+
+function run() {
+  // No triggers
+  let d = AdverseReport.detect({ traitEvaluations: { p: { trait: 'Performance', grade: 'D' } }, comments: ['awards'] });
+  assert.strictEqual(d.isAdverse, false);
+  assert.deepStrictEqual(d.triggers, []);
+  assert.deepStrictEqual(AdverseReport.missing(d, {}), []);
+
+  // "A" marks (keyed object or array), adverse comments and a not-recommended promotion
+  d = AdverseReport.detect({ traitEvaluations: [{ trait: 'Courage', grade: 'a' }] });
+  assert.strictEqual(d.isAdverse, true);
+  assert.deepStrictEqual(d.triggers, [{ id: 'grade-a:Courage', label: '"A" mark in Courage' }]);
+  assert.strictEqual(AdverseReport.detect({ comments: ['relief_for_cause'] }).triggers[0].id, 'comment:relief_for_cause');
+  assert.strictEqual(AdverseReport.detect({ comments: ['allegations_unsubstantiated'] }).isAdverse, false);
+  d = AdverseReport.detect({ comments: ['not_recommended'], promotionAdverse: true });
+  assert.strictEqual(d.triggers.length, 1);
+
+  // Saved comment text, where only the rendered templates survive
+  assert.strictEqual(AdverseReport.detect({ text: 'Directed Comment: Section A, Item 6f – MRO received NJP on 20250101 for UA.' }).isAdverse, true);
+  assert.strictEqual(AdverseReport.detect({ text: 'I recommend that the MRO not be considered for promotion with contemporaries.' }).isAdverse, true);
+  assert.strictEqual(AdverseReport.detect({ text: 'Allegations against MRO were investigated and found unsubstantiated.' }).isAdverse, false);
+
+  // Workflow gaps: Item 8e and a complete MRO acknowledgment
+  d = AdverseReport.detect({ comments: ['bcp'] });
+  assert.deepStrictEqual(AdverseReport.missing(d, { comments: ['bcp'] }), [
+    'Directed comment: Adverse Material Submitted (Item 8e)',
+    'MRO acknowledgment and statement intent'
+  ]);
+  const ack = { acknowledged: true, date: '2025-06-03', statementIntent: 'declines' };
+  assert.deepStrictEqual(AdverseReport.missing(d, { comments: ['bcp', 'adverse_material'], acknowledgment: ack }), []);
+  assert.deepStrictEqual(AdverseReport.missing(d, { text: 'Directed Comment: Section A, Item 8e – MRO\'s report contains adverse material per Chapter 5.', acknowledgment: ack }), []);
+  assert.strictEqual(AdverseReport.isAcknowledged({ ...ack, statementIntent: '' }), false);
+  assert.strictEqual(AdverseReport.isAcknowledged({ ...ack, date: '' }), false);
+  assert.strictEqual(AdverseReport.isAcknowledged({ ...ack, acknowledged: false }), false);
+  assert.strictEqual(AdverseReport.isAcknowledged(null), false);
+
+  // Saved evaluations: marks and text, or a stored flag
+  assert.strictEqual(AdverseReport.fromEvaluation({ traitEvaluations: { x: { trait: 'Effectiveness Under Stress', grade: 'A' } } }).isAdverse, true);
+  assert.strictEqual(AdverseReport.fromEvaluation({ directedComments: 'MRO was relieved for cause on 20250301.' }).isAdverse, true);
+  assert.deepStrictEqual(AdverseReport.fromEvaluation({ isAdverse: true }).triggers, [{ id: 'flag', label: 'Marked adverse' }]);
+  assert.strictEqual(AdverseReport.fromEvaluation({ isAdverse: false, traitEvaluations: [] }).isAdverse, false);
+  assert.strictEqual(AdverseReport.fromEvaluation(null).isAdverse, false);
+
+  console.log('All AdverseReport tests passed.');
+}
+
+run();
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const BulletLibrary = require('../js/bulletLibrary.js');
+
+const library = [
+  { id: '1', text: 'Led 40 Marines through a 7-month deployment.', trait: 'Leading Subordinates', grade: 'E', marineName: 'Doe, John', tags: ['deployment'], createdAt: '2025-01-01T00:00:00Z' },
+  { id: '2', text: 'Qualified Expert on the rifle range.', trait: 'Proficiency', grade: 'D', marineName: 'Roe, Jane', tags: ['range'], createdAt: '2025-02-01T00:00:00Z' },
+  { id: '3', text: 'Mentored three junior Marines to meritorious promotion.', trait: 'Developing Subordinates', grade: 'F', marineName: 'Doe, John', tags: ['mentorship', 'deployment'], createdAt: '2025-03-01T00:00:00Z' },
+  { id: '4', text: 'Led the deployment embark plan.', trait: 'Leading Subordinates', grade: 'D', marineName: 'Roe, Jane', tags: [], createdAt: '2025-04-01T00:00:00Z' }
+];
+
+function run() {
+  // Tags accept arrays or comma strings and are normalized
+  assert.deepStrictEqual(BulletLibrary.normalizeTags(' Deployment, Field Day ,deployment,'), ['deployment', 'field-day']);
+
+  // Validation
+  let r = BulletLibrary.validate({ text: '  Led 40 Marines. ', grade: 'e', tags: 'a,b' });
+  assert.strictEqual(r.valid, true);
+  assert.deepStrictEqual(r.value, { text: 'Led 40 Marines.', trait: '', grade: 'E', marineName: '', tags: ['a', 'b'] });
+  assert.strictEqual(BulletLibrary.validate({ text: '' }).valid, false);
+  assert.strictEqual(BulletLibrary.validate({ text: 'x', grade: 'H' }).valid, false);
+  assert.strictEqual(BulletLibrary.validate({ text: 'x'.repeat(BulletLibrary.MAX_TEXT + 1) }).valid, false);
+  assert.strictEqual(BulletLibrary.validate({ text: 'x', tags: Array.from({ length: 11 }, (_, i) => `t${i}`) }).valid, false);
+
+  // Every query word must match text, trait, Marine or tags
+  assert.deepStrictEqual(BulletLibrary.search(library, { query: 'deployment' }).map(b => b.id), ['4', '3', '1']);
+  assert.deepStrictEqual(BulletLibrary.search(library, { query: 'doe mentorship' }).map(b => b.id), ['3']);
+  assert.deepStrictEqual(BulletLibrary.search(library, { query: 'nothing-here' }), []);
+
+  // Current trait sorts first, then grade, then newest
+  const ranked = BulletLibrary.search(library, { trait: 'Leading Subordinates', grade: 'E' }).map(b => b.id);
+  assert.deepStrictEqual(ranked, ['1', '4', '3', '2']);
+  const traitOnly = BulletLibrary.search(library, { trait: 'leading subordinates', traitOnly: true }).map(b => b.id);
+  assert.deepStrictEqual(traitOnly, ['4', '1']);
+
+  // Insertion appends on a new line
+  assert.strictEqual(BulletLibrary.insertInto('', ' First. '), 'First.');
+  assert.strictEqual(BulletLibrary.insertInto('First.\n\n', 'Second.'), 'First.\nSecond.');
+  assert.strictEqual(BulletLibrary.insertInto('First.', ''), 'First.');
+
+  console.log('All BulletLibrary tests passed.');
+}
+
+run();
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const CalibrationBoard = require('../js/calibrationBoard.js');
+
+function saved(id, name, grades, asArray) {
+  const items = Object.keys(grades).map(trait => ({ section: 'Mission Accomplishment', trait, grade: grades[trait], gradeNumber: ' ABCDEFG'.indexOf(grades[trait]) }));
+  return {
+    evaluationId: id,
+    marineInfo: { name, rank: 'SSgt' },
+    fitrepAverage: '0.00',
+    traitEvaluations: asArray ? items : Object.fromEntries(items.map(t => [`D_${t.trait.toLowerCase()}`, t]))
+  };
+}
+
+function run() {
+  const evals = [
+    saved('a', 'Alpha', { Performance: 'D', Proficiency: 'E', Courage: 'D' }),
+    saved('b', 'Bravo', { Performance: 'E', Proficiency: 'E', Courage: 'E' }, true),
+    saved('c', 'Charlie', { Performance: 'E', Proficiency: 'D', Courage: 'D' }),
+    { evaluationId: 'd', marineInfo: { name: 'Delta' }, traitEvaluations: {} }
+  ];
+
+  let board = CalibrationBoard.createBoard(evals);
+  assert.deepStrictEqual(board.traits, ['Performance', 'Proficiency', 'Courage']);
+  assert.strictEqual(board.members.length, 4);
+
+  // Order of merit from the averages; equal averages share a position
+  let summary = CalibrationBoard.summarize(board);
+  assert.deepStrictEqual(summary.rows.map(r => [r.marineName, r.average, r.position]),
+    [['Bravo', 5, 1], ['Alpha', 4.33, 2], ['Charlie', 4.33, 2], ['Delta', null, null]]);
+  assert.deepStrictEqual(summary.ties, [['a', 'c']]);
+  assert.strictEqual(summary.traitAverages.Performance, 4.67);
+  assert.deepStrictEqual(summary.changes, []);
+
+  // Adjusting a mark separates the tie without touching the original board
+  const adjusted = CalibrationBoard.setGrade(board, 'c', 'Courage', 'e');
+  assert.strictEqual(board.members[2].marks.Courage.grade, 'D');
+  summary = CalibrationBoard.summarize(adjusted);
+  assert.deepStrictEqual(summary.rows.map(r => r.evaluationId), ['b', 'c', 'a', 'd']);
+  assert.deepStrictEqual(summary.ties, []);
+  assert.deepStrictEqual(summary.changes, [{ evaluationId: 'c', marineName: 'Charlie', trait: 'Courage', from: 'D', to: 'E' }]);
+  assert.strictEqual(summary.rows[1].originalAverage, 4.33);
+  assert.strictEqual(summary.rows[1].changed, 1);
+
+  // Setting it back clears the change
+  board = CalibrationBoard.setGrade(adjusted, 'c', 'Courage', 'D');
+  assert.deepStrictEqual(CalibrationBoard.summarize(board).changes, []);
+
+  assert.throws(() => CalibrationBoard.setGrade(board, 'a', 'Courage', 'H'), /Invalid grade/);
+  // A trait the report does not carry is left alone
+  assert.strictEqual(CalibrationBoard.setGrade(board, 'd', 'Courage', 'G').members[3].marks.Courage, undefined);
+
+  // Written back in the report's own shape, with the average recomputed
+  const keyed = CalibrationBoard.applyToEvaluation(evals[2], adjusted.members[2]);
+  assert.strictEqual(keyed.traitEvaluations.D_courage.grade, 'E');
+  assert.strictEqual(keyed.traitEvaluations.D_courage.gradeNumber, 5);
+  assert.strictEqual(keyed.traitEvaluations.D_performance, evals[2].traitEvaluations.D_performance);
+  assert.strictEqual(keyed.fitrepAverage, '4.67');
+  assert.strictEqual(evals[2].traitEvaluations.D_courage.grade, 'D');
+
+  const arrayed = CalibrationBoard.applyToEvaluation(evals[1], CalibrationBoard.setGrade(board, 'b', 'Performance', 'F').members[1]);
+  assert.ok(Array.isArray(arrayed.traitEvaluations));
+  assert.strictEqual(arrayed.traitEvaluations[0].grade, 'F');
+  assert.strictEqual(arrayed.fitrepAverage, '5.33');
+
+  assert.strictEqual(CalibrationBoard.averageOf({ x: { grade: 'H' } }), null);
+
+  console.log('All CalibrationBoard tests passed.');
+}
+
+run();
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const CounselingLog = require('../js/counselingLog.js');
+
+const log = [
+  { id: '1', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2025-07-01', type: 'initial', notes: 'Set expectations for the billet.', goals: ['Complete Sergeants Course', 'Qualify as range coach'], traits: ['Professional Military Education (PME)'], followUp: { date: '2025-12-01', notes: 'Graduated.', status: 'met' } },
+  { id: '2', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2025-12-01', type: 'mid-period', notes: 'Leading Subordinates needs work; delegate more.', goals: [], traits: [], followUp: { status: 'open' } },
+  { id: '3', marineName: 'doe john a', date: '2026-02-10', type: 'event', notes: 'Late to formation.', goals: ['Be on time'], traits: ['Setting the Example'], followUp: { status: 'not-met' } },
+  { id: '4', marineName: 'Roe, Jane', date: '2025-08-01', type: 'initial', notes: 'Leading Subordinates focus.', goals: [], traits: ['Leading Subordinates'], followUp: { status: 'open' } },
+  { id: '5', marineName: 'Doe, John A', marineKey: 'edipi-1234567890', date: '2024-07-01', type: 'initial', notes: 'Prior period.', goals: ['Old goal'], traits: [], followUp: { status: 'met' } }
+];
+
+function run() {
+  // Validation normalizes lists and the follow-up
+  let r = CounselingLog.validate({
+    marineName: ' Doe, John A ', date: '2025-07-01', type: 'Mid-Period',
+    notes: ' Good start. ', goals: 'Complete MCI\n\nComplete MCI\nLead PT', traits: 'Initiative, Courage'
+  });
+  assert.strictEqual(r.valid, true);
+  assert.deepStrictEqual(r.value, {
+    marineName: 'Doe, John A', marineKey: '', date: '2025-07-01', type: 'mid-period', notes: 'Good start.',
+    goals: ['Complete MCI', 'Lead PT'], traits: ['Initiative', 'Courage'],
+    followUp: { date: '', notes: '', status: 'open' }
+  });
+  assert.strictEqual(CounselingLog.validate({ marineName: 'x', date: '2025-13-40', type: 'initial', notes: 'n' }).valid, false);
+  assert.strictEqual(CounselingLog.validate({ marineName: 'x', date: '2025-07-01', type: 'weekly', notes: 'n' }).valid, false);
+  assert.strictEqual(CounselingLog.validate({ marineName: 'x', date: '2025-07-01', type: 'event' }).valid, false);
+  assert.strictEqual(CounselingLog.validate({ marineName: 'x', date: '2025-07-01', type: 'event', notes: 'n', followUp: { date: '2025-06-01' } }).valid, false);
+  assert.strictEqual(CounselingLog.validate({ marineName: 'x', date: '2025-07-01', type: 'event', notes: 'n', followUp: { status: 'done' } }).valid, false);
+
+  // Per Marine and period: key when both sides carry one, else the name
+  const doe = CounselingLog.forMarine(log, { marineKey: 'edipi-1234567890', marineName: 'Doe, John A', from: '2025-06-01', to: '2026-05-31' });
+  assert.deepStrictEqual(doe.map(e => e.id), ['1', '2', '3']);
+  assert.deepStrictEqual(CounselingLog.forMarine(log, { marineName: 'ROE jane' }).map(e => e.id), ['4']);
+  assert.deepStrictEqual(CounselingLog.forMarine(log, {}), []);
+
+  // Tagged entries first, then ones naming the trait
+  assert.deepStrictEqual(CounselingLog.forTrait(doe, 'Leading Subordinates').map(e => e.id), ['2']);
+  assert.deepStrictEqual(CounselingLog.forTrait(doe, 'setting the example').map(e => e.id), ['3']);
+  assert.deepStrictEqual(CounselingLog.forTrait(doe, ''), []);
+
+  // Only goals met are cited
+  assert.deepStrictEqual(CounselingLog.citations(doe), ['Met every goal set at initial counseling: complete Sergeants Course; qualify as range coach.']);
+  assert.deepStrictEqual(CounselingLog.citations(log, { max: 1 }).length, 1);
+
+  console.log('All CounselingLog tests passed.');
+}
+
+run();
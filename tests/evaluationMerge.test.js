@@ -0,0 +1,115 @@
+const assert = require('assert');
+const EvaluationMerge = require('../js/evaluationMerge.js');
+
+function report(overrides) {
+  return {
+    evaluationId: 'eval-1',
+    occasion: 'AN',
+    marineInfo: { name: 'Doe, John', rank: 'Sgt', evaluationPeriod: { from: '2025-06-01', to: '2026-05-31' } },
+    billet: { description: 'Squad leader' },
+    sectionIComments: 'Solid NCO.',
+    directedComments: 'Directed Comment: Section A, Item 6a – MRO was the subject of a NAM on 2026-01-10.',
+    traitEvaluations: {
+      A_performance: { section: 'Mission Accomplishment', trait: 'Performance', grade: 'C', gradeNumber: 3, justification: 'Met standards.' },
+      A_proficiency: { section: 'Mission Accomplishment', trait: 'Proficiency', grade: 'D', gradeNumber: 4, justification: 'Above peers.' }
+    },
+    fitrepAverage: '3.50',
+    ...overrides
+  };
+}
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function run() {
+  const base = report();
+  const baseFields = EvaluationMerge.fields(base);
+  assert.deepStrictEqual(baseFields['trait:Performance'], { grade: 'C', justification: 'Met standards.' });
+  assert.strictEqual(baseFields['directed:6a'].startsWith('Directed Comment'), true);
+  assert.deepStrictEqual(baseFields['marineInfo.evaluationPeriod'], { from: '2025-06-01', to: '2026-05-31' });
+  assert.strictEqual(EvaluationMerge.label('trait:Performance'), 'Trait: Performance');
+  assert.strictEqual(EvaluationMerge.label('directed:6a'), 'Directed comment (Item 6a)');
+
+  // Server copies keep traits as a list with section letters
+  const remote = clone(base);
+  remote.traitEvaluations = [
+    { section: 'A', trait: 'Performance', grade: 'C', gradeNumber: 3, justification: 'Met standards.' },
+    { section: 'A', trait: 'Proficiency', grade: 'E', gradeNumber: 5, justification: 'Above peers.' }
+  ];
+  remote.directedComments = `${base.directedComments}\n\nDirected Comment: Section A, Item 6e – MRO was assigned to the BCP on 2026-02-01.`;
+  assert.deepStrictEqual(EvaluationMerge.diff(base, remote).map(d => d.field), ['trait:Proficiency', 'directed:6e']);
+
+  // Non-overlapping edits merge cleanly: local Section I, remote trait and directed comment
+  const local = clone(base);
+  local.sectionIComments = 'Solid NCO. Ready for SSgt.';
+  let result = EvaluationMerge.merge(baseFields, local, remote);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.evaluation.sectionIComments, 'Solid NCO. Ready for SSgt.');
+  assert.strictEqual(result.evaluation.traitEvaluations.A_proficiency.grade, 'E');
+  assert.strictEqual(result.evaluation.traitEvaluations.A_proficiency.gradeNumber, 5);
+  assert.strictEqual(result.evaluation.traitEvaluations.A_proficiency.section, 'Mission Accomplishment');
+  assert.strictEqual(result.evaluation.fitrepAverage, '4.00');
+  assert.strictEqual(EvaluationMerge.directedParagraphs(result.evaluation.directedComments).length, 2);
+  assert.strictEqual(local.traitEvaluations.A_proficiency.grade, 'D', 'inputs are not modified');
+
+  // The same trait changed on both sides is a conflict that keeps the local mark
+  local.traitEvaluations.A_proficiency = { ...local.traitEvaluations.A_proficiency, grade: 'F', gradeNumber: 6 };
+  result = EvaluationMerge.merge(baseFields, local, remote);
+  assert.deepStrictEqual(result.conflicts.map(c => c.field), ['trait:Proficiency']);
+  assert.deepStrictEqual([result.conflicts[0].local.grade, result.conflicts[0].remote.grade, result.conflicts[0].base.grade], ['F', 'E', 'D']);
+  assert.strictEqual(result.evaluation.traitEvaluations.A_proficiency.grade, 'F');
+
+  // Resolving with the server's mark
+  const resolved = EvaluationMerge.resolve(local, remote, { ...result.picks, 'trait:Proficiency': 'remote' });
+  assert.strictEqual(resolved.traitEvaluations.A_proficiency.grade, 'E');
+  assert.strictEqual(resolved.sectionIComments, 'Solid NCO. Ready for SSgt.');
+
+  // Identical edits on both sides are not conflicts; removals merge too
+  const both = clone(base);
+  both.billet.description = 'Platoon sergeant';
+  const bothRemote = clone(both);
+  bothRemote.directedComments = '';
+  result = EvaluationMerge.merge(baseFields, both, bothRemote);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.evaluation.billet.description, 'Platoon sergeant');
+  assert.strictEqual(result.evaluation.directedComments, '');
+
+  // Paragraphs without an item number are matched by their text: removing
+  // one here and editing the next on the server is not a conflict
+  const unnumbered = clone(base);
+  unnumbered.directedComments = 'Deployed to Okinawa with the UDP.\n\nCompleted Sergeants Course.\n\nCompleted Sergeants Course.';
+  const paragraphs = EvaluationMerge.directedParagraphs(unnumbered.directedComments);
+  assert.strictEqual(paragraphs[2].key, `${paragraphs[1].key}#2`);
+  assert.strictEqual(EvaluationMerge.label(`directed:${paragraphs[0].key}`), 'Directed comment');
+  const dropped = clone(unnumbered);
+  dropped.directedComments = 'Completed Sergeants Course.\n\nCompleted Sergeants Course.';
+  const edited = clone(unnumbered);
+  edited.directedComments = 'Deployed to Okinawa with the UDP.\n\nCompleted Sergeants Course.\n\nCompleted Sergeants Course with honors.';
+  result = EvaluationMerge.merge(EvaluationMerge.fields(unnumbered), dropped, edited);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.evaluation.directedComments, 'Completed Sergeants Course.\n\nCompleted Sergeants Course with honors.');
+
+  // Sync bookkeeping
+  const synced = EvaluationMerge.markSynced(clone(base), 3);
+  assert.strictEqual(synced.syncBase.revision, 3);
+  const payload = EvaluationMerge.syncPayload(synced);
+  assert.strictEqual(payload.baseRevision, 3);
+  assert.strictEqual(payload.evaluation.syncBase, undefined);
+  assert.strictEqual(EvaluationMerge.syncPayload(base).baseRevision, undefined);
+
+  // Revision diff: changed fields with both values, and a word-level text diff
+  const changes = EvaluationMerge.compare(base, local);
+  assert.deepStrictEqual(changes.map(c => c.field), ['trait:Proficiency', 'sectionIComments']);
+  assert.strictEqual(EvaluationMerge.formatValue(changes[0].to), 'F — Above peers.');
+  assert.strictEqual(EvaluationMerge.formatValue(null), '(empty)');
+  assert.deepStrictEqual(EvaluationMerge.wordDiff('Solid NCO.', 'Solid NCO. Ready for SSgt.'), [
+    { type: 'same', text: 'Solid NCO. ' },
+    { type: 'add', text: 'Ready for SSgt.' }
+  ]);
+  assert.deepStrictEqual(EvaluationMerge.wordDiff('a b c', 'a x c').map(r => r.type), ['same', 'del', 'add', 'same']);
+
+  console.log('All EvaluationMerge tests passed.');
+}
+
+run();
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { renderFitrepPdf, fitText, wrapText, BOX_ROWS } = require('../server/fitrepPdf.js');
+
+const evaluation = {
+  evaluationId: 'eval-20250630-sgt-doe-0001',
+  occasion: 'AN',
+  fitrepAverage: '4.21',
+  marineInfo: {
+    name: 'Doe, John A',
+    rank: 'Sgt',
+    edipi: '1234567890',
+    pmos: '0369',
+    dutyStatus: 'AD',
+    unit: { ruc: '12345', mcc: '1AB' },
+    evaluationPeriod: { from: '2024-07-01', to: '2025-06-30' }
+  },
+  rsInfo: { name: 'Smith, Jane B', rank: 'Capt', email: 'jsmith' },
+  roInfo: { name: 'Jones, Robert C', rank: 'Maj', email: 'rjones@usmc.mil' },
+  billet: { description: 'Platoon Sergeant', accomplishments: 'Led 40 Marines through a 7-month deployment (100% accountability).' },
+  directedComments: 'None.',
+  sectionIComments: 'SNCO of unmatched character — the Marine’s Marine. Promote ahead of peers.',
+  traitEvaluations: {
+    D_performance: { section: 'Mission Accomplishment', trait: 'Performance', grade: 'E', gradeNumber: 5 },
+    G_pme: { section: 'Intellect and Wisdom', trait: 'Professional Military Education (PME)', grade: 'D', gradeNumber: 4 }
+  }
+};
+
+function run() {
+  // Deterministic bytes for the same input
+  const a = renderFitrepPdf(evaluation);
+  const b = renderFitrepPdf(JSON.parse(JSON.stringify(evaluation)));
+  assert.ok(a.buffer.equals(b.buffer), 'PDF output must be deterministic');
+  assert.strictEqual(a.filename, 'eval-20250630-sgt-doe-0001.pdf');
+
+  const pdf = a.buffer.toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  assert.ok(!/CreationDate|ModDate/.test(pdf));
+  assert.ok(/\/Count 2/.test(pdf));
+
+  // Cross-reference offsets point at their objects
+  const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.ok(pdf.startsWith('xref', xrefAt));
+  const entries = pdf.slice(xrefAt).split('\n').slice(3).filter(l => / 00000 n $/.test(l));
+  entries.forEach((entry, i) => {
+    assert.ok(pdf.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10))), `xref entry ${i + 1}`);
+  });
+
+  // Form content: admin block, trait labels, escaped and sanitized text
+  ['(1234567890)', '(0369)', '(Platoon Sergeant)', '(1. Performance)', '(Maj Jones, Robert C)',
+    '(Led 40 Marines through a 7-month deployment \\(100% accountability\\).)',
+    "(SNCO of unmatched character - the Marine's Marine. Promote ahead of peers.)",
+    '(Promote ahead of peers.)'].forEach((s) => {
+    assert.ok(pdf.includes(s), `missing ${s}`);
+  });
+
+  // Snapshot: any layout change must update this hash deliberately
+  const hash = crypto.createHash('sha256').update(a.buffer).digest('hex');
+  assert.strictEqual(hash, '0ecdb0e773a714c370f714e61c0a5d26e5f6e3b78a1282345fd5842f66bdd044');
+
+  // Text fitting reports capacity and overflow
+  assert.deepStrictEqual(wrapText('aaa bbb ccc', 7), ['aaa bbb', 'ccc']);
+  assert.deepStrictEqual(wrapText('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+  const fit = fitText('word '.repeat(400), 20, 3);
+  assert.strictEqual(fit.lines.length, 3);
+  assert.strictEqual(fit.capacity, 60);
+  assert.ok(fit.overflowChars > 0);
+
+  const long = renderFitrepPdf({ ...evaluation, sectionIComments: 'x'.repeat(20000) });
+  assert.strictEqual(long.fit.sectionI.lines.length, BOX_ROWS.sectionI);
+  assert.ok(long.buffer.toString('latin1').includes('exceeds the form space'));
+
+  // Missing data renders without throwing
+  assert.ok(renderFitrepPdf({}).buffer.length > 0);
+
+  console.log('All fitrepPdf tests passed.');
+}
+
+run();
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const GradeConsistency = require('../js/gradeConsistency.js');
+
+// Real trait descriptors from js/data.js (a browser script, not a module)
+const ctx = {};
+vm.runInNewContext(`${fs.readFileSync(path.join(__dirname, '..', 'js', 'data.js'), 'utf8')};this.firepData = firepData;`, ctx);
+const performance = ctx.firepData.sections.D.traits.performance.gradeDescriptions;
+const initiative = ctx.firepData.sections.E.traits.initiative.gradeDescriptions;
+
+const B_TEXT = 'Meets the requirements of the billet and additional duties. Work was adequate and kept the section at the status quo.';
+const D_TEXT = 'Consistently produced quality results and measurably improved unit performance. Habitually made effective use of time and resources.';
+const F_TEXT = 'Emulated by peers and sought after as an expert; his influence reached beyond unit. Innovative approaches produced significant gains across the regiment.';
+
+function run() {
+  // Stemmed content words, stop words dropped
+  assert.deepStrictEqual(GradeConsistency.tokenize('The Marine emulated experts, self-starter.'), ['emulat', 'expert', 'self', 'starter']);
+
+  // Evidence lands on the matching descriptor level
+  assert.strictEqual(GradeConsistency.estimate(B_TEXT, performance).grade, 'B');
+  assert.strictEqual(GradeConsistency.estimate(D_TEXT, performance).grade, 'D');
+  assert.strictEqual(GradeConsistency.estimate(F_TEXT, performance).grade, 'F');
+  const scored = GradeConsistency.score(F_TEXT, performance);
+  assert.ok(scored.scores.F > scored.scores.D && scored.scores.F > scored.scores.B);
+  assert.ok(scored.matched.F.includes('emulated'));
+
+  // Too little evidence: no estimate, never a mismatch
+  const thin = GradeConsistency.check({ grade: 'F', justification: 'Led 45 Marines through 3 deployments.' }, performance);
+  assert.strictEqual(thin.supported, null);
+  assert.strictEqual(thin.mismatch, false);
+
+  // "B" story under an "F" mark
+  const over = GradeConsistency.check({ grade: 'F', gradeNumber: 6, justification: B_TEXT }, performance);
+  assert.strictEqual(over.mismatch, true);
+  assert.strictEqual(over.direction, 'over');
+  assert.strictEqual(over.supported, 'B');
+  assert.strictEqual(over.evidence[0], 'meets requirements');
+  assert.strictEqual(new Set(over.evidence).size, over.evidence.length);
+
+  // "F" story under a "B" mark
+  const under = GradeConsistency.check({ grade: 'B', justification: F_TEXT }, performance);
+  assert.strictEqual(under.mismatch, true);
+  assert.strictEqual(under.direction, 'under');
+
+  // Neighbouring marks are within tolerance
+  assert.strictEqual(GradeConsistency.check({ grade: 'E', justification: D_TEXT }, performance).mismatch, false);
+  assert.strictEqual(GradeConsistency.check({ grade: 'F', justification: D_TEXT }, performance).mismatch, false);
+  assert.strictEqual(GradeConsistency.check({ grade: 'F', justification: D_TEXT }, performance, { tolerance: 1 }).mismatch, true);
+
+  // Trait-specific descriptors
+  const selfStarter = 'Self-motivated and action-oriented; acts without prompting and develops creative, innovative solutions.';
+  assert.strictEqual(GradeConsistency.estimate(selfStarter, initiative).grade, 'D');
+  assert.strictEqual(GradeConsistency.check({ grade: 'A', justification: selfStarter }, initiative).direction, 'under');
+  assert.strictEqual(GradeConsistency.check(null, performance).mismatch, false);
+
+  console.log('All GradeConsistency tests passed.');
+}
+
+run();
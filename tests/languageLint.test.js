@@ -0,0 +1,82 @@
+const assert = require('assert');
+const LanguageLint = require('../js/languageLint.js');
+
+function categories(findings) {
+  return findings.map(f => `${f.category}:${f.match}`);
+}
+
+function run() {
+  // Prohibited topics are errors
+  let f = LanguageLint.lint('Led the platoon despite a knee injury and his divorce. Improved on his previous report.');
+  assert.deepStrictEqual(categories(f), ['prohibited:injury', 'prohibited:divorce', 'prohibited:previous report']);
+  assert.ok(f.every(x => x.type === 'error'));
+  assert.ok(/medical or mental health conditions/.test(f[0].message));
+
+  // Words with an ordinary meaning are only warnings
+  f = LanguageLint.lint('Won the battalion 5K race and was injured in training at the temple ruins.');
+  assert.deepStrictEqual(categories(f), ['prohibited:race', 'prohibited:injured', 'prohibited:temple']);
+  assert.ok(f.every(x => x.type === 'warning'));
+  assert.ok(/^May reference race, color or national origin/.test(f[0].message));
+  assert.deepStrictEqual(LanguageLint.lint('Led a racial sensitivity brief.').map(x => x.type), ['error']);
+
+  // First person: flagged, except the promotion recommendation and "Section I"
+  f = LanguageLint.lint('I watched MRO lead our company. My highest recommendation for promotion. Section I notes.', { field: 'sectionI' });
+  assert.deepStrictEqual(categories(f), ['firstPerson:I', 'firstPerson:our']);
+  assert.deepStrictEqual(LanguageLint.lint('Trained 40 US Marines with me.').map(x => x.match), ['me']);
+
+  // Superlatives count against the field's allowance
+  const two = 'The best NCO in the battalion and the finest leader I know.';
+  assert.deepStrictEqual(LanguageLint.lint(two, { field: 'sectionI' }).filter(x => x.category === 'superlative'), []);
+  f = LanguageLint.lint(two, { field: 'billetAccomplishments' }).filter(x => x.category === 'superlative');
+  assert.deepStrictEqual(f.map(x => x.match), ['best', 'finest']);
+  assert.ok(/2 in this text, 0 allowed/.test(f[0].message));
+  f = LanguageLint.lint('The #1 Marine, second to none, and the greatest shot.', { field: 'sectionI' });
+  assert.deepStrictEqual(f.map(x => x.match), ['#1', 'second to none', 'greatest']);
+
+  // Inflated adjectives and abbreviations
+  f = LanguageLint.lint('An amazing SNM who ran trng w/o fail w/ 3 squads.');
+  assert.deepStrictEqual(categories(f), ['inflated:amazing', 'abbreviation:SNM', 'abbreviation:trng', 'abbreviation:w/o', 'abbreviation:w/']);
+  assert.strictEqual(f[1].type, 'info');
+  assert.strictEqual(f[1].recommendation, 'Write out "MRO".');
+  assert.deepStrictEqual(LanguageLint.lint('The snm response was respectful.'), [], 'all-caps abbreviations are case-sensitive; words match whole');
+  assert.strictEqual(LanguageLint.lint('Split time b/n two billets.')[0].recommendation, 'Write out "between".');
+
+  // Configurable rules
+  const rules = LanguageLint.createRules({
+    disabledTopics: ['family'],
+    prohibited: [{ id: 'pft', label: 'PFT scores', pattern: /\bPFT score\b/i }],
+    abbreviations: { 'w/': null, 'OIC': 'officer in charge' },
+    superlatives: { max: { justification: 0 } }
+  });
+  f = LanguageLint.lint('Married, with a 300 PFT score. Served as OIC w/ 2 best Marines.', { rules });
+  assert.deepStrictEqual(categories(f), ['prohibited:PFT score', 'abbreviation:OIC', 'superlative:best']);
+  assert.strictEqual(LanguageLint.DEFAULT_RULES.abbreviations['w/'], 'with', 'defaults untouched');
+
+  // Highlights escape the text and mark each finding
+  const text = 'Best <b>ever</b> & amazing.';
+  const html = LanguageLint.highlight(text, LanguageLint.lint(text, { field: 'billetAccomplishments' }));
+  assert.strictEqual(html,
+    '<mark class="lint-mark lint-superlative" title="Superlative &quot;Best&quot; (1 in this text, 0 allowed).">Best</mark>'
+    + ' &lt;b&gt;ever&lt;/b&gt; &amp; '
+    + '<mark class="lint-mark lint-inflated" title="Inflated adjective &quot;amazing&quot;.">amazing</mark>.');
+
+  // Whole evaluation: only blocks with findings, labelled by trait
+  const blocks = LanguageLint.lintEvaluation({
+    sectionIComments: 'Promote at first opportunity.',
+    billetAccomplishments: 'The best armorer in the company.',
+    traits: [
+      { trait: 'Performance', justification: 'Managed 12 armories.' },
+      { trait: 'Courage', justification: 'Deployed while pregnant.' }
+    ]
+  });
+  assert.deepStrictEqual(blocks.map(b => [b.field, b.label]), [
+    ['billetAccomplishments', 'Section C billet accomplishments'],
+    ['justification', 'Courage justification']
+  ]);
+  assert.deepStrictEqual(LanguageLint.lint(''), []);
+  assert.deepStrictEqual(LanguageLint.lintEvaluation(null), []);
+
+  console.log('All LanguageLint tests passed.');
+}
+
+run();
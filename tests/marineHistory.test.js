@@ -0,0 +1,109 @@
+const assert = require('assert');
+const MarineHistory = require('../js/marineHistory.js');
+
+function ev(id, name, to, extra) {
+  return {
+    evaluationId: id,
+    occasion: 'AN',
+    fitrepAverage: '4.00',
+    marineInfo: { name, rank: 'Sgt', evaluationPeriod: { from: '', to }, ...(extra || {}) },
+    traitEvaluations: {}
+  };
+}
+
+function run() {
+  // Keys: stored ID, then EDIPI, then a generated ID from the normalized name
+  assert.strictEqual(MarineHistory.normalizeName(' Doe,  John A. '), 'doe john a');
+  assert.strictEqual(MarineHistory.marineKey({ marineId: 'mrn-x', edipi: '1234567890' }), 'mrn-x');
+  assert.strictEqual(MarineHistory.marineKey({ edipi: '123-456-7890', name: 'Doe' }), 'edipi-1234567890');
+  const generated = MarineHistory.marineKey({ name: 'Doe, John A' });
+  assert.ok(/^mrn-[0-9a-f]{8}$/.test(generated));
+  assert.strictEqual(MarineHistory.marineKey({ name: 'DOE JOHN A.' }), generated);
+  assert.strictEqual(MarineHistory.marineKey({ name: '  ' }), '');
+
+  // Grouping: name-only reports join the single EDIPI Marine of that name
+  const evals = [
+    ev('a2', 'Doe, John', '2025-06-30', { edipi: '1234567890' }),
+    ev('a1', 'Doe, John', '2024-06-30'),
+    ev('b1', 'Roe, Jane', '2025-01-31'),
+    ev('a3', 'Doe, John', '2026-06-30', { marineId: 'edipi-1234567890', edipi: '1234567890' })
+  ];
+  let marines = MarineHistory.groupByMarine(evals);
+  assert.strictEqual(marines.length, 2);
+  assert.strictEqual(marines[0].key, 'edipi-1234567890');
+  assert.deepStrictEqual(marines[0].evaluations.map(e => e.evaluationId), ['a1', 'a2', 'a3']);
+  assert.strictEqual(marines[0].last.evaluationId, 'a3');
+  assert.strictEqual(marines[0].edipi, '1234567890');
+  assert.strictEqual(marines[1].name, 'Roe, Jane');
+
+  // Two different EDIPIs with the same name stay apart; the name-only report is left on its own
+  marines = MarineHistory.groupByMarine([
+    ev('x1', 'Smith, Al', '2024-01-01', { edipi: '1111111111' }),
+    ev('x2', 'Smith, Al', '2024-02-01', { edipi: '2222222222' }),
+    ev('x3', 'Smith, Al', '2024-03-01')
+  ]);
+  assert.strictEqual(marines.length, 3);
+
+  // A stored marineId claims its EDIPI for older EDIPI-only reports
+  marines = MarineHistory.groupByMarine([
+    ev('m1', 'Lee, Kim', '2024-01-01', { edipi: '3333333333' }),
+    ev('m2', 'Lee, Kim', '2025-01-01', { edipi: '3333333333', marineId: 'mrn-0000abcd' })
+  ]);
+  assert.strictEqual(marines.length, 1);
+  assert.strictEqual(marines[0].key, 'mrn-0000abcd');
+
+  // Lookup from the setup screen: EDIPI first, then name
+  assert.strictEqual(MarineHistory.findMarine(evals, { edipi: '1234567890' }).key, 'edipi-1234567890');
+  assert.strictEqual(MarineHistory.findMarine(evals, { name: 'roe jane' }).last.evaluationId, 'b1');
+  assert.strictEqual(MarineHistory.findMarine(evals, { name: 'Nobody' }), null);
+  assert.strictEqual(MarineHistory.findMarine(evals, {}), null);
+  // Same name but a different EDIPI is a different Marine
+  assert.strictEqual(MarineHistory.findMarine(evals, { name: 'Doe, John', edipi: '9999999999' }), null);
+  assert.strictEqual(MarineHistory.findMarine(evals, { name: 'Roe, Jane', edipi: '9999999999' }).key,
+    MarineHistory.marineKey({ name: 'Roe, Jane' }));
+
+  // Trait grades accept keyed objects and Supabase arrays
+  assert.deepStrictEqual(
+    MarineHistory.traitGrades({ traitEvaluations: { D_performance: { trait: 'Performance', grade: 'e', gradeNumber: 5 } } }),
+    { Performance: { grade: 'E', gradeNumber: 5 } }
+  );
+  assert.deepStrictEqual(
+    MarineHistory.traitGrades({ traitEvaluations: [{ trait: 'Courage', grade: 'F' }, { trait: 'Skipped' }] }),
+    { Courage: { grade: 'F', gradeNumber: 6 } }
+  );
+
+  // Timeline and trends
+  const history = [
+    { ...ev('t2', 'Doe, John', '2025-06-30'), fitrepAverage: '4.50', directedComments: 'Combat.',
+      traitEvaluations: { p: { trait: 'Performance', grade: 'F' }, c: { trait: 'Courage', grade: 'D' } } },
+    { ...ev('t1', 'Doe, John', '2024-06-30'), fitrepAverage: 'n/a',
+      traitEvaluations: { p: { trait: 'Performance', grade: 'D' } } }
+  ];
+  const entries = MarineHistory.timeline(history, new Map([['t2', 91.5]]));
+  assert.deepStrictEqual(entries.map(e => e.evaluationId), ['t1', 't2']);
+  assert.strictEqual(entries[0].average, null);
+  assert.strictEqual(entries[0].rv, null);
+  assert.strictEqual(entries[1].average, 4.5);
+  assert.strictEqual(entries[1].rv, 91.5);
+  assert.strictEqual(entries[1].directedComments, 'Combat.');
+  assert.deepStrictEqual(MarineHistory.traitTrends(entries), [
+    { trait: 'Performance', grades: ['D', 'F'], change: 2 },
+    { trait: 'Courage', grades: [null, 'D'], change: null }
+  ]);
+
+  // Continue from last report
+  assert.strictEqual(MarineHistory.nextDay('2024-02-28'), '2024-02-29');
+  assert.strictEqual(MarineHistory.nextDay('2025-12-31'), '2026-01-01');
+  assert.strictEqual(MarineHistory.nextDay('bad'), '');
+  const next = MarineHistory.continuation(history[0]);
+  assert.strictEqual(next.marineId, MarineHistory.marineKey({ name: 'Doe, John' }));
+  assert.strictEqual(next.marineName, 'Doe, John');
+  assert.strictEqual(next.marineRank, 'Sgt');
+  assert.strictEqual(next.fromDate, '2025-07-01');
+  assert.strictEqual(next.previousEvaluationId, 't2');
+  assert.strictEqual(next.previousGrades.Courage.grade, 'D');
+
+  console.log('All MarineHistory tests passed.');
+}
+
+run();
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const OccasionRules = require('../js/occasionRules.js');
+
+function run() {
+  // Observed from 90 days (both ends counted); shorter periods are non-observed
+  let rules = OccasionRules.evaluate({ occasion: 'TR', from: '2025-01-01', to: '2025-03-31', rank: 'Capt' });
+  assert.strictEqual(rules.days, 90);
+  assert.strictEqual(rules.observed, true);
+  assert.strictEqual(rules.markTraits, true);
+  assert.strictEqual(rules.sectionI.required, false);
+  assert.deepStrictEqual(rules.notes, []);
+
+  rules = OccasionRules.evaluate({ occasion: 'tr', from: '2025-01-01', to: '2025-03-30', rank: 'Capt' });
+  assert.strictEqual(rules.occasion, 'TR');
+  assert.strictEqual(rules.days, 89);
+  assert.strictEqual(rules.observed, false);
+  assert.strictEqual(rules.markTraits, false);
+  assert.strictEqual(rules.sectionI.required, true);
+  assert.ok(/Non-observed Transfer report/.test(rules.notes[0]));
+
+  // Missing dates do not force a non-observed report
+  assert.strictEqual(OccasionRules.evaluate({ occasion: 'AN' }).observed, true);
+
+  // DC and RT are observed whatever the length
+  assert.strictEqual(OccasionRules.evaluate({ occasion: 'DC', from: '2025-01-01', to: '2025-01-10' }).observed, true);
+  assert.strictEqual(OccasionRules.evaluate({ occasion: 'RT', from: '2025-01-01', to: '2025-01-14' }).markTraits, true);
+
+  // Mandatory directed comments
+  assert.deepStrictEqual(OccasionRules.evaluate({ occasion: 'TD' }).requiredComments, ['simultaneous_reports']);
+  assert.deepStrictEqual(OccasionRules.evaluate({ occasion: 'EN', rank: 'SSgt' }).requiredComments, ['reenlistment']);
+  assert.deepStrictEqual(OccasionRules.evaluate({ occasion: 'EN', rank: 'Capt' }).requiredComments, []);
+  assert.deepStrictEqual(OccasionRules.evaluate({ occasion: 'XX' }).requiredComments, []);
+
+  // A short period starting the day after the previous report ended can extend it
+  rules = OccasionRules.evaluate({ occasion: 'CH', from: '2025-07-01', to: '2025-08-15', previousEnd: '2025-06-30' });
+  assert.strictEqual(rules.extendable, true);
+  assert.strictEqual(rules.notes.length, 2);
+  assert.strictEqual(OccasionRules.evaluate({ occasion: 'CH', from: '2025-07-02', to: '2025-08-15', previousEnd: '2025-06-30' }).extendable, false);
+  assert.strictEqual(OccasionRules.evaluate({ occasion: 'CH', from: '2025-07-01', to: '2025-12-31', previousEnd: '2025-06-30' }).extendable, false);
+
+  // Missing comments
+  rules = OccasionRules.evaluate({ occasion: 'TD' });
+  assert.deepStrictEqual(OccasionRules.missingComments(rules, []), ['simultaneous_reports']);
+  assert.deepStrictEqual(OccasionRules.missingComments(rules, ['simultaneous_reports']), []);
+  assert.deepStrictEqual(OccasionRules.missingComments(null, []), []);
+
+  // Section I content
+  const observed = OccasionRules.evaluate({ occasion: 'AN', from: '2024-06-01', to: '2025-05-31' });
+  assert.deepStrictEqual(OccasionRules.checkSectionI('', observed), []);
+  assert.deepStrictEqual(OccasionRules.checkSectionI('Promote ahead of peers.', observed), []);
+  assert.deepStrictEqual(OccasionRules.checkSectionI('Solid performer.', observed), ['a promotion recommendation']);
+
+  const nonObserved = OccasionRules.evaluate({ occasion: 'CD', from: '2025-01-01', to: '2025-02-01' });
+  assert.deepStrictEqual(OccasionRules.checkSectionI('  ', nonObserved), ['Section I comments']);
+  assert.deepStrictEqual(OccasionRules.checkSectionI('Non-observed report due to change of duty.', nonObserved), []);
+  assert.deepStrictEqual(OccasionRules.checkSectionI('Brief period.', nonObserved),
+    ['a statement that the report is non-observed and why']);
+  assert.deepStrictEqual(OccasionRules.checkSectionI('', null), []);
+
+  console.log('All OccasionRules tests passed.');
+}
+
+run();
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const OrderOfMerit = require('../js/orderOfMerit.js');
+
+function saved(id, name, rank, to, avg) {
+  return { evaluationId: id, marineInfo: { name, rank, evaluationPeriod: { to } }, fitrepAverage: avg };
+}
+
+const keyOf = ev => (ev.marineInfo?.name || '').toLowerCase();
+
+function run() {
+  // Cycles close on the annual ending date
+  assert.strictEqual(OrderOfMerit.cycleFor('2026-05-31'), '2026');
+  assert.strictEqual(OrderOfMerit.cycleFor('2025-06-01'), '2026');
+  assert.strictEqual(OrderOfMerit.cycleFor('2026-03-31', '03-31'), '2026');
+  assert.strictEqual(OrderOfMerit.cycleFor('2026-04-01', '03-31'), '2027');
+  assert.strictEqual(OrderOfMerit.cycleFor(''), '');
+  assert.strictEqual(OrderOfMerit.cycleKey('SSgt', '2026'), 'SSGT:2026');
+
+  const evals = [
+    saved('a1', 'Alpha', 'SSgt', '2025-09-30', '4.50'),
+    saved('a2', 'Alpha', 'SSgt', '2026-05-31', '4.80'),
+    saved('b', 'Bravo', 'SSGT', '2026-05-31', '5.10'),
+    saved('c', 'Charlie', 'SSgt', '2026-05-31', '4.20'),
+    saved('old', 'Delta', 'SSgt', '2025-05-31', '6.00'),
+    saved('sgt', 'Echo', 'Sgt', '2026-05-31', '6.00')
+  ];
+
+  // Latest report per Marine, this grade and cycle only
+  let list = OrderOfMerit.candidates(evals, { rank: 'SSgt', cycle: '2026', keyOf });
+  assert.deepStrictEqual(list.map(c => [c.key, c.evaluationId, c.average]), [['bravo', 'b', 5.1], ['alpha', 'a2', 4.8], ['charlie', 'c', 4.2]]);
+
+  // A draft replaces the saved report on the same Marine, or joins the list
+  const draft = saved('current-draft', 'Charlie', 'SSgt', '2026-05-31', '5.30');
+  list = OrderOfMerit.candidates(evals, { rank: 'SSgt', cycle: '2026', keyOf, draft });
+  assert.deepStrictEqual(list.map(c => c.key), ['charlie', 'bravo', 'alpha']);
+  assert.strictEqual(list[0].draft, true);
+  assert.strictEqual(OrderOfMerit.candidates(evals, { rank: 'SSgt', cycle: '2026', keyOf, draft: saved('x', 'Foxtrot', 'SSgt', '2026-04-30', '0.00') })[3].average, null);
+
+  // Saved order is kept; gone Marines drop out, new ones are appended
+  const order = OrderOfMerit.reconcile(['alpha', 'delta', 'bravo', 'alpha'], list);
+  assert.deepStrictEqual(order, ['alpha', 'bravo', 'charlie']);
+  assert.deepStrictEqual(OrderOfMerit.reconcile(null, list), ['charlie', 'bravo', 'alpha']);
+
+  assert.deepStrictEqual(OrderOfMerit.move(order, 2, 0), ['charlie', 'alpha', 'bravo']);
+  assert.deepStrictEqual(OrderOfMerit.move(order, 0, 9), ['bravo', 'charlie', 'alpha']);
+  assert.deepStrictEqual(order, ['alpha', 'bravo', 'charlie']);
+
+  assert.deepStrictEqual(OrderOfMerit.standing(order, 'bravo'), { ranking: 2, totalPopulation: 3 });
+  assert.strictEqual(OrderOfMerit.standing(order, 'echo'), null);
+
+  // Lower-ranked Marines with higher averages
+  const flags = OrderOfMerit.inconsistencies(order, list);
+  assert.deepStrictEqual(flags.map(f => [f.above.key, f.below.key]), [['alpha', 'bravo'], ['alpha', 'charlie'], ['bravo', 'charlie']]);
+  assert.deepStrictEqual(OrderOfMerit.inconsistencies(['charlie', 'bravo', 'alpha'], list), []);
+
+  // Lists sent for saving
+  const check = OrderOfMerit.validateList({ rank: 'SSgt', cycle: '2026', order: [' alpha', 'bravo'] });
+  assert.strictEqual(check.valid, true);
+  assert.deepStrictEqual(check.value, { cycleKey: 'SSGT:2026', rank: 'SSGT', cycle: '2026', order: ['alpha', 'bravo'] });
+  assert.strictEqual(OrderOfMerit.validateList({ rank: 'SSgt', cycle: '2026', order: ['alpha', 'alpha'] }).valid, false);
+  assert.strictEqual(OrderOfMerit.validateList({ rank: 'SSgt', cycle: '2026', order: [''] }).valid, false);
+  assert.strictEqual(OrderOfMerit.validateList({ rank: 'SSgt', cycle: '2026', order: 'alpha' }).valid, false);
+  assert.strictEqual(OrderOfMerit.validateList({ rank: '', cycle: '26', order: [] }).errors.length, 2);
+
+  console.log('All OrderOfMerit tests passed.');
+}
+
+run();
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const ProfileProtection = require('../js/profileProtection.js');
+
+const evals = ['4.50', '4.00', '3.50', '0'].map((a, i) => ({ evaluationId: `e${i}`, fitrepAverage: a }));
+
+function run() {
+  // Stats mirror the rank summary bar: zero averages are ignored
+  const stats = ProfileProtection.rankStats(evals);
+  assert.strictEqual(stats.high, 4.5);
+  assert.strictEqual(stats.avg, 4.0);
+  assert.strictEqual(stats.low, 3.5);
+  assert.strictEqual(stats.count, 3);
+  assert.deepStrictEqual(ProfileProtection.rankStats([]), { high: 0, avg: 0, low: 0, count: 0 });
+
+  // Running average only counts graded traits
+  assert.strictEqual(ProfileProtection.runningAverage([]), null);
+  assert.strictEqual(ProfileProtection.runningAverage([4, 5, undefined]), 4.5);
+
+  // Within the profile: no warnings, position among saved reports
+  let r = ProfileProtection.assess(evals, 4.2);
+  assert.strictEqual(r.position, 2);
+  assert.strictEqual(r.of, 4);
+  assert.strictEqual(r.warnings.length, 0);
+  assert.ok(Math.abs(r.delta - 0.2) < 1e-9);
+
+  // New profile high
+  r = ProfileProtection.assess(evals, 4.6);
+  assert.strictEqual(r.isNewHigh, true);
+  assert.strictEqual(r.position, 1);
+  assert.ok(/new profile high/.test(r.warnings[0]));
+
+  // Tying the high is not a new high
+  assert.strictEqual(ProfileProtection.assess(evals, 4.5).isNewHigh, false);
+
+  // Far below average (default and custom margins)
+  r = ProfileProtection.assess(evals, 3.6);
+  assert.strictEqual(r.isFarBelow, true);
+  assert.ok(/below your profile average of 4.00/.test(r.warnings[0]));
+  assert.strictEqual(ProfileProtection.assess(evals, 3.6, { farBelowMargin: 0.5 }).isFarBelow, false);
+
+  // Nothing to compare against
+  r = ProfileProtection.assess([], 4.0);
+  assert.strictEqual(r.position, null);
+  assert.deepStrictEqual(r.warnings, []);
+  assert.strictEqual(ProfileProtection.assess(evals, null).position, null);
+
+  console.log('All ProfileProtection tests passed.');
+}
+
+run();
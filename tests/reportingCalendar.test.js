@@ -0,0 +1,76 @@
+const assert = require('assert');
+const ReportingCalendar = require('../js/reportingCalendar.js');
+const ReportingPeriod = require('../js/reportingPeriod.js');
+const MarineHistory = require('../js/marineHistory.js');
+
+const rules = {
+  annualEndDates: ReportingPeriod.ANNUAL_END_DATES,
+  annualGrades: ReportingPeriod.ANNUAL_GRADES,
+  semiannualEndDates: ReportingPeriod.SEMIANNUAL_END_DATES,
+  semiannualGrades: ReportingPeriod.SEMIANNUAL_GRADES
+};
+
+function saved(id, name, rank, from, to, extra) {
+  return { evaluationId: id, occasion: 'AN', completedDate: to, marineInfo: { name, rank, evaluationPeriod: { from, to } }, ...extra };
+}
+
+function run() {
+  // Scheduled ending dates by component; short periods roll over
+  assert.deepStrictEqual(ReportingCalendar.nextScheduledEnd('2025-05-31', 'SSgt', 'AN', rules), { occasion: 'AN', to: '2026-05-31' });
+  assert.deepStrictEqual(ReportingCalendar.nextScheduledEnd('2026-04-15', 'SSgt', 'AN', rules), { occasion: 'AN', to: '2027-05-31' });
+  assert.deepStrictEqual(ReportingCalendar.nextScheduledEnd('2025-05-31', 'SSgt', 'AR', rules), { occasion: 'AR', to: '2026-03-31' });
+  assert.deepStrictEqual(ReportingCalendar.nextScheduledEnd('2025-07-31', '1stLt', 'AN', rules), { occasion: 'SA', to: '2026-01-31' });
+  assert.strictEqual(ReportingCalendar.nextScheduledEnd('2025-05-31', 'Pvt', 'AN', rules), null);
+  assert.strictEqual(ReportingCalendar.addDays('2026-05-31', 30), '2026-06-30');
+
+  const evals = [
+    saved('a', 'Alpha', 'SSgt', '2024-06-01', '2025-05-31'),
+    saved('b', 'Bravo', 'Sgt', '2025-06-01', '2026-05-31', { completedDate: '2026-07-15' }),
+    saved('c', 'Charlie', 'GySgt', '2025-06-01', '2026-05-31', { occasion: 'TR' }),
+    saved('d', 'Delta', 'MSgt', '2025-10-01', '2026-06-15', { occasion: 'GC', marineInfo: { name: 'Delta', rank: 'MSgt', dutyStatus: 'SMCR', evaluationPeriod: { from: '2025-10-01', to: '2026-06-15' } } })
+  ];
+  const marines = MarineHistory.groupByMarine(evals);
+  const key = name => marines.find(m => m.name === name).key;
+
+  let items = ReportingCalendar.schedule(marines, { today: '2026-07-20', rules });
+  const find = (name, state) => items.find(i => i.marineName === name && i.state === state);
+
+  // Alpha missed the 2026 annual report
+  assert.strictEqual(find('Alpha', 'overdue').due, '2026-06-30');
+  // Bravo's annual report went in, late; the next one is a year out
+  assert.strictEqual(find('Bravo', 'submitted').late, true);
+  assert.strictEqual(find('Bravo', 'upcoming').to, '2027-05-31');
+  // Charlie transferred: nothing further from this RS
+  assert.ok(find('Charlie', 'submitted'));
+  assert.strictEqual(items.filter(i => i.marineName === 'Charlie').length, 1);
+  // Delta is on the reserve schedule
+  assert.strictEqual(find('Delta', 'upcoming').to, '2027-03-31');
+
+  // A known transfer date ahead of the annual date becomes a TR report; the RS's own PCS a CH report
+  const transfers = ReportingCalendar.validateTransfers([
+    { marineKey: key('Bravo'), marineName: 'Bravo', date: '2026-08-10' },
+    { marineKey: ReportingCalendar.RS_KEY, date: '2026-12-01' }
+  ]);
+  assert.strictEqual(transfers.valid, true);
+  items = ReportingCalendar.schedule(marines, { today: '2026-07-20', rules, transfers: transfers.value });
+  assert.deepStrictEqual([find('Bravo', 'due-soon').occasion, find('Bravo', 'due-soon').to], ['TR', '2026-08-10']);
+  assert.deepStrictEqual([find('Delta', 'upcoming').occasion, find('Delta', 'upcoming').to], ['CH', '2026-12-01']);
+  assert.deepStrictEqual(ReportingCalendar.counts(items), { overdue: 1, 'due-soon': 1, upcoming: 1, submitted: 3 });
+  assert.strictEqual(ReportingCalendar.validateTransfers([{ marineKey: 'x', date: '2026-02-30' }]).valid, false);
+  assert.strictEqual(ReportingCalendar.validateTransfers('nope').valid, false);
+
+  // iCalendar output
+  const ics = ReportingCalendar.toICS(items, { now: new Date('2026-07-20T12:00:00Z') });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.strictEqual(ics.split('BEGIN:VEVENT').length - 1, items.length);
+  assert.strictEqual(ics.split('BEGIN:VALARM').length - 1, 3);
+  assert.ok(ics.includes('DTSTART;VALUE=DATE:20260630'));
+  assert.ok(ics.includes('SUMMARY:OVERDUE: FITREP due — Alpha (AN)'));
+  assert.ok(ics.includes('DTSTAMP:20260720T120000Z'));
+  assert.ok(ics.split('\r\n').every(line => line.length <= 75));
+
+  console.log('All ReportingCalendar tests passed.');
+}
+
+run();
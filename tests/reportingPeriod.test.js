@@ -0,0 +1,60 @@
+const assert = require('assert');
+const ReportingPeriod = require('../js/reportingPeriod.js');
+
+function ev(id, occasion, from, to) {
+  return { evaluationId: id, occasion, marineInfo: { name: 'Doe, John', evaluationPeriod: { from, to } } };
+}
+
+const ids = findings => findings.map(f => `${f.id}:${f.type}`);
+
+function run() {
+  assert.strictEqual(ReportingPeriod.periodDays('2024-06-01', '2025-05-31'), 365);
+  assert.strictEqual(ReportingPeriod.periodDays('2024-01-01', '2024-01-01'), 1);
+  assert.strictEqual(ReportingPeriod.periodDays('bad', '2024-01-01'), null);
+
+  // Clean annual report following the previous one
+  const history = [ev('a', 'AN', '2023-06-01', '2024-05-31')];
+  assert.deepStrictEqual(ReportingPeriod.check({ occasion: 'AN', rank: 'Sgt', from: '2024-06-01', to: '2025-05-31' }, history), []);
+
+  // Missing dates are left to the required-field checks
+  assert.deepStrictEqual(ReportingPeriod.check({ from: '', to: '2025-05-31' }, history), []);
+
+  // Reversed dates stop every other check
+  assert.deepStrictEqual(ids(ReportingPeriod.check({ from: '2025-05-31', to: '2024-06-01' }, history)), ['period-invalid:error']);
+
+  // Overlap is an error; the report being re-saved is ignored
+  let f = ReportingPeriod.check({ evaluationId: 'b', occasion: 'TR', rank: 'Sgt', from: '2024-05-01', to: '2024-12-31' }, history);
+  assert.deepStrictEqual(ids(f), ['period-overlap:error']);
+  assert.ok(/overlaps your AN report 2023-06-01–2024-05-31/.test(f[0].message));
+  assert.deepStrictEqual(ReportingPeriod.check({ evaluationId: 'a', occasion: 'AN', rank: 'Sgt', from: '2023-06-01', to: '2024-05-31' }, history), []);
+
+  // Gaps are checked against the neighbouring reports only
+  f = ReportingPeriod.check({ occasion: 'TR', rank: 'Sgt', from: '2024-07-01', to: '2024-12-31' },
+    [...history, ev('c', 'TR', '2025-02-01', '2025-05-31'), ev('old', 'AN', '2020-06-01', '2021-05-31')]);
+  assert.deepStrictEqual(ids(f), ['period-gap:warning', 'period-gap:warning']);
+  assert.ok(/gap of 30 days after your AN report/.test(f[0].message));
+  assert.ok(/gap of 31 days before your TR report/.test(f[1].message));
+
+  // Short periods
+  f = ReportingPeriod.check({ occasion: 'TR', rank: 'Sgt', from: '2024-06-01', to: '2024-07-15' }, history);
+  assert.deepStrictEqual(ids(f), ['period-short:warning']);
+  assert.ok(/45 days/.test(f[0].message));
+
+  // Occasion vs. dates
+  f = ReportingPeriod.checkOccasion({ occasion: 'AN', rank: 'Sgt', to: '2025-04-30' });
+  assert.deepStrictEqual(ids(f), ['period-occasion:warning']);
+  assert.ok(/Occasion AN normally ends on 05-31/.test(f[0].message));
+  assert.deepStrictEqual(ids(ReportingPeriod.checkOccasion({ occasion: 'AN', rank: 'Cpl', to: '2025-05-31' })), ['period-occasion:warning']);
+  assert.deepStrictEqual(ReportingPeriod.checkOccasion({ occasion: 'AR', rank: 'SSgt', to: '2025-03-31' }), []);
+  assert.ok(/semiannual/.test(ReportingPeriod.checkOccasion({ occasion: 'AN', rank: '2ndLt', to: '2025-05-31' })[0].recommendation));
+  assert.ok(/semiannual/.test(ReportingPeriod.checkOccasion({ occasion: 'AN', rank: '1stLt', to: '2025-05-31' })[0].recommendation));
+  assert.deepStrictEqual(ReportingPeriod.checkOccasion({ occasion: 'AR', rank: '1stLt', to: '2025-03-31' }), []);
+  assert.deepStrictEqual(ReportingPeriod.checkOccasion({ occasion: 'SA', rank: '2ndLt', to: '2025-07-31' }), []);
+  assert.deepStrictEqual(ids(ReportingPeriod.checkOccasion({ occasion: 'SA', rank: '2ndLt', to: '2025-06-30' })), ['period-occasion:warning']);
+  assert.deepStrictEqual(ids(ReportingPeriod.checkOccasion({ occasion: 'SA', rank: 'Capt', to: '2025-07-31' })), ['period-occasion:warning']);
+  assert.deepStrictEqual(ReportingPeriod.checkOccasion({ occasion: 'TR', rank: 'Capt', to: '2025-07-14' }), []);
+
+  console.log('All ReportingPeriod tests passed.');
+}
+
+run();
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const RoReview = require('../js/roReview.js');
+const { isAccountUser } = require('../server/roRoutes.js');
+
+function run() {
+  // Scale covers blocks 1-8 exactly once
+  const values = RoReview.SECTION_K_SCALE.map(b => b.value).sort((a, b) => a - b);
+  assert.deepStrictEqual(values, [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.strictEqual(RoReview.describeBlock(8), 'The eminently qualified Marine');
+  assert.strictEqual(RoReview.describeBlock(9), '');
+
+  // Valid concurrence with a mid-scale block
+  let r = RoReview.validate({ concurrence: 'Concur', comparativeAssessment: '5', comments: '' });
+  assert.strictEqual(r.valid, true, r.errors.join('; '));
+  assert.deepStrictEqual(r.value, { concurrence: 'concur', comparativeAssessment: 5, comments: '' });
+
+  // Out-of-range and fractional blocks are rejected
+  assert.strictEqual(RoReview.validate({ concurrence: 'concur', comparativeAssessment: 0 }).valid, false);
+  assert.strictEqual(RoReview.validate({ concurrence: 'concur', comparativeAssessment: 4.5 }).valid, false);
+  assert.strictEqual(RoReview.validate({ concurrence: 'maybe', comparativeAssessment: 4 }).valid, false);
+
+  // Non-concurrence and block 1 require comments
+  r = RoReview.validate({ concurrence: 'nonconcur', comparativeAssessment: 4 });
+  assert.strictEqual(r.valid, false);
+  r = RoReview.validate({ concurrence: 'concur', comparativeAssessment: 1, comments: '  ' });
+  assert.strictEqual(r.valid, false);
+  r = RoReview.validate({ concurrence: 'nonconcur', comparativeAssessment: 4, comments: 'Marks are inflated.' });
+  assert.strictEqual(r.valid, true);
+
+  // Comment length limit
+  r = RoReview.validate({ concurrence: 'concur', comparativeAssessment: 4, comments: 'x'.repeat(RoReview.MAX_COMMENTS + 1) });
+  assert.strictEqual(r.valid, false);
+
+  // Session identity matching used by the RO routes
+  assert.strictEqual(isAccountUser('ro.smith@usmc.mil', { email: 'RO.Smith@usmc.mil' }), true);
+  assert.strictEqual(isAccountUser('ro.smith', { email: 'ro.smith@usmc.mil' }), true);
+  assert.strictEqual(isAccountUser('rosmith', { email: 'x@usmc.mil', username: 'RoSmith' }), true);
+  assert.strictEqual(isAccountUser('rs.jones', { email: 'ro.smith@usmc.mil' }), false);
+  assert.strictEqual(isAccountUser('ro.smith@navy.mil', { email: 'ro.smith@usmc.mil' }), false);
+  assert.strictEqual(isAccountUser('ro.smith@navy.mil', { email: 'ro.smith@usmc.mil', username: 'ro.smith' }), false);
+  assert.strictEqual(isAccountUser('ro.smith', { username: 'ro.smith' }), true);
+  assert.strictEqual(isAccountUser('', { email: 'ro.smith@usmc.mil' }), false);
+  assert.strictEqual(isAccountUser('ro.smith', null), false);
+
+  console.log('All RoReview tests passed.');
+}
+
+run();
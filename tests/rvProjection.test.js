@@ -0,0 +1,104 @@
+const assert = require('assert');
+const RvProjection = require('../js/rvProjection.js');
+
+function evalOf(id, avg, to) {
+  return {
+    evaluationId: id,
+    marineInfo: { name: `Marine ${id}`, rank: 'SGT', evaluationPeriod: { to } },
+    fitrepAverage: String(avg)
+  };
+}
+
+function run() {
+  // Fewer than three reports: RV is not defined
+  assert.strictEqual(RvProjection.rawRv(4, [4, 3]), null);
+  // Everyone equal: RV is the midpoint
+  assert.strictEqual(RvProjection.rawRv(4, [4, 4, 4]), 90);
+
+  const profile = [
+    evalOf('a', 4.5, '2024-01-31'),
+    evalOf('b', 4.0, '2024-06-30'),
+    evalOf('c', 3.5, '2025-01-31'),
+    evalOf('d', 3.8, '2025-06-30')
+  ];
+
+  // As in the profile grid, each report is measured against the reports
+  // ending on or before it: the first two have no RV yet
+  const rv = RvProjection.windowedRv(profile);
+  assert.strictEqual(rv.get('a').rv, 'N/A');
+  assert.strictEqual(rv.get('b').rv, 'N/A');
+  assert.strictEqual(rv.get('c').rv, 80);
+  assert.strictEqual(rv.get('d').rv, 87.27);
+
+  // Cumulative RV is a running average by end date
+  const cum = RvProjection.cumulativeRv(profile, rv);
+  assert.strictEqual(cum.get('b'), 'N/A');
+  assert.strictEqual(cum.get('d'), Math.round(((80 + 87.27) / 2) * 100) / 100);
+
+  // A draft ending after every saved report leaves their RV alone and only
+  // adds to cumulative RV
+  const latest = RvProjection.project(profile, {
+    marineInfo: { name: 'Draft', rank: 'SGT', evaluationPeriod: { to: '2025-12-31' } },
+    fitrepAverage: '4.90'
+  });
+  assert.strictEqual(latest.rows.length, 4);
+  assert.strictEqual(latest.draft.rv, 100);
+  assert.strictEqual(latest.draft.rank, 1);
+  assert.strictEqual(latest.draft.cumRv, 89.09);
+  latest.rows.forEach(r => assert.strictEqual(r.rvBefore, r.rvAfter));
+  assert.deepStrictEqual(latest.warnings, []);
+  // Rows are ordered by average, highest first
+  assert.deepStrictEqual(latest.rows.map(r => r.evaluationId), ['a', 'b', 'd', 'c']);
+
+  // A late report with a high average lowers the reports ending after it
+  const late = RvProjection.project(profile, {
+    marineInfo: { name: 'Draft', evaluationPeriod: { to: '2024-03-31' } },
+    fitrepAverage: '4.90'
+  });
+  const d = late.rows.find(r => r.evaluationId === 'd');
+  assert.strictEqual(d.rvAfter, 85.53);
+  assert.strictEqual(d.rvDelta, -1.74);
+  assert.strictEqual(late.rows.find(r => r.evaluationId === 'a').rvDelta, null);
+  // Floor warning when the draft pushes a report sitting on the floor under 80
+  const c = late.rows.find(r => r.evaluationId === 'c');
+  assert.strictEqual(c.belowFloor, true);
+  assert.strictEqual(c.rvAfter, RvProjection.RV_FLOOR);
+  assert.ok(late.warnings.some(w => /Marine c would fall below the 80 RV floor \(raw 79\.26\)/.test(w)));
+  assert.strictEqual(late.draft.rv, 'N/A');
+
+  // Ranking order among the saved reports changes when the draft lowers a
+  // later report past an earlier one
+  const ordered = [...profile.slice(0, 3), evalOf('d', 4.1, '2025-06-30'), evalOf('e', 4.2, '2025-09-30')];
+  const swapped = RvProjection.project(ordered, {
+    marineInfo: { name: 'Draft', evaluationPeriod: { to: '2025-08-31' } },
+    fitrepAverage: '4.90'
+  });
+  const e = swapped.rows.find(r => r.evaluationId === 'e');
+  assert.deepStrictEqual([e.rvBefore, e.rvAfter, e.rankBefore, e.rankAfter, e.orderChanged], [93.18, 90, 1, 2, true]);
+  assert.strictEqual(swapped.rows.find(r => r.evaluationId === 'c').orderChanged, false);
+  // The draft taking first place does not move the saved reports by itself
+  assert.strictEqual(swapped.draft.rank, 1);
+  assert.strictEqual(e.bandChanged, false);
+  assert.ok(swapped.warnings.some(w => /Ranking order changes for 2 Marine\(s\): Marine d \(#2 → #1\), Marine e \(#1 → #2\)/.test(w)));
+
+  // A low draft leaves the order alone and can lift a report into the 90+ band
+  const low = RvProjection.project(profile, {
+    marineInfo: { name: 'Draft', evaluationPeriod: { to: '2025-03-31' } },
+    fitrepAverage: '2.0'
+  });
+  assert.ok(low.rows.every(r => !r.orderChanged));
+  assert.deepStrictEqual(low.rows.filter(r => r.bandChanged).map(r => r.evaluationId), ['d']);
+  assert.ok(low.warnings.some(w => /RV crosses 90 for 1 Marine\(s\): Marine d \(87\.27 → 92\.55\)/.test(w)));
+  assert.strictEqual(RvProjection.band(90), 'high');
+  assert.strictEqual(RvProjection.band(89.99), 'mid');
+  assert.strictEqual(RvProjection.band('N/A'), 'N/A');
+
+  // Empty profile: the draft alone has no RV yet
+  const empty = RvProjection.project([], { fitrepAverage: '4.0' });
+  assert.deepStrictEqual(empty.rows, []);
+  assert.strictEqual(empty.draft.rv, 'N/A');
+
+  console.log('All RvProjection tests passed.');
+}
+
+run();
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const Composer = require('../js/sectionIComposer.js');
+
+const templates = {
+  top: {
+    openings: ['Top opening one.', 'Top opening two.', 'Top opening three.'],
+    performance: ['Top performance.'],
+    leadership: ['Top leadership.'],
+    character: ['Top character.']
+  },
+  middle: {
+    openings: ['Middle opening.'],
+    performance: ['Middle performance.'],
+    leadership: ['Middle leadership.'],
+    character: ['Middle character.']
+  },
+  developing: {
+    openings: ['Developing opening.'],
+    performance: ['Developing performance.'],
+    leadership: ['Developing leadership.'],
+    character: ['Developing character.']
+  }
+};
+
+function result(section, trait, grade, gradeNumber, justification) {
+  return { section, trait, grade, gradeNumber, justification };
+}
+
+function run() {
+  // Quantities: money and percentages are not also counted as plain numbers
+  assert.deepStrictEqual(
+    Composer.findQuantities('Managed a $1.2M budget for 3 platoons and cut costs 15%').map(q => q.kind),
+    ['money', 'percent', 'number', 'unit']
+  );
+  assert.deepStrictEqual(Composer.findQuantities('Always motivated and dependable'), []);
+
+  // One quantified sentence per trait, ranked by grade then section
+  const results = {
+    a: result('Leadership', 'Leading Subordinates', 'F', 6,
+      'Mentored junior Marines daily. Led 45 Marines of 2d Battalion through 3 deployments.'),
+    b: result('Mission Accomplishment', 'Performance', 'F', 6,
+      'Managed a $2.4M equipment account with 100% accountability. Worked hard.'),
+    c: result('Individual Character', 'Effectiveness Under Stress', 'G', 7,
+      'He coordinated 12 live-fire ranges without a single safety incident.'),
+    d: result('Intellect and Wisdom', 'Decision Making Ability', 'C', 3,
+      'Planned 4 exercises for the company.'),
+    e: result('Mission Accomplishment', 'Proficiency', 'E', 5,
+      'A true professional who is respected by all.')
+  };
+  const acc = Composer.extractAccomplishments(results);
+  assert.deepStrictEqual(acc.map(a => a.trait), ['Effectiveness Under Stress', 'Performance', 'Leading Subordinates']);
+  assert.strictEqual(acc[1].accomplishment, 'Managed a $2.4M equipment account with 100% accountability');
+  assert.strictEqual(acc[2].accomplishment, 'Led 45 Marines of 2d Battalion through 3 deployments');
+
+  // Accomplishments read as sentences about MRO
+  assert.strictEqual(Composer.toNarrative('Led 45 Marines.'), 'MRO led 45 Marines.');
+  assert.strictEqual(Composer.toNarrative('He coordinated 12 ranges'), 'MRO coordinated 12 ranges.');
+  assert.strictEqual(Composer.toNarrative('his platoon scored 98% on the range'), 'His platoon scored 98% on the range.');
+
+  // Same input, same comment; accomplishments told in section order
+  const first = Composer.compose({ results, templates, style: 'comprehensive' });
+  const again = Composer.compose({ results, templates, style: 'comprehensive' });
+  assert.strictEqual(first.text, again.text);
+  assert.strictEqual(first.seed, Composer.seedFor(results));
+  assert.strictEqual(first.tier, 'middle');
+  assert.ok(first.text.startsWith('Middle opening. MRO managed a $2.4M equipment account with 100% accountability. MRO led 45 Marines'));
+  assert.ok(first.text.includes('MRO coordinated 12 live-fire ranges without a single safety incident.'));
+  assert.ok(!first.text.includes('Middle leadership.'), 'leadership template replaced by a leadership accomplishment');
+  assert.ok(first.text.includes('Particularly noteworthy performance in'));
+  assert.ok(/promot/i.test(first.text));
+
+  // Concise uses the two strongest accomplishments and no filler
+  const concise = Composer.compose({ results, templates, style: 'concise' });
+  assert.strictEqual(concise.accomplishments.length, 2);
+  assert.ok(!concise.text.includes('Middle character.'));
+  assert.ok(!concise.text.includes('noteworthy'));
+  assert.ok(concise.text.length < first.text.length);
+
+  // Explicit seeds are reproducible and drive the template choices
+  const top = {
+    a: result('Mission Accomplishment', 'Performance', 'G', 7, 'Did well.'),
+    b: result('Leadership', 'Leading Subordinates', 'G', 7, 'Led well.')
+  };
+  const openings = new Set();
+  for (let seed = 0; seed < 20; seed++) {
+    const c = Composer.compose({ results: top, templates, seed });
+    assert.strictEqual(c.text, Composer.compose({ results: top, templates, seed }).text);
+    assert.strictEqual(c.seed, seed);
+    openings.add(c.text.split('. ')[0]);
+  }
+  assert.ok(openings.size > 1, 'different seeds vary the wording');
+  assert.strictEqual(Composer.compose({ results: top, templates, seed: 'abc' }).seed, Composer.hashString('abc'));
+  assert.ok(Composer.compose({ results: top, templates }).text.includes('Top performance.'), 'falls back to templates without quantified accomplishments');
+  assert.ok(Composer.compose({ results: top, templates, standing: { ranking: 2, totalPopulation: 7 } }).text.endsWith('Ranks #2 of 7 among all Marines of this grade.'));
+  const cited = Composer.compose({ results: top, templates, citations: ['Met every goal set at initial counseling: lead PT.'] }).text;
+  assert.ok(/Met every goal set at initial counseling: lead PT\. \S/.test(cited), 'citations come before the promotion statement');
+
+
+  // Journal entries compete with the justification sentences of their trait
+  const journaled = Composer.extractAccomplishments(top, { a: ['Qualified 212 Marines on the rifle range in 3 days.'] });
+  assert.strictEqual(journaled[0].accomplishment, 'Qualified 212 Marines on the rifle range in 3 days');
+  assert.deepStrictEqual(Composer.extractAccomplishments(top), []);
+  // Seed ignores key order but follows the content
+  assert.strictEqual(Composer.seedFor({ x: top.b, y: top.a }), Composer.seedFor(top));
+  assert.notStrictEqual(Composer.seedFor({ ...top, a: { ...top.a, justification: 'Did better.' } }), Composer.seedFor(top));
+
+  // Promotion statement follows tier and patterns
+  const patterns = Composer.analyzePatterns(top);
+  assert.strictEqual(patterns.technicalExcellence, true);
+  assert.strictEqual(patterns.leadershipFocus, true);
+  assert.strictEqual(Composer.promotionStatement('top', patterns), 'An absolute must for promotion.');
+  assert.strictEqual(Composer.promotionStatement('developing', { ...patterns, developmentAreas: ['a', 'b', 'c'] }), 'Promote.');
+  assert.strictEqual(Composer.tierFor(top), 'top');
+  assert.strictEqual(Composer.tierFor({}), 'middle');
+
+  console.log('All SectionIComposer tests passed.');
+}
+
+run();
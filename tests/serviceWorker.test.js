@@ -0,0 +1,248 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const SaveOutbox = require('../js/saveOutbox.js');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const sw = fs.readFileSync(path.join(root, 'sw.js'), 'utf8');
+
+// Just enough IndexedDB for js/saveOutbox.js: keyPath stores, bound key
+// ranges, and transactions that complete once their requests have settled
+function keyRank(k) {
+  if (Array.isArray(k)) return 3;
+  return typeof k === 'string' ? 2 : 1;
+}
+
+function compareKeys(a, b) {
+  if (keyRank(a) !== keyRank(b)) return keyRank(a) - keyRank(b);
+  if (!Array.isArray(a)) return a < b ? -1 : (a > b ? 1 : 0);
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const c = compareKeys(a[i], b[i]);
+    if (c) return c;
+  }
+  return a.length - b.length;
+}
+
+const IDBKeyRange = {
+  bound: (lower, upper) => ({ range: true, lower, upper })
+};
+
+function fakeIndexedDB() {
+  const databases = new Map();
+
+  function request(tx, run) {
+    const req = { result: undefined, error: null };
+    if (tx) tx.pending++;
+    setImmediate(() => {
+      req.result = run();
+      if (tx) tx.pending--;
+      if (req.onsuccess) req.onsuccess();
+      if (tx) tx.check();
+    });
+    return req;
+  }
+
+  function objectStore(data, keyPath, tx) {
+    const keyOf = (value) => (Array.isArray(keyPath) ? keyPath.map(k => value[k]) : value[keyPath]);
+    const matches = (query) => [...data.keys()].filter((id) => {
+      const key = JSON.parse(id);
+      if (query === undefined) return true;
+      if (!query.range) return compareKeys(key, query) === 0;
+      return compareKeys(key, query.lower) >= 0 && compareKeys(key, query.upper) <= 0;
+    });
+    return {
+      put: (value) => request(tx, () => { data.set(JSON.stringify(keyOf(value)), JSON.parse(JSON.stringify(value))); }),
+      get: (key) => request(tx, () => data.get(JSON.stringify(key))),
+      getAll: () => request(tx, () => [...data.values()]),
+      count: (query) => request(tx, () => matches(query).length),
+      delete: (query) => request(tx, () => { matches(query).forEach(id => data.delete(id)); })
+    };
+  }
+
+  return {
+    open(name, version) {
+      const req = request(null, () => {
+        let db = databases.get(name);
+        const oldVersion = db ? db.version : 0;
+        if (!db) {
+          const stores = new Map();
+          db = {
+            version: 0,
+            objectStoreNames: { contains: (n) => stores.has(n) },
+            createObjectStore: (n, { keyPath }) => stores.set(n, { data: new Map(), keyPath }),
+            deleteObjectStore: (n) => stores.delete(n),
+            transaction(n) {
+              const tx = {
+                pending: 0,
+                done: false,
+                objectStore: () => objectStore(stores.get(n).data, stores.get(n).keyPath, tx),
+                check() {
+                  setImmediate(() => {
+                    if (!tx.done && tx.pending === 0) {
+                      tx.done = true;
+                      if (tx.oncomplete) tx.oncomplete();
+                    }
+                  });
+                }
+              };
+              tx.check();
+              return tx;
+            }
+          };
+          databases.set(name, db);
+        }
+        if (oldVersion < version) {
+          req.result = db;
+          db.version = version;
+          req.onupgradeneeded({ oldVersion });
+        }
+        return db;
+      });
+      return req;
+    }
+  };
+}
+
+// sw.js in a worker-like global, sending to the API as the GitHub Pages
+// front end would: cross-origin, and with no page or cookies left
+function loadWorker(indexedDB) {
+  const listeners = {};
+  const worker = {
+    indexedDB,
+    IDBKeyRange,
+    console,
+    URL,
+    setTimeout,
+    setImmediate,
+    location: { origin: 'https://semperadmin.github.io' },
+    caches: { open: async () => ({}), keys: async () => [] },
+    clients: { matchAll: async () => [] },
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    importScripts: (...files) => files.forEach(f => vm.runInContext(fs.readFileSync(path.join(root, f), 'utf8'), worker)),
+    fetch: (url, init) => fetch(url, { ...init, headers: { ...init.headers, Origin: 'https://semperadmin.github.io' } })
+  };
+  worker.self = worker;
+  vm.createContext(worker);
+  vm.runInContext(sw, worker);
+  return {
+    outbox: worker.SaveOutbox,
+    async sync() {
+      let done = null;
+      listeners.sync({ tag: worker.SaveOutbox.SYNC_TAG, waitUntil: (p) => { done = p; } });
+      return done.catch(() => {});
+    }
+  };
+}
+
+async function closedTabFlush() {
+  process.env.SESSION_SECRET = 'service-worker-test-secret';
+  const { createFileProvider, setStorageProvider } = require('../server/storage');
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitrep-sw-'));
+  const storage = createFileProvider({ baseDir });
+  setStorageProvider(storage);
+  const app = require('../server/server.js');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const api = `http://127.0.0.1:${server.address().port}`;
+  const post = async (route, body, headers = {}) => {
+    const resp = await fetch(api + route, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+    return { status: resp.status, body: await resp.json().catch(() => null) };
+  };
+
+  try {
+    await post('/api/account/create', { username: 'jsmith', name: 'Smith, Jane', rank: 'Capt', password: 'Passw0rdOK' });
+    const login = await post('/api/account/login', { username: 'jsmith', password: 'Passw0rdOK' });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.body));
+    const page = { 'Authorization': `Bearer ${login.body.sessionToken}`, 'X-CSRF-Token': login.body.csrfToken };
+
+    const { outbox, sync } = loadWorker(fakeIndexedDB());
+    const queue = () => outbox.enqueue({
+      username: 'jsmith',
+      evaluationId: 'eval-1',
+      url: `${api}/api/evaluation/save`,
+      body: JSON.stringify({
+        userEmail: 'jsmith',
+        evaluation: {
+          evaluationId: 'eval-1',
+          occasion: 'AN',
+          marineInfo: { name: 'Doe, John', rank: 'Sgt', evaluationPeriod: { from: '2025-06-01', to: '2026-05-31' } },
+          rsInfo: { name: 'Smith, Jane', rank: 'Capt' },
+          traitEvaluations: {}
+        }
+      })
+    });
+
+    // Without a grant the tab's session is all there was: the save is held
+    assert.strictEqual(await queue(), true);
+    await sync();
+    assert.strictEqual((await outbox.list('jsmith')).length, 1);
+    assert.strictEqual(await storage.getEvaluation('jsmith', 'eval-1'), null);
+
+    // The page keeps a save-only grant; the worker sends with it alone
+    const grant = await post('/api/account/outbox-token', {}, page);
+    assert.strictEqual(grant.status, 200, JSON.stringify(grant.body));
+    assert.strictEqual(await outbox.saveGrant('jsmith', grant.body), true);
+    await sync();
+    assert.deepStrictEqual(await outbox.list('jsmith'), []);
+    const [result] = await outbox.takeResults('jsmith');
+    assert.strictEqual(result.status, 'synced');
+    assert.strictEqual((await storage.getEvaluation('jsmith', 'eval-1')).revision, result.revision);
+
+    // The grant is not a session and cannot mint another grant
+    const reuse = await post('/api/account/outbox-token', {}, { 'Authorization': `Bearer ${grant.body.token}` });
+    assert.strictEqual(reuse.status, 401);
+    const renew = await post('/api/account/outbox-token', {}, { 'X-Outbox-Token': grant.body.token });
+    assert.strictEqual(renew.status, 401);
+
+    // Signing out drops the grant with the queue
+    await outbox.discardAccount('jsmith');
+    await queue();
+    await sync();
+    assert.strictEqual((await outbox.list('jsmith')).length, 1);
+  } finally {
+    server.close();
+    setStorageProvider(null);
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+}
+
+async function run() {
+  // Every script and stylesheet the page loads is precached, or the app
+  // would open offline with pieces missing
+  const scripts = [...html.matchAll(/<script[^>]*\ssrc="([^"]+)"/g)].map(m => m[1]);
+  const styles = [...html.matchAll(/<link[^>]*rel="stylesheet"[^>]*href="([^"]+)"/g)].map(m => m[1]);
+  assert.ok(scripts.includes('js/saveOutbox.js'));
+  assert.ok(styles.length > 0);
+  for (const src of [...scripts, ...styles]) {
+    assert.ok(sw.includes(`'${src}'`), `sw.js does not precache ${src}`);
+  }
+  assert.ok(sw.includes("importScripts('js/saveOutbox.js')"));
+
+  // What happens to a queued save after the server answers
+  assert.strictEqual(SaveOutbox.SYNC_TAG, 'fitrep-save-queue');
+  assert.strictEqual(SaveOutbox.settle(200, { ok: true, revision: 3 }), 'saved');
+  assert.strictEqual(SaveOutbox.settle(200, null), 'rejected');
+  assert.strictEqual(SaveOutbox.settle(409, { conflict: true }), 'conflict');
+  assert.strictEqual(SaveOutbox.settle(409, { error: 'Duplicate' }), 'rejected');
+  assert.strictEqual(SaveOutbox.settle(401, null), 'hold');
+  assert.strictEqual(SaveOutbox.settle(403, { error: 'Invalid CSRF token' }), 'hold');
+  assert.strictEqual(SaveOutbox.settle(0, null), 'retry');
+  assert.strictEqual(SaveOutbox.settle(408, null), 'retry');
+  assert.strictEqual(SaveOutbox.settle(429, null), 'retry');
+  assert.strictEqual(SaveOutbox.settle(503, null), 'retry');
+  assert.strictEqual(SaveOutbox.settle(400, { error: 'Invalid evaluation' }), 'rejected');
+
+  // Queued saves belong to an account
+  assert.strictEqual(await SaveOutbox.enqueue({ evaluationId: 'eval-1', url: '/api/evaluation/save', body: '{}' }), false);
+
+  await closedTabFlush();
+  console.log('All service worker tests passed.');
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,251 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileProvider, createArchiveProvider } = require('../server/storage');
+const {
+  migrateStorage,
+  reconcileStorage,
+  portableEvaluation,
+  checksum
+} = require('../server/storage/migration');
+
+function report(id, overrides) {
+  return {
+    evaluationId: id,
+    occasion: 'AN',
+    completedDate: '2026-05-31',
+    fitrepAverage: '4.50',
+    marineInfo: { name: 'Doe, John', rank: 'Sgt', evaluationPeriod: { from: '2025-06-01', to: '2026-05-31' } },
+    rsInfo: { name: 'Smith, Jane', rank: 'Capt', email: 'jsmith' },
+    sectionIComments: 'Solid NCO.',
+    traitEvaluations: {
+      A_performance: { section: 'Mission Accomplishment', trait: 'Performance', grade: 'C', gradeNumber: 3, justification: '' },
+      B_courage: { section: 'Leadership', trait: 'Courage', grade: 'D', gradeNumber: 4, justification: 'Led the QRF.' }
+    },
+    revision: 2,
+    ...overrides
+  };
+}
+
+const CI_YAML = [
+  'id: eval-ci',
+  'occasion: TR',
+  'marine:',
+  '  name: Roe, Rick',
+  '  rank: Cpl',
+  '  evaluationPeriod:',
+  '    from: 2025-01-01',
+  '    to: 2025-12-31',
+  'rs:',
+  '  name: Smith, Jane',
+  'traitEvaluations:',
+  '  - trait: Performance',
+  '    grade: B',
+  '    gradeNumber: 2',
+  ''
+].join('\n');
+
+async function run() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fitrep-migrate-'));
+  try {
+    // Checksums ignore backend bookkeeping and trait layout
+    const frontend = report('eval-1');
+    const fromSupabase = {
+      ...report('eval-1', { completedDate: '2026-05-31T00:00:00+00:00', fitrepAverage: '4.5', revision: 7, syncStatus: 'synced' }),
+      traitEvaluations: Object.values(frontend.traitEvaluations).reverse().map((t, i) => ({ id: i, ...t, section: 'A' }))
+    };
+    assert.strictEqual(checksum(portableEvaluation(frontend)), checksum(portableEvaluation(fromSupabase)));
+    assert.notStrictEqual(
+      checksum(portableEvaluation(frontend)),
+      checksum(portableEvaluation(report('eval-1', { sectionIComments: 'Changed.' })))
+    );
+
+    // Local data directory, including a CI-written YAML evaluation
+    const local = createFileProvider({ baseDir: path.join(tmp, 'local') });
+    await local.saveUser('jsmith', { rsEmail: 'jsmith', rsName: 'Smith, Jane', rsRank: 'Capt', passwordHash: '$2a$12$abc' });
+    await local.saveUser('bjones', { rsEmail: 'bjones', rsName: 'Jones, Bob', rsRank: 'Maj', passwordHash: '$2a$12$def' });
+    await local.saveEvaluation('jsmith', report('eval-1'));
+    await local.saveEvaluation('jsmith', report('eval-2', { occasion: 'TR' }));
+    fs.writeFileSync(path.join(tmp, 'local', 'users', 'jsmith', 'evaluations', 'eval-ci.yml'), CI_YAML);
+    assert.strictEqual((await local.listEvaluations('jsmith')).length, 3);
+    await local.addItem('jsmith', 'bullets', { id: 'blt-1', text: 'Led the QRF.', trait: 'Courage', createdAt: '2026-01-01T00:00:00Z' });
+    await local.addItem('jsmith', 'bullets', { id: 'blt-2', text: 'Zero mishaps.', trait: '', createdAt: '2026-02-01T00:00:00Z' });
+    await local.replaceItems('jsmith', 'calendar', [{ marineKey: 'doe-john', marineName: 'Doe, John', date: '2026-07-01' }]);
+    await local.putItem('jsmith', 'merit', { cycleKey: 'SGT:2026', rank: 'SGT', cycle: '2026', order: ['doe-john'], updatedAt: '2026-03-01T00:00:00Z' });
+
+    // Local -> gzip archive, checked on the way
+    const archiveFile = path.join(tmp, 'unit.json.gz');
+    const statePath = path.join(tmp, 'state.json');
+    let stats = await migrateStorage({
+      source: local,
+      destination: createArchiveProvider({ file: archiveFile }),
+      from: 'local',
+      to: 'archive',
+      statePath
+    });
+    assert.deepStrictEqual(stats.users, { copied: 2, skipped: 0, failed: 0 });
+    assert.deepStrictEqual(stats.evaluations, { copied: 3, skipped: 0, failed: 0 });
+    assert.deepStrictEqual(stats.collections, { copied: 3, skipped: 0, failed: 0 });
+    assert.deepStrictEqual(stats.errors, []);
+
+    // A fresh reader sees the same archive
+    const archive = createArchiveProvider({ file: archiveFile });
+    assert.deepStrictEqual(await archive.listUsers(), ['bjones', 'jsmith']);
+    assert.strictEqual((await archive.getUser('jsmith')).passwordHash, '$2a$12$abc');
+    let recon = await reconcileStorage({ source: local, destination: archive });
+    assert.deepStrictEqual(recon.users, { matched: 2, differs: 0, missing: 0, extra: 0 });
+    assert.deepStrictEqual(recon.evaluations, { matched: 3, differs: 0, missing: 0, extra: 0 });
+    assert.deepStrictEqual(recon.collections, { matched: 3, differs: 0, missing: 0, extra: 0 });
+    // Collections keep their order
+    assert.deepStrictEqual((await archive.listItems('jsmith', 'bullets')).map(b => b.id), ['blt-2', 'blt-1']);
+
+    // Archive -> another local directory
+    const restored = createFileProvider({ baseDir: path.join(tmp, 'restored') });
+    stats = await migrateStorage({ source: archive, destination: restored, from: 'archive', to: 'local' });
+    assert.strictEqual(stats.evaluations.copied, 3);
+    recon = await reconcileStorage({ source: local, destination: restored });
+    assert.strictEqual(recon.differences.length, 0);
+
+    // Resume: a rerun only copies what changed since
+    await local.saveEvaluation('jsmith', report('eval-2', { occasion: 'TR', sectionIComments: 'Promote now.' }));
+    stats = await migrateStorage({
+      source: local,
+      destination: archive,
+      from: 'local',
+      to: 'archive',
+      statePath,
+      resume: true
+    });
+    assert.deepStrictEqual(stats.users, { copied: 0, skipped: 2, failed: 0 });
+    assert.deepStrictEqual(stats.evaluations, { copied: 1, skipped: 2, failed: 0 });
+    assert.deepStrictEqual(stats.collections, { copied: 0, skipped: 3, failed: 0 });
+    await assert.rejects(
+      migrateStorage({ source: local, destination: archive, from: 'local', to: 'supabase', statePath, resume: true }),
+      /is for local -> archive/
+    );
+
+    // Interrupted run picks up where it stopped
+    const target = createFileProvider({ baseDir: path.join(tmp, 'target') });
+    let writes = 0;
+    const flaky = {
+      ...target,
+      async saveEvaluation(username, evaluation) {
+        if (++writes > 1) throw new Error('connection reset');
+        return target.saveEvaluation(username, evaluation);
+      }
+    };
+    const flakyState = path.join(tmp, 'flaky-state.json');
+    stats = await migrateStorage({ source: local, destination: flaky, from: 'local', to: 'target', statePath: flakyState });
+    assert.strictEqual(stats.evaluations.copied, 1);
+    assert.strictEqual(stats.evaluations.failed, 2);
+    assert.ok(stats.errors.every(e => e.error === 'connection reset'));
+    stats = await migrateStorage({ source: local, destination: target, from: 'local', to: 'target', statePath: flakyState, resume: true });
+    assert.deepStrictEqual(stats.evaluations, { copied: 2, skipped: 1, failed: 0 });
+
+    // A destination that alters what it stores fails the checksum
+    const lossy = {
+      ...target,
+      async getEvaluation(username, evaluationId) {
+        const ev = await target.getEvaluation(username, evaluationId);
+        return ev && { ...ev, sectionIComments: '' };
+      }
+    };
+    stats = await migrateStorage({ source: local, destination: lossy, from: 'local', to: 'lossy', users: ['jsmith'] });
+    assert.strictEqual(stats.evaluations.failed, 2); // eval-ci has no comments to lose
+    assert.deepStrictEqual(stats.errors[0].fields, ['sectionIComments']);
+
+    // Section A/B data, the MRO acknowledgment and the RO review are portable
+    const full = report('eval-full', {
+      marineInfo: { ...frontend.marineInfo, marineId: 'M-1', edipi: '1234567890', pmos: '0311' },
+      billet: { description: 'Squad Leader', accomplishments: 'Led "Alpha" squad.\nZero mishaps.' },
+      roInfo: { name: 'Roe, Sam', rank: 'Maj', email: 'sroe@usmc.mil' },
+      isAdverse: true,
+      mroAcknowledgment: { acknowledged: true, date: '2026-06-03', statementIntent: 'declines' },
+      roReview: { status: 'completed', concurrence: 'concur', comparativeAssessment: 5, comments: 'Agree.', ro: { email: 'SRoe@usmc.mil' } }
+    });
+    for (const field of ['marineInfo', 'billet', 'roInfo', 'mroAcknowledgment', 'roReview']) {
+      const { [field]: _dropped, ...rest } = full;
+      assert.notStrictEqual(checksum(portableEvaluation(full)), checksum(portableEvaluation(rest)), field);
+    }
+    const fullSource = createFileProvider({ baseDir: path.join(tmp, 'full') });
+    await fullSource.saveUser('jsmith', { rsEmail: 'jsmith', rsName: 'Smith, Jane', rsRank: 'Capt' });
+    await fullSource.saveEvaluation('jsmith', full);
+    const fullTarget = createFileProvider({ baseDir: path.join(tmp, 'full-target') });
+    stats = await migrateStorage({ source: fullSource, destination: fullTarget, from: 'full', to: 'target' });
+    assert.deepStrictEqual(stats.evaluations, { copied: 1, skipped: 0, failed: 0 });
+    const dropsReview = {
+      ...fullTarget,
+      async getEvaluation(username, evaluationId) {
+        const { roReview: _review, ...ev } = await fullTarget.getEvaluation(username, evaluationId);
+        return ev;
+      }
+    };
+    stats = await migrateStorage({ source: fullSource, destination: dropsReview, from: 'full', to: 'lossy' });
+    assert.strictEqual(stats.evaluations.failed, 1);
+    assert.deepStrictEqual(stats.errors[0].fields, ['roReview']);
+
+    // Items the destination already holds are not added twice, even under
+    // the IDs and timestamps another backend gave them
+    await restored.addItem('jsmith', 'journal', { id: 'jrn-1', marineName: 'Doe, John', date: '2026-01-05', text: 'Range coach.' });
+    const renumbered = createFileProvider({ baseDir: path.join(tmp, 'renumbered') });
+    await renumbered.addItem('jsmith', 'bullets', { id: 'uuid-1', text: 'Led the QRF.', trait: 'Courage', createdAt: '2026-05-05T00:00:00Z' });
+    stats = await migrateStorage({ source: restored, destination: renumbered, from: 'restored', to: 'renumbered', users: ['jsmith'] });
+    assert.deepStrictEqual(stats.collections, { copied: 4, skipped: 0, failed: 0 });
+    assert.deepStrictEqual((await renumbered.listItems('jsmith', 'bullets')).map(b => b.id), ['blt-2', 'uuid-1']);
+    stats = await migrateStorage({ source: restored, destination: renumbered, from: 'restored', to: 'renumbered', users: ['jsmith'] });
+    assert.strictEqual((await renumbered.listItems('jsmith', 'bullets')).length, 2);
+    assert.strictEqual((await renumbered.listItems('jsmith', 'journal')).length, 1);
+    await restored.deleteItem('jsmith', 'journal', 'jrn-1');
+
+    // Accounts named by email (Supabase) reach the source as given
+    const byEmail = (name) => {
+      assert.strictEqual(name, 'Jane.Smith@usmc.mil');
+      return 'jsmith';
+    };
+    const emailKeyed = {
+      listUsers: async () => ['Jane.Smith@usmc.mil'],
+      getUser: async (name) => local.getUser(byEmail(name)),
+      listEvaluations: async (name) => local.listEvaluations(byEmail(name)),
+      listItems: async (name, collection) => local.listItems(byEmail(name), collection)
+    };
+    const fromEmail = createFileProvider({ baseDir: path.join(tmp, 'from-email') });
+    stats = await migrateStorage({ source: emailKeyed, destination: fromEmail, from: 'email', to: 'local', users: ['Jane.Smith@usmc.mil'] });
+    assert.deepStrictEqual(stats.errors, []);
+    assert.deepStrictEqual([stats.users.copied, stats.evaluations.copied, stats.collections.copied], [1, 3, 3]);
+    recon = await reconcileStorage({ source: emailKeyed, destination: fromEmail, users: ['Jane.Smith@usmc.mil'] });
+    assert.deepStrictEqual(recon.differences, []);
+
+    // Dry run writes nothing
+    const empty = createFileProvider({ baseDir: path.join(tmp, 'empty') });
+    stats = await migrateStorage({ source: local, destination: empty, from: 'local', to: 'empty', dryRun: true, usersOnly: true });
+    assert.strictEqual(stats.users.copied, 2);
+    assert.deepStrictEqual(await empty.listUsers(), []);
+
+    // Reconciliation lists every difference
+    await restored.deleteEvaluation('jsmith', 'eval-1');
+    await restored.saveEvaluation('jsmith', report('eval-9'));
+    await restored.saveUser('bjones', { rsEmail: 'bjones', rsName: 'Jones, Bob', rsRank: 'LtCol', passwordHash: '$2a$12$def' });
+    recon = await reconcileStorage({ source: local, destination: restored });
+    assert.deepStrictEqual(recon.users, { matched: 1, differs: 1, missing: 0, extra: 0 });
+    assert.deepStrictEqual(recon.evaluations, { matched: 1, differs: 1, missing: 1, extra: 1 });
+    assert.deepStrictEqual(
+      recon.differences.map(d => [d.username, d.evaluationId || null, d.status, d.fields || null]),
+      [
+        ['bjones', null, 'differs', ['rsRank']],
+        ['jsmith', 'eval-1', 'missing', null],
+        ['jsmith', 'eval-2', 'differs', ['sectionIComments']],
+        ['jsmith', 'eval-9', 'extra', null]
+      ]
+    );
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  console.log('All storage migration tests passed.');
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
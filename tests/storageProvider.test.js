@@ -0,0 +1,350 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileProvider, createGitHubProvider, createSupabaseProvider, setStorageProvider } = require('../server/storage');
+const supabaseService = require('../server/supabaseService');
+const routes = require('../server/storageRoutes');
+const bulletRoutes = require('../server/bulletRoutes');
+const counselingRoutes = require('../server/counselingRoutes');
+const journalRoutes = require('../server/journalRoutes');
+const calendarRoutes = require('../server/calendarRoutes');
+const revisionRoutes = require('../server/revisionRoutes');
+const orderOfMeritRoutes = require('../server/orderOfMeritRoutes');
+const roRoutes = require('../server/roRoutes');
+const { createJob, getJob } = require('../server/jobs.js');
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name] = value; }
+  };
+}
+
+async function call(handler, req) {
+  const res = response();
+  await handler({ body: {}, query: {}, params: {}, sessionUser: 'jsmith', ...req }, res);
+  return res;
+}
+
+function report(overrides) {
+  return {
+    evaluationId: 'eval-1',
+    occasion: 'AN',
+    marineInfo: { name: 'Doe, John', rank: 'Sgt', evaluationPeriod: { from: '2025-06-01', to: '2026-05-31' } },
+    rsInfo: { name: 'Smith, Jane', rank: 'Capt', email: 'jsmith' },
+    sectionIComments: 'Solid NCO.',
+    traitEvaluations: {
+      A_performance: { section: 'Mission Accomplishment', trait: 'Performance', grade: 'C', gradeNumber: 3, justification: '' }
+    },
+    ...overrides
+  };
+}
+
+async function run() {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitrep-storage-'));
+  try {
+    const storage = createFileProvider({ baseDir });
+    setStorageProvider(storage);
+
+    // Provider: records round-trip in the legacy local layout
+    await storage.saveUser('Jones', { rsEmail: 'jones', rsName: 'Jones, Bob' });
+    assert.deepStrictEqual(await storage.listUsers(), ['jones']);
+    assert.strictEqual((await storage.getUser('JONES')).rsName, 'Jones, Bob');
+    assert.strictEqual(await storage.getUser('nobody'), null);
+    await storage.saveEvaluation('jones', report({ revision: 1 }));
+    assert.ok(fs.existsSync(path.join(baseDir, 'users', 'jones', 'evaluations', 'eval-1.json')));
+    assert.ok(fs.existsSync(path.join(baseDir, 'users', 'jones', 'revisions', 'eval-1', '1.json')));
+    assert.strictEqual((await storage.getEvaluation('jones', 'eval-1')).revision, 1);
+    assert.strictEqual(await storage.deleteUser('jones'), true);
+    assert.deepStrictEqual(await storage.listEvaluations('jones'), []);
+    const fb = await storage.saveFeedback({ type: 'bug', title: 't', description: 'd' });
+    assert.ok(fs.existsSync(path.join(baseDir, 'feedback', `${fb.id}.json`)));
+
+    // Accounts
+    const account = { username: 'jsmith', name: 'Smith, Jane', rank: 'Capt', password: 'Passw0rdOK' };
+    let res = await call(routes.createAccountHandler, { body: account });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.method, 'file');
+    res = await call(routes.createAccountHandler, { body: account });
+    assert.strictEqual(res.statusCode, 409);
+    res = await call(routes.accountAvailableHandler, { query: { username: 'jsmith' } });
+    assert.strictEqual(res.body.available, false);
+
+    // Profile: saves keep the stored password hash and never return it
+    res = await call(routes.saveUserHandler, { body: { userData: { rsEmail: 'jsmith', rsName: 'Smith, Jane B', rsRank: 'Maj', passwordHash: 'x' } } });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok((await storage.getUser('jsmith')).passwordHash.startsWith('$2'));
+    res = await call(routes.loadUserHandler, { query: { username: 'jsmith' } });
+    assert.strictEqual(res.body.data.rsRank, 'Maj');
+    assert.strictEqual(res.body.data.passwordHash, undefined);
+    assert.strictEqual(res.body.rsRank, 'Maj');
+    res = await call(routes.loadUserHandler, { query: { username: 'jones' } });
+    assert.strictEqual(res.statusCode, 403);
+    res = await call(routes.loadUserHandler, { sessionUser: 'jsmith@a.mil', query: { email: 'jsmith@b.mil' } });
+    assert.strictEqual(res.statusCode, 403);
+
+    // Evaluations: revisions bump, a stale base revision is a conflict
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report(), userEmail: 'jsmith' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.revision, 1);
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report({ sectionIComments: 'Ready for SSgt.' }), userEmail: 'jsmith', baseRevision: 1 } });
+    assert.strictEqual(res.body.revision, 2);
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report(), userEmail: 'jsmith', baseRevision: 1 } });
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepStrictEqual(res.body.fields.map(f => f.field), ['sectionIComments']);
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report(), userEmail: 'jones' } });
+    assert.strictEqual(res.statusCode, 403);
+
+    // Overlapping period on the same Marine is rejected with the findings;
+    // this is the save route for GitHub and embedded storage as well as Supabase
+    const overlap = report({ evaluationId: 'eval-2', marineInfo: { name: 'Doe, John', rank: 'Sgt', evaluationPeriod: { from: '2026-01-01', to: '2026-06-30' } } });
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: overlap, userEmail: 'jsmith' } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.errors[0].type, 'error');
+    assert.ok(Array.isArray(res.body.warnings));
+    assert.strictEqual(await storage.getEvaluation('jsmith', 'eval-2'), null);
+
+    // An adverse report is held until its Item 8e comment and MRO
+    // acknowledgment are in, then stored flagged as adverse
+    const adverse = report({
+      evaluationId: 'eval-3',
+      marineInfo: { name: 'Roe, Sam', rank: 'Cpl', evaluationPeriod: { from: '2025-06-01', to: '2026-05-31' } },
+      traitEvaluations: { A_courage: { section: 'Leadership', trait: 'Courage', grade: 'A', gradeNumber: 1, justification: '' } },
+      isAdverse: false
+    });
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: adverse, userEmail: 'jsmith' } });
+    assert.strictEqual(res.statusCode, 400);
+    assert.ok(res.body.missing.includes('Directed comment: Adverse Material Submitted (Item 8e)'));
+    assert.ok(res.body.missing.includes('MRO acknowledgment and statement intent'));
+    assert.strictEqual(await storage.getEvaluation('jsmith', 'eval-3'), null);
+    adverse.directedComments = "Directed Comment: Section A, Item 8e – MRO's report contains adverse material per Chapter 5.";
+    adverse.mroAcknowledgment = { acknowledged: true, date: '2026-06-03', statementIntent: 'declines' };
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: adverse, userEmail: 'jsmith' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual((await storage.getEvaluation('jsmith', 'eval-3')).isAdverse, true);
+    await storage.deleteEvaluation('jsmith', 'eval-3');
+
+    // Revision history comes from the provider; restoring saves a new revision
+    res = await call(revisionRoutes.listRevisionsHandler, { params: { evaluationId: 'eval-1' } });
+    assert.deepStrictEqual(res.body.revisions.map(r => r.rev), ['2', '1']);
+    res = await call(revisionRoutes.getRevisionHandler, { params: { evaluationId: 'eval-1', rev: 'abc1234' } });
+    assert.strictEqual(res.statusCode, 400);
+    res = await call(revisionRoutes.getRevisionHandler, { params: { evaluationId: 'eval-1', rev: '1' } });
+    assert.strictEqual(res.body.evaluation.sectionIComments, 'Solid NCO.');
+    res = await call(revisionRoutes.getRevisionHandler, { sessionUser: 'jones', params: { evaluationId: 'eval-1', rev: '1' } });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(revisionRoutes.restoreRevisionHandler, { params: { evaluationId: 'eval-1', rev: '1' } });
+    assert.strictEqual(res.body.revision, 3);
+    assert.strictEqual((await storage.getEvaluation('jsmith', 'eval-1')).sectionIComments, 'Solid NCO.');
+    assert.deepStrictEqual((await storage.listRevisions('jsmith', 'eval-1')).map(r => r.revision), [3, 2, 1]);
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report({ sectionIComments: 'Ready for SSgt.' }), userEmail: 'jsmith', baseRevision: 3 } });
+    assert.strictEqual(res.body.revision, 4);
+
+    res = await call(routes.listEvaluationsHandler, { query: { username: 'jsmith' } });
+    assert.deepStrictEqual(res.body.evaluations.map(e => e.evaluationId), ['eval-1']);
+    res = await call(routes.getEvaluationHandler, { params: { evaluationId: 'eval-1' } });
+    assert.strictEqual(res.body.sectionIComments, 'Ready for SSgt.');
+    res = await call(routes.getEvaluationPdfHandler, { params: { evaluationId: 'eval-1' } });
+    assert.strictEqual(res.headers['Content-Type'], 'application/pdf');
+    assert.ok(res.body.toString('latin1').startsWith('%PDF-'));
+    res = await call(routes.getEvaluationPdfHandler, { sessionUser: 'jones', params: { evaluationId: 'eval-1' } });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(routes.exportEvaluationsHandler, {});
+    assert.strictEqual(res.body.count, 1);
+    res = await call(routes.deleteEvaluationHandler, { params: { evaluationId: 'eval-1' } });
+    assert.strictEqual(res.body.ok, true);
+    res = await call(routes.getEvaluationHandler, { params: { evaluationId: 'eval-1' } });
+    assert.strictEqual(res.statusCode, 404);
+
+    // Per-user collections are provider documents next to the profile
+    res = await call(bulletRoutes.createBulletHandler, { body: { text: 'Led 12 Marines through a 30-day exercise.', trait: 'Leading Subordinates' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    const bulletId = res.body.bullet.id;
+    assert.ok(fs.existsSync(path.join(baseDir, 'users', 'jsmith', 'bullets.json')));
+    assert.deepStrictEqual((await storage.getDocument('jsmith', 'bullets')).bullets.map(b => b.id), [bulletId]);
+    res = await call(bulletRoutes.listBulletsHandler, {});
+    assert.strictEqual(res.body.count, 1);
+    res = await call(bulletRoutes.deleteBulletHandler, { params: { bulletId: 'blt-missing' } });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(bulletRoutes.deleteBulletHandler, { params: { bulletId } });
+    assert.strictEqual(res.body.ok, true);
+    res = await call(counselingRoutes.createCounselingHandler, { body: { marineName: 'Doe, John', date: '2026-01-15', type: 'initial', notes: 'Set goals.' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    const entryId = res.body.entry.id;
+    res = await call(counselingRoutes.updateCounselingHandler, { params: { entryId }, body: { marineName: 'Doe, John', date: '2026-01-15', type: 'initial', notes: 'Set goals.', followUp: { date: '2026-02-15', status: 'met' } } });
+    assert.strictEqual(res.body.entry.followUp.status, 'met');
+    assert.ok(res.body.entry.updatedAt);
+    res = await call(counselingRoutes.listCounselingHandler, { sessionUser: 'jones' });
+    assert.deepStrictEqual(res.body.entries, []);
+    await assert.rejects(storage.getDocument('jsmith', '../users'), /Invalid document name/);
+    res = await call(journalRoutes.createJournalHandler, { body: { marineName: 'Doe, John', date: '2026-02-01', text: 'Ran the range qualification.', traits: ['A_performance'] } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    res = await call(journalRoutes.deleteJournalHandler, { params: { entryId: res.body.entry.id } });
+    assert.strictEqual(res.body.ok, true);
+    assert.deepStrictEqual((await storage.getDocument('jsmith', 'journal')).entries, []);
+
+    // The calendar feed is built from the provider's evaluations
+    res = await call(calendarRoutes.saveTransfersHandler, { body: { transfers: [{ marineKey: 'rs', date: '2026-09-01' }] } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    res = await call(calendarRoutes.listTransfersHandler, {});
+    assert.strictEqual(res.body.transfers[0].date, '2026-09-01');
+    await storage.saveEvaluation('jsmith', report({ evaluationId: 'eval-cal', revision: 1 }));
+    res = await call(calendarRoutes.calendarFeedHandler, {});
+    assert.strictEqual(res.headers['Content-Type'], 'text/calendar; charset=utf-8');
+    assert.ok(res.body.includes('Doe'), res.body);
+    await storage.deleteEvaluation('jsmith', 'eval-cal');
+
+    // Order of merit lists are saved per grade and cycle in the `merit` document
+    res = await call(orderOfMeritRoutes.saveOrderOfMeritHandler, { params: { cycleKey: 'SGT:2026' }, body: { rank: 'Sgt', cycle: '2026', order: ['doe', 'roe'] } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    res = await call(orderOfMeritRoutes.saveOrderOfMeritHandler, { params: { cycleKey: 'SGT:2026' }, body: { rank: 'Sgt', cycle: '2026', order: ['roe', 'doe'] } });
+    res = await call(orderOfMeritRoutes.listOrderOfMeritHandler, {});
+    assert.strictEqual(res.body.lists.length, 1);
+    assert.deepStrictEqual(res.body.lists[0].order, ['roe', 'doe']);
+    assert.strictEqual((await storage.getDocument('jsmith', 'merit')).lists[0].cycleKey, 'SGT:2026');
+    res = await call(orderOfMeritRoutes.saveOrderOfMeritHandler, { params: { cycleKey: 'SSGT:2026' }, body: { rank: 'Sgt', cycle: '2026', order: [] } });
+    assert.strictEqual(res.statusCode, 400);
+    res = await call(orderOfMeritRoutes.listOrderOfMeritHandler, { sessionUser: 'jones' });
+    assert.deepStrictEqual(res.body.lists, []);
+
+    // RO reviews: kept on the RS's evaluation, found by the RO through their inbox
+    await storage.saveUser('rjones', { rsEmail: 'rjones', rsName: 'Jones, Robert', rsRank: 'LtCol', contactEmail: 'robert.jones@usmc.mil' });
+    await storage.saveEvaluation('jsmith', report({ evaluationId: 'eval-ro', revision: 1 }));
+    const roParams = { evaluationId: 'eval-ro' };
+    res = await call(roRoutes.routeToRoHandler, { params: roParams, body: { roEmail: 'nobody@usmc.mil' } });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(roRoutes.routeToRoHandler, { params: roParams, body: { roEmail: 'jsmith' } });
+    assert.strictEqual(res.statusCode, 400);
+    res = await call(roRoutes.routeToRoHandler, { sessionUser: 'rjones', params: roParams, body: { roEmail: 'rjones' } });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(roRoutes.routeToRoHandler, { params: roParams, body: { roEmail: 'Robert.Jones@usmc.mil' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.review.status, 'pending');
+    assert.strictEqual(res.body.review.ro.username, 'rjones');
+    assert.strictEqual((await storage.getEvaluation('jsmith', 'eval-ro')).roInfo.name, 'Jones, Robert');
+    res = await call(roRoutes.getRoReviewHandler, { sessionUser: 'rjones', params: roParams });
+    assert.strictEqual(res.body.review.status, 'pending');
+    res = await call(roRoutes.getRoReviewHandler, { sessionUser: 'lee', params: roParams });
+    assert.strictEqual(res.statusCode, 404);
+    res = await call(roRoutes.roInboxHandler, { sessionUser: 'rjones' });
+    assert.strictEqual(res.body.pending, 1);
+    assert.strictEqual(res.body.reviews[0].evaluation.evaluationId, 'eval-ro');
+    const roInput = { concurrence: 'concur', comparativeAssessment: 6, comments: '' };
+    res = await call(roRoutes.submitRoReviewHandler, { params: roParams, body: roInput });
+    assert.strictEqual(res.statusCode, 403);
+    res = await call(roRoutes.submitRoReviewHandler, { sessionUser: 'rjones', params: roParams, body: roInput });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.review.comparativeAssessment, 6);
+    res = await call(roRoutes.submitRoReviewHandler, { sessionUser: 'rjones', params: roParams, body: roInput });
+    assert.strictEqual(res.statusCode, 409);
+    // A save from the RS cannot replace the RO's review
+    res = await call(routes.saveEvaluationHandler, { body: { evaluation: report({ evaluationId: 'eval-ro', roReview: { status: 'pending' } }), userEmail: 'jsmith', baseRevision: 1 } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual((await storage.getEvaluation('jsmith', 'eval-ro')).roReview.status, 'completed');
+    res = await call(roRoutes.routeToRoHandler, { params: roParams, body: { roEmail: 'rjones' } });
+    assert.strictEqual(res.statusCode, 409);
+    await storage.deleteEvaluation('jsmith', 'eval-ro');
+    await storage.deleteUser('rjones');
+
+    // Account deletion needs the confirmation phrase
+    res = await call(routes.deleteUserHandler, { body: {} });
+    assert.strictEqual(res.statusCode, 400);
+    res = await call(routes.deleteUserHandler, { body: { confirm: 'DELETE_MY_ACCOUNT' } });
+    assert.strictEqual(res.body.ok, true);
+    assert.strictEqual(await storage.getUser('jsmith'), null);
+
+    // Finished jobs are kept with the provider
+    const jobId = createJob('test', async () => ({ updated: 1 }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual((await storage.getJob(jobId)).status, 'completed');
+    assert.deepStrictEqual((await getJob(jobId)).result, { updated: 1 });
+    assert.strictEqual(await getJob('job_missing'), null);
+    // The GitHub provider hands job records to its job store instead of committing them
+    const github = createGitHubProvider({ token: 'unused', repo: 'owner/data', jobStore: storage });
+    await github.saveJob({ id: 'job_gh', status: 'running' });
+    assert.ok(fs.existsSync(path.join(baseDir, 'jobs', 'job_gh.json')));
+    assert.strictEqual((await github.getJob('job_gh')).status, 'running');
+    assert.strictEqual(await createGitHubProvider({ token: 'unused', repo: 'owner/data' }).getJob('job_gh'), null);
+
+    // Renaming an account moves its record, password and evaluations
+    await storage.saveUser('lee', { rsEmail: 'lee', rsName: 'Lee, Ann', passwordHash: 'hash' });
+    await storage.saveEvaluation('lee', report({ revision: 1 }));
+    res = await call(routes.saveUserHandler, { sessionUser: 'lee', body: { userData: { rsEmail: 'lee.a', previousEmail: 'lee', rsName: 'Lee, Ann' } } });
+    assert.strictEqual(res.body.emailMigrated, true);
+    assert.strictEqual(await storage.getUser('lee'), null);
+    assert.strictEqual((await storage.getUser('lee.a')).passwordHash, 'hash');
+    assert.deepStrictEqual((await storage.listEvaluations('lee.a')).map(e => e.evaluationId), ['eval-1']);
+
+    // Feedback
+    res = await call(routes.feedbackHandler, { body: { type: 'bug', title: 'Broken', description: 'Steps\u0007 to reproduce' } });
+    assert.strictEqual(res.body.stored, 'local');
+    const feedbackFile = path.join(baseDir, 'feedback', `${res.body.id}.json`);
+    assert.strictEqual(JSON.parse(fs.readFileSync(feedbackFile, 'utf8')).description, 'Steps to reproduce');
+    res = await call(routes.feedbackHandler, { body: { type: 'bug', title: 'Broken' } });
+    assert.strictEqual(res.statusCode, 400);
+  } finally {
+    setStorageProvider(null);
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+
+  await supabaseOwnership();
+  console.log('All storage provider tests passed.');
+}
+
+// Supabase evaluation IDs are unique across accounts: the session account
+// owns what it saves, and another RS's ID is refused
+async function supabaseOwnership() {
+  const stubs = {
+    getFullEvaluationsByUser: async () => ({ data: [], error: null }),
+    getRoReviewsByRs: async () => ({ data: {}, error: null }),
+    getRoReview: async () => ({ data: null, error: null }),
+    getEvaluationById: async (id) => (id === 'eval-theirs'
+      ? { data: { rsEmail: 'other@unit.usmc.mil', evaluation: report({ evaluationId: id }) }, error: null }
+      : { data: null, error: { code: 'PGRST116' } }),
+    saveEvaluation: async (data) => { saved.push(data); return { data: { revision: 1 }, error: null }; },
+    getBulletsByUser: async (user) => ({ data: [{ id: 'b1', text: `Bullet for ${user}` }], error: null })
+  };
+  const saved = [];
+  const original = {};
+  Object.keys(stubs).forEach((k) => { original[k] = supabaseService[k]; supabaseService[k] = stubs[k]; });
+  setStorageProvider(createSupabaseProvider());
+  try {
+    const session = 'jsmith@unit.usmc.mil';
+    let res = await call(routes.saveEvaluationHandler, {
+      sessionUser: session,
+      body: { userEmail: session, evaluation: report({ evaluationId: 'eval-theirs' }) }
+    });
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.body.error, 'Cannot save evaluation for another user');
+    assert.strictEqual(saved.length, 0);
+
+    res = await call(routes.saveEvaluationHandler, {
+      sessionUser: session,
+      body: { userEmail: session, evaluation: report({ evaluationId: 'eval-mine', rsInfo: { name: 'Smith, Jane', email: 'other@unit.usmc.mil' } }) }
+    });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(saved[0].rsEmail, session);
+    assert.strictEqual(saved[0].rsInfo.email, session);
+    assert.strictEqual(saved[0].rsInfo.name, 'Smith, Jane');
+
+    // Routes reach the Supabase tables through the same provider methods
+    res = await call(bulletRoutes.listBulletsHandler, { sessionUser: session });
+    assert.strictEqual(res.body.bullets[0].text, `Bullet for ${session}`);
+    res = await call(roRoutes.routeToRoHandler, { sessionUser: session, params: { evaluationId: 'eval-theirs' }, body: { roEmail: 'ro@unit.usmc.mil' } });
+    assert.strictEqual(res.statusCode, 404);
+  } finally {
+    Object.assign(supabaseService, original);
+    setStorageProvider(null);
+  }
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const TextFit = require('../js/textFit.js');
+
+function run() {
+  // Special characters render the way the form prints them
+  assert.strictEqual(TextFit.toAscii('“Lead” – it’s done…\tok'), '"Lead" - it\'s done... ok');
+  assert.strictEqual(TextFit.toAscii('café'), 'caf?');
+  assert.deepStrictEqual(TextFit.unsupportedChars('café “ok” ✓ é'), ['é', '✓']);
+
+  // Wrapping keeps paragraph breaks (see tests/fitrepPdf.test.js for word wrapping)
+  assert.deepStrictEqual(TextFit.wrapText('one\n\ntwo\n', 10), ['one', '', 'two']);
+
+  // Measuring against a box: lines used, remaining, and the overflowing sentence
+  const box = { cols: 20, rows: 2 };
+  let m = TextFit.measure('Led the team. Won.', box);
+  assert.strictEqual(m.lines, 1);
+  assert.strictEqual(m.remainingLines, 1);
+  assert.strictEqual(m.fits, true);
+  assert.strictEqual(m.overflowSentence, '');
+
+  m = TextFit.measure('First sentence here. Second one is long enough. Third sentence overflows.', box);
+  assert.strictEqual(m.fits, false);
+  assert.strictEqual(m.lines, 4);
+  assert.strictEqual(m.overflowLines, 2);
+  assert.strictEqual(m.remainingLines, 0);
+  assert.strictEqual(m.overflowSentence, 'Second one is long enough.');
+
+  // Blank lines count against the budget
+  m = TextFit.measure('One.\n\nTwo.', box);
+  assert.strictEqual(m.overflowSentence, 'Two.');
+
+  // Named form boxes
+  assert.strictEqual(TextFit.measure('', 'sectionI').remainingLines, TextFit.BOXES.sectionI.rows);
+  assert.strictEqual(TextFit.BOXES.sectionI.cols, TextFit.FORM_COLUMNS);
+
+  // Enforced blocks on a saved evaluation
+  assert.deepStrictEqual(TextFit.checkEvaluation({ sectionIComments: 'Short.', billet: { accomplishments: 'Did well.' } }), []);
+  const longSectionI = Array.from({ length: 60 }, (_, i) => `Sentence ${i + 1} ${'x'.repeat(90)}.`).join(' ');
+  const errors = TextFit.checkEvaluation({ sectionIComments: longSectionI, billet: { accomplishments: 'a\n'.repeat(7) + 'b.' } });
+  assert.deepStrictEqual(errors.map(e => e.field), ['billetAccomplishments', 'sectionI']);
+  assert.ok(/^Sentence 43 /.test(errors[1].overflowSentence));
+  assert.ok(/Section I comments run 18 lines past the 42-line form block/.test(errors[1].message));
+  assert.deepStrictEqual(TextFit.checkEvaluation(null), []);
+
+  console.log('All TextFit tests passed.');
+}
+
+run();
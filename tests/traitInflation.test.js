@@ -0,0 +1,76 @@
+const assert = require('assert');
+const TraitInflation = require('../js/traitInflation.js');
+
+function saved(id, rank, grades) {
+  return {
+    evaluationId: id,
+    marineInfo: { rank },
+    traitEvaluations: Object.keys(grades).map(trait => ({ section: 'Mission Accomplishment', trait, grade: grades[trait] }))
+  };
+}
+
+function run() {
+  // Ties count half
+  assert.strictEqual(TraitInflation.percentile(4, [4, 4, 4]), 50);
+  assert.strictEqual(TraitInflation.percentile(6, [4, 4, 5]), 100);
+  assert.strictEqual(TraitInflation.percentile(3, [4, 5, 6, 3]), 12.5);
+  assert.strictEqual(TraitInflation.percentile(4, []), null);
+
+  const evals = [
+    saved('a', 'SSgt', { Performance: 'D', Proficiency: 'E', Courage: 'D' }),
+    saved('b', 'SSGT', { Performance: 'D', Proficiency: 'E', Courage: 'E' }),
+    saved('c', 'SSgt', { Performance: 'E', Proficiency: 'F', Courage: 'D' }),
+    { evaluationId: 'd', marineInfo: { rank: 'SSgt' }, traitEvaluations: { x: { trait: 'Performance', grade: 'D', gradeNumber: 4 } } },
+    saved('e', 'Sgt', { Performance: 'G', Proficiency: 'G', Courage: 'G' })
+  ];
+
+  // History is per rank, by trait, from keyed objects and arrays alike
+  const h = TraitInflation.history(evals, { rank: 'SSGT' });
+  assert.strictEqual(h.reports, 4);
+  assert.deepStrictEqual(h.traits.Performance, [4, 4, 5, 4]);
+  assert.deepStrictEqual(TraitInflation.history(evals, { rank: 'SSgt', excludeId: 'd' }).traits.Performance, [4, 4, 5]);
+
+  const draft = {
+    D_performance: { section: 'Mission Accomplishment', trait: 'Performance', grade: 'F', gradeNumber: 6 },
+    D_proficiency: { section: 'Mission Accomplishment', trait: 'Proficiency', grade: 'D', gradeNumber: 4 },
+    E_courage: { section: 'Individual Character', trait: 'Courage', grade: 'E', gradeNumber: 5 },
+    E_initiative: { section: 'Individual Character', trait: 'Initiative', grade: 'G', gradeNumber: 7 }
+  };
+  const result = TraitInflation.analyze(draft, evals, { rank: 'SSgt' });
+  assert.strictEqual(result.rank, 'SSGT');
+  const byTrait = Object.fromEntries(result.traits.map(t => [t.trait, t]));
+
+  // Above everything the RS has given this trait
+  assert.strictEqual(byTrait.Performance.percentile, 100);
+  assert.strictEqual(byTrait.Performance.flag, 'high');
+  assert.strictEqual(byTrait.Performance.historyMean, 4.25);
+  // Below everything
+  assert.strictEqual(byTrait.Proficiency.percentile, 0);
+  assert.strictEqual(byTrait.Proficiency.flag, 'low');
+  // Within range
+  assert.strictEqual(byTrait.Courage.percentile, 83.3);
+  assert.strictEqual(byTrait.Courage.flag, null);
+  // No history on the trait: no percentile, no flag
+  assert.strictEqual(byTrait.Initiative.historyCount, 0);
+  assert.strictEqual(byTrait.Initiative.percentile, null);
+  assert.deepStrictEqual(result.flagged.map(t => t.trait), ['Performance', 'Proficiency']);
+
+  // Whole-report placement
+  assert.strictEqual(result.overall.average, 5.5);
+  assert.strictEqual(result.overall.percentile, 100);
+
+  // A mark equal to a uniform history is never flagged
+  const uniform = [saved('a', 'Sgt', { Performance: 'D' }), saved('b', 'Sgt', { Performance: 'D' }), saved('c', 'Sgt', { Performance: 'D' })];
+  assert.deepStrictEqual(TraitInflation.analyze({ p: { trait: 'Performance', grade: 'D' } }, uniform, { rank: 'Sgt' }).flagged, []);
+
+  // Too little history
+  const thin = TraitInflation.analyze(draft, evals.slice(0, 2), { rank: 'SSgt' });
+  assert.deepStrictEqual(thin.flagged, []);
+  assert.strictEqual(thin.overall.percentile, null);
+  assert.strictEqual(TraitInflation.analyze(draft, evals.slice(0, 2), { rank: 'SSgt', minHistory: 2 }).flagged.length, 2);
+  assert.strictEqual(TraitInflation.analyze(draft, null, { rank: 'SSgt' }).reports, 0);
+
+  console.log('All TraitInflation tests passed.');
+}
+
+run();